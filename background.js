@@ -4,15 +4,39 @@
  * Handles:
  *  - Full playlist sync pipeline (API key + Channel ID)
  *  - Save-reordering requests from content script
+ *  - Video category prefetch on navigation (persistent LRU cache)
+ *  - "Already saved in" membership + duplicate lookup for the watch page
  *  - Progress reporting to popup
+ *  - Scheduled auto-sync (chrome.alarms)
+ *  - Checkpointed sync that resumes after worker termination
+ *  - Pause / resume / cancel of an in-flight sync
+ *  - Pre-sync quota cost forecast
+ *  - ETag-based skipping of unchanged playlists
+ *  - Sync run history with per-playlist change journal
+ *  - Unavailable (private / deleted) video report
+ *  - Selective sync (include / exclude lists, skip rules) and single-playlist refresh
+ *  - Video cache in the shared IndexedDB video store (content-script access via messages)
  *  - Config clear
  *
  * Uses ES module imports for lib/ code.
  */
 
-import { getStoredApiKey, getChannelPlaylists, getUserPlaylists, getPlaylistVideoCategories, getPlaylistVideoCategoriesDelta, getVideoCategory, getApiUsage, resetApiUsage, getAuthToken, removeAuthToken } from "./lib/youtube-api.js";
-import { computePlaylistStats, computeGlobalStats, getCategoryDistribution } from "./lib/playlist-stats.js";
-import { reorderPlaylists } from "./lib/save-reorder.js";
+import { getStoredApiKey, getChannelPlaylists, getUserPlaylists, getPlaylistsById, getPlaylistVideoCategories, getPlaylistVideoCategoriesDelta, getVideoCategory, getApiUsage, resetApiUsage, getQuotaHeadroom, DAILY_LIMIT, getAuthToken, getWriteAuthToken, removeAuthToken, insertPlaylistItem, deletePlaylistItem } from "./lib/youtube-api.js";
+import { computePlaylistStats, computeGlobalStats, getCategoryDistribution, countChannelVideos } from "./lib/playlist-stats.js";
+import { reorderPlaylists, getScoringWeights, saveScoringWeights, describeSignals } from "./lib/save-reorder.js";
+import { SYNC_ALARM_NAME, SYNC_FREQUENCIES, getSyncSchedule, saveSyncSchedule, shouldRunScheduledSync } from "./lib/sync-schedule.js";
+import { loadSyncCheckpoint, createSyncCheckpoint, saveSyncCheckpoint, clearSyncCheckpoint } from "./lib/sync-checkpoint.js";
+import { estimateSyncCost } from "./lib/sync-forecast.js";
+import { API_ERROR } from "./lib/api-errors.js";
+import { getSyncHistory, appendSyncRun, buildPlaylistChange, getPlaylistActivity } from "./lib/sync-history.js";
+import { updateUnavailableVideos } from "./lib/video-availability.js";
+import { getSaveEvents, recordSaveEvent, clearSaveEvents, buildSaveModel, getSavePrior } from "./lib/save-learning.js";
+import { getSaveRules, saveSaveRules, evaluateRules } from "./lib/save-rules.js";
+import { getSyncFilter, saveSyncFilter, applySyncFilter, getSkipReason } from "./lib/sync-filter.js";
+import { getAllPlaylistVideos, getPlaylistVideos, getPlaylistVideoCounts, getVideoMemberships, getVideosByChannel, getVideosByChannelId, getPlaylistPages, putPlaylistVideos, putPlaylistPages, deletePlaylistVideos, clearVideoStore, getDerivedIndex, putDerivedIndex } from "./lib/video-store.js";
+import { buildTitleIndex, scoreTitle } from "./lib/title-index.js";
+import { getCachedVideoInfo, putCachedVideoInfo, clearVideoInfoCache } from "./lib/video-info-cache.js";
+import { getCategoryLabel } from "./lib/category-map.js";
 
 // ─── Message Router ──────────────────────────────────────────────────────────
 
@@ -29,21 +53,85 @@ chrome.runtime.onMessage.addListener((msg, sender, sendResponse) => {
 async function handleMessage(msg, sender) {
   switch (msg.type) {
     case "SYNC_START":
-      return await handleSync();
+      return await startSync();
+
+    case "SYNC_PAUSE":
+      return await handleSyncControl("pause");
+
+    case "SYNC_CANCEL":
+      return await handleSyncControl("cancel");
+
+    case "SYNC_RESUME":
+      return await handleSyncResume();
+
+    case "GET_SYNC_STATUS":
+      return await handleGetSyncStatus();
+
+    case "SYNC_PLAYLIST":
+      return await handleSyncPlaylist(msg.playlistId);
+
+    case "GET_SYNC_FILTER":
+      return await handleGetSyncFilter();
+
+    case "SET_SYNC_FILTER":
+      return await handleSetSyncFilter(msg.filter);
+
+    case "PREFETCH_VIDEO_CATEGORY":
+      return await handlePrefetchCategory(msg.videoId);
+
+    case "GET_VIDEO_MEMBERSHIP":
+      return await handleGetVideoMembership(msg.videoId);
 
     case "GET_REORDERED_PLAYLISTS":
       return await handleReorder(msg.videoId);
 
+    case "GET_SCORING_WEIGHTS":
+      return { success: true, weights: await getScoringWeights(), signals: describeSignals() };
+
+    case "SET_SCORING_WEIGHTS":
+      return { success: true, weights: await saveScoringWeights(msg.weights), signals: describeSignals() };
+
+    case "GET_SAVE_RULES":
+      return { success: true, rules: await getSaveRules() };
+
+    case "SET_SAVE_RULES":
+      return { success: true, rules: await saveSaveRules(msg.rules) };
+
+    case "QUICK_SAVE":
+      return await handleQuickSave(msg);
+
+    case "UNDO_QUICK_SAVE":
+      return await handleUndoQuickSave(msg);
+
+    case "RECORD_SAVE_EVENT":
+      return await handleRecordSaveEvent(msg);
+
+    case "GET_SAVE_MODEL":
+      return { success: true, model: buildSaveModel(await getSaveEvents()) };
+
+    case "RESET_SAVE_MODEL":
+      await clearSaveEvents();
+      return { success: true };
+
     case "CLEAR_DATA":
       return await handleClearData();
 
     case "GET_API_USAGE":
-      return { success: true, usage: await getApiUsage() };
+      return { success: true, usage: await getApiUsage(), limit: DAILY_LIMIT };
+
+    case "GET_SYNC_ESTIMATE":
+      return await handleSyncEstimate();
 
     case "RESET_API_USAGE":
       await resetApiUsage();
       return { success: true };
 
+    case "GET_SYNC_SCHEDULE":
+      return await handleGetSyncSchedule();
+
+    case "SET_SYNC_SCHEDULE":
+      return await handleSetSyncSchedule(msg.schedule);
+
     default:
       return { success: false, error: `Unknown message type: ${msg.type}` };
   }
@@ -56,8 +144,11 @@ async function handleClearData() {
     await chrome.storage.local.remove([
       "apiKey", "channelId", "oauthClientId",
       "globalStats", "playlistStats", "playlistMeta",
-      "playlistCategories", "lastSync"
+      "playlistCategories", "playlistEtags", "unavailableVideos", "lastSync", "lastScheduledSync", "syncCheckpoint",
+      "syncHistory", "saveEvents"
     ]);
+    await clearVideoStore();
+    await clearVideoInfoCache();
     // Also clear OAuth token
     try { await removeAuthToken(); } catch {}
     return { success: true };
@@ -67,176 +158,871 @@ async function handleClearData() {
 }
 // ─── Sync Pipeline ───────────────────────────────────────────────────────────
 
-async function handleSync() {
+// Shared promise for the running sync, so a scheduled run and a manual
+// click never execute the pipeline twice in parallel.
+let activeSync = null;
+
+// Running library update outside a full sync (single-playlist refresh,
+// quick save / undo); these queue behind each other, see queueLibraryUpdate().
+let activePlaylistSync = null;
+
+// A full run writes its in-memory cache back when it finishes, so changes
+// made while it runs would be lost
+const SYNC_RUNNING_ERROR = "A full sync is running — try again when it finishes";
+
+// Pending control request for the running sync: null | "pause" | "cancel".
+// Checked between playlists so the loop always stops on a clean boundary.
+let syncControl = null;
+
+/**
+ * Start a sync, or join the one already in progress. A single-playlist
+ * refresh that is still running finishes first.
+ * @param {Object} [options] - forwarded to handleSync()
+ */
+function startSync(options) {
+  if (!activeSync) {
+    syncControl = null;
+    activeSync = Promise.resolve(activePlaylistSync)
+      .then(() => handleSync(options))
+      .finally(() => {
+        activeSync = null;
+      });
+  }
+  return activeSync;
+}
+
+/**
+ * Run a library update outside a full sync after the ones already queued.
+ * A full sync started meanwhile waits for the queue (see startSync()).
+ * @param {() => Promise<*>} task
+ * @returns {Promise<*>} the task's result
+ */
+async function queueLibraryUpdate(task) {
+  // Queue behind a running update, whether or not that one fails
+  const run = Promise.resolve(activePlaylistSync).catch(() => {}).then(task);
+  activePlaylistSync = run;
+  try {
+    return await run;
+  } finally {
+    if (activePlaylistSync === run) activePlaylistSync = null;
+  }
+}
+
+/**
+ * Run the delta sync pipeline, resuming from the stored checkpoint if a
+ * previous run was interrupted. Each finished playlist is persisted
+ * immediately together with the checkpoint.
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive=true] - allow the OAuth sign-in popup
+ *        (false for scheduled runs, which must never prompt the user)
+ * @param {string} [options.trigger="manual"] - recorded in the sync history
+ *        ("manual" | "scheduled"); a resumed run keeps its original trigger
+ */
+async function handleSync({ interactive = true, trigger = "manual" } = {}) {
+  let checkpoint = null;
+  const usageBefore = await getApiUsage();
+
   try {
-    const config = await chrome.storage.local.get(["apiKey", "channelId", "oauthClientId"]);
-    const apiKey = config.apiKey || null;
-    const channelId = config.channelId || null;
-    const oauthClientId = config.oauthClientId || null;
+    const credentials = await loadSyncCredentials(interactive);
+    const { apiKey, channelId, oauthToken } = credentials;
+
+    checkpoint = await loadSyncCheckpoint();
+    const resumed = Boolean(checkpoint);
 
-    // Step 1: Fetch playlists
-    sendProgress("Fetching playlists…", 5);
+    if (checkpoint) {
+      // Resume: reuse the playlist list captured when the run started
+      if (!oauthToken && !apiKey) {
+        return { success: false, error: "Enter an OAuth Client ID, or an API Key + Channel ID." };
+      }
+      checkpoint.status = "running";
+      checkpoint.error = null;
+      checkpoint.resumeCount++;
+      await saveSyncCheckpoint(checkpoint);
 
-    let playlists;
-    let oauthToken = null;
+      console.log(`[BG] Resuming sync: ${checkpoint.done.length}/${checkpoint.order.length} playlists already done`);
+      sendProgress(`Resuming sync (${checkpoint.done.length}/${checkpoint.order.length} done)…`, 15, { resumed });
+    } else {
+      // Step 1: Fetch playlists
+      sendProgress("Fetching playlists…", 5);
 
-    // OAuth path: get token + use mine=true for ALL playlists
-    if (oauthClientId) {
-      try {
-        oauthToken = await getAuthToken(true);
-        if (oauthToken) {
+      let playlists;
+
+      // OAuth path: use mine=true for ALL playlists
+      if (oauthToken) {
+        try {
           playlists = await getUserPlaylists(apiKey, oauthToken);
           console.log(`[BG] OAuth: fetched ${playlists.length} playlists (incl. private)`);
+        } catch (oauthErr) {
+          console.warn("[BG] OAuth failed:", oauthErr.message);
         }
-      } catch (oauthErr) {
-        console.warn("[BG] OAuth failed:", oauthErr.message);
       }
-    }
 
-    // Fallback: API key + channel ID (public only)
-    if (!playlists) {
-      if (!apiKey || !channelId) {
-        return { success: false, error: "Enter an OAuth Client ID, or an API Key + Channel ID." };
+      // Fallback: API key + channel ID (public only)
+      if (!playlists) {
+        if (!apiKey || !channelId) {
+          return { success: false, error: "Enter an OAuth Client ID, or an API Key + Channel ID." };
+        }
+        playlists = await getChannelPlaylists(channelId, apiKey);
       }
-      playlists = await getChannelPlaylists(channelId, apiKey);
-    }
 
-    if (!playlists.length) {
-      return { success: false, error: "No playlists found." };
+      if (!playlists.length) {
+        return { success: false, error: "No playlists found." };
+      }
+
+      const metaMap = {};
+      for (const pl of playlists) {
+        metaMap[pl.id] = buildPlaylistMeta(pl);
+      }
+
+      // Selective sync: skipped playlists stay in playlistMeta (flagged) but aren't fetched
+      const { order, skipped } = applySyncFilter(metaMap, await getSyncFilter());
+      for (const [pid, reason] of Object.entries(skipped)) {
+        metaMap[pid].skipped = reason;
+      }
+      if (!order.length) {
+        return { success: false, error: "All playlists are skipped by the sync selection." };
+      }
+
+      checkpoint = createSyncCheckpoint(order, metaMap, trigger);
+
+      // Playlists created / deleted since the previous sync (not on the very first one)
+      const { playlistMeta: prevMeta } = await chrome.storage.local.get(["playlistMeta"]);
+      if (prevMeta) {
+        checkpoint.addedPlaylists = Object.keys(metaMap)
+          .filter((pid) => !prevMeta[pid])
+          .map((pid) => ({ playlistId: pid, title: metaMap[pid].title }));
+        checkpoint.removedPlaylists = Object.keys(prevMeta)
+          .filter((pid) => !metaMap[pid])
+          .map((pid) => ({ playlistId: pid, title: prevMeta[pid].title }));
+      }
+      await saveSyncCheckpoint(checkpoint);
+
+      const skippedCount = Object.keys(skipped).length;
+      sendProgress(
+        skippedCount
+          ? `Found ${playlists.length} playlists (${skippedCount} skipped by sync selection)`
+          : `Found ${playlists.length} playlists`,
+        15
+      );
     }
 
-    sendProgress(`Found ${playlists.length} playlists`, 15);
+    const order = checkpoint.order;
+    const playlistMetaMap = checkpoint.meta;
+    const done = new Set(checkpoint.done);
+    const pct = (i) => 15 + Math.round((i / order.length) * 70);
 
-    // Load cached categories for delta sync
-    const cached = await chrome.storage.local.get(["playlistCategories"]);
-    const cachedCategories = cached.playlistCategories || {};
+    // Working copies — seeded from storage so resumed runs keep the
+    // playlists finished before the interruption
+    const cache = await loadSyncCache();
+    const playlistCategoriesMap = cache.playlistCategories;
+    const playlistStatsMap = cache.playlistStats;
+    const playlistEtagsMap = cache.playlistEtags;
 
     // Step 2: Fetch video categories per playlist (delta-aware)
-    const playlistStatsMap = {};
-    const playlistMetaMap = {};
-    const playlistCategoriesMap = {};
     let totalApiCalls = 0;     // videos.list calls actually made
     let totalSkipped = 0;      // videos resolved from cache
+    let totalUnchanged = 0;    // playlists skipped via ETag + itemCount
+    let totalNotModified = 0;  // playlistItems pages answered with 304
+    const failedPlaylists = checkpoint.failedPlaylists;  // { playlistId, title, type, message }
 
-    for (let i = 0; i < playlists.length; i++) {
-      const pl = playlists[i];
-      const pid = pl.id;
-      const title = pl.snippet.title;
-      const pct = 15 + Math.round((i / playlists.length) * 70);
-
-      sendProgress(`Analyzing: ${title} (${i + 1}/${playlists.length})`, pct);
-
-      // Store metadata
-      playlistMetaMap[pid] = {
-        title,
-        description: pl.snippet.description || "",
-        url: `https://www.youtube.com/playlist?list=${pid}`,
-        thumbnail: pl.snippet.thumbnails?.medium?.url
-          || pl.snippet.thumbnails?.default?.url || "",
-        publishedAt: pl.snippet.publishedAt || null,
-        privacyStatus: pl.status?.privacyStatus || pl.snippet?.privacyStatus || "unknown",
-        videoCount: pl.contentDetails?.itemCount || 0
-      };
+    for (let i = 0; i < order.length; i++) {
+      const pid = order[i];
+      if (done.has(pid)) continue;
 
-      // Fetch categories — delta: only new videos hit the API
-      try {
-        const prevCache = cachedCategories[pid] || {};
-        const { videos: videoCategories, apiCalls } = await getPlaylistVideoCategoriesDelta(pid, apiKey, prevCache, oauthToken);
+      if (syncControl === "pause") {
+        syncControl = null;
+        checkpoint.status = "paused";
+        checkpoint.apiUnits += await syncUnitsSince(usageBefore);
+        await saveSyncCheckpoint(checkpoint);
+        console.log(`[BG] Sync paused at ${checkpoint.done.length}/${order.length}`);
+        sendProgress(`Sync paused (${checkpoint.done.length}/${order.length} done)`, pct(i), { state: "paused" });
+        return { success: false, state: "paused", error: "Sync paused" };
+      }
 
-        playlistCategoriesMap[pid] = videoCategories;
-        totalApiCalls += apiCalls;
+      if (syncControl === "cancel") {
+        syncControl = null;
+        await finishSync(checkpoint, cache);
+        await recordSyncRun(checkpoint, "cancelled", { usageBefore });
+        console.log(`[BG] Sync cancelled at ${checkpoint.done.length}/${order.length}`);
+        sendProgress(`Sync cancelled — kept ${checkpoint.done.length}/${order.length} updated playlists`, pct(i), { state: "cancelled" });
+        return { success: false, state: "cancelled", error: "Sync cancelled" };
+      }
+
+      const meta = playlistMetaMap[pid];
+      const title = meta.title;
+      const prevEtags = playlistEtagsMap[pid];
 
-        const cachedCount = Object.keys(videoCategories).length - (apiCalls > 0 ? (apiCalls * 50) : 0);
-        totalSkipped += Math.max(0, Object.keys(prevCache).length);
+      // Unchanged playlist (same resource ETag and item count as last
+      // sync): skip it entirely and keep the cached videos + stats
+      if (
+        prevEtags && meta.etag &&
+        prevEtags.playlistEtag === meta.etag &&
+        prevEtags.itemCount === meta.videoCount &&
+        playlistCategoriesMap[pid] && playlistStatsMap[pid] &&
+        !meta.syncError
+      ) {
+        totalUnchanged++;
+        sendProgress(`Unchanged: ${title} (${i + 1}/${order.length})`, pct(i), { resumed });
+        checkpoint.done.push(pid);
+        done.add(pid);
+        continue;
+      }
+
+      sendProgress(`Analyzing: ${title} (${i + 1}/${order.length})`, pct(i), { resumed });
 
-        // Compute stats
-        const stats = computePlaylistStats(videoCategories);
-        playlistStatsMap[pid] = stats;
+      try {
+        const { apiCalls, notModified, cachedVideos } = await syncPlaylist(pid, checkpoint, cache, credentials);
+        totalApiCalls += apiCalls;
+        totalNotModified += notModified;
+        totalSkipped += cachedVideos;
       } catch (err) {
-        console.warn(`[BG] Failed to analyze playlist ${title}:`, err);
-        playlistStatsMap[pid] = computePlaylistStats({});
+        // Quota / auth failures would hit every remaining playlist — stop
+        // here and let the next run resume from the checkpoint
+        if (err.fatal) throw err;
+
+        // Anything else: keep this playlist's previous data untouched
+        console.warn(`[BG] Failed to analyze playlist ${title} (${err.type || "error"}):`, err);
+        failedPlaylists.push({ playlistId: pid, title, type: err.type || API_ERROR.BAD_REQUEST, message: err.message });
+        playlistMetaMap[pid].syncError = { type: err.type || API_ERROR.BAD_REQUEST, message: err.message, at: Date.now() };
       }
-    }
 
-    // Step 3: Compute global stats
-    sendProgress("Computing global statistics…", 90);
-    const globalStats = computeGlobalStats(playlistStatsMap);
+      // Checkpoint: this playlist's results + progress in one write
+      // (its videos were already written to the video store by syncPlaylist)
+      checkpoint.done.push(pid);
+      done.add(pid);
+      await saveSyncCheckpoint(checkpoint, storageCache(cache));
+    }
 
-    console.log(`[BG] Delta sync: ${totalApiCalls} videos.list calls (cached videos reused across ${playlists.length} playlists)`);
+    console.log(`[BG] Delta sync: ${totalApiCalls} videos.list calls, ${totalUnchanged} unchanged playlists skipped, ${totalNotModified} item pages not modified (${order.length} playlists)`);
 
-    // Step 4: Persist to chrome.storage.local
-    sendProgress("Saving data…", 95);
-    await chrome.storage.local.set({
-      globalStats,
-      playlistStats: playlistStatsMap,
-      playlistMeta: playlistMetaMap,
-      playlistCategories: playlistCategoriesMap,
-      lastSync: Date.now()
-    });
+    sendProgress("Computing global statistics…", 90, { resumed });
+    await finishSync(checkpoint, cache);
+    await recordSyncRun(checkpoint, "success", { usageBefore });
 
-    sendProgress("Sync complete!", 100);
+    const doneText = failedPlaylists.length
+      ? `Sync complete (${failedPlaylists.length} playlists failed, previous data kept)`
+      : "Sync complete!";
+    sendProgress(doneText, 100, { resumed, state: "done" });
 
-    return { success: true, totalPlaylists: playlists.length };
+    return { success: true, totalPlaylists: order.length, resumed, failedPlaylists };
   } catch (err) {
     console.error("[BG] Sync failed:", err);
-    return { success: false, error: err.message };
+    sendProgress(`Sync failed: ${err.message}`, 100, { state: "failed" });
+    // Keep the checkpoint so the next run resumes, but don't auto-resume
+    // on worker wake-up — that would just hit the same error again.
+    if (checkpoint) {
+      checkpoint.status = "failed";
+      checkpoint.error = err.message;
+      await recordSyncRun(checkpoint, "failed", { usageBefore, error: err.message }).catch(() => {});
+
+      // The journal now holds this attempt — a resumed run only reports what it adds
+      checkpoint.changes = {};
+      checkpoint.failedPlaylists = [];
+      checkpoint.apiUnits = 0;
+      checkpoint.addedPlaylists = [];
+      checkpoint.removedPlaylists = [];
+      await saveSyncCheckpoint(checkpoint).catch(() => {});
+    }
+    return { success: false, error: err.message, errorType: err.type || null };
   }
 }
 
-// ─── Reorder Handler ─────────────────────────────────────────────────────────
+/**
+ * Fetch (delta-aware) one playlist's videos and update its categories,
+ * ETags, stats, unavailable-video report and journal entry in `cache`.
+ * API errors are thrown; the caller decides whether to skip or stop.
+ *
+ * @param {string} pid
+ * @param {Object} checkpoint - supplies meta and collects the journal entry
+ * @param {Object} cache      - see loadSyncCache()
+ * @param {Object} credentials - see loadSyncCredentials()
+ * @returns {Promise<{ apiCalls: number, notModified: number, cachedVideos: number }>}
+ */
+async function syncPlaylist(pid, checkpoint, cache, { apiKey, oauthToken }) {
+  const meta = checkpoint.meta[pid];
+  const prevCache = cache.playlistCategories[pid] || {};
+  const prevEtags = cache.playlistEtags[pid];
+  const prevPages = await getPlaylistPages(pid);
+  const cachedPages = (prevEtags?.pages || []).map((page, i) => ({ ...prevPages[i], ...page }));
 
-async function handleReorder(videoId) {
+  // Delta: only new videos hit videos.list; item pages are conditional
+  const { videos, apiCalls, pages, notModified, added, removed } = await getPlaylistVideoCategoriesDelta(
+    pid, apiKey, prevCache, oauthToken, cachedPages
+  );
+
+  const change = buildPlaylistChange(meta.title, prevCache, videos, added, removed);
+  if (change) checkpoint.changes[pid] = change;
+
+  const lost = updateUnavailableVideos(cache.unavailableVideos[pid], prevCache, videos, removed);
+  if (Object.keys(lost).length) cache.unavailableVideos[pid] = lost;
+  else delete cache.unavailableVideos[pid];
+
+  await putPlaylistVideos(pid, videos);
+  await putPlaylistPages(pid, pages.map(({ ids, unavailable }) => ({ ids, unavailable })));
+  cache.playlistCategories[pid] = videos;
+  cache.playlistEtags[pid] = { playlistEtag: meta.etag, itemCount: meta.videoCount, pages: pages.map(pageTags) };
+  cache.playlistStats[pid] = computePlaylistStats(videos);
+  delete meta.syncError;
+
+  return { apiCalls, notModified, cachedVideos: Object.keys(prevCache).length };
+}
+
+/**
+ * Read the stored credentials and, if an OAuth client is configured, get a token.
+ * @param {boolean} interactive - allow the OAuth sign-in popup
+ * @returns {Promise<{ apiKey: string|null, channelId: string|null, oauthToken: string|null }>}
+ */
+async function loadSyncCredentials(interactive) {
+  const config = await chrome.storage.local.get(["apiKey", "channelId", "oauthClientId"]);
+
+  let oauthToken = null;
+  if (config.oauthClientId) {
+    try {
+      oauthToken = await getAuthToken(interactive);
+    } catch (oauthErr) {
+      console.warn("[BG] OAuth failed:", oauthErr.message);
+    }
+  }
+
+  return {
+    apiKey: config.apiKey || null,
+    channelId: config.channelId || null,
+    oauthToken
+  };
+}
+
+/**
+ * Load the per-playlist caches a sync reads and updates. Videos and item
+ * page contents come from the IndexedDB video store, everything else from
+ * chrome.storage.local (`playlistEtags` holds only ETags and page tokens).
+ * @returns {Promise<{ playlistCategories: Object, playlistStats: Object, playlistEtags: Object,
+ *   unavailableVideos: Object }>}
+ */
+async function loadSyncCache() {
+  const stored = await chrome.storage.local.get(["playlistStats", "playlistEtags", "unavailableVideos"]);
+  const playlistEtags = stored.playlistEtags || {};
+
+  // Page caches written before the page IDs moved to the video store
+  for (const [pid, entry] of Object.entries(playlistEtags)) {
+    if (!entry.pages?.some((page) => page.ids)) continue;
+    await putPlaylistPages(pid, entry.pages.map(({ ids = [], unavailable = {} }) => ({ ids, unavailable })));
+    entry.pages = entry.pages.map(pageTags);
+  }
+
+  return {
+    playlistCategories: await getAllPlaylistVideos(),
+    playlistStats: stored.playlistStats || {},
+    playlistEtags,
+    unavailableVideos: stored.unavailableVideos || {}
+  };
+}
+
+// The part of a playlistItems page cached in chrome.storage.local
+function pageTags({ pageToken, etag, nextPageToken }) {
+  return { pageToken, etag, nextPageToken };
+}
+
+/**
+ * The part of the sync cache kept in chrome.storage.local.
+ * @param {Object} cache - see loadSyncCache()
+ * @returns {Object}
+ */
+function storageCache(cache) {
+  const { playlistCategories, ...rest } = cache;
+  return rest;
+}
+
+/**
+ * Final step of a run (completed or cancelled): prune playlists that no
+ * longer exist, compute global stats, persist everything and drop the checkpoint.
+ * Playlists not refreshed in a cancelled run keep their previous data.
+ * @param {Object} checkpoint
+ * @param {Object} cache - see loadSyncCache()
+ */
+async function finishSync(checkpoint, cache) {
+  // Drop playlists that no longer exist. Playlists the sync selection
+  // skipped are still in `meta` (just not in `order`) and keep their data.
+  const current = new Set(Object.keys(checkpoint.meta));
+  await deletePlaylistVideos(Object.keys(cache.playlistCategories).filter((pid) => !current.has(pid)));
+  for (const map of Object.values(cache)) {
+    for (const pid of Object.keys(map)) {
+      if (!current.has(pid)) delete map[pid];
+    }
+  }
+
+  const globalStats = computeGlobalStats(cache.playlistStats);
+  await putDerivedIndex("titleIndex", buildTitleIndex(cache.playlistCategories));
+
+  await chrome.storage.local.set({
+    ...storageCache(cache),
+    globalStats,
+    playlistMeta: checkpoint.meta,
+    lastSync: Date.now()
+  });
+  await clearSyncCheckpoint();
+}
+
+/**
+ * Sync quota units spent since `usageBefore` was read. Usage resets at
+ * midnight, so a run spanning two days only counts today's share.
+ * @param {Object} usageBefore - getApiUsage() result from the start of the run
+ * @returns {Promise<number>}
+ */
+async function syncUnitsSince(usageBefore) {
+  const usage = await getApiUsage();
+  const now = usage.byFeature.sync || 0;
+  if (usage.date !== usageBefore.date) return now;
+  return Math.max(0, now - (usageBefore.byFeature.sync || 0));
+}
+
+/**
+ * Add a finished (or failed / cancelled) run to the sync history.
+ * @param {Object} checkpoint
+ * @param {"success"|"failed"|"cancelled"} status
+ * @param {Object} [options]
+ * @param {Object} [options.usageBefore] - API usage when this invocation started
+ * @param {string} [options.error]
+ */
+async function recordSyncRun(checkpoint, status, { usageBefore = null, error = null } = {}) {
+  const finishedAt = Date.now();
+  const units = checkpoint.apiUnits + (usageBefore ? await syncUnitsSince(usageBefore) : 0);
+
+  await appendSyncRun({
+    id: `${checkpoint.startedAt}-${checkpoint.resumeCount}`,
+    trigger: checkpoint.trigger || "manual",
+    status,
+    startedAt: checkpoint.startedAt,
+    finishedAt,
+    durationMs: finishedAt - checkpoint.startedAt,
+    resumeCount: checkpoint.resumeCount,
+    apiUnits: units,
+    playlists: checkpoint.order.length,
+    error,
+    failedPlaylists: checkpoint.failedPlaylists || [],
+    addedPlaylists: checkpoint.addedPlaylists || [],
+    removedPlaylists: checkpoint.removedPlaylists || [],
+    changes: checkpoint.changes || {}
+  });
+}
+
+/**
+ * Map a playlists.list item to the stored playlistMeta shape.
+ */
+function buildPlaylistMeta(pl) {
+  return {
+    title: pl.snippet.title,
+    description: pl.snippet.description || "",
+    url: `https://www.youtube.com/playlist?list=${pl.id}`,
+    thumbnail: pl.snippet.thumbnails?.medium?.url
+      || pl.snippet.thumbnails?.default?.url || "",
+    publishedAt: pl.snippet.publishedAt || null,
+    privacyStatus: pl.status?.privacyStatus || pl.snippet?.privacyStatus || "unknown",
+    videoCount: pl.contentDetails?.itemCount || 0,
+    etag: pl.etag || null
+  };
+}
+
+/**
+ * Called on every service-worker start. If the previous worker was
+ * terminated mid-sync (checkpoint still "running"), pick up where it left off.
+ */
+async function resumeInterruptedSync() {
+  const checkpoint = await loadSyncCheckpoint();
+  if (checkpoint?.status !== "running" || activeSync) return;
+
+  console.log("[BG] Found interrupted sync — resuming");
+  startSync({ interactive: false });
+}
+
+resumeInterruptedSync().catch((err) => console.warn("[BG] Could not resume sync:", err));
+
+// ─── Single-Playlist Refresh ─────────────────────────────────────────────────
+
+/**
+ * Refresh one playlist without re-syncing the whole library.
+ * Refused while a full sync runs (it would overwrite the result); a
+ * paused or failed run's playlist snapshot is updated along with it.
+ * @param {string} playlistId
+ */
+async function handleSyncPlaylist(playlistId) {
+  if (!playlistId) {
+    return { success: false, error: "No playlist ID provided" };
+  }
+  if (activeSync) {
+    return { success: false, error: SYNC_RUNNING_ERROR };
+  }
+  return await queueLibraryUpdate(() => syncSinglePlaylist(playlistId));
+}
+
+async function syncSinglePlaylist(playlistId) {
+  const usageBefore = await getApiUsage();
+  const stored = await chrome.storage.local.get(["playlistMeta"]);
+  const playlistMeta = stored.playlistMeta || {};
+
+  if (!playlistMeta[playlistId] || playlistMeta[playlistId].skipped) {
+    return { success: false, error: "This playlist isn't part of the synced library." };
+  }
+
+  let run = null;
   try {
-    if (!videoId) {
-      return { success: false, error: "No video ID provided" };
+    const credentials = await loadSyncCredentials(true);
+    if (!credentials.oauthToken && !credentials.apiKey) {
+      return { success: false, error: "Enter an OAuth Client ID, or an API Key + Channel ID." };
+    }
+
+    // Fresh title, item count and ETag for this playlist
+    const [pl] = await getPlaylistsById([playlistId], credentials.apiKey, credentials.oauthToken);
+    if (!pl) {
+      return { success: false, error: "Playlist not found — it may have been deleted or made private.", errorType: API_ERROR.NOT_FOUND };
     }
+    playlistMeta[playlistId] = buildPlaylistMeta(pl);
+
+    run = createSyncCheckpoint([playlistId], { [playlistId]: playlistMeta[playlistId] }, "playlist");
+    const cache = await loadSyncCache();
+    await syncPlaylist(playlistId, run, cache, credentials);
+    await putDerivedIndex("titleIndex", buildTitleIndex(cache.playlistCategories));
+
+    await chrome.storage.local.set({
+      ...storageCache(cache),
+      globalStats: computeGlobalStats(cache.playlistStats),
+      playlistMeta
+    });
+    await updateCheckpointMeta(playlistId, () => playlistMeta[playlistId]);
+    await recordSyncRun(run, "success", { usageBefore });
+
+    console.log(`[BG] Refreshed playlist ${playlistMeta[playlistId].title}`);
+    return { success: true, playlistId };
+  } catch (err) {
+    console.error("[BG] Playlist refresh failed:", err);
+    // Keep the previous data, flagged like a failed playlist in a full sync
+    playlistMeta[playlistId].syncError = { type: err.type || API_ERROR.BAD_REQUEST, message: err.message, at: Date.now() };
+    await chrome.storage.local.set({ playlistMeta }).catch(() => {});
+    if (run) await recordSyncRun(run, "failed", { usageBefore, error: err.message }).catch(() => {});
+    return { success: false, error: err.message, errorType: err.type || null };
+  }
+}
 
-    // Get the video's category
-    const data = await chrome.storage.local.get(["apiKey", "oauthClientId"]);
-    const apiKey = data.apiKey || null;
+// ─── Sync Selection ──────────────────────────────────────────────────────────
+
+/**
+ * Current filter plus, for every known playlist, why it would be skipped
+ * (null = synced) — lets the UI preview the selection before the next sync.
+ */
+async function handleGetSyncFilter() {
+  const filter = await getSyncFilter();
+  const { playlistMeta = {} } = await chrome.storage.local.get(["playlistMeta"]);
+
+  const playlists = Object.entries(playlistMeta).map(([pid, meta]) => ({
+    id: pid,
+    title: meta.title || pid,
+    videoCount: meta.videoCount || 0,
+    skipReason: getSkipReason(pid, meta, filter)
+  }));
+
+  return { success: true, filter, playlists };
+}
 
-    // Get OAuth token if configured
-    let token = null;
-    if (data.oauthClientId) {
-      try { token = await getAuthToken(false); } catch {}
+async function handleSetSyncFilter(filter) {
+  await saveSyncFilter(filter);
+  return await handleGetSyncFilter();
+}
+
+// ─── Video Membership ────────────────────────────────────────────────────────
+
+/**
+ * Playlists that already hold a video, and likely duplicates of it: the
+ * same title from the same channel under another video ID (re-uploads,
+ * mirrors). Reads the local cache only — the video store, then the LRU
+ * lookup cache for the video's title and channel — so it costs no quota.
+ * @param {string} videoId
+ * @returns {Promise<{ success: boolean, playlists?: Array<{ playlistId, title }>,
+ *   duplicates?: Array<{ videoId, title, playlists: Array<{ playlistId, title }> }>, error?: string }>}
+ */
+async function handleGetVideoMembership(videoId) {
+  if (!videoId) {
+    return { success: false, error: "No video ID provided" };
+  }
+
+  const { playlistMeta = {} } = await chrome.storage.local.get(["playlistMeta"]);
+  const describe = (playlistId) => ({ playlistId, title: playlistMeta[playlistId]?.title || playlistId });
+
+  const memberships = await getVideoMemberships(videoId);
+  const video = memberships.find((m) => !m.status) || (await getCachedVideoInfo(videoId));
+  const duplicates = video ? await findDuplicateVideos(videoId, video) : [];
+
+  return {
+    success: true,
+    playlists: memberships.map((m) => describe(m.playlistId)),
+    duplicates: duplicates.map((d) => ({ videoId: d.videoId, title: d.title, playlists: d.playlistIds.map(describe) }))
+  };
+}
+
+/**
+ * Cached videos from the same channel (by ID when known, else by title)
+ * whose normalized title matches, grouped by video ID.
+ * @param {string} videoId
+ * @param {{ title, channelId?, channelTitle? }} video
+ * @returns {Promise<Array<{ videoId, title, playlistIds: string[] }>>}
+ */
+async function findDuplicateVideos(videoId, video) {
+  const key = normalizeVideoTitle(video.title);
+  if (!key) return [];
+
+  let candidates = [];
+  if (video.channelId) candidates = await getVideosByChannelId(video.channelId);
+  else if (video.channelTitle) candidates = await getVideosByChannel(video.channelTitle);
+
+  const byVideo = new Map();
+  for (const entry of candidates) {
+    // Private / deleted entries carry placeholder titles
+    if (entry.videoId === videoId || entry.status || normalizeVideoTitle(entry.title) !== key) continue;
+    if (!byVideo.has(entry.videoId)) {
+      byVideo.set(entry.videoId, { videoId: entry.videoId, title: entry.title, playlistIds: [] });
     }
+    byVideo.get(entry.videoId).playlistIds.push(entry.playlistId);
+  }
+  return [...byVideo.values()];
+}
+
+// Case, width and spacing differences don't make a different video
+function normalizeVideoTitle(title) {
+  return (title || "").normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+// ─── Sync Control ────────────────────────────────────────────────────────────
+
+/**
+ * Ask the running sync to pause or cancel. The loop honours the request
+ * before its next playlist. Cancelling a paused run finalizes what was
+ * already fetched.
+ * @param {"pause"|"cancel"} action
+ */
+async function handleSyncControl(action) {
+  if (activeSync) {
+    syncControl = action;
+    return { success: true, state: action === "pause" ? "pausing" : "cancelling" };
+  }
+
+  const checkpoint = await loadSyncCheckpoint();
+  if (action === "cancel" && checkpoint) {
+    await finishSync(checkpoint, await loadSyncCache());
+    await recordSyncRun(checkpoint, "cancelled");
+    sendProgress(`Sync cancelled — kept ${checkpoint.done.length}/${checkpoint.order.length} updated playlists`, 100, { state: "cancelled" });
+    return { success: true, state: "cancelled" };
+  }
+
+  return { success: false, error: "No sync in progress" };
+}
+
+/**
+ * Resume a paused (or failed) run from its checkpoint. If a pause was
+ * requested but not yet honoured, just withdraw the request.
+ */
+async function handleSyncResume() {
+  if (activeSync) {
+    if (syncControl === "pause") syncControl = null;
+    return { success: true, state: "running" };
+  }
+
+  const checkpoint = await loadSyncCheckpoint();
+  if (!checkpoint) {
+    return { success: false, error: "Nothing to resume" };
+  }
+  return await startSync();
+}
+
+async function handleGetSyncStatus() {
+  const checkpoint = await loadSyncCheckpoint();
+
+  let state = "idle";
+  if (activeSync) {
+    state = syncControl === "pause" ? "pausing" : syncControl === "cancel" ? "cancelling" : "running";
+  } else if (checkpoint?.status === "paused") {
+    state = "paused";
+  }
+
+  return {
+    success: true,
+    state,
+    done: checkpoint?.done.length || 0,
+    total: checkpoint?.order.length || 0
+  };
+}
+
+// ─── Sync Cost Forecast ──────────────────────────────────────────────────────
+
+/**
+ * Dry run: predict the quota cost of the next sync from cached data.
+ * A paused/failed run only has its remaining playlists left to fetch;
+ * a new run skips what the sync selection excludes.
+ */
+async function handleSyncEstimate() {
+  const stored = await chrome.storage.local.get(["playlistMeta", "playlistEtags"]);
+  const checkpoint = await loadSyncCheckpoint();
+
+  const meta = checkpoint?.meta || stored.playlistMeta || {};
+  let skip;
+  if (checkpoint) {
+    const remaining = new Set(checkpoint.order.filter((pid) => !checkpoint.done.includes(pid)));
+    skip = Object.keys(meta).filter((pid) => !remaining.has(pid));
+  } else {
+    skip = Object.keys(applySyncFilter(meta, await getSyncFilter()).skipped);
+  }
+
+  const estimate = estimateSyncCost(meta, await getPlaylistVideoCounts(), {
+    skip,
+    resumed: Boolean(checkpoint),
+    etags: stored.playlistEtags || {}
+  });
+
+  return {
+    success: true,
+    estimate,
+    headroom: await getQuotaHeadroom(),
+    resuming: Boolean(checkpoint)
+  };
+}
+
+// ─── Scheduled Sync ──────────────────────────────────────────────────────────
+
+chrome.runtime.onInstalled.addListener(() => {
+  applySyncSchedule().catch((err) => console.warn("[BG] Failed to apply sync schedule:", err));
+});
+
+chrome.runtime.onStartup.addListener(() => {
+  applySyncSchedule().catch((err) => console.warn("[BG] Failed to apply sync schedule:", err));
+});
+
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === SYNC_ALARM_NAME) {
+    handleScheduledSync();
+  }
+});
+
+/**
+ * Create, update or remove the auto-sync alarm to match the stored schedule.
+ * An existing alarm with the same period is left alone so browser restarts
+ * don't keep pushing the next run further out.
+ */
+async function applySyncSchedule() {
+  const schedule = await getSyncSchedule();
+
+  if (!schedule.enabled) {
+    await chrome.alarms.clear(SYNC_ALARM_NAME);
+    return;
+  }
+
+  const period = SYNC_FREQUENCIES[schedule.frequency];
+  const existing = await chrome.alarms.get(SYNC_ALARM_NAME);
+  if (existing && existing.periodInMinutes === period) return;
+
+  await chrome.alarms.create(SYNC_ALARM_NAME, {
+    delayInMinutes: period,
+    periodInMinutes: period
+  });
+}
+
+/**
+ * Alarm handler: checks quiet hours + quota headroom, runs the regular
+ * delta sync non-interactively, and records the outcome in `lastScheduledSync`.
+ */
+async function handleScheduledSync() {
+  const startedAt = Date.now();
+  try {
+    const schedule = await getSyncSchedule();
+    if (!schedule.enabled) return;
 
-    if (!apiKey && !token) {
-      return { success: false, error: "No credentials configured." };
+    // A paused run stays paused until the user resumes it
+    const checkpoint = await loadSyncCheckpoint();
+    if (checkpoint?.status === "paused") {
+      await recordScheduledRun({ at: startedAt, status: "skipped", reason: "Sync paused" });
+      return;
     }
 
-    const catInfo = await getVideoCategory(videoId, apiKey, token);
-    if (!catInfo) {
-      return { success: false, error: "Could not determine video category" };
+    const headroom = await getQuotaHeadroom();
+    const { allowed, reason } = shouldRunScheduledSync(schedule, headroom);
+
+    if (!allowed) {
+      console.log(`[BG] Scheduled sync skipped: ${reason}`);
+      await recordScheduledRun({ at: startedAt, status: "skipped", reason });
+      return;
     }
 
-    // Load stored playlist data
-    const stored = await chrome.storage.local.get([
-      "playlistStats", "playlistMeta", "playlistCategories"
-    ]);
+    const result = await startSync({ interactive: false, trigger: "scheduled" });
+    await recordScheduledRun({
+      at: startedAt,
+      finishedAt: Date.now(),
+      status: result.success ? "success" : (result.state || "failed"),
+      error: result.success ? null : result.error,
+      totalPlaylists: result.totalPlaylists || 0
+    });
+  } catch (err) {
+    console.error("[BG] Scheduled sync failed:", err);
+    await recordScheduledRun({
+      at: startedAt,
+      finishedAt: Date.now(),
+      status: "failed",
+      error: err.message
+    });
+  }
+}
 
-    if (!stored.playlistStats) {
-      return { success: false, error: "No playlist data. Sync first." };
+async function recordScheduledRun(run) {
+  await chrome.storage.local.set({
+    lastScheduledSync: {
+      at: run.at,
+      finishedAt: run.finishedAt || null,
+      status: run.status,
+      reason: run.reason || null,
+      error: run.error || null,
+      totalPlaylists: run.totalPlaylists || 0
     }
+  });
+}
 
-    // Build playlistData for reorder engine
-    const playlistData = {};
-    for (const [pid, stats] of Object.entries(stored.playlistStats)) {
-      const cats = stored.playlistCategories?.[pid] || {};
-      playlistData[pid] = {
-        title: stored.playlistMeta?.[pid]?.title || pid,
-        stats,
-        categoryDistribution: getCategoryDistribution(cats)
-      };
+async function handleGetSyncSchedule() {
+  const schedule = await getSyncSchedule();
+  const stored = await chrome.storage.local.get(["lastScheduledSync"]);
+  const alarm = await chrome.alarms.get(SYNC_ALARM_NAME);
+
+  return {
+    success: true,
+    schedule,
+    lastRun: stored.lastScheduledSync || null,
+    nextRunAt: alarm?.scheduledTime || null
+  };
+}
+
+async function handleSetSyncSchedule(schedule) {
+  await saveSyncSchedule(schedule);
+  await applySyncSchedule();
+  return await handleGetSyncSchedule();
+}
+
+// ─── Reorder Handler ─────────────────────────────────────────────────────────
+
+async function handleReorder(videoId) {
+  try {
+    if (!videoId) {
+      return { success: false, error: "No video ID provided" };
     }
 
-    // Score and reorder
-    const reordered = reorderPlaylists(catInfo.categoryId, playlistData);
+    const ranking = await rankPlaylists(videoId);
+    if (ranking.error) {
+      return { success: false, error: ranking.error };
+    }
+    const { catInfo, categorySource, weights, prior, reordered } = ranking;
 
     return {
       success: true,
       videoCategory: catInfo.category,
+      categorySource,
       videoCategoryId: catInfo.categoryId,
+      channelTitle: catInfo.channelTitle,
+      channelId: catInfo.channelId,
+      // For the score breakdown popover on the modal badges
+      explain: { signals: describeSignals(), weights, priorConfidence: prior.confidence },
       reordered
     };
   } catch (err) {
@@ -245,13 +1031,402 @@ async function handleReorder(videoId) {
   }
 }
 
+/**
+ * Score every synced playlist for one video. Shared by the Save modal
+ * reorder and quick save.
+ * @param {string} videoId
+ * @param {string} [feature="save-modal"] - usage attribution for the category lookup
+ * @returns {Promise<{ error: string } | { catInfo: Object, categorySource: string, weights: Object, prior: Object, reordered: Object[] }>}
+ */
+async function rankPlaylists(videoId, feature = "save-modal") {
+  const lookup = await resolveVideoCategory(videoId, feature);
+  if (lookup.error) {
+    return { error: lookup.error };
+  }
+  const { catInfo } = lookup;
+
+  // Load stored playlist data
+  const stored = await chrome.storage.local.get(["playlistStats", "playlistMeta"]);
+
+  if (!stored.playlistStats) {
+    return { error: "No playlist data. Sync first." };
+  }
+
+  // Build playlistData for reorder engine. Only the channel's videos are
+  // read from the store; category mixes come from the stored stats.
+  const channelCounts = countChannelVideos([
+    ...(catInfo.channelId ? await getVideosByChannelId(catInfo.channelId) : []),
+    ...(catInfo.channelTitle ? await getVideosByChannel(catInfo.channelTitle) : [])
+  ], catInfo);
+  const activity = getPlaylistActivity(await getSyncHistory());
+  const titleScores = scoreTitle(await getDerivedIndex("titleIndex"), catInfo.title);
+  const playlistData = {};
+  for (const [pid, stats] of Object.entries(stored.playlistStats)) {
+    // Stats saved before they carried category IDs; the next sync replaces them
+    const current = stats.categoryCounts ? stats : computePlaylistStats(await getPlaylistVideos(pid));
+    playlistData[pid] = {
+      title: stored.playlistMeta?.[pid]?.title || pid,
+      stats,
+      categoryDistribution: getCategoryDistribution(current),
+      activity: activity[pid],
+      channelCount: channelCounts[pid] || 0,
+      titleSimilarity: titleScores[pid] || 0
+    };
+  }
+
+  // Score and reorder
+  const weights = await getScoringWeights();
+  const prior = getSavePrior(buildSaveModel(await getSaveEvents()), catInfo);
+  // Auto-filing rules are evaluated first; their playlists are pinned on top
+  const pinned = evaluateRules(await getSaveRules(), catInfo);
+  const reordered = reorderPlaylists(catInfo.categoryId, playlistData, { weights, prior, pinned });
+
+  return { catInfo, categorySource: lookup.source, weights, prior, reordered };
+}
+
+// ─── Video Category Lookup ───────────────────────────────────────────────────
+
+// In-flight lookups by video ID, so a prefetch and the Save sheet's reorder
+// arriving together share one request
+const pendingCategoryLookups = new Map();
+
+/**
+ * Category info for one video: from the synced library if the video is in
+ * a playlist, else from the LRU cache, else from the API (then cached).
+ * @param {string} videoId
+ * @param {string} [feature="save-modal"] - usage attribution for an API call
+ * @returns {Promise<{ error: string } | { catInfo: Object, source: "library" | "cache" | "api" }>}
+ */
+function resolveVideoCategory(videoId, feature = "save-modal") {
+  if (!pendingCategoryLookups.has(videoId)) {
+    const lookup = lookUpVideoCategory(videoId, feature)
+      .finally(() => pendingCategoryLookups.delete(videoId));
+    pendingCategoryLookups.set(videoId, lookup);
+  }
+  return pendingCategoryLookups.get(videoId);
+}
+
+async function lookUpVideoCategory(videoId, feature) {
+  // Private / deleted entries keep a placeholder category; skip them
+  const cached = (await getVideoMemberships(videoId)).find((m) => !m.status && m.categoryId);
+  if (cached) {
+    return {
+      source: "library",
+      catInfo: {
+        videoId,
+        categoryId: cached.categoryId,
+        category: getCategoryLabel(cached.categoryId),
+        title: cached.title || "",
+        channelTitle: cached.channelTitle || "",
+        channelId: cached.channelId || "",
+        thumbnail: cached.thumbnail || "",
+        durationSeconds: cached.durationSeconds ?? null
+      }
+    };
+  }
+
+  const info = await getCachedVideoInfo(videoId);
+  if (info) {
+    return { source: "cache", catInfo: info };
+  }
+
+  const data = await chrome.storage.local.get(["apiKey", "oauthClientId"]);
+  const apiKey = data.apiKey || null;
+
+  // Get OAuth token if configured
+  let token = null;
+  if (data.oauthClientId) {
+    try { token = await getAuthToken(false); } catch {}
+  }
+
+  if (!apiKey && !token) {
+    return { error: "No credentials configured." };
+  }
+
+  const catInfo = await getVideoCategory(videoId, apiKey, token, feature);
+  if (!catInfo) {
+    return { error: "Could not determine video category" };
+  }
+  await putCachedVideoInfo(videoId, catInfo);
+  return { source: "api", catInfo };
+}
+
+/**
+ * Warm the category lookup for the video the user just navigated to, so
+ * the Save sheet's reorder doesn't wait on the API. Skipped until a first
+ * sync, since there's nothing to rank against yet.
+ * @param {string} videoId
+ */
+async function handlePrefetchCategory(videoId) {
+  if (!videoId) {
+    return { success: false, error: "No video ID provided" };
+  }
+
+  const { playlistStats } = await chrome.storage.local.get(["playlistStats"]);
+  if (!playlistStats) {
+    return { success: false, error: "No playlist data. Sync first." };
+  }
+
+  try {
+    const lookup = await resolveVideoCategory(videoId, "prefetch");
+    if (lookup.error) {
+      return { success: false, error: lookup.error };
+    }
+    return { success: true, source: lookup.source };
+  } catch (err) {
+    console.warn(`[BG] Category prefetch for ${videoId} failed:`, err.message);
+    return { success: false, error: err.message };
+  }
+}
+
+// ─── Quick Save ──────────────────────────────────────────────────────────────
+
+// Next-best playlists offered by the toast's "Choose another"
+const QUICK_SAVE_ALTERNATIVES = 5;
+
+chrome.commands.onCommand.addListener(async (command) => {
+  if (command !== "quick-save") return;
+  // The content script runs the save so it can show the toast
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.id || !tab.url?.startsWith("https://www.youtube.com/")) return;
+  chrome.tabs.sendMessage(tab.id, { type: "QUICK_SAVE_COMMAND" }).catch(() => {
+    // Tab loaded before the extension; nothing to talk to
+  });
+});
+
+/**
+ * Save a video straight into its best match: the top of the Save modal
+ * ranking, skipping playlists the cache says already hold it. The toast's
+ * "Choose another" passes `playlistId` to save into a specific playlist.
+ * @param {{ videoId: string, playlistId?: string }} msg
+ * @returns {Promise<{ success: boolean, playlistId?: string, title?: string,
+ *   playlistItemId?: string, alternatives?: Array<{ playlistId, title }>, error?: string }>}
+ */
+async function handleQuickSave({ videoId, playlistId = null }) {
+  if (!videoId) {
+    return { success: false, error: "No video ID provided" };
+  }
+
+  try {
+    const ranking = await rankPlaylists(videoId, "quick-save");
+    if (ranking.error) {
+      return { success: false, error: ranking.error };
+    }
+
+    const held = new Set((await getVideoMemberships(videoId)).map((m) => m.playlistId));
+    const candidates = ranking.reordered.filter((pl) => !held.has(pl.playlistId));
+    const target = playlistId ? candidates.find((pl) => pl.playlistId === playlistId) : candidates[0];
+    if (!target) {
+      return {
+        success: false,
+        error: playlistId ? "The video is already in that playlist." : "The video is already in every synced playlist."
+      };
+    }
+
+    if (activeSync) {
+      return { success: false, error: SYNC_RUNNING_ERROR };
+    }
+
+    const { catInfo } = ranking;
+    const playlistItemId = await queueLibraryUpdate(async () => {
+      const token = await getWriteAuthToken();
+      const itemId = await insertPlaylistItem(target.playlistId, videoId, token);
+      await updateCachedPlaylist(target.playlistId, videoId, {
+        categoryId: catInfo.categoryId,
+        category: catInfo.category,
+        title: catInfo.title || "",
+        channelTitle: catInfo.channelTitle || "",
+        channelId: catInfo.channelId || "",
+        thumbnail: catInfo.thumbnail || "",
+        durationSeconds: catInfo.durationSeconds ?? null
+      });
+      return itemId;
+    });
+    await recordSaveEvent({
+      videoId,
+      categoryId: catInfo.categoryId || null,
+      channelId: catInfo.channelId || null,
+      channelTitle: catInfo.channelTitle || null,
+      playlistId: target.playlistId,
+      action: "add"
+    });
+
+    console.log(`[BG] Quick-saved ${videoId} to ${target.title}`);
+    return {
+      success: true,
+      playlistId: target.playlistId,
+      title: target.title,
+      playlistItemId,
+      alternatives: candidates
+        .filter((pl) => pl !== target)
+        .slice(0, QUICK_SAVE_ALTERNATIVES)
+        .map((pl) => ({ playlistId: pl.playlistId, title: pl.title }))
+    };
+  } catch (err) {
+    console.error("[BG] Quick save failed:", err);
+    return { success: false, error: err.message, errorType: err.type || null };
+  }
+}
+
+/**
+ * Undo a quick save: delete the playlist item and take the video back out
+ * of the cache.
+ * @param {{ videoId: string, playlistId: string, playlistItemId: string }} msg
+ */
+async function handleUndoQuickSave({ videoId, playlistId, playlistItemId }) {
+  if (!videoId || !playlistId || !playlistItemId) {
+    return { success: false, error: "Missing video or playlist item" };
+  }
+
+  if (activeSync) {
+    return { success: false, error: SYNC_RUNNING_ERROR };
+  }
+
+  try {
+    const entry = await queueLibraryUpdate(async () => {
+      const token = await getWriteAuthToken();
+      await deletePlaylistItem(playlistItemId, token);
+
+      const removed = (await getPlaylistVideos(playlistId))[videoId];
+      await updateCachedPlaylist(playlistId, videoId, null);
+      return removed;
+    });
+    if (entry) {
+      await recordSaveEvent({
+        videoId,
+        categoryId: entry.categoryId || null,
+        channelId: entry.channelId || null,
+        channelTitle: entry.channelTitle || null,
+        playlistId,
+        action: "remove"
+      });
+    }
+
+    console.log(`[BG] Undid quick save of ${videoId}`);
+    return { success: true };
+  } catch (err) {
+    console.error("[BG] Undo quick save failed:", err);
+    return { success: false, error: err.message, errorType: err.type || null };
+  }
+}
+
+/**
+ * Apply one of the extension's own playlist writes to the cache: add
+ * (`entry`) or remove (null) the video, then refresh the playlist's stats,
+ * the global stats, its video count and the title index. ETags are left
+ * alone, so the next sync still refetches the playlist and settles its
+ * real state. A paused or failed run's playlist snapshot gets the new
+ * video count too. Callers hold the library update queue and make sure no
+ * full sync is running.
+ * @param {string} playlistId
+ * @param {string} videoId
+ * @param {Object|null} entry - video store entry
+ */
+async function updateCachedPlaylist(playlistId, videoId, entry) {
+  const videos = await getPlaylistVideos(playlistId);
+  const had = videoId in videos;
+  if (entry) videos[videoId] = entry;
+  else delete videos[videoId];
+  await putPlaylistVideos(playlistId, videos);
+
+  const stored = await chrome.storage.local.get(["playlistStats", "playlistMeta"]);
+  const playlistStats = stored.playlistStats || {};
+  const playlistMeta = stored.playlistMeta || {};
+  playlistStats[playlistId] = computePlaylistStats(videos);
+
+  const meta = playlistMeta[playlistId];
+  const delta = had === Boolean(entry) ? 0 : entry ? 1 : -1;
+  if (meta && delta) {
+    meta.videoCount = Math.max(0, (meta.videoCount || 0) + delta);
+  }
+
+  await putDerivedIndex("titleIndex", buildTitleIndex(await getAllPlaylistVideos()));
+  await chrome.storage.local.set({
+    playlistStats,
+    playlistMeta,
+    globalStats: computeGlobalStats(playlistStats)
+  });
+  if (delta) {
+    await updateCheckpointMeta(playlistId, (pl) => pl && { ...pl, videoCount: Math.max(0, (pl.videoCount || 0) + delta) });
+  }
+}
+
+/**
+ * Keep an unfinished run's playlist snapshot in step with a change made
+ * outside it: finishSync() writes `checkpoint.meta` back as playlistMeta
+ * and prunes the playlists missing from it. Playlist data needs no
+ * patching, since a resumed run reloads it from storage.
+ * @param {string} playlistId
+ * @param {(meta: Object|undefined) => Object|undefined} update - returns the new entry
+ */
+async function updateCheckpointMeta(playlistId, update) {
+  const checkpoint = await loadSyncCheckpoint();
+  if (!checkpoint) return;
+  const meta = update(checkpoint.meta[playlistId]);
+  if (!meta) return;
+  checkpoint.meta[playlistId] = meta;
+  await saveSyncCheckpoint(checkpoint);
+}
+
+// ─── Learned Save Preferences ────────────────────────────────────────────────
+
+/**
+ * Record a playlist toggle from the Save modal. The playlist is identified
+ * by ID when the content script could read it from the item; otherwise its
+ * title is resolved against playlistMeta, and unknown or ambiguous titles
+ * are dropped. Category and channel come from the reorder response, or
+ * from the video store when that wasn't available.
+ * @param {{ videoId, playlistId?, playlistTitle, saved, categoryId?, channelId?, channelTitle? }} msg
+ */
+async function handleRecordSaveEvent({ videoId, playlistId, playlistTitle, saved, categoryId, channelId, channelTitle }) {
+  if (!videoId || (!playlistId && !playlistTitle)) {
+    return { success: false, error: "Missing video or playlist" };
+  }
+
+  const { playlistMeta = {} } = await chrome.storage.local.get(["playlistMeta"]);
+  const matches = playlistMeta[playlistId]
+    ? [playlistId]
+    : Object.keys(playlistMeta).filter((pid) => playlistMeta[pid].title === playlistTitle);
+  if (matches.length !== 1) {
+    return { success: false, error: matches.length ? "Ambiguous playlist title" : "Unknown playlist" };
+  }
+
+  if (!categoryId || !channelTitle) {
+    const [cached] = await getVideoMemberships(videoId);
+    categoryId ||= cached?.categoryId;
+    channelId ||= cached?.channelId;
+    channelTitle ||= cached?.channelTitle;
+  }
+  if (!categoryId && !channelId && !channelTitle) {
+    return { success: false, error: "Video not known" };
+  }
+
+  await recordSaveEvent({
+    videoId,
+    categoryId: categoryId || null,
+    channelId: channelId || null,
+    channelTitle: channelTitle || null,
+    playlistId: matches[0],
+    action: saved ? "add" : "remove"
+  });
+  return { success: true };
+}
+
 // ─── Progress Reporting ──────────────────────────────────────────────────────
 
-function sendProgress(text, percent) {
+/**
+ * @param {string} text
+ * @param {number} percent
+ * @param {Object} [extra] - additional fields, e.g. { resumed: true } or
+ *        { state: "paused" | "cancelled" } (defaults to "running")
+ */
+function sendProgress(text, percent, extra = {}) {
   chrome.runtime.sendMessage({
     type: "SYNC_PROGRESS",
     text,
-    percent
+    percent,
+    state: "running",
+    ...extra
   }).catch(() => {
     // Popup may not be open — ignore
   });
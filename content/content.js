@@ -4,15 +4,25 @@
  * Watches for the "Save to..." playlist modal and reorders
  * playlist items based on the current video's category.
  *
- * YouTube 2026 DOM selectors:
- *   Modal:     yt-sheet-view-model  (verify header text === "Save to...")
- *   Dropdown:  tp-yt-iron-dropdown.ytd-popup-container
- *   List:      yt-list-view-model[role="list"]
- *   Items:     yt-list-item-view-model  /  toggleable-list-item-view-model
- *   Title:     .yt-list-item-view-model__title
- *   Subtitle:  .yt-list-item-view-model__subtitle
- *   Checked:   aria-pressed="true" on yt-list-item-view-model
- *   Header:    h2.ytPanelHeaderViewModelTitleHeader  ("Save to...")
+ * DOM selectors live in versioned profiles (lib/selector-profiles.js),
+ * looked up by role: "sheet", "item", "itemTitle", … Each role resolves
+ * through the profile that matches the page best, falling back to the
+ * other profiles. Imported profiles replace built-in ones without a code
+ * change, and diagnostics mode reports which roles resolved.
+ *
+ * The Save sheet itself is recognized by structure (see isSaveSheet);
+ * an item is checked when aria-pressed="true".
+ *
+ * Playlist IDs aren't in the DOM; content/page-bridge.js (main world)
+ * copies them from YouTube's element data into data-pi-playlist-id.
+ *
+ * The sheet can open from the watch page, a Shorts page, a thumbnail's
+ * three-dot menu (home, search, subscriptions, sidebar) or the mini-player;
+ * a capture-phase click listener remembers which video card was used.
+ *
+ * On watch pages it also adds a "Quick save" button (and handles the
+ * Alt+Shift+S command) that saves the video into its best match without
+ * opening the modal.
  */
 
 (function () {
@@ -20,72 +30,399 @@
 
   const LOG = "[PI]";
   const REORDER_ATTR = "data-pi-reordered";
+  const ID_ATTR = "data-pi-playlist-id";
+  const PI_TAG_EVENT = "pi-tag-playlist-items";
+  const PI_CLOSE_EVENT = "pi-close-overlay";
+  // Badge thresholds on the 0–1 weighted score from the reorder engine
+  const HIGH_SCORE = 0.5;
+  const MEDIUM_SCORE = 0.2;
   let processing = false;
+  let toggleObserver = null;
+  let quickSaving = false;
 
   console.log(LOG, "Content script loaded on", window.location.href);
 
-  // ─── Helpers ─────────────────────────────────────────────────────────
+  // extractVideoId() is shared with the background; a classic content
+  // script can only load the module dynamically
+  const videoUrl = import(chrome.runtime.getURL("lib/video-url.js"));
+  const selectorModule = import(chrome.runtime.getURL("lib/selector-profiles.js"));
+
+  // ─── Selector Profiles ───────────────────────────────────────────────
+
+  let profiles = [];
+  let selectorRoles = {};
+  let activeProfileId = null;
+  let diagnosticsEnabled = false;
+  // role → { profileId, selector } for roles resolved outside the active profile
+  let healed = {};
+
+  async function loadSelectorProfiles() {
+    const { getSelectorProfiles, getSelectorDiagnostics, SELECTOR_ROLES } = await selectorModule;
+    selectorRoles = SELECTOR_ROLES;
+    profiles = await getSelectorProfiles();
+    diagnosticsEnabled = (await getSelectorDiagnostics()).enabled;
+    if (!profiles.some((p) => p.id === activeProfileId)) {
+      activeProfileId = profiles[0]?.id || null;
+      healed = {};
+    }
+  }
+
+  // Imports and the diagnostics switch apply without reloading the page
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area === "local" && (changes.selectorProfiles || changes.selectorDiagnostics)) {
+      loadSelectorProfiles().catch((err) => console.warn(LOG, "Couldn't reload selector profiles:", err));
+    }
+  });
+
+  /**
+   * Selectors for a role: the active profile's first, then every other
+   * profile's, without duplicates.
+   * @returns {Array<{ selector: string, profileId: string }>}
+   */
+  function roleSelectors(role) {
+    const ordered = [
+      ...profiles.filter((p) => p.id === activeProfileId),
+      ...profiles.filter((p) => p.id !== activeProfileId),
+    ];
+    const seen = new Set();
+    const result = [];
+    for (const profile of ordered) {
+      for (const selector of profile.selectors[role] || []) {
+        if (seen.has(selector)) continue;
+        seen.add(selector);
+        result.push({ selector, profileId: profile.id });
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Elements for the first selector of a role that matches anything.
+   * A match from outside the active profile is recorded as healed.
+   */
+  function queryAllRole(root, role) {
+    for (const entry of roleSelectors(role)) {
+      const found = safeQueryAll(root, entry.selector);
+      if (found.length) {
+        noteHealed(role, entry);
+        return found;
+      }
+    }
+    return [];
+  }
+
+  function queryRole(root, role) {
+    return queryAllRole(root, role)[0] || null;
+  }
+
+  /** Every match of every selector for a role, in selector order. */
+  function queryEachRole(root, role) {
+    const result = [];
+    for (const { selector } of roleSelectors(role)) {
+      for (const el of safeQueryAll(root, selector)) {
+        if (!result.includes(el)) result.push(el);
+      }
+    }
+    return result;
+  }
+
+  function closestRole(el, role) {
+    for (const { selector } of roleSelectors(role)) {
+      const found = safeCall(() => el.closest(selector));
+      if (found) return found;
+    }
+    return null;
+  }
+
+  function matchesRole(el, role) {
+    return roleSelectors(role).some(({ selector }) => safeCall(() => el.matches(selector)));
+  }
+
+  // Imported profiles may hold invalid selectors; treat them as no match
+  function safeQueryAll(root, selector) {
+    return safeCall(() => Array.from(root.querySelectorAll(selector))) || [];
+  }
+
+  function safeCall(fn) {
+    try {
+      return fn();
+    } catch {
+      return null;
+    }
+  }
+
+  function noteHealed(role, entry) {
+    if (entry.profileId === activeProfileId || healed[role]?.selector === entry.selector) return;
+    healed[role] = entry;
+    console.info(LOG, `Selector for "${role}" found through profile ${entry.profileId}: ${entry.selector}`);
+  }
+
+  /**
+   * Make the profile that resolves the most sheet roles inside an open
+   * Save sheet the active one.
+   */
+  function pickActiveProfile(sheet) {
+    const item = findPlaylistItems(sheet).items[0];
+    let best = null;
+    for (const profile of profiles) {
+      let found = 0;
+      for (const [role, selectors] of Object.entries(profile.selectors)) {
+        const scope = selectorRoles[role]?.scope;
+        const root = scope === "sheet" ? sheet : scope === "item" ? item : null;
+        if (root && selectors.some((sel) => safeQueryAll(root, sel).length)) found++;
+      }
+      if (!best || found > best.found) best = { id: profile.id, found };
+    }
+    if (best && best.id !== activeProfileId) {
+      console.log(LOG, `Using selector profile ${best.id}`);
+      activeProfileId = best.id;
+      healed = {};
+    }
+  }
+
+  /** Selector list the page bridge uses to find the sheet's items. */
+  function itemSelectorList() {
+    return roleSelectors("item").map((entry) => entry.selector).join(", ");
+  }
 
-  function getCurrentVideoId() {
-    const url = new URL(window.location.href);
-    return url.searchParams.get("v") || null;
+  // ─── Localization ────────────────────────────────────────────────────
+
+  // The Save sheet's header in common UI languages (lowercase, without the
+  // trailing "..."). Only a secondary signal — see isSaveSheet().
+  const SAVE_HEADER_PREFIXES = [
+    "save to", "save video to",            // en
+    "speichern unter", "speichern in",     // de
+    "enregistrer dans",                    // fr
+    "guardar en",                          // es
+    "salvar em", "guardar em",             // pt
+    "salva in",                            // it
+    "opslaan in",                          // nl
+    "zapisz w",                            // pl
+    "kaydet:",                             // tr
+    "сохранить в",                         // ru
+    "зберегти в",                          // uk
+    "保存先",                               // ja
+    "保存到", "儲存至",                      // zh
+    "저장 위치", "저장할 위치",                // ko
+    "इसमें सेव करें", "यहां सेव करें",           // hi
+    "simpan ke",                           // id
+    "lưu vào",                             // vi
+    "บันทึกไปยัง",                          // th
+    "حفظ في",                              // ar
+  ];
+
+  // Privacy and selection parts of an item's aria-label ("Food, Private,
+  // Not selected"), normalized like titles
+  const ARIA_STATE_WORDS = new Set([
+    "private", "public", "unlisted", "selected", "not selected",                        // en
+    "privat", "öffentlich", "nicht gelistet", "ausgewählt", "nicht ausgewählt",         // de
+    "privée", "publique", "non répertoriée", "sélectionné", "non sélectionné",          // fr
+    "privada", "pública", "oculta", "no listada", "seleccionado", "no seleccionado",    // es
+    "não listada", "selecionado", "não selecionado",                                    // pt
+    "privata", "pubblica", "non in elenco", "selezionato", "non selezionato",           // it
+    "приватный", "открытый", "доступ по ссылке", "выбрано", "не выбрано",               // ru
+    "非公開", "公開", "限定公開", "選択済み", "未選択",                                      // ja
+    "私享", "公开", "不公开列出", "已选择", "未选择",                                        // zh
+    "비공개", "공개", "일부 공개", "선택됨", "선택 안 됨",                                    // ko
+    "निजी", "सार्वजनिक", "सूची में नहीं है", "चुना गया", "नहीं चुना गया",                    // hi
+  ]);
+
+  // aria-label parts are separated by Latin, CJK or Arabic commas
+  const ARIA_PART_PATTERN = /[^,、，،]+/g;
+  const ARIA_TRAILING_SEPARATORS = /[\s,、，،]+$/;
+
+  // ─── Video Context ───────────────────────────────────────────────────
+
+  // How long a click on a thumbnail's menu decides which video "Save" is for
+  const MENU_CONTEXT_MS = 15000;
+
+  let menuContext = null; // { videoId, source, at }
+
+  /**
+   * Remember which video card ("videoCard" role — its three-dot menu can
+   * open the Save sheet) or the mini-player the user last clicked
+   * in, so a Save sheet opened from its menu is matched to that video
+   * rather than the page's. Capture phase: runs before YouTube opens the
+   * menu. Clicks inside popups (the menu itself) leave the context alone.
+   */
+  document.addEventListener(
+    "click",
+    (e) => {
+      const target = e.target instanceof Element ? e.target : null;
+      if (!target) return;
+
+      // Surfaces whose Save acts on the page's own video
+      if (closestRole(target, "pageVideo")) {
+        menuContext = null;
+        return;
+      }
+
+      const miniplayer = closestRole(target, "miniplayer");
+      const card = miniplayer ? null : closestRole(target, "videoCard");
+      if (!miniplayer && !card) return;
+
+      const link = miniplayer ? getMiniplayerLink() : getVideoLink(card);
+      if (!link) return;
+      videoUrl.then(({ extractVideoId }) => {
+        const videoId = extractVideoId(link);
+        if (videoId) menuContext = { videoId, source: miniplayer ? "miniplayer" : "feed", at: Date.now() };
+      });
+    },
+    true
+  );
+
+  function getVideoLink(card) {
+    return card.querySelector('a[href*="/watch?"], a[href*="/shorts/"]')?.href || null;
+  }
+
+  function getMiniplayerLink() {
+    return queryRole(document, "miniplayerLink")?.href || null;
+  }
+
+  /**
+   * The video a Save sheet that's opening belongs to: a recently clicked
+   * card or mini-player, else the page's own video (watch or Shorts URL),
+   * else the video playing in the mini-player. Consumes the click context.
+   * @returns {Promise<{ videoId: string, source: string }|null>}
+   */
+  async function resolveSaveVideo() {
+    const context = menuContext;
+    menuContext = null;
+    if (context && Date.now() - context.at < MENU_CONTEXT_MS) {
+      return { videoId: context.videoId, source: context.source };
+    }
+
+    const { extractVideoId } = await videoUrl;
+    const pageVideoId = extractVideoId(window.location.href);
+    if (pageVideoId) return { videoId: pageVideoId, source: "page" };
+
+    const miniplayerVideoId = extractVideoId(getMiniplayerLink());
+    if (miniplayerVideoId) return { videoId: miniplayerVideoId, source: "miniplayer" };
+
+    return null;
   }
 
+  /**
+   * The video of the current watch or Shorts page.
+   * @returns {Promise<string|null>}
+   */
+  async function getPageVideoId() {
+    const { extractVideoId } = await videoUrl;
+    return extractVideoId(window.location.href);
+  }
+
+  // ─── Helpers ─────────────────────────────────────────────────────────
+
   /**
    * Get the playlist title from a list item (yt-list-item-view-model).
    */
   function getItemTitle(item) {
-    // Primary: .yt-list-item-view-model__title
-    const title = item.querySelector(".yt-list-item-view-model__title");
+    const title = getTitleElement(item);
     if (title?.textContent?.trim()) return title.textContent.trim();
 
-    // Legacy fallback
-    const legacy = item.querySelector("#label, yt-formatted-string");
-    if (legacy?.textContent?.trim()) return legacy.textContent.trim();
-
     // aria-label fallback (e.g. "Food, Private, Not selected")
     const aria =
       item.getAttribute("aria-label") ||
       item.querySelector("[aria-label]")?.getAttribute("aria-label");
     if (aria) {
-      const name = aria.split(",")[0]?.trim();
+      const name = titleFromAriaLabel(aria);
       if (name) return name;
     }
 
     return null;
   }
 
+  /**
+   * Playlist name from an item's aria-label, "<name>, <privacy>, <selection>"
+   * in any UI language. Trailing parts found in ARIA_STATE_WORDS are
+   * dropped; for an unknown language the last two parts are (always
+   * keeping the first). Commas inside the name are kept.
+   */
+  function titleFromAriaLabel(aria) {
+    const parts = [...aria.matchAll(ARIA_PART_PATTERN)];
+    let keep = parts.length;
+    while (keep > 1 && ARIA_STATE_WORDS.has(normalizeTitle(parts[keep - 1][0]).text)) keep--;
+    if (keep === parts.length && parts.length >= 2) keep = Math.max(1, parts.length - 2);
+
+    const end = keep < parts.length ? parts[keep].index : aria.length;
+    return aria.slice(0, end).replace(ARIA_TRAILING_SEPARATORS, "").trim() || null;
+  }
+
+  /**
+   * Playlist ID of a list item, as tagged by the page bridge (or by an
+   * earlier title match). The attribute may sit on a wrapper or a child.
+   */
+  function getItemPlaylistId(item) {
+    const tagged =
+      item.closest(`[${ID_ATTR}]`) || item.querySelector(`[${ID_ATTR}]`);
+    return tagged?.getAttribute(ID_ATTR) || null;
+  }
+
+  /**
+   * Normalize a title for comparison: Unicode compatibility forms, case,
+   * whitespace. Returns { text, truncated } — `truncated` when YouTube cut
+   * the title off with an ellipsis.
+   */
+  function normalizeTitle(title) {
+    const text = (title || "").normalize("NFKC").toLowerCase().replace(/\s+/g, " ").trim();
+    const cut = text.replace(/\s*(…|\.\.\.)$/, "");
+    return { text: cut, truncated: cut !== text };
+  }
+
   // ─── Modal Detection ────────────────────────────────────────────────
 
+  // Candidates that were checked and aren't the Save sheet, with a
+  // signature of their items then — rechecked only when the items change
+  const notSaveSheet = new WeakMap();
+
   /**
-   * Find the "Save to..." modal.  Returns the yt-sheet-view-model element
-   * only if its header text matches "Save to...".
+   * Find the "Save to..." modal in any UI language. Returns the first
+   * "sheet" role element (sheets are listed before the dropdowns that may
+   * wrap them) that isSaveSheet() accepts.
    */
   function findSaveModal() {
-    // Primary: yt-sheet-view-model with header "Save to..."
-    const sheets = document.querySelectorAll("yt-sheet-view-model");
-    for (const sheet of sheets) {
-      const header =
-        sheet.querySelector("h2.ytPanelHeaderViewModelTitleHeader") ||
-        sheet.querySelector(".ytPanelHeaderViewModelTitle");
-      if (header && header.textContent.trim().startsWith("Save to")) {
-        return sheet;
-      }
+    for (const candidate of queryEachRole(document, "sheet")) {
+      if (isSaveSheet(candidate)) return candidate;
     }
+    return null;
+  }
 
-    // Fallback: tp-yt-iron-dropdown that contains playlist items
-    const dropdowns = document.querySelectorAll(
-      "tp-yt-iron-dropdown.ytd-popup-container"
+  /**
+   * Is this sheet the "Save to..." sheet? Decided by structure first, so it
+   * works whatever the UI language:
+   *   1. its items toggle (aria-pressed / toggleable wrappers) — menus don't
+   *   2. its header matches a known localized "Save to..." string
+   *   3. the page bridge finds playlist IDs on its items
+   */
+  function isSaveSheet(sheet) {
+    const { items } = findPlaylistItems(sheet);
+    if (!items.length) return false;
+    const signature = `${items.length}|${getItemTitle(items[0])}`;
+    if (notSaveSheet.get(sheet) === signature) return false;
+
+    const toggleable = items.some(
+      (item) =>
+        matchesRole(item, "toggleableItem") ||
+        item.matches("[aria-pressed]") ||
+        item.querySelector("[aria-pressed]")
     );
-    for (const dd of dropdowns) {
-      if (dd.querySelector("yt-list-item-view-model")) return dd;
-    }
+    if (toggleable || isSaveHeader(getSheetHeader(sheet)?.textContent)) return true;
 
-    // Legacy
-    const legacy = document.querySelector("ytd-add-to-playlist-renderer");
-    if (legacy) return legacy;
+    // Costliest check last: ask the page bridge to look for playlist IDs
+    sheet.dispatchEvent(new CustomEvent(PI_TAG_EVENT, { bubbles: true, detail: itemSelectorList() }));
+    if (sheet.querySelector(`[${ID_ATTR}]`)) return true;
 
-    return null;
+    notSaveSheet.set(sheet, signature);
+    return false;
+  }
+
+  function getSheetHeader(sheet) {
+    return queryRole(sheet, "header") || sheet.querySelector("h2");
+  }
+
+  function isSaveHeader(text) {
+    const { text: normalized } = normalizeTitle(text);
+    return !!normalized && SAVE_HEADER_PREFIXES.some((prefix) => normalized.startsWith(prefix));
   }
 
   /**
@@ -93,38 +430,19 @@
    * Returns { items: Element[], container: Element|null }
    */
   function findPlaylistItems(modal) {
-    // yt-list-view-model[role="list"] is the proper container
-    let container = modal.querySelector('yt-list-view-model[role="list"]');
-    let items;
-
+    // The "list" role is the proper container. Items resolve through the
+    // "item" role, which lists toggleable wrappers before the items they
+    // wrap, so the DOM stays consistent when reordering.
+    const container = queryRole(modal, "list");
     if (container) {
-      items = container.querySelectorAll("yt-list-item-view-model");
-      // If yt-list-item-view-model items are wrapped in toggleable wrappers,
-      // we still reorder the toggleable parents so the DOM stays consistent.
-      const toggleables = container.querySelectorAll(
-        "toggleable-list-item-view-model"
-      );
-      if (toggleables.length >= items.length && toggleables.length > 0) {
-        items = toggleables;
-      }
-      if (items.length > 0) return { items: Array.from(items), container };
+      const items = queryAllRole(container, "item");
+      if (items.length > 0) return { items, container };
     }
 
     // Fallback: just grab items anywhere inside the modal
-    items = modal.querySelectorAll("yt-list-item-view-model");
+    const items = queryAllRole(modal, "item");
     if (items.length > 0) {
-      return { items: Array.from(items), container: items[0].parentElement };
-    }
-
-    items = modal.querySelectorAll("toggleable-list-item-view-model");
-    if (items.length > 0) {
-      return { items: Array.from(items), container: items[0].parentElement };
-    }
-
-    // Legacy
-    items = modal.querySelectorAll("ytd-playlist-add-to-option-renderer");
-    if (items.length > 0) {
-      return { items: Array.from(items), container: items[0].parentElement };
+      return { items, container: items[0].parentElement };
     }
 
     return { items: [], container: null };
@@ -163,7 +481,9 @@
 
   /**
    * Inject a search input into the "Save to..." modal.
-   * Works without API key — pure DOM filtering by playlist title.
+   * Works without API key — pure DOM filtering by playlist title
+   * (fuzzy, see applySearch).
+   * The keyboard drives the list from the input (see handleSearchKey).
    */
   function injectSearchBar(modal, container) {
     if (modal.querySelector(".pi-search-bar")) return; // already injected
@@ -173,12 +493,10 @@
     input.className = "pi-search-bar";
     input.placeholder = "Search\u2026";
     input.autocomplete = "off";
+    input.setAttribute("aria-label", "Search playlists. Arrow keys to move, Enter to toggle, Ctrl+Enter to save and close.");
 
     // Find the header element ("Save to...") and place the search next to it
-    const header =
-      modal.querySelector("h2.ytPanelHeaderViewModelTitleHeader") ||
-      modal.querySelector(".ytPanelHeaderViewModelTitle") ||
-      modal.querySelector("h2");
+    const header = getSheetHeader(modal);
 
     if (header) {
       // Wrap header text + input in a flex row
@@ -195,24 +513,26 @@
 
     // Stop keyboard events from bubbling to YouTube's handlers
     // (prevents modal close on Escape propagation, shortcut triggers, etc.)
-    input.addEventListener("keydown", (e) => e.stopPropagation());
+    input.addEventListener("keydown", (e) => {
+      e.stopPropagation();
+      handleSearchKey(e, input, modal);
+    });
     input.addEventListener("keypress", (e) => e.stopPropagation());
     input.addEventListener("keyup", (e) => e.stopPropagation());
 
     // Filter handler — re-queries items on every keystroke
     // so lazy-loaded or dynamically added items are always included
-    input.addEventListener("input", () => {
-      const q = input.value.toLowerCase().trim();
-      const { items: liveItems } = findPlaylistItems(modal);
-      for (const item of liveItems) {
-        const title = getItemTitle(item);
-        if (!q || (title && title.toLowerCase().includes(q))) {
-          item.style.setProperty("display", "", "important");
-        } else {
-          item.style.setProperty("display", "none", "important");
-        }
-      }
-    });
+    input.addEventListener("input", () => applySearch(input, modal));
+
+    // The input drives the list like a combobox: focus stays in it and the
+    // highlighted item is exposed through aria-activedescendant
+    input.setAttribute("role", "combobox");
+    input.setAttribute("aria-autocomplete", "list");
+    input.setAttribute("aria-expanded", "true");
+    if (container) {
+      container.id ||= "pi-playlist-list";
+      input.setAttribute("aria-controls", container.id);
+    }
 
     // Auto-focus after a brief tick (let modal settle)
     requestAnimationFrame(() => {
@@ -220,6 +540,421 @@
     });
   }
 
+  // ─── Fuzzy Search ────────────────────────────────────────────────────
+
+  const ORDER_ATTR = "data-pi-order";
+  const HIGHLIGHT_NAME = "pi-search-match";
+
+  // Per-token scores by how the token matched (the best one wins)
+  const MATCH_SCORES = {
+    wordPrefix: 1,      // "lec" → "Lectures"
+    acronym: 0.85,      // "ml" → "Machine Learning" (0.65 when words are skipped)
+    substring: 0.75,    // "ture" → "Lectures"
+    typo: 0.5,          // "lectrues" → "Lectures"
+    subsequence: 0.3,   // "lctrs" → "Lectures" (up to 0.6 when compact)
+  };
+
+  /**
+   * Filter the modal's items by the query and, while it's active, order
+   * the matches by match quality. Every whitespace-separated token must
+   * match the title (see matchToken). Clearing the query restores the
+   * order the items had before filtering — the category ranking once
+   * reorderDOM has run. Matched characters are highlighted.
+   */
+  function applySearch(input, modal) {
+    const { items, container } = findPlaylistItems(modal);
+    if (!container) return;
+    numberItems(items);
+
+    const tokens = foldText(input.value).text.split(/\s+/).filter(Boolean);
+    const results = [];
+    for (const item of items) {
+      const titleEl = getTitleElement(item);
+      const match = tokens.length ? fuzzyMatch(tokens, titleEl?.textContent ?? getItemTitle(item) ?? "") : null;
+      const shown = !tokens.length || match;
+      item.style.setProperty("display", shown ? "" : "none", "important");
+      if (match) results.push({ item, titleEl, ...match });
+    }
+
+    const byOrder = (a, b) => itemOrder(a) - itemOrder(b);
+    let ordered;
+    if (tokens.length) {
+      results.sort((a, b) => b.score - a.score || byOrder(a.item, b.item));
+      const matched = new Set(results.map((r) => r.item));
+      ordered = [...results.map((r) => r.item), ...items.filter((i) => !matched.has(i)).sort(byOrder)];
+    } else {
+      ordered = [...items].sort(byOrder);
+    }
+    if (ordered.some((item, i) => items[i] !== item)) {
+      const fragment = document.createDocumentFragment();
+      ordered.forEach((item) => fragment.appendChild(item));
+      container.appendChild(fragment);
+    }
+    highlightMatches(results);
+
+    const visible = getVisibleItems(modal);
+    setActiveItem(input, tokens.length ? visible[0] : null, visible);
+    if (tokens.length) announce(visible.length ? `${visible.length} playlist${visible.length === 1 ? "" : "s"} match` : "No playlists match");
+  }
+
+  /**
+   * Remember each item's unfiltered position. Items seen for the first
+   * time (lazy-loaded) go after the known ones.
+   */
+  function numberItems(items) {
+    let next = Math.max(-1, ...items.map(itemOrder).filter(Number.isFinite)) + 1;
+    for (const item of items) {
+      if (!item.hasAttribute(ORDER_ATTR)) item.setAttribute(ORDER_ATTR, String(next++));
+    }
+  }
+
+  function itemOrder(item) {
+    const order = item.getAttribute(ORDER_ATTR);
+    return order === null ? Infinity : Number(order);
+  }
+
+  function getTitleElement(item) {
+    return queryRole(item, "itemTitle");
+  }
+
+  /**
+   * Lowercased, accent-free copy of `text`, with the span of the original
+   * text each folded code unit came from (for highlighting).
+   */
+  function foldText(text) {
+    let folded = "";
+    const starts = [];
+    const ends = [];
+    let offset = 0;
+    for (const ch of text) {
+      const f = ch.normalize("NFKD").replace(/\p{M}/gu, "").toLowerCase();
+      for (let i = 0; i < f.length; i++) {
+        starts.push(offset);
+        ends.push(offset + ch.length);
+      }
+      folded += f;
+      offset += ch.length;
+    }
+    return { text: folded, starts, ends };
+  }
+
+  /**
+   * Score a title against the query tokens: the mean of each token's best
+   * match, nudged up for titles the query covers more of.
+   * @returns {{ score: number, ranges: Array<[number, number]> }|null} null
+   *   when a token doesn't match; ranges are offsets into the original title
+   */
+  function fuzzyMatch(tokens, title) {
+    const folded = foldText(title);
+    const wordStarts = [];
+    for (let i = 0; i < folded.text.length; i++) {
+      if (isWordChar(folded.text[i]) && (i === 0 || !isWordChar(folded.text[i - 1]))) wordStarts.push(i);
+    }
+
+    let total = 0;
+    const ranges = [];
+    for (const token of tokens) {
+      const match = matchToken(token, folded.text, wordStarts);
+      if (!match) return null;
+      total += match.score;
+      for (const [start, end] of match.ranges) {
+        ranges.push([folded.starts[start], folded.ends[end - 1]]);
+      }
+    }
+
+    const coverage = tokens.join("").length / Math.max(1, folded.text.replace(/\s+/g, "").length);
+    return { score: total / tokens.length + 0.05 * Math.min(1, coverage), ranges };
+  }
+
+  /**
+   * Best way one token matches the folded title: word prefix, acronym of
+   * the word initials, substring, a word within one or two typos, or the
+   * token's characters in order.
+   * @returns {{ score: number, ranges: Array<[number, number]> }|null} ranges in folded offsets
+   */
+  function matchToken(token, text, wordStarts) {
+    const candidates = [];
+
+    for (let i = text.indexOf(token); i !== -1; i = text.indexOf(token, i + 1)) {
+      const atWord = wordStarts.includes(i);
+      candidates.push({ score: atWord ? MATCH_SCORES.wordPrefix : MATCH_SCORES.substring, ranges: [[i, i + token.length]] });
+      if (atWord) break;
+    }
+
+    if (token.length >= 2) {
+      const acronym = matchAcronym(token, text, wordStarts);
+      if (acronym) candidates.push(acronym);
+    }
+
+    // Two scattered letters match almost anything
+    if (token.length >= 3) {
+      const subsequence = matchSubsequence(token, text);
+      if (subsequence) candidates.push(subsequence);
+    }
+
+    if (token.length >= 4) {
+      const typo = matchTypo(token, text, wordStarts);
+      if (typo) candidates.push(typo);
+    }
+
+    return candidates.reduce((best, c) => (!best || c.score > best.score ? c : best), null);
+  }
+
+  function matchAcronym(token, text, wordStarts) {
+    const ranges = [];
+    let skipped = false;
+    let w = 0;
+    for (const ch of token) {
+      const from = w;
+      while (w < wordStarts.length && text[wordStarts[w]] !== ch) w++;
+      if (w === wordStarts.length) return null;
+      if (w > from && ranges.length) skipped = true;
+      ranges.push([wordStarts[w], wordStarts[w] + 1]);
+      w++;
+    }
+    return { score: skipped ? MATCH_SCORES.acronym - 0.2 : MATCH_SCORES.acronym, ranges };
+  }
+
+  function matchSubsequence(token, text) {
+    const ranges = [];
+    let pos = 0;
+    for (const ch of token) {
+      const i = text.indexOf(ch, pos);
+      if (i === -1) return null;
+      const last = ranges[ranges.length - 1];
+      if (last && last[1] === i) last[1] = i + 1;
+      else ranges.push([i, i + 1]);
+      pos = i + 1;
+    }
+    const span = ranges[ranges.length - 1][1] - ranges[0][0];
+    return { score: MATCH_SCORES.subsequence * (1 + token.length / span), ranges };
+  }
+
+  function matchTypo(token, text, wordStarts) {
+    const maxEdits = token.length >= 8 ? 2 : 1;
+    let best = null;
+    for (const start of wordStarts) {
+      // Compare against the word's prefix of about the token's length
+      for (const len of [token.length - 1, token.length, token.length + 1]) {
+        const word = text.slice(start, start + len);
+        if (word.length !== len || !/^[\p{L}\p{N}]+$/u.test(word)) continue;
+        const edits = editDistance(token, word);
+        if (edits <= maxEdits && (!best || edits < best.edits)) {
+          best = { edits, ranges: [[start, start + len]] };
+        }
+      }
+    }
+    return best && { score: MATCH_SCORES.typo - 0.1 * (best.edits - 1), ranges: best.ranges };
+  }
+
+  /**
+   * Optimal string alignment distance (Levenshtein plus adjacent swaps).
+   */
+  function editDistance(a, b) {
+    const d = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) d[0][j] = j;
+    for (let i = 1; i <= a.length; i++) {
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+        if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+        }
+      }
+    }
+    return d[a.length][b.length];
+  }
+
+  function isWordChar(ch) {
+    return /[\p{L}\p{N}]/u.test(ch);
+  }
+
+  /**
+   * Highlight the matched characters with the CSS Custom Highlight API,
+   * which styles text ranges without touching YouTube's DOM.
+   */
+  function highlightMatches(results) {
+    if (!globalThis.CSS?.highlights || typeof Highlight === "undefined") return;
+    const highlight = new Highlight();
+    for (const { titleEl, ranges } of results) {
+      if (!titleEl) continue;
+      for (const [start, end] of ranges) {
+        const range = textRange(titleEl, start, end);
+        if (range) highlight.add(range);
+      }
+    }
+    CSS.highlights.set(HIGHLIGHT_NAME, highlight);
+  }
+
+  function clearSearchHighlights() {
+    globalThis.CSS?.highlights?.delete(HIGHLIGHT_NAME);
+  }
+
+  /**
+   * DOM Range covering [start, end) of an element's textContent, which
+   * may span several text nodes.
+   */
+  function textRange(el, start, end) {
+    const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+    const range = document.createRange();
+    let offset = 0;
+    let started = false;
+    for (let node = walker.nextNode(); node; node = walker.nextNode()) {
+      const length = node.data.length;
+      if (!started && start < offset + length) {
+        range.setStart(node, start - offset);
+        started = true;
+      }
+      if (started && end <= offset + length) {
+        range.setEnd(node, end - offset);
+        return range;
+      }
+      offset += length;
+    }
+    return null;
+  }
+
+  // ─── Search Keyboard Navigation ──────────────────────────────────────
+
+  const ACTIVE_CLASS = "pi-kbd-active";
+  const LIVE_REGION_ID = "pi-sr-status";
+  let activeItemSeq = 0;
+
+  /**
+   * Keys handled by the search bar:
+   *   ↑ / ↓        move the highlight through the visible (filtered) items
+   *   Enter        toggle the highlighted playlist (the only match if none is)
+   *   Ctrl+Enter   save to the highlighted playlist and close the modal
+   *   Esc          clear the filter; close the modal when it's already empty
+   */
+  function handleSearchKey(e, input, modal) {
+    const visible = getVisibleItems(modal);
+    const active = getActiveItem(input);
+
+    switch (e.key) {
+      case "ArrowDown":
+      case "ArrowUp": {
+        e.preventDefault();
+        if (!visible.length) return;
+        const step = e.key === "ArrowDown" ? 1 : -1;
+        const index = visible.indexOf(active);
+        const next = index === -1
+          ? visible[step === 1 ? 0 : visible.length - 1]
+          : visible[(index + step + visible.length) % visible.length];
+        setActiveItem(input, next, visible);
+        announceItem(next, visible);
+        break;
+      }
+
+      case "Enter": {
+        e.preventDefault();
+        const target = active || (visible.length === 1 ? visible[0] : null);
+        if (!target) {
+          announce(visible.length ? "Use the arrow keys to pick a playlist" : "No playlists match");
+          return;
+        }
+        const closeAfter = e.ctrlKey || e.metaKey;
+        if (!closeAfter || !isItemSaved(target)) toggleItem(target);
+        if (closeAfter) {
+          announce(`Saved to ${getItemTitle(target)}`);
+          requestAnimationFrame(() => {
+            if (!closeModal(modal)) announce("Saved. Close the sheet with its close button");
+          });
+        } else {
+          // Read the new state once YouTube has flipped aria-pressed
+          setTimeout(() => announceItem(target, getVisibleItems(modal)), 150);
+        }
+        break;
+      }
+
+      case "Escape":
+        e.preventDefault();
+        if (input.value) {
+          input.value = "";
+          input.dispatchEvent(new Event("input"));
+          announce("Filter cleared");
+        } else if (!closeModal(modal)) {
+          announce("Couldn't close the sheet. Use its close button");
+        }
+        break;
+    }
+  }
+
+  /** Items not hidden by the filter, in DOM (= ranked) order. */
+  function getVisibleItems(modal) {
+    return findPlaylistItems(modal).items.filter((item) => item.style.display !== "none");
+  }
+
+  function getActiveItem(input) {
+    const id = input.getAttribute("aria-activedescendant");
+    return id ? document.getElementById(id) : null;
+  }
+
+  function setActiveItem(input, item, visible) {
+    for (const el of visible) el.classList.remove(ACTIVE_CLASS);
+    getActiveItem(input)?.classList.remove(ACTIVE_CLASS);
+
+    if (!item) {
+      input.removeAttribute("aria-activedescendant");
+      return;
+    }
+    item.id ||= `pi-item-${++activeItemSeq}`;
+    item.classList.add(ACTIVE_CLASS);
+    input.setAttribute("aria-activedescendant", item.id);
+    item.scrollIntoView({ block: "nearest" });
+  }
+
+  function isItemSaved(item) {
+    const pressed = item.matches("[aria-pressed]") ? item : item.querySelector("[aria-pressed]");
+    if (pressed) return pressed.getAttribute("aria-pressed") === "true";
+    // Checkbox renderers (legacy profile)
+    const toggle = queryRole(item, "itemToggle");
+    return toggle?.hasAttribute("checked") || toggle?.getAttribute("aria-checked") === "true" || false;
+  }
+
+  function toggleItem(item) {
+    (queryRole(item, "itemToggle") || item).click();
+  }
+
+  /**
+   * Close the modal the way YouTube would: its close button when there is
+   * one, otherwise the page bridge calls the overlay's own close(). A
+   * synthetic Escape key event is untrusted and YouTube's overlays ignore
+   * it, so it isn't tried. Returns false when neither way was found.
+   */
+  function closeModal(modal) {
+    const close = queryRole(modal, "closeButton");
+    if (close) {
+      close.click();
+      return true;
+    }
+    // The bridge cancels the event once it has closed the overlay
+    const closed = !modal.dispatchEvent(new CustomEvent(PI_CLOSE_EVENT, { bubbles: true, cancelable: true }));
+    if (!closed) console.warn(LOG, "Couldn't find a way to close the Save sheet");
+    return closed;
+  }
+
+  function announceItem(item, visible) {
+    const state = isItemSaved(item) ? "saved" : "not saved";
+    announce(`${getItemTitle(item)}, ${state}, ${visible.indexOf(item) + 1} of ${visible.length}`);
+  }
+
+  /**
+   * Speak a message through a visually hidden live region.
+   */
+  function announce(message) {
+    let region = document.getElementById(LIVE_REGION_ID);
+    if (!region) {
+      region = document.createElement("div");
+      region.id = LIVE_REGION_ID;
+      region.className = "pi-sr-only";
+      region.setAttribute("role", "status");
+      region.setAttribute("aria-live", "polite");
+      document.body.appendChild(region);
+    }
+    region.textContent = message;
+  }
+
   // ─── Main Logic ──────────────────────────────────────────────────────
 
   async function handleModalOpen(modal) {
@@ -243,17 +978,27 @@
       }
 
       container.setAttribute(REORDER_ATTR, "true");
+      pickActiveProfile(modal);
+      if (diagnosticsEnabled) recordSelectorReport();
+
+      // Ask the page bridge to tag items with their playlist IDs
+      container.dispatchEvent(new CustomEvent(PI_TAG_EVENT, { bubbles: true, detail: itemSelectorList() }));
 
       // Always inject search — works without API key
       injectSearchBar(modal, container);
 
-      const videoId = getCurrentVideoId();
-      if (!videoId) {
-        console.warn(LOG, "No video ID in URL:", window.location.href);
+      const target = await resolveSaveVideo();
+      if (!target) {
+        console.warn(LOG, "Couldn't tell which video the Save sheet is for:", window.location.href);
         return;
       }
+      const { videoId } = target;
+
+      console.log(LOG, `${items.length} playlists found, video: ${videoId} (${target.source})`);
 
-      console.log(LOG, `${items.length} playlists found, video: ${videoId}`);
+      // Learn from the playlists the user actually picks
+      const saveContext = { videoId };
+      watchSaveToggles(container, saveContext);
 
       // Log titles for debugging
       const titles = items.map((i) => getItemTitle(i)).filter(Boolean);
@@ -275,10 +1020,14 @@
         return;
       }
 
-      console.log(LOG, `Video category: ${response.videoCategory}`);
+      saveContext.categoryId = response.videoCategoryId;
+      saveContext.channelId = response.channelId;
+      saveContext.channelTitle = response.channelTitle;
+
+      console.log(LOG, `Video category: ${response.videoCategory} (${response.categorySource})`);
       console.log(LOG, `Reordered entries: ${response.reordered?.length}`);
 
-      reorderDOM(container, items, response.reordered, response.videoCategory);
+      reorderDOM(container, items, response.reordered, response.videoCategory, response.explain);
     } catch (err) {
       console.error(LOG, "Error:", err);
     } finally {
@@ -288,7 +1037,7 @@
 
   // ─── DOM Reordering ──────────────────────────────────────────────────
 
-  function reorderDOM(container, items, reorderedPlaylists, videoCategory) {
+  function reorderDOM(container, items, reorderedPlaylists, videoCategory, explain) {
     // Banner above playlist list
     if (videoCategory && !document.querySelector(".pi-category-banner")) {
       const banner = document.createElement("div");
@@ -302,76 +1051,619 @@
       container.parentElement?.insertBefore(banner, container);
     }
 
-    // Build a set of titles whose dominant category matches the video
-    const matchingTitles = new Set();
-    const plInfoByTitle = new Map();
-    for (const pl of reorderedPlaylists) {
-      plInfoByTitle.set(pl.title, pl);
-      if (pl.score > 0) {
-        matchingTitles.add(pl.title);
-      }
-    }
-
-    // Partition items in original DOM order: matching first, rest after
-    const matchedItems = [];
-    const restItems = [];
-
-    items.forEach((item) => {
-      const t = getItemTitle(item);
-      if (t && matchingTitles.has(t)) {
-        matchedItems.push(item);
-      } else {
-        restItems.push(item);
-      }
-    });
+    // The background returns playlists ranked (rule-pinned first, then by score)
+    const { matches, ambiguous } = matchItemsToPlaylists(items, reorderedPlaylists);
+    if (ambiguous.length) reportAmbiguous(ambiguous);
 
-    console.log(
-      LOG,
-      `Partitioned: ${matchedItems.length} dominant-match, ${restItems.length} rest (original order preserved).`
-    );
+    // Follow that ranking; unknown or ambiguous playlists go last.
+    // The sort is stable, so those keep their original DOM order.
+    const ranked = items.map((item) => ({ item, pl: matches.get(item) }));
+    ranked.sort((a, b) => (a.pl ? a.pl.rank : Infinity) - (b.pl ? b.pl.rank : Infinity));
 
-    // Add badges to matched items
-    matchedItems.forEach((item) => {
-      const t = getItemTitle(item);
-      const pl = plInfoByTitle.get(t);
-      if (pl) addBadge(item, pl);
+    let promoted = 0;
+    ranked.forEach(({ item, pl }) => {
+      if (pl && addBadge(item, pl, explain)) promoted++;
     });
 
-    // Append: matched first (in original DOM order), then rest (in original DOM order)
     const fragment = document.createDocumentFragment();
-    matchedItems.forEach((item) => fragment.appendChild(item));
-    restItems.forEach((item) => fragment.appendChild(item));
+    ranked.forEach(({ item }, i) => {
+      item.setAttribute(ORDER_ATTR, String(i));
+      fragment.appendChild(item);
+    });
 
     container.appendChild(fragment);
+
+    // The ranking is now the order a cleared search restores; a query
+    // typed while the reorder was loading is applied on top of it
+    const search = document.querySelector(".pi-search-bar");
+    if (search?.value.trim()) search.dispatchEvent(new Event("input"));
     console.log(
       LOG,
-      `Done! ${matchedItems.length} promoted to top, ${restItems.length} kept below.`
+      `Done! Ranked ${ranked.length} playlists by score, ${promoted} promoted.`
     );
   }
 
-  function addBadge(element, pl) {
-    if (element.querySelector(".pi-score-badge") || pl.score <= 0) return;
+  // Title similarity fallback: the best playlist must score at least this
+  // (0–1, see titleSimilarity) and beat the runner-up by the margin
+  const SIMILAR_MIN_SCORE = 0.85;
+  const SIMILAR_MARGIN = 0.15;
+
+  /**
+   * Pair modal items with ranked playlists. Items tagged with a playlist
+   * ID match exactly; the rest fall back to their (normalized) title, or
+   * a title prefix when YouTube truncated it, and failing that to the
+   * most similar remaining title (the search's fuzzy matcher). A title
+   * that fits several remaining playlists is reported as ambiguous and
+   * left unmatched rather than guessed.
+   * @returns {{ matches: Map<Element, Object>, ambiguous: Array<{ title, count }> }}
+   */
+  function matchItemsToPlaylists(items, reorderedPlaylists) {
+    const ranked = reorderedPlaylists.map((pl, rank) => ({ ...pl, rank, norm: normalizeTitle(pl.title).text }));
+    const byId = new Map(ranked.map((pl) => [pl.playlistId, pl]));
+    const used = new Set();
+    const matches = new Map();
+
+    // 1. Exact, by playlist ID
+    for (const item of items) {
+      const pl = byId.get(getItemPlaylistId(item));
+      if (pl && !used.has(pl.playlistId)) {
+        matches.set(item, pl);
+        used.add(pl.playlistId);
+      }
+    }
+
+    // 2. Fallback, by title
+    const pending = items.filter((item) => !matches.has(item));
+    const candidatesOf = new Map();
+    for (const item of pending) {
+      const { text, truncated } = normalizeTitle(getItemTitle(item));
+      if (!text) continue;
+      const open = ranked.filter((pl) => !used.has(pl.playlistId));
+      let candidates = open.filter((pl) => pl.norm === text);
+      if (!candidates.length && truncated) {
+        candidates = open.filter((pl) => pl.norm.startsWith(text));
+      }
+      candidatesOf.set(item, candidates);
+    }
+
+    const ambiguous = new Map();
+    const markAmbiguous = (item) => {
+      const title = getItemTitle(item);
+      ambiguous.set(title, (ambiguous.get(title) || 0) + 1);
+    };
+    for (const [item, candidates] of candidatesOf) {
+      // Same-named items compete for the same candidates
+      const rivals = [...candidatesOf.values()].filter((c) => c.length && c[0] === candidates[0]).length;
+      if (candidates.length === 1 && rivals === 1) {
+        const [pl] = candidates;
+        matches.set(item, pl);
+        used.add(pl.playlistId);
+        item.setAttribute(ID_ATTR, pl.playlistId);
+      } else if (candidates.length) {
+        markAmbiguous(item);
+      }
+    }
+
+    // 3. Fallback, by title similarity (renamed or reformatted titles)
+    const open = ranked.filter((pl) => !used.has(pl.playlistId));
+    const bestOf = new Map();
+    for (const [item, candidates] of candidatesOf) {
+      if (candidates.length || !open.length) continue;
+      const { truncated } = normalizeTitle(getItemTitle(item));
+      const scored = open
+        .map((pl) => ({ pl, score: titleSimilarity(getItemTitle(item), pl.title, truncated) }))
+        .sort((a, b) => b.score - a.score);
+      const [best, runnerUp] = scored;
+      if (best.score < SIMILAR_MIN_SCORE) continue;
+      if (runnerUp && best.score - runnerUp.score < SIMILAR_MARGIN) markAmbiguous(item);
+      else bestOf.set(item, best.pl);
+    }
+    for (const [item, pl] of bestOf) {
+      // Two items that both look most like the same playlist: neither gets it
+      const rivals = [...bestOf.values()].filter((other) => other === pl).length;
+      if (rivals === 1) {
+        matches.set(item, pl);
+        used.add(pl.playlistId);
+        item.setAttribute(ID_ATTR, pl.playlistId);
+      } else {
+        markAmbiguous(item);
+      }
+    }
+
+    return {
+      matches,
+      ambiguous: [...ambiguous].map(([title, count]) => ({ title, count }))
+    };
+  }
+
+  /**
+   * How alike an item's title is to a playlist title, 0–1: the fuzzy
+   * score of the item's words against the playlist title, scaled by the
+   * share of the playlist title's words found in the item's (all of them
+   * when the item title is truncated). Words without letters or digits,
+   * such as emoji, are ignored.
+   */
+  function titleSimilarity(itemTitle, playlistTitle, truncated) {
+    const words = (title) =>
+      foldText(normalizeTitle(title).text).text.split(/\s+/).filter((w) => [...w].some(isWordChar));
+    const itemWords = words(itemTitle);
+    const playlistWords = words(playlistTitle);
+    if (!itemWords.length || !playlistWords.length) return 0;
+
+    const match = fuzzyMatch(itemWords, playlistTitle);
+    if (!match) return 0;
+    const covered = truncated
+      ? 1
+      : playlistWords.filter((w) => fuzzyMatch([w], itemTitle)).length / playlistWords.length;
+    return Math.min(1, match.score) * covered;
+  }
+
+  /**
+   * Tell the user which playlists couldn't be placed (duplicate names).
+   */
+  function reportAmbiguous(ambiguous) {
+    const titles = ambiguous.map((a) => `"${a.title}"`).join(", ");
+    console.warn(LOG, `Couldn't tell apart playlists with the same name: ${titles}. Left in YouTube's order.`);
+
+    const banner = document.querySelector(".pi-category-banner .pi-banner-text");
+    if (banner && !banner.querySelector(".pi-banner-note")) {
+      const note = document.createElement("span");
+      note.className = "pi-banner-note";
+      note.textContent = ` · ${ambiguous.length} duplicate name${ambiguous.length === 1 ? "" : "s"} not sorted`;
+      note.title = `Playlists sharing a name couldn't be matched: ${titles}`;
+      banner.appendChild(note);
+    }
+  }
+
+  /**
+   * Badge an item by score tier, with the channel overlap as the reason
+   * when there is one, and a "rule" tag when an auto-filing rule pinned it.
+   * Playlists that weren't promoted get a muted badge, so every matched
+   * item can show its score breakdown. Returns true for promoted items.
+   */
+  function addBadge(element, pl, explain) {
+    if (element.querySelector(".pi-score-badge")) return false;
+    const channelCount = pl.channelCount || 0;
+    const rules = pl.pinnedBy || [];
+    const promoted = pl.score >= MEDIUM_SCORE || channelCount > 0 || rules.length > 0;
 
     const badge = document.createElement("span");
     badge.className = "pi-score-badge";
+    const scoreText = `score ${(pl.score * 100).toFixed(0)}`;
+    let summary;
 
-    if (pl.score > 1) {
+    if (pl.score >= HIGH_SCORE) {
       badge.classList.add("pi-score-high");
       badge.textContent = "★";
-      badge.title = `Best match — ${(pl.matchRatio * 100).toFixed(0)}% ${pl.dominantCategory}`;
-    } else {
+      summary = `Best match (${scoreText})`;
+    } else if (promoted) {
       badge.classList.add("pi-score-medium");
       badge.textContent = "●";
-      badge.title = `Partial match — ${(pl.matchRatio * 100).toFixed(0)}%`;
+      summary = `Partial match (${scoreText})`;
+    } else {
+      badge.classList.add("pi-score-low");
+      badge.textContent = "ⓘ";
+      summary = `Not promoted (${scoreText})`;
     }
 
+    if (channelCount) {
+      const reason = document.createElement("span");
+      reason.className = "pi-badge-reason";
+      reason.textContent = `${channelCount} video${channelCount === 1 ? "" : "s"} from this channel`;
+      badge.prepend(reason);
+    }
+
+    if (rules.length) {
+      const tag = document.createElement("span");
+      tag.className = "pi-rule-badge";
+      tag.textContent = "rule";
+      badge.prepend(tag);
+      summary = `Pinned by rule · ${summary}`;
+    }
+
+    // Hover or keyboard focus shows why
+    badge.tabIndex = 0;
+    badge.setAttribute("role", "img");
+    badge.setAttribute("aria-label", `${summary}. Focus for the score breakdown.`);
+    badge.addEventListener("mouseenter", () => showBreakdown(badge, pl, explain));
+    badge.addEventListener("focus", () => showBreakdown(badge, pl, explain));
+    badge.addEventListener("mouseleave", hideBreakdown);
+    badge.addEventListener("blur", hideBreakdown);
+
     element.style.position = "relative";
     element.appendChild(badge);
+    return promoted;
+  }
+
+  // ─── Score Breakdown Popover ─────────────────────────────────────────
+
+  const POPOVER_ID = "pi-score-popover";
+
+  /**
+   * Show the signals behind a playlist's score next to its badge.
+   * `explain` is the reorder response's { signals, weights, priorConfidence }.
+   */
+  function showBreakdown(badge, pl, explain) {
+    let popover = document.getElementById(POPOVER_ID);
+    if (!popover) {
+      popover = document.createElement("div");
+      popover.id = POPOVER_ID;
+      popover.className = "pi-score-popover";
+      popover.setAttribute("role", "tooltip");
+      document.body.appendChild(popover);
+    }
+
+    popover.innerHTML = renderBreakdown(pl, explain || {});
+    badge.setAttribute("aria-describedby", POPOVER_ID);
+    popover.hidden = false;
+
+    // Left of the badge, clamped to the viewport
+    const rect = badge.getBoundingClientRect();
+    const width = popover.offsetWidth;
+    const height = popover.offsetHeight;
+    popover.style.left = `${Math.max(8, rect.right - width)}px`;
+    popover.style.top = `${Math.min(window.innerHeight - height - 8, rect.bottom + 6)}px`;
+  }
+
+  function hideBreakdown(event) {
+    event?.target?.removeAttribute?.("aria-describedby");
+    const popover = document.getElementById(POPOVER_ID);
+    if (popover) popover.hidden = true;
+  }
+
+  function renderBreakdown(pl, { signals = [], weights = {}, priorConfidence = 0 }) {
+    const pct = (v) => `${Math.round((v || 0) * 100)}%`;
+
+    const rows = signals
+      .map((s) => {
+        const weight = weights[s.id] ?? 0;
+        const value = pl.signals?.[s.id] ?? 0;
+        return `
+          <tr class="${weight && value ? "" : "pi-pop-muted"}">
+            <td>${escapeHtml(s.label)}</td>
+            <td class="pi-pop-num">${pct(value)}</td>
+            <td class="pi-pop-num">×${weight.toFixed(1)}</td>
+          </tr>`;
+      })
+      .join("");
+
+    const facts = [
+      pl.dominantCategory
+        ? `Mostly <strong>${escapeHtml(pl.dominantCategory)}</strong> (${pct(pl.dominantRatio)} of ${pl.totalVideos || 0} videos)`
+        : "No category data",
+      `${pct(pl.matchRatio)} of its videos are in this video's category`,
+      pl.channelCount
+        ? `${pl.channelCount} video${pl.channelCount === 1 ? "" : "s"} from this channel`
+        : "No videos from this channel",
+      pl.pinnedBy?.length
+        ? `Pinned by rule: <strong>${escapeHtml(pl.pinnedBy.join(", "))}</strong>`
+        : "No rule matched",
+      describeActivity(pl.activity)
+    ];
+    if (priorConfidence > 0) {
+      facts.push(`Your past saves: ${pct(pl.prior)} preference, trusted ${pct(priorConfidence)}`);
+    }
+
+    return `
+      <div class="pi-pop-title">${escapeHtml(pl.title)}</div>
+      <div class="pi-pop-score">Score <strong>${Math.round(pl.score * 100)}</strong> / 100</div>
+      <table class="pi-pop-signals">${rows}</table>
+      <ul class="pi-pop-facts">${facts.map((f) => `<li>${f}</li>`).join("")}</ul>
+    `;
+  }
+
+  function describeActivity(activity) {
+    if (!activity?.lastAddedAt) return "No videos added recently";
+    const days = Math.floor((Date.now() - activity.lastAddedAt) / 86400000);
+    const when = days <= 0 ? "today" : days === 1 ? "yesterday" : `${days} days ago`;
+    const count = activity.addedCount ? ` · ${activity.addedCount} added in 90 days` : "";
+    return `Videos last added ${when}${count}`;
+  }
+
+  // ─── Save Tracking ───────────────────────────────────────────────────
+
+  // A toggle only counts as the user's if it flips this soon after they
+  // clicked or pressed a key on that item
+  const TOGGLE_INTENT_MS = 2000;
+  const lastInteraction = new WeakMap();
+
+  for (const type of ["click", "keydown"]) {
+    document.addEventListener(type, (e) => {
+      const item = e.target instanceof Element ? closestRole(e.target, "item") : null;
+      if (item) lastInteraction.set(item, Date.now());
+    }, true);
+  }
+
+  /**
+   * Report each playlist the user toggles (aria-pressed flips) to the
+   * background, which learns save preferences from them. Flips YouTube
+   * makes on its own (initial render, recycled items, state syncs) are
+   * ignored: the attribute must have been set before and the user must
+   * just have interacted with the item. `context` is filled in with the
+   * video's category and channel once the reorder response arrives.
+   */
+  function watchSaveToggles(container, context) {
+    toggleObserver?.disconnect();
+    toggleObserver = new MutationObserver((mutations) => {
+      for (const m of mutations) {
+        const pressed = m.target.getAttribute("aria-pressed");
+        if (m.oldValue === null || pressed === m.oldValue || (pressed !== "true" && pressed !== "false")) continue;
+
+        const item = closestRole(m.target, "item") || m.target;
+        if (Date.now() - (lastInteraction.get(item) || 0) > TOGGLE_INTENT_MS) continue;
+        const playlistTitle = getItemTitle(item);
+        if (!playlistTitle) continue;
+
+        chrome.runtime.sendMessage({
+          type: "RECORD_SAVE_EVENT",
+          ...context,
+          playlistId: getItemPlaylistId(item),
+          playlistTitle,
+          saved: pressed === "true",
+        }).catch(() => {});
+      }
+    });
+    toggleObserver.observe(container, {
+      attributes: true,
+      attributeFilter: ["aria-pressed"],
+      attributeOldValue: true,
+      subtree: true,
+    });
+  }
+
+  // ─── Quick Save ──────────────────────────────────────────────────────
+
+  const QUICK_SAVE_CLASS = "pi-quick-save";
+  const TOAST_ID = "pi-toast";
+  const TOAST_MS = 8000;
+  let toastTimer = null;
+
+  /**
+   * Add the "Quick save" button to the watch page's action row. Called
+   * from the observer, since YouTube renders the row late and re-renders it.
+   */
+  function injectQuickSaveButton() {
+    if (window.location.pathname !== "/watch") return;
+    if (document.querySelector(`.${QUICK_SAVE_CLASS}`)) return;
+
+    const actions = queryRole(document, "watchActions");
+    if (!actions) return;
+
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = QUICK_SAVE_CLASS;
+    button.textContent = "⚡ Quick save";
+    button.title = "Save to the best-matching playlist (Alt+Shift+S)";
+    button.setAttribute("aria-label", "Quick save to the best-matching playlist");
+    button.addEventListener("click", () => quickSave());
+    actions.appendChild(button);
+  }
+
+  /**
+   * Save the current video into its best match (or into `playlistId`) and
+   * show the result in a toast with Undo / Choose another.
+   */
+  async function quickSave(playlistId = null) {
+    if (quickSaving) return;
+    const videoId = await getPageVideoId();
+    if (!videoId) {
+      showToast("Open a video to quick save it.");
+      return;
+    }
+
+    quickSaving = true;
+    showToast("Saving…", [], { sticky: true });
+    try {
+      const response = await chrome.runtime.sendMessage({ type: "QUICK_SAVE", videoId, playlistId });
+      if (!response?.success) {
+        showToast(`Couldn't save: ${response?.error || "no response"}`);
+        return;
+      }
+
+      const save = { videoId, ...response };
+      loadMembership();
+      showToast(`Saved to <strong>${escapeHtml(save.title)}</strong>`, [
+        { label: "Undo", onClick: () => undoQuickSave(save) },
+        save.alternatives.length && { label: "Choose another", onClick: () => showAlternatives(save) },
+      ]);
+    } catch (err) {
+      console.error(LOG, "Quick save failed:", err);
+      showToast("Couldn't save — reload the page and try again.");
+    } finally {
+      quickSaving = false;
+    }
+  }
+
+  /**
+   * Remove a quick save. Resolves to true when it was undone.
+   */
+  async function undoQuickSave(save, { quiet = false } = {}) {
+    showToast("Undoing…", [], { sticky: true });
+    const response = await chrome.runtime
+      .sendMessage({
+        type: "UNDO_QUICK_SAVE",
+        videoId: save.videoId,
+        playlistId: save.playlistId,
+        playlistItemId: save.playlistItemId,
+      })
+      .catch((err) => ({ success: false, error: err.message }));
+
+    if (!response?.success) {
+      showToast(`Couldn't undo: ${response?.error || "no response"}`);
+      return false;
+    }
+    if (!quiet) showToast(`Removed from <strong>${escapeHtml(save.title)}</strong>`);
+    loadMembership();
+    return true;
+  }
+
+  /**
+   * Offer the next-best playlists; picking one moves the video there.
+   */
+  function showAlternatives(save) {
+    showToast(
+      "Move to…",
+      save.alternatives.map((alt) => ({
+        label: alt.title,
+        onClick: async () => {
+          if (await undoQuickSave(save, { quiet: true })) quickSave(alt.playlistId);
+        },
+      })),
+      { sticky: true, list: true }
+    );
+  }
+
+  /**
+   * Show (or replace) the toast. `html` must already be escaped.
+   * Sticky toasts stay until replaced; the others hide after TOAST_MS,
+   * but not while hovered or focused.
+   */
+  function showToast(html, actions = [], { sticky = false, list = false } = {}) {
+    let toast = document.getElementById(TOAST_ID);
+    if (!toast) {
+      toast = document.createElement("div");
+      toast.id = TOAST_ID;
+      toast.className = "pi-toast";
+      toast.setAttribute("role", "status");
+      toast.setAttribute("aria-live", "polite");
+      toast.addEventListener("mouseenter", () => clearTimeout(toastTimer));
+      toast.addEventListener("focusin", () => clearTimeout(toastTimer));
+      toast.addEventListener("mouseleave", () => scheduleToastHide(toast));
+      document.body.appendChild(toast);
+    }
+
+    // Keyboard users keep their place when the toast's buttons are replaced
+    const hadFocus = toast.contains(document.activeElement);
+    toast.innerHTML = `<span class="pi-toast-text">${html}</span>`;
+    toast.classList.toggle("pi-toast-list", list);
+    const buttons = document.createElement("div");
+    buttons.className = "pi-toast-actions";
+    for (const action of actions.filter(Boolean)) {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.textContent = action.label;
+      button.addEventListener("click", action.onClick);
+      buttons.appendChild(button);
+    }
+    const close = document.createElement("button");
+    close.type = "button";
+    close.className = "pi-toast-close";
+    close.textContent = "✕";
+    close.setAttribute("aria-label", "Dismiss");
+    close.addEventListener("click", () => toast.remove());
+    buttons.appendChild(close);
+    toast.appendChild(buttons);
+    if (hadFocus) buttons.querySelector("button")?.focus();
+
+    clearTimeout(toastTimer);
+    toast.dataset.sticky = sticky ? "true" : "";
+    scheduleToastHide(toast);
+  }
+
+  function scheduleToastHide(toast) {
+    clearTimeout(toastTimer);
+    if (toast.dataset.sticky) return;
+    toastTimer = setTimeout(() => toast.remove(), TOAST_MS);
+  }
+
+  // Alt+Shift+S (chrome.commands) is relayed here by the background
+  chrome.runtime.onMessage.addListener((msg) => {
+    if (msg?.type === "QUICK_SAVE_COMMAND") quickSave();
+  });
+
+  // ─── Selector Diagnostics ────────────────────────────────────────────
+
+  /**
+   * Check every profile's selectors against the current page: each role
+   * is "found", "missing", "invalid" (no selector parses), "undefined"
+   * (not in the profile) or "skipped" (its scope — an open Save sheet, a
+   * watch page — isn't on screen). `missing` lists the required roles no
+   * profile resolves; those are what break when YouTube ships a redesign.
+   */
+  async function buildSelectorReport() {
+    const { PROFILE_SCHEMA_VERSION } = await selectorModule;
+    const sheet = findSaveModal();
+    const item = sheet ? findPlaylistItems(sheet).items[0] || null : null;
+    const onWatchPage = Boolean(await getPageVideoId());
+    const roots = { page: document, watch: onWatchPage ? document : null, sheet, item };
+
+    const resolved = new Set();
+    const report = profiles.map((profile) => {
+      const roles = {};
+      for (const [role, { scope }] of Object.entries(selectorRoles)) {
+        const selectors = profile.selectors[role];
+        if (!selectors) {
+          roles[role] = { status: "undefined" };
+          continue;
+        }
+        const root = roots[scope];
+        if (!root) {
+          roles[role] = { status: "skipped" };
+          continue;
+        }
+        const checks = selectors.map((selector) => {
+          const found = safeCall(() => root.querySelectorAll(selector).length);
+          return { selector, count: found ?? null, invalid: found === null };
+        });
+        const match = checks.find((c) => c.count > 0);
+        if (match) resolved.add(role);
+        roles[role] = {
+          status: match ? "found" : checks.every((c) => c.invalid) ? "invalid" : "missing",
+          selector: match?.selector || null,
+          checks,
+        };
+      }
+      return { id: profile.id, version: profile.version, source: profile.source, roles };
+    });
+
+    const missing = Object.entries(selectorRoles)
+      .filter(([role, { scope, optional }]) => !optional && roots[scope] && !resolved.has(role))
+      .map(([role]) => role);
+
+    return {
+      generatedAt: new Date().toISOString(),
+      extensionVersion: chrome.runtime.getManifest().version,
+      schemaVersion: PROFILE_SCHEMA_VERSION,
+      page: {
+        type: sheet ? "save-sheet" : onWatchPage ? "watch" : "other",
+        path: window.location.pathname,
+        uiLanguage: document.documentElement.lang || navigator.language,
+        userAgent: navigator.userAgent,
+      },
+      saveSheetOpen: Boolean(sheet),
+      activeProfile: activeProfileId,
+      healed,
+      missing,
+      profiles: report,
+    };
   }
 
+  // Diagnostics mode: keep a report of every Save sheet opened
+  async function recordSelectorReport() {
+    try {
+      const report = await buildSelectorReport();
+      await (await selectorModule).saveSelectorReport(report);
+      console.log(LOG, "Selector report:", report);
+    } catch (err) {
+      console.warn(LOG, "Couldn't build the selector report:", err);
+    }
+  }
+
+  // The popup's "Check this page"
+  chrome.runtime.onMessage.addListener((msg, _sender, sendResponse) => {
+    if (msg?.type !== "RUN_SELECTOR_DIAGNOSTICS") return;
+    buildSelectorReport()
+      .then((report) => sendResponse({ report }))
+      .catch((err) => sendResponse({ error: err.message }));
+    return true;
+  });
+
   // ─── Observer ────────────────────────────────────────────────────────
 
   const observer = new MutationObserver(() => {
+    injectQuickSaveButton();
+    injectMembershipPanel();
+
     const modal = findSaveModal();
     if (!modal) return;
 
@@ -386,8 +1678,109 @@
     }
   });
 
-  observer.observe(document.body, { childList: true, subtree: true });
-  console.log(LOG, "Observer active — watching for 'Save to...' modal.");
+  // Selectors come from the stored profiles, so watch once they're loaded
+  loadSelectorProfiles()
+    .catch((err) => console.warn(LOG, "Couldn't load selector profiles:", err))
+    .finally(() => {
+      observer.observe(document.body, { childList: true, subtree: true });
+      console.log(LOG, "Observer active — watching for 'Save to...' modal.");
+    });
+
+  // ─── Category Prefetch ───────────────────────────────────────────────
+
+  let prefetchedVideoId = null;
+
+  /**
+   * Have the background look up the watched video's category as soon as
+   * the page loads, so the Save sheet's reorder finds it cached instead of
+   * waiting on the API while the sheet is already visible.
+   */
+  async function prefetchVideoCategory() {
+    if (window.location.pathname !== "/watch") return;
+    const videoId = await getPageVideoId();
+    if (!videoId || videoId === prefetchedVideoId) return;
+    prefetchedVideoId = videoId;
+
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: "PREFETCH_VIDEO_CATEGORY", videoId });
+      if (resp?.success) console.log(LOG, `Category for ${videoId} ready (${resp.source}).`);
+    } catch {
+      // Extension reloaded; this page's content script is orphaned
+    }
+  }
+
+  // ─── Membership Panel ────────────────────────────────────────────────
+
+  const MEMBERSHIP_PANEL_ID = "pi-membership";
+  let membership = null; // { videoId, playlists, duplicates }
+
+  /**
+   * Ask the background which cached playlists hold the watched video, and
+   * which cached videos look like duplicates of it, then show the panel.
+   * Reads the local cache only, so it costs no quota. Runs after the
+   * category prefetch, which caches the title and channel of videos that
+   * aren't in the library yet.
+   */
+  async function loadMembership() {
+    document.getElementById(MEMBERSHIP_PANEL_ID)?.remove();
+    membership = null;
+    if (window.location.pathname !== "/watch") return;
+
+    const videoId = await getPageVideoId();
+    if (!videoId) return;
+
+    const resp = await chrome.runtime
+      .sendMessage({ type: "GET_VIDEO_MEMBERSHIP", videoId })
+      .catch(() => null);
+    // The user may have moved on while the lookup ran
+    if (!resp?.success || videoId !== (await getPageVideoId())) return;
+
+    membership = { videoId, playlists: resp.playlists, duplicates: resp.duplicates };
+    injectMembershipPanel();
+  }
+
+  /**
+   * Show the "Already saved in" panel under the player. Called from the
+   * observer too, since YouTube renders (and re-renders) that column late.
+   */
+  function injectMembershipPanel() {
+    if (!membership || document.getElementById(MEMBERSHIP_PANEL_ID)) return;
+    const { videoId, playlists, duplicates } = membership;
+    if (!playlists.length && !duplicates.length) return;
+    if (new URLSearchParams(window.location.search).get("v") !== videoId) return;
+
+    const below = queryRole(document, "belowPlayer");
+    if (!below) return;
+
+    const panel = document.createElement("div");
+    panel.id = MEMBERSHIP_PANEL_ID;
+    panel.className = "pi-membership";
+    panel.setAttribute("role", "region");
+    panel.setAttribute("aria-label", "Your playlists with this video");
+
+    const saved = playlists.length
+      ? `<span class="pi-membership-label">Already saved in</span>${playlists.map(playlistLink).join("")}`
+      : `<span class="pi-membership-label">Not in your playlists yet</span>`;
+    const dupes = duplicates
+      .map(
+        (d) => `
+        <div class="pi-membership-row pi-membership-duplicate">
+          <span class="pi-membership-label">⚠ Same title and channel:</span>
+          <a href="/watch?v=${encodeURIComponent(d.videoId)}">another upload</a>
+          <span class="pi-membership-label">in</span>${d.playlists.map(playlistLink).join("")}
+        </div>`
+      )
+      .join("");
+
+    panel.innerHTML = `<div class="pi-membership-row">📁 ${saved}</div>${dupes}`;
+    below.prepend(panel);
+  }
+
+  function playlistLink(playlist) {
+    return `<a class="pi-membership-chip" href="/playlist?list=${encodeURIComponent(playlist.playlistId)}">${escapeHtml(playlist.title)}</a>`;
+  }
+
+  prefetchVideoCategory().then(loadMembership);
 
   // ─── YouTube SPA Navigation ──────────────────────────────────────────
 
@@ -407,8 +1800,23 @@
     document
       .querySelectorAll(".pi-score-badge")
       .forEach((el) => el.remove());
+    document
+      .querySelectorAll(`[${ID_ATTR}]`)
+      .forEach((el) => el.removeAttribute(ID_ATTR));
+    document
+      .querySelectorAll(`[${ORDER_ATTR}]`)
+      .forEach((el) => el.removeAttribute(ORDER_ATTR));
+    clearSearchHighlights();
+    document
+      .querySelectorAll(`.${ACTIVE_CLASS}`)
+      .forEach((el) => el.classList.remove(ACTIVE_CLASS));
+    document.getElementById(POPOVER_ID)?.remove();
+    toggleObserver?.disconnect();
+    toggleObserver = null;
+    menuContext = null;
     processing = false;
     console.log(LOG, "Navigation — state reset.");
+    prefetchVideoCategory().then(loadMembership);
   });
 
   // ─── Util ────────────────────────────────────────────────────────────
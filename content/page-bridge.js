@@ -0,0 +1,110 @@
+/**
+ * Page Bridge — runs in YouTube's main world (manifest "world": "MAIN").
+ *
+ * The content script lives in an isolated world and can't see the data
+ * YouTube attaches to its elements (`el.data`, Polymer's `__data`), which
+ * is where each "Save to..." item's playlist ID is. When the content script
+ * dispatches PI_TAG_EVENT on a container, this copies every item's playlist
+ * ID into a `data-pi-playlist-id` attribute, which both worlds can read.
+ * The ID is read only from the item's own save/remove endpoints; an item
+ * where none of them is found gets no attribute, and the content script
+ * falls back to matching it by title.
+ * dispatchEvent is synchronous, so the attributes exist when it returns.
+ * The event's detail carries the item selectors of the content script's
+ * selector profiles; ITEM_SELECTOR is the fallback.
+ *
+ * PI_CLOSE_EVENT asks for the overlay holding its target to be closed
+ * through the overlay's own close(), for sheets without a close button;
+ * the event is canceled when that happened.
+ */
+
+(function () {
+  "use strict";
+
+  const PI_TAG_EVENT = "pi-tag-playlist-items";
+  const PI_CLOSE_EVENT = "pi-close-overlay";
+  const OVERLAY_SELECTOR = "tp-yt-iron-dropdown, tp-yt-paper-dialog, dialog";
+  const ID_ATTR = "data-pi-playlist-id";
+  const ITEM_SELECTOR =
+    "toggleable-list-item-view-model, yt-list-item-view-model, ytd-playlist-add-to-option-renderer";
+  const LEGACY_ITEM = "ytd-playlist-add-to-option-renderer";
+
+  // Where an item's playlistEditEndpoint lives, relative to its data
+  const ENDPOINT_PATHS = [
+    ["toggledServiceEndpoint"],
+    ["untoggledServiceEndpoint"],
+    ["serviceEndpoint"],
+    ["addToPlaylistServiceEndpoint"],
+    ["removeFromPlaylistServiceEndpoint"],
+    ["rendererContext", "commandContext", "onTap", "innertubeCommand"],
+    ["defaultCommand", "innertubeCommand"],
+    ["toggledCommand", "innertubeCommand"]
+  ];
+
+  document.addEventListener(PI_TAG_EVENT, (event) => {
+    const root = event.target instanceof Element ? event.target : document;
+    // Always re-read: YouTube recycles item elements between modals
+    for (const item of queryItems(root, event.detail)) {
+      const id = findPlaylistId(item);
+      if (id) item.setAttribute(ID_ATTR, id);
+      else item.removeAttribute(ID_ATTR);
+    }
+  });
+
+  document.addEventListener(PI_CLOSE_EVENT, (event) => {
+    const overlay = event.target instanceof Element ? event.target.closest(OVERLAY_SELECTOR) : null;
+    if (typeof overlay?.close !== "function") return;
+    overlay.close();
+    event.preventDefault();
+  });
+
+  function queryItems(root, selector) {
+    if (typeof selector === "string" && selector) {
+      try {
+        return root.querySelectorAll(selector);
+      } catch {
+        // An imported profile's selector that doesn't parse
+      }
+    }
+    return root.querySelectorAll(ITEM_SELECTOR);
+  }
+
+  function findPlaylistId(el) {
+    const sources = [el.data, el.__data?.data, el.__data, el.polymerController?.data, el.viewModel];
+    for (const source of sources) {
+      for (const data of unwrap(source)) {
+        for (const path of ENDPOINT_PATHS) {
+          const id = readPath(data, [...path, "playlistEditEndpoint", "playlistId"]);
+          if (id) return id;
+        }
+        // The legacy renderer also carries its playlist's ID at the top
+        if (el.localName === LEGACY_ITEM) {
+          const id = readPath(data, ["playlistId"]);
+          if (id) return id;
+        }
+      }
+    }
+    return null;
+  }
+
+  // View-model data may still be wrapped in its renderer key
+  function unwrap(source) {
+    if (!source || typeof source !== "object") return [];
+    const toggleable = source.toggleableListItemViewModel;
+    return [
+      source,
+      toggleable,
+      toggleable?.listItem?.listItemViewModel,
+      source.listItem?.listItemViewModel,
+      source.listItemViewModel
+    ].filter((data) => data && typeof data === "object");
+  }
+
+  function readPath(value, path) {
+    for (const key of path) {
+      if (!value || typeof value !== "object") return null;
+      value = value[key];
+    }
+    return typeof value === "string" && value ? value : null;
+  }
+})();
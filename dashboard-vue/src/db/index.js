@@ -8,25 +8,32 @@
  *   Object stores:
  *     "keyval"     — generic key→value (globalStats, lastSync, preferences)
  *     "playlists"  — per-playlist records keyed by id
+ *
+ * Per-video data is not cached here — it lives in the extension's shared
+ * video store (lib/video-store.js).
  */
 
 import { openDB } from 'idb'
 
 const DB_NAME = 'playlist-intelligence'
-const DB_VERSION = 1
+const DB_VERSION = 2
 
 let dbPromise = null
 
 export function getDB() {
   if (!dbPromise) {
     dbPromise = openDB(DB_NAME, DB_VERSION, {
-      upgrade(db) {
+      upgrade(db, oldVersion, newVersion, tx) {
         if (!db.objectStoreNames.contains('keyval')) {
           db.createObjectStore('keyval')
         }
         if (!db.objectStoreNames.contains('playlists')) {
           db.createObjectStore('playlists', { keyPath: 'id' })
         }
+        // v2: video cache moved to the shared video store
+        if (oldVersion === 1) {
+          tx.objectStore('keyval').delete('playlistCategories')
+        }
       },
     })
   }
@@ -194,6 +194,7 @@ function fakeVideos(playlistId, count, categories) {
         title: `${cat} Video ${i + 1} – Sample Title`,
         channelTitle: `Channel ${String.fromCharCode(65 + (idx % 26))}`,
         thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg',
+        durationSeconds: 20 + ((idx * 97) % 900),
       }
     }
   }
@@ -211,4 +212,162 @@ export const mockPlaylistCategories = {
   PLabc008: fakeVideos('PLabc008', 13, { Comedy: 9, Entertainment: 3, 'People & Blogs': 1 }),
 }
 
+// Mark a couple of cached videos as lost, mirroring what the sync records
+mockPlaylistCategories.PLabc001.PLabc001_v007 = {
+  ...mockPlaylistCategories.PLabc001.PLabc001_v007,
+  status: 'private',
+  unavailableSince: Date.now() - 3 * 86_400_000,
+}
+mockPlaylistCategories.PLabc003.PLabc003_v020 = {
+  ...mockPlaylistCategories.PLabc003.PLabc003_v020,
+  status: 'deleted',
+  unavailableSince: Date.now() - 86_400_000,
+}
+
+export const mockUnavailableVideos = {
+  PLabc001: {
+    PLabc001_v007: {
+      title: 'Music Video 8 – Sample Title',
+      channelTitle: 'Channel H',
+      thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg',
+      category: 'Music',
+      status: 'private',
+      detectedAt: Date.now() - 3 * 86_400_000,
+      removedAt: null,
+    },
+  },
+  PLabc003: {
+    PLabc003_v020: {
+      title: 'Education Video 21 – Sample Title',
+      channelTitle: 'Channel U',
+      thumbnail: 'https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg',
+      category: 'Education',
+      status: 'deleted',
+      detectedAt: Date.now() - 86_400_000,
+      removedAt: null,
+    },
+    PLabc003_gone01: {
+      title: 'The History of Zero',
+      channelTitle: 'Numberphile',
+      thumbnail: '',
+      category: 'Education',
+      status: 'deleted',
+      detectedAt: Date.now() - 20 * 86_400_000,
+      removedAt: Date.now() - 10 * 86_400_000,
+    },
+  },
+}
+
 export const mockLastSync = Date.now() - 3600_000 // 1 hour ago
+
+export const mockLastScheduledSync = {
+  at: Date.now() - 3600_000,
+  finishedAt: Date.now() - 3590_000,
+  status: 'success',
+  reason: null,
+  error: null,
+  totalPlaylists: 8,
+}
+
+export const mockSyncHistory = [
+  {
+    id: 'run-2',
+    trigger: 'scheduled',
+    status: 'success',
+    startedAt: Date.now() - 3600_000,
+    finishedAt: Date.now() - 3590_000,
+    durationMs: 10_000,
+    resumeCount: 0,
+    apiUnits: 14,
+    playlists: 8,
+    error: null,
+    failedPlaylists: [],
+    addedPlaylists: [],
+    removedPlaylists: [],
+    changes: {
+      PLabc001: {
+        title: 'Chill Vibes',
+        initial: false,
+        addedCount: 2,
+        removedCount: 1,
+        added: [
+          { videoId: 'jfKfPfyJRdk', title: 'lofi hip hop radio – beats to relax/study to', channelTitle: 'Lofi Girl' },
+          { videoId: 'PLabc001_v045', title: 'Rainy Day Jazz', channelTitle: 'Channel T' },
+        ],
+        removed: [
+          { videoId: 'PLabc001_v012', title: 'Music Video 13 – Sample Title', channelTitle: 'Channel M' },
+        ],
+      },
+    },
+  },
+  {
+    id: 'run-1',
+    trigger: 'manual',
+    status: 'failed',
+    startedAt: Date.now() - 86_400_000,
+    finishedAt: Date.now() - 86_380_000,
+    durationMs: 20_000,
+    resumeCount: 0,
+    apiUnits: 9,
+    playlists: 8,
+    error: 'YouTube API 403 (quotaExceeded): The request cannot be completed because you have exceeded your quota.',
+    failedPlaylists: [
+      { playlistId: 'PLabc007', title: 'Movie Night', type: 'forbidden', message: 'YouTube API 403 (forbidden)' },
+    ],
+    addedPlaylists: [{ playlistId: 'PLabc008', title: 'Funny Stuff' }],
+    removedPlaylists: [],
+    changes: {
+      PLabc008: { title: 'Funny Stuff', initial: true, addedCount: 13, removedCount: 0, added: [], removed: [] },
+    },
+  },
+]
+
+export const mockSyncFilter = {
+  mode: 'exclude',
+  include: [],
+  exclude: ['PLabc005'],
+  maxVideos: 0,
+  skipGenerated: true,
+}
+
+export const mockSaveModel = {
+  byChannel: {
+    UCSJ4gkVC6NrvII8umztf0Ow: { PLabc001: 6 },
+    'UCoxcjq-8xIDTYp3uz647V5A': { PLabc003: 3, PLabc006: 1 },
+    'Channel H': { PLabc002: 4 },
+  },
+  channelNames: {
+    UCSJ4gkVC6NrvII8umztf0Ow: 'Lofi Girl',
+    'UCoxcjq-8xIDTYp3uz647V5A': 'Numberphile',
+    'Channel H': 'Channel H',
+  },
+  byCategory: {
+    10: { PLabc001: 9 },
+    20: { PLabc002: 5, PLabc008: 1 },
+    28: { PLabc003: 3, PLabc006: 1 },
+  },
+  eventCount: 24,
+  since: Date.now() - 21 * 86_400_000,
+}
+
+export const mockSaveRules = [
+  {
+    id: 'rule-1',
+    name: 'Shorts',
+    enabled: true,
+    match: 'all',
+    conditions: [{ field: 'duration', op: 'under', value: 60 }],
+    playlistIds: ['PLabc008'],
+  },
+  {
+    id: 'rule-2',
+    name: 'Channel B music',
+    enabled: true,
+    match: 'all',
+    conditions: [
+      { field: 'channel', op: 'is', value: 'Channel B' },
+      { field: 'title', op: 'matches', value: '^Music' },
+    ],
+    playlistIds: ['PLabc001', 'PLabc006'],
+  },
+]
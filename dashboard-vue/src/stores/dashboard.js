@@ -4,18 +4,27 @@
  * Single source of truth for the dashboard UI.
  * Loads data from IndexedDB (fast local cache), then reconciles
  * with chrome.storage.local to pick up any fresher sync results
- * written by the background service worker.
+ * written by the background service worker. Per-video data is read
+ * straight from the extension's shared video store (lib/video-store.js).
  */
 
 import { defineStore } from 'pinia'
 import { ref, computed } from 'vue'
 import { dbGet, dbSet } from '../db'
+import { getAllPlaylistVideos } from '../../../lib/video-store.js'
+import { describeSignals, getDefaultWeights } from '../../../lib/save-reorder.js'
 import {
   mockGlobalStats,
   mockPlaylistStats,
   mockPlaylistMeta,
   mockPlaylistCategories,
   mockLastSync,
+  mockLastScheduledSync,
+  mockSyncHistory,
+  mockUnavailableVideos,
+  mockSyncFilter,
+  mockSaveModel,
+  mockSaveRules,
 } from '../dev/mock-data'
 
 const isDev = !(
@@ -31,11 +40,24 @@ export const useDashboardStore = defineStore('dashboard', () => {
   const playlistStats = ref({})
   const playlistMeta = ref({})
   const playlistCategories = ref({})
+  const unavailableVideos = ref({})
   const lastSync = ref(null)
+  const lastScheduledSync = ref(null)
+  const syncHistory = ref([])
 
   const isLoading = ref(true)
   const isSyncing = ref(false)
+  const syncState = ref('idle') // 'idle' | 'running' | 'pausing' | 'paused' | 'cancelling'
   const syncError = ref(null)
+  const refreshingPlaylistId = ref(null)
+
+  const syncFilter = ref(null)
+  const syncSelection = ref([]) // [{ id, title, videoCount, skipReason }]
+
+  const scoringWeights = ref(null) // signal id → weight
+  const scoringSignals = ref([]) // [{ id, label, description, defaultWeight }]
+  const saveModel = ref(null) // { byChannel, byCategory, eventCount, since }
+  const saveRules = ref(null) // auto-filing rules (lib/save-rules.js)
 
   const searchQuery = ref('')
   const sortBy = ref('ratio')
@@ -152,6 +174,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
       url: meta.url || `https://www.youtube.com/playlist?list=${pid}`,
       thumbnail: meta.thumbnail || '',
       privacyStatus: meta.privacyStatus || 'unknown',
+      syncError: meta.syncError || null,
       ...stats,
     }
   })
@@ -167,10 +190,36 @@ export const useDashboardStore = defineStore('dashboard', () => {
       categoryId: info.categoryId || null,
       channelTitle: info.channelTitle || '',
       thumbnail: info.thumbnail || '',
+      status: info.status || 'available',
       url: `https://www.youtube.com/watch?v=${videoId}`,
     }))
   })
 
+  // ─── Unavailable Videos Report ─────────────────────────────────────────────
+
+  // Playlists with private / deleted videos, most affected first
+  const unavailableReport = computed(() =>
+    Object.entries(unavailableVideos.value)
+      .map(([pid, videos]) => ({
+        id: pid,
+        name: playlistMeta.value[pid]?.title || pid,
+        videos: Object.entries(videos)
+          .map(([videoId, v]) => ({
+            id: videoId,
+            ...v,
+            title: v.title || videoId,
+            url: `https://www.youtube.com/watch?v=${videoId}`,
+          }))
+          .sort((a, b) => (b.detectedAt || 0) - (a.detectedAt || 0)),
+      }))
+      .filter((p) => p.videos.length)
+      .sort((a, b) => b.videos.length - a.videos.length),
+  )
+
+  const totalUnavailable = computed(() =>
+    unavailableReport.value.reduce((sum, p) => sum + p.videos.length, 0),
+  )
+
   function selectPlaylist(pid) {
     selectedPlaylistId.value = pid
   }
@@ -186,8 +235,11 @@ export const useDashboardStore = defineStore('dashboard', () => {
    * 1. Read IndexedDB (instant local cache).
    * 2. Check chrome.storage.local for a newer sync timestamp.
    * 3. If chrome side is fresher, overwrite IndexedDB cache.
+   * @param {Object} [options]
+   * @param {boolean} [options.force] - take chrome.storage.local even if
+   *        lastSync didn't move (single-playlist refresh)
    */
-  async function loadData() {
+  async function loadData({ force = false } = {}) {
     isLoading.value = true
     try {
       // Dev mode: use mock data so the UI is populated on localhost
@@ -197,7 +249,10 @@ export const useDashboardStore = defineStore('dashboard', () => {
         playlistStats.value = mockPlaylistStats
         playlistMeta.value = mockPlaylistMeta
         playlistCategories.value = mockPlaylistCategories
+        unavailableVideos.value = mockUnavailableVideos
         lastSync.value = mockLastSync
+        lastScheduledSync.value = mockLastScheduledSync
+        syncHistory.value = mockSyncHistory
         return
       }
 
@@ -205,7 +260,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
       let gs = await dbGet('globalStats')
       let ps = await dbGet('playlistStats')
       let pm = await dbGet('playlistMeta')
-      let pc = await dbGet('playlistCategories')
+      let uv = await dbGet('unavailableVideos')
       let ls = await dbGet('lastSync')
 
       // 2 — chrome.storage.local (written by background.js after sync)
@@ -213,18 +268,24 @@ export const useDashboardStore = defineStore('dashboard', () => {
         'globalStats',
         'playlistStats',
         'playlistMeta',
-        'playlistCategories',
+        'unavailableVideos',
         'lastSync',
+        'lastScheduledSync',
+        'syncHistory',
       ])
 
+      // Scheduled-run status and run history are always read live — not worth caching
+      lastScheduledSync.value = chromeData.lastScheduledSync || null
+      syncHistory.value = chromeData.syncHistory || []
+
       const chromeSyncTime = chromeData.lastSync || 0
       const idbSyncTime = ls || 0
 
-      if (chromeSyncTime > idbSyncTime && chromeData.globalStats) {
+      if ((force || chromeSyncTime > idbSyncTime) && chromeData.globalStats) {
         gs = chromeData.globalStats
         ps = chromeData.playlistStats
         pm = chromeData.playlistMeta
-        pc = chromeData.playlistCategories
+        uv = chromeData.unavailableVideos
         ls = chromeData.lastSync
 
         // 3 — Persist fresher data to IndexedDB
@@ -232,7 +293,7 @@ export const useDashboardStore = defineStore('dashboard', () => {
           dbSet('globalStats', gs),
           dbSet('playlistStats', ps),
           dbSet('playlistMeta', pm),
-          dbSet('playlistCategories', pc),
+          dbSet('unavailableVideos', uv || {}),
           dbSet('lastSync', ls),
         ])
       }
@@ -240,7 +301,8 @@ export const useDashboardStore = defineStore('dashboard', () => {
       globalStats.value = gs || null
       playlistStats.value = ps || {}
       playlistMeta.value = pm || {}
-      playlistCategories.value = pc || {}
+      playlistCategories.value = await getAllPlaylistVideos()
+      unavailableVideos.value = uv || {}
       lastSync.value = ls || null
     } catch (err) {
       console.error('Failed to load dashboard data:', err)
@@ -254,6 +316,17 @@ export const useDashboardStore = defineStore('dashboard', () => {
    * then reload the dashboard data.
    */
   async function refresh() {
+    await runSync('SYNC_START')
+  }
+
+  /**
+   * Continue a paused sync from its checkpoint.
+   */
+  async function resumeSync() {
+    await runSync('SYNC_RESUME')
+  }
+
+  async function runSync(type) {
     if (isDev) {
       // In dev mode just simulate a quick reload of mock data
       isSyncing.value = true
@@ -264,21 +337,277 @@ export const useDashboardStore = defineStore('dashboard', () => {
     }
 
     isSyncing.value = true
+    syncState.value = 'running'
     syncError.value = null
     try {
-      const resp = await chrome.runtime.sendMessage({ type: 'SYNC_START' })
+      const resp = await chrome.runtime.sendMessage({ type })
       if (resp.success) {
+        syncState.value = 'idle'
+        await loadData()
+        await loadSyncFilter()
+      } else if (resp.state === 'paused') {
+        syncState.value = 'paused'
+      } else if (resp.state === 'cancelled') {
+        // Whatever was fetched before the cancel has been saved
+        syncState.value = 'idle'
         await loadData()
       } else {
+        syncState.value = 'idle'
         syncError.value = resp.error || 'Sync failed'
       }
     } catch (err) {
+      syncState.value = 'idle'
       syncError.value = err.message
     } finally {
       isSyncing.value = false
     }
   }
 
+  /**
+   * Ask the running sync to pause or cancel before its next playlist.
+   * @param {'SYNC_PAUSE'|'SYNC_CANCEL'} type
+   */
+  async function controlSync(type) {
+    if (isDev) return
+    try {
+      const resp = await chrome.runtime.sendMessage({ type })
+      if (!resp?.success) {
+        syncError.value = resp?.error || 'No sync in progress'
+      } else if (resp.state === 'cancelled') {
+        syncState.value = 'idle'
+        await loadData()
+      } else {
+        syncState.value = resp.state
+      }
+    } catch (err) {
+      syncError.value = err.message
+    }
+  }
+
+  function pauseSync() {
+    return controlSync('SYNC_PAUSE')
+  }
+
+  function cancelSync() {
+    return controlSync('SYNC_CANCEL')
+  }
+
+  /**
+   * Pick up a run that is paused (or still running) from a previous visit.
+   */
+  async function loadSyncStatus() {
+    if (isDev) return
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: 'GET_SYNC_STATUS' })
+      if (resp?.success && !isSyncing.value) syncState.value = resp.state
+    } catch {
+      // Background not available
+    }
+  }
+
+  /**
+   * Follow the background's SYNC_PROGRESS broadcasts, so a sync started
+   * elsewhere (the popup, auto-sync, a resumed run) shows its state and
+   * the Pause / Cancel buttons here too.
+   */
+  function handleSyncProgress(msg) {
+    if (msg?.type !== 'SYNC_PROGRESS') return
+    const state = msg.state || 'running'
+    if (state === 'running') {
+      // A requested pause / cancel stays visible until the run acts on it
+      if (syncState.value !== 'pausing' && syncState.value !== 'cancelling') {
+        syncState.value = 'running'
+      }
+    } else if (state === 'paused') {
+      syncState.value = 'paused'
+    } else {
+      // done / cancelled / failed. This tab's own run handles its result
+      // when its message resolves (runSync).
+      syncState.value = 'idle'
+      if (isSyncing.value) return
+      if (state === 'failed') syncError.value = msg.text
+      else loadData()
+    }
+  }
+
+  if (!isDev) chrome.runtime.onMessage.addListener(handleSyncProgress)
+
+  /**
+   * Refresh a single playlist (SYNC_PLAYLIST) and reload its data.
+   * @param {string} pid
+   */
+  async function syncPlaylist(pid) {
+    if (isDev) {
+      refreshingPlaylistId.value = pid
+      await new Promise((r) => setTimeout(r, 600))
+      refreshingPlaylistId.value = null
+      return
+    }
+
+    refreshingPlaylistId.value = pid
+    syncError.value = null
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: 'SYNC_PLAYLIST', playlistId: pid })
+      if (!resp?.success) syncError.value = resp?.error || 'Playlist refresh failed'
+      await loadData({ force: true })
+    } catch (err) {
+      syncError.value = err.message
+    } finally {
+      refreshingPlaylistId.value = null
+    }
+  }
+
+  // ─── Sync Selection ────────────────────────────────────────────────────────
+
+  /**
+   * Load the selective-sync filter and the per-playlist preview.
+   */
+  async function loadSyncFilter() {
+    if (isDev) {
+      syncFilter.value = { ...mockSyncFilter }
+      syncSelection.value = Object.entries(playlistMeta.value).map(([pid, meta]) => ({
+        id: pid,
+        title: meta.title,
+        videoCount: meta.videoCount || 0,
+        skipReason: null,
+      }))
+      return
+    }
+    try {
+      applySyncFilterResponse(await chrome.runtime.sendMessage({ type: 'GET_SYNC_FILTER' }))
+    } catch {
+      // Background not available
+    }
+  }
+
+  /**
+   * Save the filter; the response carries the updated preview.
+   * @param {Object} filter
+   */
+  async function saveSyncFilter(filter) {
+    if (isDev) {
+      syncFilter.value = filter
+      return
+    }
+    try {
+      applySyncFilterResponse(await chrome.runtime.sendMessage({ type: 'SET_SYNC_FILTER', filter }))
+    } catch (err) {
+      syncError.value = err.message
+    }
+  }
+
+  function applySyncFilterResponse(resp) {
+    if (!resp?.success) return
+    syncFilter.value = resp.filter
+    syncSelection.value = resp.playlists
+  }
+
+  // ─── Save Suggestions ──────────────────────────────────────────────────────
+
+  /**
+   * Load the reorder engine's signal weights.
+   */
+  async function loadScoringWeights() {
+    if (isDev) {
+      scoringWeights.value = getDefaultWeights()
+      scoringSignals.value = describeSignals()
+      return
+    }
+    try {
+      applyScoringResponse(await chrome.runtime.sendMessage({ type: 'GET_SCORING_WEIGHTS' }))
+    } catch {
+      // Background not available
+    }
+  }
+
+  /**
+   * Save signal weights (the background clamps and fills in defaults).
+   * @param {Object} weights
+   */
+  async function saveScoringWeights(weights) {
+    if (isDev) {
+      scoringWeights.value = weights
+      return
+    }
+    try {
+      applyScoringResponse(await chrome.runtime.sendMessage({ type: 'SET_SCORING_WEIGHTS', weights }))
+    } catch (err) {
+      syncError.value = err.message
+    }
+  }
+
+  function applyScoringResponse(resp) {
+    if (!resp?.success) return
+    scoringWeights.value = resp.weights
+    scoringSignals.value = resp.signals
+  }
+
+  /**
+   * Load the preferences learned from the user's own saves.
+   */
+  async function loadSaveModel() {
+    if (isDev) {
+      saveModel.value = mockSaveModel
+      return
+    }
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: 'GET_SAVE_MODEL' })
+      if (resp?.success) saveModel.value = resp.model
+    } catch {
+      // Background not available
+    }
+  }
+
+  /**
+   * Forget every recorded save.
+   */
+  async function resetSaveModel() {
+    if (!isDev) {
+      try {
+        await chrome.runtime.sendMessage({ type: 'RESET_SAVE_MODEL' })
+      } catch (err) {
+        syncError.value = err.message
+        return
+      }
+    }
+    saveModel.value = { byChannel: {}, byCategory: {}, eventCount: 0, since: null }
+  }
+
+  // ─── Auto-Filing Rules ─────────────────────────────────────────────────────
+
+  /**
+   * Load the auto-filing rules.
+   */
+  async function loadSaveRules() {
+    if (isDev) {
+      saveRules.value = structuredClone(mockSaveRules)
+      return
+    }
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: 'GET_SAVE_RULES' })
+      if (resp?.success) saveRules.value = resp.rules
+    } catch {
+      // Background not available
+    }
+  }
+
+  /**
+   * Replace the rule list; the background normalizes it.
+   * @param {Object[]} rules
+   */
+  async function saveSaveRules(rules) {
+    if (isDev) {
+      saveRules.value = rules
+      return
+    }
+    try {
+      const resp = await chrome.runtime.sendMessage({ type: 'SET_SAVE_RULES', rules })
+      if (resp?.success) saveRules.value = resp.rules
+    } catch (err) {
+      syncError.value = err.message
+    }
+  }
+
   // ─── Expose ────────────────────────────────────────────────────────────────
 
   return {
@@ -287,10 +616,21 @@ export const useDashboardStore = defineStore('dashboard', () => {
     playlistStats,
     playlistMeta,
     playlistCategories,
+    unavailableVideos,
     lastSync,
+    lastScheduledSync,
+    syncHistory,
     isLoading,
     isSyncing,
+    syncState,
     syncError,
+    refreshingPlaylistId,
+    syncFilter,
+    syncSelection,
+    scoringWeights,
+    scoringSignals,
+    saveModel,
+    saveRules,
     searchQuery,
     sortBy,
     filterCategory,
@@ -305,9 +645,24 @@ export const useDashboardStore = defineStore('dashboard', () => {
     playlistRows,
     selectedPlaylist,
     selectedVideos,
+    unavailableReport,
+    totalUnavailable,
     // actions
     loadData,
     refresh,
+    resumeSync,
+    pauseSync,
+    cancelSync,
+    loadSyncStatus,
+    syncPlaylist,
+    loadSyncFilter,
+    saveSyncFilter,
+    loadScoringWeights,
+    saveScoringWeights,
+    loadSaveModel,
+    resetSaveModel,
+    loadSaveRules,
+    saveSaveRules,
     selectPlaylist,
     clearSelection,
   }
@@ -6,6 +6,10 @@ export default defineConfig({
   plugins: [vue()],
   root: '.',
   base: './',
+  server: {
+    // The store imports the shared video store from ../lib
+    fs: { allow: ['..'] },
+  },
   build: {
     outDir: resolve(__dirname, '../dashboard'),
     emptyOutDir: true,
@@ -1,21 +0,0 @@
-(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const o of document.querySelectorAll('link[rel="modulepreload"]'))s(o);new MutationObserver(o=>{for(const i of o)if(i.type==="childList")for(const r of i.addedNodes)r.tagName==="LINK"&&r.rel==="modulepreload"&&s(r)}).observe(document,{childList:!0,subtree:!0});function n(o){const i={};return o.integrity&&(i.integrity=o.integrity),o.referrerPolicy&&(i.referrerPolicy=o.referrerPolicy),o.crossOrigin==="use-credentials"?i.credentials="include":o.crossOrigin==="anonymous"?i.credentials="omit":i.credentials="same-origin",i}function s(o){if(o.ep)return;o.ep=!0;const i=n(o);fetch(o.href,i)}})();/**
-* @vue/shared v3.5.28
-* (c) 2018-present Yuxi (Evan) You and Vue contributors
-* @license MIT
-**/function Ns(e){const t=Object.create(null);for(const n of e.split(","))t[n]=1;return n=>n in t}const ne={},It=[],Ke=()=>{},ni=()=>!1,$n=e=>e.charCodeAt(0)===111&&e.charCodeAt(1)===110&&(e.charCodeAt(2)>122||e.charCodeAt(2)<97),js=e=>e.startsWith("onUpdate:"),pe=Object.assign,Vs=(e,t)=>{const n=e.indexOf(t);n>-1&&e.splice(n,1)},Rr=Object.prototype.hasOwnProperty,z=(e,t)=>Rr.call(e,t),F=Array.isArray,Mt=e=>un(e)==="[object Map]",Nn=e=>un(e)==="[object Set]",oo=e=>un(e)==="[object Date]",V=e=>typeof e=="function",fe=e=>typeof e=="string",We=e=>typeof e=="symbol",X=e=>e!==null&&typeof e=="object",si=e=>(X(e)||V(e))&&V(e.then)&&V(e.catch),oi=Object.prototype.toString,un=e=>oi.call(e),$r=e=>un(e).slice(8,-1),ii=e=>un(e)==="[object Object]",jn=e=>fe(e)&&e!=="NaN"&&e[0]!=="-"&&""+parseInt(e,10)===e,Jt=Ns(",key,ref,ref_for,ref_key,onVnodeBeforeMount,onVnodeMounted,onVnodeBeforeUpdate,onVnodeUpdated,onVnodeBeforeUnmount,onVnodeUnmounted"),Vn=e=>{const t=Object.create(null);return(n=>t[n]||(t[n]=e(n)))},Nr=/-\w/g,at=Vn(e=>e.replace(Nr,t=>t.slice(1).toUpperCase())),jr=/\B([A-Z])/g,Pt=Vn(e=>e.replace(jr,"-$1").toLowerCase()),ri=Vn(e=>e.charAt(0).toUpperCase()+e.slice(1)),os=Vn(e=>e?`on${ri(e)}`:""),ct=(e,t)=>!Object.is(e,t),_n=(e,...t)=>{for(let n=0;n<e.length;n++)e[n](...t)},li=(e,t,n,s=!1)=>{Object.defineProperty(e,t,{configurable:!0,enumerable:!1,writable:s,value:n})},Bn=e=>{const t=parseFloat(e);return isNaN(t)?e:t},Vr=e=>{const t=fe(e)?Number(e):NaN;return isNaN(t)?e:t};let io;const Hn=()=>io||(io=typeof globalThis<"u"?globalThis:typeof self<"u"?self:typeof window<"u"?window:typeof global<"u"?global:{});function jt(e){if(F(e)){const t={};for(let n=0;n<e.length;n++){const s=e[n],o=fe(s)?Kr(s):jt(s);if(o)for(const i in o)t[i]=o[i]}return t}else if(fe(e)||X(e))return e}const Br=/;(?![^(]*\))/g,Hr=/:([^]+)/,kr=/\/\*[^]*?\*\//g;function Kr(e){const t={};return e.replace(kr,"").split(Br).forEach(n=>{if(n){const s=n.split(Hr);s.length>1&&(t[s[0].trim()]=s[1].trim())}}),t}function wt(e){let t="";if(fe(e))t=e;else if(F(e))for(let n=0;n<e.length;n++){const s=wt(e[n]);s&&(t+=s+" ")}else if(X(e))for(const n in e)e[n]&&(t+=n+" ");return t.trim()}const Wr="itemscope,allowfullscreen,formnovalidate,ismap,nomodule,novalidate,readonly",Ur=Ns(Wr);function ci(e){return!!e||e===""}function qr(e,t){if(e.length!==t.length)return!1;let n=!0;for(let s=0;n&&s<e.length;s++)n=fn(e[s],t[s]);return n}function fn(e,t){if(e===t)return!0;let n=oo(e),s=oo(t);if(n||s)return n&&s?e.getTime()===t.getTime():!1;if(n=We(e),s=We(t),n||s)return e===t;if(n=F(e),s=F(t),n||s)return n&&s?qr(e,t):!1;if(n=X(e),s=X(t),n||s){if(!n||!s)return!1;const o=Object.keys(e).length,i=Object.keys(t).length;if(o!==i)return!1;for(const r in e){const c=e.hasOwnProperty(r),l=t.hasOwnProperty(r);if(c&&!l||!c&&l||!fn(e[r],t[r]))return!1}}return String(e)===String(t)}function Gr(e,t){return e.findIndex(n=>fn(n,t))}const ai=e=>!!(e&&e.__v_isRef===!0),Q=e=>fe(e)?e:e==null?"":F(e)||X(e)&&(e.toString===oi||!V(e.toString))?ai(e)?Q(e.value):JSON.stringify(e,ui,2):String(e),ui=(e,t)=>ai(t)?ui(e,t.value):Mt(t)?{[`Map(${t.size})`]:[...t.entries()].reduce((n,[s,o],i)=>(n[is(s,i)+" =>"]=o,n),{})}:Nn(t)?{[`Set(${t.size})`]:[...t.values()].map(n=>is(n))}:We(t)?is(t):X(t)&&!F(t)&&!ii(t)?String(t):t,is=(e,t="")=>{var n;return We(e)?`Symbol(${(n=e.description)!=null?n:t})`:e};/**
-* @vue/reactivity v3.5.28
-* (c) 2018-present Yuxi (Evan) You and Vue contributors
-* @license MIT
-**/let me;class fi{constructor(t=!1){this.detached=t,this._active=!0,this._on=0,this.effects=[],this.cleanups=[],this._isPaused=!1,this.__v_skip=!0,this.parent=me,!t&&me&&(this.index=(me.scopes||(me.scopes=[])).push(this)-1)}get active(){return this._active}pause(){if(this._active){this._isPaused=!0;let t,n;if(this.scopes)for(t=0,n=this.scopes.length;t<n;t++)this.scopes[t].pause();for(t=0,n=this.effects.length;t<n;t++)this.effects[t].pause()}}resume(){if(this._active&&this._isPaused){this._isPaused=!1;let t,n;if(this.scopes)for(t=0,n=this.scopes.length;t<n;t++)this.scopes[t].resume();for(t=0,n=this.effects.length;t<n;t++)this.effects[t].resume()}}run(t){if(this._active){const n=me;try{return me=this,t()}finally{me=n}}}on(){++this._on===1&&(this.prevScope=me,me=this)}off(){this._on>0&&--this._on===0&&(me=this.prevScope,this.prevScope=void 0)}stop(t){if(this._active){this._active=!1;let n,s;for(n=0,s=this.effects.length;n<s;n++)this.effects[n].stop();for(this.effects.length=0,n=0,s=this.cleanups.length;n<s;n++)this.cleanups[n]();if(this.cleanups.length=0,this.scopes){for(n=0,s=this.scopes.length;n<s;n++)this.scopes[n].stop(!0);this.scopes.length=0}if(!this.detached&&this.parent&&!t){const o=this.parent.scopes.pop();o&&o!==this&&(this.parent.scopes[this.index]=o,o.index=this.index)}this.parent=void 0}}}function di(e){return new fi(e)}function hi(){return me}function Jr(e,t=!1){me&&me.cleanups.push(e)}let ie;const rs=new WeakSet;class pi{constructor(t){this.fn=t,this.deps=void 0,this.depsTail=void 0,this.flags=5,this.next=void 0,this.cleanup=void 0,this.scheduler=void 0,me&&me.active&&me.effects.push(this)}pause(){this.flags|=64}resume(){this.flags&64&&(this.flags&=-65,rs.has(this)&&(rs.delete(this),this.trigger()))}notify(){this.flags&2&&!(this.flags&32)||this.flags&8||mi(this)}run(){if(!(this.flags&1))return this.fn();this.flags|=2,ro(this),yi(this);const t=ie,n=Me;ie=this,Me=!0;try{return this.fn()}finally{bi(this),ie=t,Me=n,this.flags&=-3}}stop(){if(this.flags&1){for(let t=this.deps;t;t=t.nextDep)ks(t);this.deps=this.depsTail=void 0,ro(this),this.onStop&&this.onStop(),this.flags&=-2}}trigger(){this.flags&64?rs.add(this):this.scheduler?this.scheduler():this.runIfDirty()}runIfDirty(){_s(this)&&this.run()}get dirty(){return _s(this)}}let gi=0,Yt,Qt;function mi(e,t=!1){if(e.flags|=8,t){e.next=Qt,Qt=e;return}e.next=Yt,Yt=e}function Bs(){gi++}function Hs(){if(--gi>0)return;if(Qt){let t=Qt;for(Qt=void 0;t;){const n=t.next;t.next=void 0,t.flags&=-9,t=n}}let e;for(;Yt;){let t=Yt;for(Yt=void 0;t;){const n=t.next;if(t.next=void 0,t.flags&=-9,t.flags&1)try{t.trigger()}catch(s){e||(e=s)}t=n}}if(e)throw e}function yi(e){for(let t=e.deps;t;t=t.nextDep)t.version=-1,t.prevActiveLink=t.dep.activeLink,t.dep.activeLink=t}function bi(e){let t,n=e.depsTail,s=n;for(;s;){const o=s.prevDep;s.version===-1?(s===n&&(n=o),ks(s),Yr(s)):t=s,s.dep.activeLink=s.prevActiveLink,s.prevActiveLink=void 0,s=o}e.deps=t,e.depsTail=n}function _s(e){for(let t=e.deps;t;t=t.nextDep)if(t.dep.version!==t.version||t.dep.computed&&(_i(t.dep.computed)||t.dep.version!==t.version))return!0;return!!e._dirty}function _i(e){if(e.flags&4&&!(e.flags&16)||(e.flags&=-17,e.globalVersion===sn)||(e.globalVersion=sn,!e.isSSR&&e.flags&128&&(!e.deps&&!e._dirty||!_s(e))))return;e.flags|=2;const t=e.dep,n=ie,s=Me;ie=e,Me=!0;try{yi(e);const o=e.fn(e._value);(t.version===0||ct(o,e._value))&&(e.flags|=128,e._value=o,t.version++)}catch(o){throw t.version++,o}finally{ie=n,Me=s,bi(e),e.flags&=-3}}function ks(e,t=!1){const{dep:n,prevSub:s,nextSub:o}=e;if(s&&(s.nextSub=o,e.prevSub=void 0),o&&(o.prevSub=s,e.nextSub=void 0),n.subs===e&&(n.subs=s,!s&&n.computed)){n.computed.flags&=-5;for(let i=n.computed.deps;i;i=i.nextDep)ks(i,!0)}!t&&!--n.sc&&n.map&&n.map.delete(n.key)}function Yr(e){const{prevDep:t,nextDep:n}=e;t&&(t.nextDep=n,e.prevDep=void 0),n&&(n.prevDep=t,e.nextDep=void 0)}let Me=!0;const vi=[];function ze(){vi.push(Me),Me=!1}function Xe(){const e=vi.pop();Me=e===void 0?!0:e}function ro(e){const{cleanup:t}=e;if(e.cleanup=void 0,t){const n=ie;ie=void 0;try{t()}finally{ie=n}}}let sn=0;class Qr{constructor(t,n){this.sub=t,this.dep=n,this.version=n.version,this.nextDep=this.prevDep=this.nextSub=this.prevSub=this.prevActiveLink=void 0}}class Ks{constructor(t){this.computed=t,this.version=0,this.activeLink=void 0,this.subs=void 0,this.map=void 0,this.key=void 0,this.sc=0,this.__v_skip=!0}track(t){if(!ie||!Me||ie===this.computed)return;let n=this.activeLink;if(n===void 0||n.sub!==ie)n=this.activeLink=new Qr(ie,this),ie.deps?(n.prevDep=ie.depsTail,ie.depsTail.nextDep=n,ie.depsTail=n):ie.deps=ie.depsTail=n,Si(n);else if(n.version===-1&&(n.version=this.version,n.nextDep)){const s=n.nextDep;s.prevDep=n.prevDep,n.prevDep&&(n.prevDep.nextDep=s),n.prevDep=ie.depsTail,n.nextDep=void 0,ie.depsTail.nextDep=n,ie.depsTail=n,ie.deps===n&&(ie.deps=s)}return n}trigger(t){this.version++,sn++,this.notify(t)}notify(t){Bs();try{for(let n=this.subs;n;n=n.prevSub)n.sub.notify()&&n.sub.dep.notify()}finally{Hs()}}}function Si(e){if(e.dep.sc++,e.sub.flags&4){const t=e.dep.computed;if(t&&!e.dep.subs){t.flags|=20;for(let s=t.deps;s;s=s.nextDep)Si(s)}const n=e.dep.subs;n!==e&&(e.prevSub=n,n&&(n.nextSub=e)),e.dep.subs=e}}const xn=new WeakMap,vt=Symbol(""),vs=Symbol(""),on=Symbol("");function ye(e,t,n){if(Me&&ie){let s=xn.get(e);s||xn.set(e,s=new Map);let o=s.get(n);o||(s.set(n,o=new Ks),o.map=s,o.key=n),o.track()}}function Je(e,t,n,s,o,i){const r=xn.get(e);if(!r){sn++;return}const c=l=>{l&&l.trigger()};if(Bs(),t==="clear")r.forEach(c);else{const l=F(e),u=l&&jn(n);if(l&&n==="length"){const a=Number(s);r.forEach((h,m)=>{(m==="length"||m===on||!We(m)&&m>=a)&&c(h)})}else switch((n!==void 0||r.has(void 0))&&c(r.get(n)),u&&c(r.get(on)),t){case"add":l?u&&c(r.get("length")):(c(r.get(vt)),Mt(e)&&c(r.get(vs)));break;case"delete":l||(c(r.get(vt)),Mt(e)&&c(r.get(vs)));break;case"set":Mt(e)&&c(r.get(vt));break}}Hs()}function Zr(e,t){const n=xn.get(e);return n&&n.get(t)}function Et(e){const t=J(e);return t===e?t:(ye(t,"iterate",on),Ee(e)?t:t.map(Oe))}function kn(e){return ye(e=J(e),"iterate",on),e}function rt(e,t){return et(e)?Rt(Ze(e)?Oe(t):t):Oe(t)}const zr={__proto__:null,[Symbol.iterator](){return ls(this,Symbol.iterator,e=>rt(this,e))},concat(...e){return Et(this).concat(...e.map(t=>F(t)?Et(t):t))},entries(){return ls(this,"entries",e=>(e[1]=rt(this,e[1]),e))},every(e,t){return Ue(this,"every",e,t,void 0,arguments)},filter(e,t){return Ue(this,"filter",e,t,n=>n.map(s=>rt(this,s)),arguments)},find(e,t){return Ue(this,"find",e,t,n=>rt(this,n),arguments)},findIndex(e,t){return Ue(this,"findIndex",e,t,void 0,arguments)},findLast(e,t){return Ue(this,"findLast",e,t,n=>rt(this,n),arguments)},findLastIndex(e,t){return Ue(this,"findLastIndex",e,t,void 0,arguments)},forEach(e,t){return Ue(this,"forEach",e,t,void 0,arguments)},includes(...e){return cs(this,"includes",e)},indexOf(...e){return cs(this,"indexOf",e)},join(e){return Et(this).join(e)},lastIndexOf(...e){return cs(this,"lastIndexOf",e)},map(e,t){return Ue(this,"map",e,t,void 0,arguments)},pop(){return kt(this,"pop")},push(...e){return kt(this,"push",e)},reduce(e,...t){return lo(this,"reduce",e,t)},reduceRight(e,...t){return lo(this,"reduceRight",e,t)},shift(){return kt(this,"shift")},some(e,t){return Ue(this,"some",e,t,void 0,arguments)},splice(...e){return kt(this,"splice",e)},toReversed(){return Et(this).toReversed()},toSorted(e){return Et(this).toSorted(e)},toSpliced(...e){return Et(this).toSpliced(...e)},unshift(...e){return kt(this,"unshift",e)},values(){return ls(this,"values",e=>rt(this,e))}};function ls(e,t,n){const s=kn(e),o=s[t]();return s!==e&&!Ee(e)&&(o._next=o.next,o.next=()=>{const i=o._next();return i.done||(i.value=n(i.value)),i}),o}const Xr=Array.prototype;function Ue(e,t,n,s,o,i){const r=kn(e),c=r!==e&&!Ee(e),l=r[t];if(l!==Xr[t]){const h=l.apply(e,i);return c?Oe(h):h}let u=n;r!==e&&(c?u=function(h,m){return n.call(this,rt(e,h),m,e)}:n.length>2&&(u=function(h,m){return n.call(this,h,m,e)}));const a=l.call(r,u,s);return c&&o?o(a):a}function lo(e,t,n,s){const o=kn(e);let i=n;return o!==e&&(Ee(e)?n.length>3&&(i=function(r,c,l){return n.call(this,r,c,l,e)}):i=function(r,c,l){return n.call(this,r,rt(e,c),l,e)}),o[t](i,...s)}function cs(e,t,n){const s=J(e);ye(s,"iterate",on);const o=s[t](...n);return(o===-1||o===!1)&&Wn(n[0])?(n[0]=J(n[0]),s[t](...n)):o}function kt(e,t,n=[]){ze(),Bs();const s=J(e)[t].apply(e,n);return Hs(),Xe(),s}const el=Ns("__proto__,__v_isRef,__isVue"),Ci=new Set(Object.getOwnPropertyNames(Symbol).filter(e=>e!=="arguments"&&e!=="caller").map(e=>Symbol[e]).filter(We));function tl(e){We(e)||(e=String(e));const t=J(this);return ye(t,"has",e),t.hasOwnProperty(e)}class wi{constructor(t=!1,n=!1){this._isReadonly=t,this._isShallow=n}get(t,n,s){if(n==="__v_skip")return t.__v_skip;const o=this._isReadonly,i=this._isShallow;if(n==="__v_isReactive")return!o;if(n==="__v_isReadonly")return o;if(n==="__v_isShallow")return i;if(n==="__v_raw")return s===(o?i?fl:Ei:i?Ti:Pi).get(t)||Object.getPrototypeOf(t)===Object.getPrototypeOf(s)?t:void 0;const r=F(t);if(!o){let l;if(r&&(l=zr[n]))return l;if(n==="hasOwnProperty")return tl}const c=Reflect.get(t,n,ae(t)?t:s);if((We(n)?Ci.has(n):el(n))||(o||ye(t,"get",n),i))return c;if(ae(c)){const l=r&&jn(n)?c:c.value;return o&&X(l)?Cs(l):l}return X(c)?o?Cs(c):Kn(c):c}}class xi extends wi{constructor(t=!1){super(!1,t)}set(t,n,s,o){let i=t[n];const r=F(t)&&jn(n);if(!this._isShallow){const u=et(i);if(!Ee(s)&&!et(s)&&(i=J(i),s=J(s)),!r&&ae(i)&&!ae(s))return u||(i.value=s),!0}const c=r?Number(n)<t.length:z(t,n),l=Reflect.set(t,n,s,ae(t)?t:o);return t===J(o)&&(c?ct(s,i)&&Je(t,"set",n,s):Je(t,"add",n,s)),l}deleteProperty(t,n){const s=z(t,n);t[n];const o=Reflect.deleteProperty(t,n);return o&&s&&Je(t,"delete",n,void 0),o}has(t,n){const s=Reflect.has(t,n);return(!We(n)||!Ci.has(n))&&ye(t,"has",n),s}ownKeys(t){return ye(t,"iterate",F(t)?"length":vt),Reflect.ownKeys(t)}}class nl extends wi{constructor(t=!1){super(!0,t)}set(t,n){return!0}deleteProperty(t,n){return!0}}const sl=new xi,ol=new nl,il=new xi(!0);const Ss=e=>e,mn=e=>Reflect.getPrototypeOf(e);function rl(e,t,n){return function(...s){const o=this.__v_raw,i=J(o),r=Mt(i),c=e==="entries"||e===Symbol.iterator&&r,l=e==="keys"&&r,u=o[e](...s),a=n?Ss:t?Rt:Oe;return!t&&ye(i,"iterate",l?vs:vt),pe(Object.create(u),{next(){const{value:h,done:m}=u.next();return m?{value:h,done:m}:{value:c?[a(h[0]),a(h[1])]:a(h),done:m}}})}}function yn(e){return function(...t){return e==="delete"?!1:e==="clear"?void 0:this}}function ll(e,t){const n={get(o){const i=this.__v_raw,r=J(i),c=J(o);e||(ct(o,c)&&ye(r,"get",o),ye(r,"get",c));const{has:l}=mn(r),u=t?Ss:e?Rt:Oe;if(l.call(r,o))return u(i.get(o));if(l.call(r,c))return u(i.get(c));i!==r&&i.get(o)},get size(){const o=this.__v_raw;return!e&&ye(J(o),"iterate",vt),o.size},has(o){const i=this.__v_raw,r=J(i),c=J(o);return e||(ct(o,c)&&ye(r,"has",o),ye(r,"has",c)),o===c?i.has(o):i.has(o)||i.has(c)},forEach(o,i){const r=this,c=r.__v_raw,l=J(c),u=t?Ss:e?Rt:Oe;return!e&&ye(l,"iterate",vt),c.forEach((a,h)=>o.call(i,u(a),u(h),r))}};return pe(n,e?{add:yn("add"),set:yn("set"),delete:yn("delete"),clear:yn("clear")}:{add(o){!t&&!Ee(o)&&!et(o)&&(o=J(o));const i=J(this);return mn(i).has.call(i,o)||(i.add(o),Je(i,"add",o,o)),this},set(o,i){!t&&!Ee(i)&&!et(i)&&(i=J(i));const r=J(this),{has:c,get:l}=mn(r);let u=c.call(r,o);u||(o=J(o),u=c.call(r,o));const a=l.call(r,o);return r.set(o,i),u?ct(i,a)&&Je(r,"set",o,i):Je(r,"add",o,i),this},delete(o){const i=J(this),{has:r,get:c}=mn(i);let l=r.call(i,o);l||(o=J(o),l=r.call(i,o)),c&&c.call(i,o);const u=i.delete(o);return l&&Je(i,"delete",o,void 0),u},clear(){const o=J(this),i=o.size!==0,r=o.clear();return i&&Je(o,"clear",void 0,void 0),r}}),["keys","values","entries",Symbol.iterator].forEach(o=>{n[o]=rl(o,e,t)}),n}function Ws(e,t){const n=ll(e,t);return(s,o,i)=>o==="__v_isReactive"?!e:o==="__v_isReadonly"?e:o==="__v_raw"?s:Reflect.get(z(n,o)&&o in s?n:s,o,i)}const cl={get:Ws(!1,!1)},al={get:Ws(!1,!0)},ul={get:Ws(!0,!1)};const Pi=new WeakMap,Ti=new WeakMap,Ei=new WeakMap,fl=new WeakMap;function dl(e){switch(e){case"Object":case"Array":return 1;case"Map":case"Set":case"WeakMap":case"WeakSet":return 2;default:return 0}}function hl(e){return e.__v_skip||!Object.isExtensible(e)?0:dl($r(e))}function Kn(e){return et(e)?e:Us(e,!1,sl,cl,Pi)}function pl(e){return Us(e,!1,il,al,Ti)}function Cs(e){return Us(e,!0,ol,ul,Ei)}function Us(e,t,n,s,o){if(!X(e)||e.__v_raw&&!(t&&e.__v_isReactive))return e;const i=hl(e);if(i===0)return e;const r=o.get(e);if(r)return r;const c=new Proxy(e,i===2?s:n);return o.set(e,c),c}function Ze(e){return et(e)?Ze(e.__v_raw):!!(e&&e.__v_isReactive)}function et(e){return!!(e&&e.__v_isReadonly)}function Ee(e){return!!(e&&e.__v_isShallow)}function Wn(e){return e?!!e.__v_raw:!1}function J(e){const t=e&&e.__v_raw;return t?J(t):e}function qs(e){return!z(e,"__v_skip")&&Object.isExtensible(e)&&li(e,"__v_skip",!0),e}const Oe=e=>X(e)?Kn(e):e,Rt=e=>X(e)?Cs(e):e;function ae(e){return e?e.__v_isRef===!0:!1}function ge(e){return gl(e,!1)}function gl(e,t){return ae(e)?e:new ml(e,t)}class ml{constructor(t,n){this.dep=new Ks,this.__v_isRef=!0,this.__v_isShallow=!1,this._rawValue=n?t:J(t),this._value=n?t:Oe(t),this.__v_isShallow=n}get value(){return this.dep.track(),this._value}set value(t){const n=this._rawValue,s=this.__v_isShallow||Ee(t)||et(t);t=s?t:J(t),ct(t,n)&&(this._rawValue=t,this._value=s?t:Oe(t),this.dep.trigger())}}function U(e){return ae(e)?e.value:e}const yl={get:(e,t,n)=>t==="__v_raw"?e:U(Reflect.get(e,t,n)),set:(e,t,n,s)=>{const o=e[t];return ae(o)&&!ae(n)?(o.value=n,!0):Reflect.set(e,t,n,s)}};function Ai(e){return Ze(e)?e:new Proxy(e,yl)}function bl(e){const t=F(e)?new Array(e.length):{};for(const n in e)t[n]=vl(e,n);return t}class _l{constructor(t,n,s){this._object=t,this._key=n,this._defaultValue=s,this.__v_isRef=!0,this._value=void 0,this._raw=J(t);let o=!0,i=t;if(!F(t)||!jn(String(n)))do o=!Wn(i)||Ee(i);while(o&&(i=i.__v_raw));this._shallow=o}get value(){let t=this._object[this._key];return this._shallow&&(t=U(t)),this._value=t===void 0?this._defaultValue:t}set value(t){if(this._shallow&&ae(this._raw[this._key])){const n=this._object[this._key];if(ae(n)){n.value=t;return}}this._object[this._key]=t}get dep(){return Zr(this._raw,this._key)}}function vl(e,t,n){return new _l(e,t,n)}class Sl{constructor(t,n,s){this.fn=t,this.setter=n,this._value=void 0,this.dep=new Ks(this),this.__v_isRef=!0,this.deps=void 0,this.depsTail=void 0,this.flags=16,this.globalVersion=sn-1,this.next=void 0,this.effect=this,this.__v_isReadonly=!n,this.isSSR=s}notify(){if(this.flags|=16,!(this.flags&8)&&ie!==this)return mi(this,!0),!0}get value(){const t=this.dep.track();return _i(this),t&&(t.version=this.dep.version),this._value}set value(t){this.setter&&this.setter(t)}}function Cl(e,t,n=!1){let s,o;return V(e)?s=e:(s=e.get,o=e.set),new Sl(s,o,n)}const bn={},Pn=new WeakMap;let yt;function wl(e,t=!1,n=yt){if(n){let s=Pn.get(n);s||Pn.set(n,s=[]),s.push(e)}}function xl(e,t,n=ne){const{immediate:s,deep:o,once:i,scheduler:r,augmentJob:c,call:l}=n,u=O=>o?O:Ee(O)||o===!1||o===0?Ye(O,1):Ye(O);let a,h,m,C,M=!1,I=!1;if(ae(e)?(h=()=>e.value,M=Ee(e)):Ze(e)?(h=()=>u(e),M=!0):F(e)?(I=!0,M=e.some(O=>Ze(O)||Ee(O)),h=()=>e.map(O=>{if(ae(O))return O.value;if(Ze(O))return u(O);if(V(O))return l?l(O,2):O()})):V(e)?t?h=l?()=>l(e,2):e:h=()=>{if(m){ze();try{m()}finally{Xe()}}const O=yt;yt=a;try{return l?l(e,3,[C]):e(C)}finally{yt=O}}:h=Ke,t&&o){const O=h,B=o===!0?1/0:o;h=()=>Ye(O(),B)}const q=hi(),K=()=>{a.stop(),q&&q.active&&Vs(q.effects,a)};if(i&&t){const O=t;t=(...B)=>{O(...B),K()}}let N=I?new Array(e.length).fill(bn):bn;const k=O=>{if(!(!(a.flags&1)||!a.dirty&&!O))if(t){const B=a.run();if(o||M||(I?B.some((ue,le)=>ct(ue,N[le])):ct(B,N))){m&&m();const ue=yt;yt=a;try{const le=[B,N===bn?void 0:I&&N[0]===bn?[]:N,C];N=B,l?l(t,3,le):t(...le)}finally{yt=ue}}}else a.run()};return c&&c(k),a=new pi(h),a.scheduler=r?()=>r(k,!1):k,C=O=>wl(O,!1,a),m=a.onStop=()=>{const O=Pn.get(a);if(O){if(l)l(O,4);else for(const B of O)B();Pn.delete(a)}},t?s?k(!0):N=a.run():r?r(k.bind(null,!0),!0):a.run(),K.pause=a.pause.bind(a),K.resume=a.resume.bind(a),K.stop=K,K}function Ye(e,t=1/0,n){if(t<=0||!X(e)||e.__v_skip||(n=n||new Map,(n.get(e)||0)>=t))return e;if(n.set(e,t),t--,ae(e))Ye(e.value,t,n);else if(F(e))for(let s=0;s<e.length;s++)Ye(e[s],t,n);else if(Nn(e)||Mt(e))e.forEach(s=>{Ye(s,t,n)});else if(ii(e)){for(const s in e)Ye(e[s],t,n);for(const s of Object.getOwnPropertySymbols(e))Object.prototype.propertyIsEnumerable.call(e,s)&&Ye(e[s],t,n)}return e}/**
-* @vue/runtime-core v3.5.28
-* (c) 2018-present Yuxi (Evan) You and Vue contributors
-* @license MIT
-**/function dn(e,t,n,s){try{return s?e(...s):e()}catch(o){Un(o,t,n)}}function De(e,t,n,s){if(V(e)){const o=dn(e,t,n,s);return o&&si(o)&&o.catch(i=>{Un(i,t,n)}),o}if(F(e)){const o=[];for(let i=0;i<e.length;i++)o.push(De(e[i],t,n,s));return o}}function Un(e,t,n,s=!0){const o=t?t.vnode:null,{errorHandler:i,throwUnhandledErrorInProduction:r}=t&&t.appContext.config||ne;if(t){let c=t.parent;const l=t.proxy,u=`https://vuejs.org/error-reference/#runtime-${n}`;for(;c;){const a=c.ec;if(a){for(let h=0;h<a.length;h++)if(a[h](e,l,u)===!1)return}c=c.parent}if(i){ze(),dn(i,null,10,[e,l,u]),Xe();return}}Pl(e,n,o,s,r)}function Pl(e,t,n,s=!0,o=!1){if(o)throw e;console.error(e)}const _e=[];let Be=-1;const Ot=[];let lt=null,Lt=0;const Li=Promise.resolve();let Tn=null;function qn(e){const t=Tn||Li;return e?t.then(this?e.bind(this):e):t}function Tl(e){let t=Be+1,n=_e.length;for(;t<n;){const s=t+n>>>1,o=_e[s],i=rn(o);i<e||i===e&&o.flags&2?t=s+1:n=s}return t}function Gs(e){if(!(e.flags&1)){const t=rn(e),n=_e[_e.length-1];!n||!(e.flags&2)&&t>=rn(n)?_e.push(e):_e.splice(Tl(t),0,e),e.flags|=1,Ii()}}function Ii(){Tn||(Tn=Li.then(Oi))}function El(e){F(e)?Ot.push(...e):lt&&e.id===-1?lt.splice(Lt+1,0,e):e.flags&1||(Ot.push(e),e.flags|=1),Ii()}function co(e,t,n=Be+1){for(;n<_e.length;n++){const s=_e[n];if(s&&s.flags&2){if(e&&s.id!==e.uid)continue;_e.splice(n,1),n--,s.flags&4&&(s.flags&=-2),s(),s.flags&4||(s.flags&=-2)}}}function Mi(e){if(Ot.length){const t=[...new Set(Ot)].sort((n,s)=>rn(n)-rn(s));if(Ot.length=0,lt){lt.push(...t);return}for(lt=t,Lt=0;Lt<lt.length;Lt++){const n=lt[Lt];n.flags&4&&(n.flags&=-2),n.flags&8||n(),n.flags&=-2}lt=null,Lt=0}}const rn=e=>e.id==null?e.flags&2?-1:1/0:e.id;function Oi(e){try{for(Be=0;Be<_e.length;Be++){const t=_e[Be];t&&!(t.flags&8)&&(t.flags&4&&(t.flags&=-2),dn(t,t.i,t.i?15:14),t.flags&4||(t.flags&=-2))}}finally{for(;Be<_e.length;Be++){const t=_e[Be];t&&(t.flags&=-2)}Be=-1,_e.length=0,Mi(),Tn=null,(_e.length||Ot.length)&&Oi()}}let Ie=null,Di=null;function En(e){const t=Ie;return Ie=e,Di=e&&e.type.__scopeId||null,t}function Gn(e,t=Ie,n){if(!t||e._n)return e;const s=(...o)=>{s._d&&In(-1);const i=En(t);let r;try{r=e(...o)}finally{En(i),s._d&&In(1)}return r};return s._n=!0,s._c=!0,s._d=!0,s}function vn(e,t){if(Ie===null)return e;const n=es(Ie),s=e.dirs||(e.dirs=[]);for(let o=0;o<t.length;o++){let[i,r,c,l=ne]=t[o];i&&(V(i)&&(i={mounted:i,updated:i}),i.deep&&Ye(r),s.push({dir:i,instance:n,value:r,oldValue:void 0,arg:c,modifiers:l}))}return e}function pt(e,t,n,s){const o=e.dirs,i=t&&t.dirs;for(let r=0;r<o.length;r++){const c=o[r];i&&(c.oldValue=i[r].value);let l=c.dir[s];l&&(ze(),De(l,n,8,[e.el,c,e,t]),Xe())}}function Al(e,t){if(Se){let n=Se.provides;const s=Se.parent&&Se.parent.provides;s===n&&(n=Se.provides=Object.create(s)),n[e]=t}}function Zt(e,t,n=!1){const s=Xn();if(s||St){let o=St?St._context.provides:s?s.parent==null||s.ce?s.vnode.appContext&&s.vnode.appContext.provides:s.parent.provides:void 0;if(o&&e in o)return o[e];if(arguments.length>1)return n&&V(t)?t.call(s&&s.proxy):t}}function Ll(){return!!(Xn()||St)}const Il=Symbol.for("v-scx"),Ml=()=>Zt(Il);function Dt(e,t,n){return Fi(e,t,n)}function Fi(e,t,n=ne){const{immediate:s,deep:o,flush:i,once:r}=n,c=pe({},n),l=t&&s||!t&&i!=="post";let u;if(an){if(i==="sync"){const C=Ml();u=C.__watcherHandles||(C.__watcherHandles=[])}else if(!l){const C=()=>{};return C.stop=Ke,C.resume=Ke,C.pause=Ke,C}}const a=Se;c.call=(C,M,I)=>De(C,a,M,I);let h=!1;i==="post"?c.scheduler=C=>{xe(C,a&&a.suspense)}:i!=="sync"&&(h=!0,c.scheduler=(C,M)=>{M?C():Gs(C)}),c.augmentJob=C=>{t&&(C.flags|=4),h&&(C.flags|=2,a&&(C.id=a.uid,C.i=a))};const m=xl(e,t,c);return an&&(u?u.push(m):l&&m()),m}function Ol(e,t,n){const s=this.proxy,o=fe(e)?e.includes(".")?Ri(s,e):()=>s[e]:e.bind(s,s);let i;V(t)?i=t:(i=t.handler,n=t);const r=hn(this),c=Fi(o,i.bind(s),n);return r(),c}function Ri(e,t){const n=t.split(".");return()=>{let s=e;for(let o=0;o<n.length&&s;o++)s=s[n[o]];return s}}const Dl=Symbol("_vte"),$i=e=>e.__isTeleport,He=Symbol("_leaveCb"),Kt=Symbol("_enterCb");function Ni(){const e={isMounted:!1,isLeaving:!1,isUnmounting:!1,leavingVNodes:new Map};return Qn(()=>{e.isMounted=!0}),Ui(()=>{e.isUnmounting=!0}),e}const Le=[Function,Array],ji={mode:String,appear:Boolean,persisted:Boolean,onBeforeEnter:Le,onEnter:Le,onAfterEnter:Le,onEnterCancelled:Le,onBeforeLeave:Le,onLeave:Le,onAfterLeave:Le,onLeaveCancelled:Le,onBeforeAppear:Le,onAppear:Le,onAfterAppear:Le,onAppearCancelled:Le},Vi=e=>{const t=e.subTree;return t.component?Vi(t.component):t},Fl={name:"BaseTransition",props:ji,setup(e,{slots:t}){const n=Xn(),s=Ni();return()=>{const o=t.default&&Js(t.default(),!0);if(!o||!o.length)return;const i=Bi(o),r=J(e),{mode:c}=r;if(s.isLeaving)return as(i);const l=ao(i);if(!l)return as(i);let u=ln(l,r,s,n,h=>u=h);l.type!==ve&&xt(l,u);let a=n.subTree&&ao(n.subTree);if(a&&a.type!==ve&&!bt(a,l)&&Vi(n).type!==ve){let h=ln(a,r,s,n);if(xt(a,h),c==="out-in"&&l.type!==ve)return s.isLeaving=!0,h.afterLeave=()=>{s.isLeaving=!1,n.job.flags&8||n.update(),delete h.afterLeave,a=void 0},as(i);c==="in-out"&&l.type!==ve?h.delayLeave=(m,C,M)=>{const I=Hi(s,a);I[String(a.key)]=a,m[He]=()=>{C(),m[He]=void 0,delete u.delayedLeave,a=void 0},u.delayedLeave=()=>{M(),delete u.delayedLeave,a=void 0}}:a=void 0}else a&&(a=void 0);return i}}};function Bi(e){let t=e[0];if(e.length>1){for(const n of e)if(n.type!==ve){t=n;break}}return t}const Rl=Fl;function Hi(e,t){const{leavingVNodes:n}=e;let s=n.get(t.type);return s||(s=Object.create(null),n.set(t.type,s)),s}function ln(e,t,n,s,o){const{appear:i,mode:r,persisted:c=!1,onBeforeEnter:l,onEnter:u,onAfterEnter:a,onEnterCancelled:h,onBeforeLeave:m,onLeave:C,onAfterLeave:M,onLeaveCancelled:I,onBeforeAppear:q,onAppear:K,onAfterAppear:N,onAppearCancelled:k}=t,O=String(e.key),B=Hi(n,e),ue=(g,w)=>{g&&De(g,s,9,w)},le=(g,w)=>{const A=w[1];ue(g,w),F(g)?g.every(x=>x.length<=1)&&A():g.length<=1&&A()},j={mode:r,persisted:c,beforeEnter(g){let w=l;if(!n.isMounted)if(i)w=q||l;else return;g[He]&&g[He](!0);const A=B[O];A&&bt(e,A)&&A.el[He]&&A.el[He](),ue(w,[g])},enter(g){let w=u,A=a,x=h;if(!n.isMounted)if(i)w=K||u,A=N||a,x=k||h;else return;let H=!1;g[Kt]=Ae=>{H||(H=!0,Ae?ue(x,[g]):ue(A,[g]),j.delayedLeave&&j.delayedLeave(),g[Kt]=void 0)};const ee=g[Kt].bind(null,!1);w?le(w,[g,ee]):ee()},leave(g,w){const A=String(e.key);if(g[Kt]&&g[Kt](!0),n.isUnmounting)return w();ue(m,[g]);let x=!1;g[He]=ee=>{x||(x=!0,w(),ee?ue(I,[g]):ue(M,[g]),g[He]=void 0,B[A]===e&&delete B[A])};const H=g[He].bind(null,!1);B[A]=e,C?le(C,[g,H]):H()},clone(g){const w=ln(g,t,n,s,o);return o&&o(w),w}};return j}function as(e){if(Jn(e))return e=ut(e),e.children=null,e}function ao(e){if(!Jn(e))return $i(e.type)&&e.children?Bi(e.children):e;if(e.component)return e.component.subTree;const{shapeFlag:t,children:n}=e;if(n){if(t&16)return n[0];if(t&32&&V(n.default))return n.default()}}function xt(e,t){e.shapeFlag&6&&e.component?(e.transition=t,xt(e.component.subTree,t)):e.shapeFlag&128?(e.ssContent.transition=t.clone(e.ssContent),e.ssFallback.transition=t.clone(e.ssFallback)):e.transition=t}function Js(e,t=!1,n){let s=[],o=0;for(let i=0;i<e.length;i++){let r=e[i];const c=n==null?r.key:String(n)+String(r.key!=null?r.key:i);r.type===he?(r.patchFlag&128&&o++,s=s.concat(Js(r.children,t,c))):(t||r.type!==ve)&&s.push(c!=null?ut(r,{key:c}):r)}if(o>1)for(let i=0;i<s.length;i++)s[i].patchFlag=-2;return s}function ki(e){e.ids=[e.ids[0]+e.ids[2]+++"-",0,0]}function uo(e,t){let n;return!!((n=Object.getOwnPropertyDescriptor(e,t))&&!n.configurable)}const An=new WeakMap;function zt(e,t,n,s,o=!1){if(F(e)){e.forEach((I,q)=>zt(I,t&&(F(t)?t[q]:t),n,s,o));return}if(Xt(s)&&!o){s.shapeFlag&512&&s.type.__asyncResolved&&s.component.subTree.component&&zt(e,t,n,s.component.subTree);return}const i=s.shapeFlag&4?es(s.component):s.el,r=o?null:i,{i:c,r:l}=e,u=t&&t.r,a=c.refs===ne?c.refs={}:c.refs,h=c.setupState,m=J(h),C=h===ne?ni:I=>uo(a,I)?!1:z(m,I),M=(I,q)=>!(q&&uo(a,q));if(u!=null&&u!==l){if(fo(t),fe(u))a[u]=null,C(u)&&(h[u]=null);else if(ae(u)){const I=t;M(u,I.k)&&(u.value=null),I.k&&(a[I.k]=null)}}if(V(l))dn(l,c,12,[r,a]);else{const I=fe(l),q=ae(l);if(I||q){const K=()=>{if(e.f){const N=I?C(l)?h[l]:a[l]:M()||!e.k?l.value:a[e.k];if(o)F(N)&&Vs(N,i);else if(F(N))N.includes(i)||N.push(i);else if(I)a[l]=[i],C(l)&&(h[l]=a[l]);else{const k=[i];M(l,e.k)&&(l.value=k),e.k&&(a[e.k]=k)}}else I?(a[l]=r,C(l)&&(h[l]=r)):q&&(M(l,e.k)&&(l.value=r),e.k&&(a[e.k]=r))};if(r){const N=()=>{K(),An.delete(e)};N.id=-1,An.set(e,N),xe(N,n)}else fo(e),K()}}}function fo(e){const t=An.get(e);t&&(t.flags|=8,An.delete(e))}Hn().requestIdleCallback;Hn().cancelIdleCallback;const Xt=e=>!!e.type.__asyncLoader,Jn=e=>e.type.__isKeepAlive;function $l(e,t){Ki(e,"a",t)}function Nl(e,t){Ki(e,"da",t)}function Ki(e,t,n=Se){const s=e.__wdc||(e.__wdc=()=>{let o=n;for(;o;){if(o.isDeactivated)return;o=o.parent}return e()});if(Yn(t,s,n),n){let o=n.parent;for(;o&&o.parent;)Jn(o.parent.vnode)&&jl(s,t,n,o),o=o.parent}}function jl(e,t,n,s){const o=Yn(t,e,s,!0);qi(()=>{Vs(s[t],o)},n)}function Yn(e,t,n=Se,s=!1){if(n){const o=n[e]||(n[e]=[]),i=t.__weh||(t.__weh=(...r)=>{ze();const c=hn(n),l=De(t,n,e,r);return c(),Xe(),l});return s?o.unshift(i):o.push(i),i}}const tt=e=>(t,n=Se)=>{(!an||e==="sp")&&Yn(e,(...s)=>t(...s),n)},Vl=tt("bm"),Qn=tt("m"),Bl=tt("bu"),Wi=tt("u"),Ui=tt("bum"),qi=tt("um"),Hl=tt("sp"),kl=tt("rtg"),Kl=tt("rtc");function Wl(e,t=Se){Yn("ec",e,t)}const Ul=Symbol.for("v-ndc");function $t(e,t,n,s){let o;const i=n,r=F(e);if(r||fe(e)){const c=r&&Ze(e);let l=!1,u=!1;c&&(l=!Ee(e),u=et(e),e=kn(e)),o=new Array(e.length);for(let a=0,h=e.length;a<h;a++)o[a]=t(l?u?Rt(Oe(e[a])):Oe(e[a]):e[a],a,void 0,i)}else if(typeof e=="number"){o=new Array(e);for(let c=0;c<e;c++)o[c]=t(c+1,c,void 0,i)}else if(X(e))if(e[Symbol.iterator])o=Array.from(e,(c,l)=>t(c,l,void 0,i));else{const c=Object.keys(e);o=new Array(c.length);for(let l=0,u=c.length;l<u;l++){const a=c[l];o[l]=t(e[a],a,l,i)}}else o=[];return o}const ws=e=>e?dr(e)?es(e):ws(e.parent):null,en=pe(Object.create(null),{$:e=>e,$el:e=>e.vnode.el,$data:e=>e.data,$props:e=>e.props,$attrs:e=>e.attrs,$slots:e=>e.slots,$refs:e=>e.refs,$parent:e=>ws(e.parent),$root:e=>ws(e.root),$host:e=>e.ce,$emit:e=>e.emit,$options:e=>Ji(e),$forceUpdate:e=>e.f||(e.f=()=>{Gs(e.update)}),$nextTick:e=>e.n||(e.n=qn.bind(e.proxy)),$watch:e=>Ol.bind(e)}),us=(e,t)=>e!==ne&&!e.__isScriptSetup&&z(e,t),ql={get({_:e},t){if(t==="__v_skip")return!0;const{ctx:n,setupState:s,data:o,props:i,accessCache:r,type:c,appContext:l}=e;if(t[0]!=="$"){const m=r[t];if(m!==void 0)switch(m){case 1:return s[t];case 2:return o[t];case 4:return n[t];case 3:return i[t]}else{if(us(s,t))return r[t]=1,s[t];if(o!==ne&&z(o,t))return r[t]=2,o[t];if(z(i,t))return r[t]=3,i[t];if(n!==ne&&z(n,t))return r[t]=4,n[t];xs&&(r[t]=0)}}const u=en[t];let a,h;if(u)return t==="$attrs"&&ye(e.attrs,"get",""),u(e);if((a=c.__cssModules)&&(a=a[t]))return a;if(n!==ne&&z(n,t))return r[t]=4,n[t];if(h=l.config.globalProperties,z(h,t))return h[t]},set({_:e},t,n){const{data:s,setupState:o,ctx:i}=e;return us(o,t)?(o[t]=n,!0):s!==ne&&z(s,t)?(s[t]=n,!0):z(e.props,t)||t[0]==="$"&&t.slice(1)in e?!1:(i[t]=n,!0)},has({_:{data:e,setupState:t,accessCache:n,ctx:s,appContext:o,props:i,type:r}},c){let l;return!!(n[c]||e!==ne&&c[0]!=="$"&&z(e,c)||us(t,c)||z(i,c)||z(s,c)||z(en,c)||z(o.config.globalProperties,c)||(l=r.__cssModules)&&l[c])},defineProperty(e,t,n){return n.get!=null?e._.accessCache[t]=0:z(n,"value")&&this.set(e,t,n.value,null),Reflect.defineProperty(e,t,n)}};function ho(e){return F(e)?e.reduce((t,n)=>(t[n]=null,t),{}):e}let xs=!0;function Gl(e){const t=Ji(e),n=e.proxy,s=e.ctx;xs=!1,t.beforeCreate&&po(t.beforeCreate,e,"bc");const{data:o,computed:i,methods:r,watch:c,provide:l,inject:u,created:a,beforeMount:h,mounted:m,beforeUpdate:C,updated:M,activated:I,deactivated:q,beforeDestroy:K,beforeUnmount:N,destroyed:k,unmounted:O,render:B,renderTracked:ue,renderTriggered:le,errorCaptured:j,serverPrefetch:g,expose:w,inheritAttrs:A,components:x,directives:H,filters:ee}=t;if(u&&Jl(u,s,null),r)for(const W in r){const se=r[W];V(se)&&(s[W]=se.bind(n))}if(o){const W=o.call(n,n);X(W)&&(e.data=Kn(W))}if(xs=!0,i)for(const W in i){const se=i[W],dt=V(se)?se.bind(n,n):V(se.get)?se.get.bind(n,n):Ke,pn=!V(se)&&V(se.set)?se.set.bind(n):Ke,ht=de({get:dt,set:pn});Object.defineProperty(s,W,{enumerable:!0,configurable:!0,get:()=>ht.value,set:Fe=>ht.value=Fe})}if(c)for(const W in c)Gi(c[W],s,n,W);if(l){const W=V(l)?l.call(n):l;Reflect.ownKeys(W).forEach(se=>{Al(se,W[se])})}a&&po(a,e,"c");function re(W,se){F(se)?se.forEach(dt=>W(dt.bind(n))):se&&W(se.bind(n))}if(re(Vl,h),re(Qn,m),re(Bl,C),re(Wi,M),re($l,I),re(Nl,q),re(Wl,j),re(Kl,ue),re(kl,le),re(Ui,N),re(qi,O),re(Hl,g),F(w))if(w.length){const W=e.exposed||(e.exposed={});w.forEach(se=>{Object.defineProperty(W,se,{get:()=>n[se],set:dt=>n[se]=dt,enumerable:!0})})}else e.exposed||(e.exposed={});B&&e.render===Ke&&(e.render=B),A!=null&&(e.inheritAttrs=A),x&&(e.components=x),H&&(e.directives=H),g&&ki(e)}function Jl(e,t,n=Ke){F(e)&&(e=Ps(e));for(const s in e){const o=e[s];let i;X(o)?"default"in o?i=Zt(o.from||s,o.default,!0):i=Zt(o.from||s):i=Zt(o),ae(i)?Object.defineProperty(t,s,{enumerable:!0,configurable:!0,get:()=>i.value,set:r=>i.value=r}):t[s]=i}}function po(e,t,n){De(F(e)?e.map(s=>s.bind(t.proxy)):e.bind(t.proxy),t,n)}function Gi(e,t,n,s){let o=s.includes(".")?Ri(n,s):()=>n[s];if(fe(e)){const i=t[e];V(i)&&Dt(o,i)}else if(V(e))Dt(o,e.bind(n));else if(X(e))if(F(e))e.forEach(i=>Gi(i,t,n,s));else{const i=V(e.handler)?e.handler.bind(n):t[e.handler];V(i)&&Dt(o,i,e)}}function Ji(e){const t=e.type,{mixins:n,extends:s}=t,{mixins:o,optionsCache:i,config:{optionMergeStrategies:r}}=e.appContext,c=i.get(t);let l;return c?l=c:!o.length&&!n&&!s?l=t:(l={},o.length&&o.forEach(u=>Ln(l,u,r,!0)),Ln(l,t,r)),X(t)&&i.set(t,l),l}function Ln(e,t,n,s=!1){const{mixins:o,extends:i}=t;i&&Ln(e,i,n,!0),o&&o.forEach(r=>Ln(e,r,n,!0));for(const r in t)if(!(s&&r==="expose")){const c=Yl[r]||n&&n[r];e[r]=c?c(e[r],t[r]):t[r]}return e}const Yl={data:go,props:mo,emits:mo,methods:Gt,computed:Gt,beforeCreate:be,created:be,beforeMount:be,mounted:be,beforeUpdate:be,updated:be,beforeDestroy:be,beforeUnmount:be,destroyed:be,unmounted:be,activated:be,deactivated:be,errorCaptured:be,serverPrefetch:be,components:Gt,directives:Gt,watch:Zl,provide:go,inject:Ql};function go(e,t){return t?e?function(){return pe(V(e)?e.call(this,this):e,V(t)?t.call(this,this):t)}:t:e}function Ql(e,t){return Gt(Ps(e),Ps(t))}function Ps(e){if(F(e)){const t={};for(let n=0;n<e.length;n++)t[e[n]]=e[n];return t}return e}function be(e,t){return e?[...new Set([].concat(e,t))]:t}function Gt(e,t){return e?pe(Object.create(null),e,t):t}function mo(e,t){return e?F(e)&&F(t)?[...new Set([...e,...t])]:pe(Object.create(null),ho(e),ho(t??{})):t}function Zl(e,t){if(!e)return t;if(!t)return e;const n=pe(Object.create(null),e);for(const s in t)n[s]=be(e[s],t[s]);return n}function Yi(){return{app:null,config:{isNativeTag:ni,performance:!1,globalProperties:{},optionMergeStrategies:{},errorHandler:void 0,warnHandler:void 0,compilerOptions:{}},mixins:[],components:{},directives:{},provides:Object.create(null),optionsCache:new WeakMap,propsCache:new WeakMap,emitsCache:new WeakMap}}let zl=0;function Xl(e,t){return function(s,o=null){V(s)||(s=pe({},s)),o!=null&&!X(o)&&(o=null);const i=Yi(),r=new WeakSet,c=[];let l=!1;const u=i.app={_uid:zl++,_component:s,_props:o,_container:null,_context:i,_instance:null,version:Dc,get config(){return i.config},set config(a){},use(a,...h){return r.has(a)||(a&&V(a.install)?(r.add(a),a.install(u,...h)):V(a)&&(r.add(a),a(u,...h))),u},mixin(a){return i.mixins.includes(a)||i.mixins.push(a),u},component(a,h){return h?(i.components[a]=h,u):i.components[a]},directive(a,h){return h?(i.directives[a]=h,u):i.directives[a]},mount(a,h,m){if(!l){const C=u._ceVNode||ce(s,o);return C.appContext=i,m===!0?m="svg":m===!1&&(m=void 0),e(C,a,m),l=!0,u._container=a,a.__vue_app__=u,es(C.component)}},onUnmount(a){c.push(a)},unmount(){l&&(De(c,u._instance,16),e(null,u._container),delete u._container.__vue_app__)},provide(a,h){return i.provides[a]=h,u},runWithContext(a){const h=St;St=u;try{return a()}finally{St=h}}};return u}}let St=null;const ec=(e,t)=>t==="modelValue"||t==="model-value"?e.modelModifiers:e[`${t}Modifiers`]||e[`${at(t)}Modifiers`]||e[`${Pt(t)}Modifiers`];function tc(e,t,...n){if(e.isUnmounted)return;const s=e.vnode.props||ne;let o=n;const i=t.startsWith("update:"),r=i&&ec(s,t.slice(7));r&&(r.trim&&(o=n.map(a=>fe(a)?a.trim():a)),r.number&&(o=n.map(Bn)));let c,l=s[c=os(t)]||s[c=os(at(t))];!l&&i&&(l=s[c=os(Pt(t))]),l&&De(l,e,6,o);const u=s[c+"Once"];if(u){if(!e.emitted)e.emitted={};else if(e.emitted[c])return;e.emitted[c]=!0,De(u,e,6,o)}}const nc=new WeakMap;function Qi(e,t,n=!1){const s=n?nc:t.emitsCache,o=s.get(e);if(o!==void 0)return o;const i=e.emits;let r={},c=!1;if(!V(e)){const l=u=>{const a=Qi(u,t,!0);a&&(c=!0,pe(r,a))};!n&&t.mixins.length&&t.mixins.forEach(l),e.extends&&l(e.extends),e.mixins&&e.mixins.forEach(l)}return!i&&!c?(X(e)&&s.set(e,null),null):(F(i)?i.forEach(l=>r[l]=null):pe(r,i),X(e)&&s.set(e,r),r)}function Zn(e,t){return!e||!$n(t)?!1:(t=t.slice(2).replace(/Once$/,""),z(e,t[0].toLowerCase()+t.slice(1))||z(e,Pt(t))||z(e,t))}function yo(e){const{type:t,vnode:n,proxy:s,withProxy:o,propsOptions:[i],slots:r,attrs:c,emit:l,render:u,renderCache:a,props:h,data:m,setupState:C,ctx:M,inheritAttrs:I}=e,q=En(e);let K,N;try{if(n.shapeFlag&4){const O=o||s,B=O;K=ke(u.call(B,O,a,h,C,m,M)),N=c}else{const O=t;K=ke(O.length>1?O(h,{attrs:c,slots:r,emit:l}):O(h,null)),N=t.props?c:sc(c)}}catch(O){tn.length=0,Un(O,e,1),K=ce(ve)}let k=K;if(N&&I!==!1){const O=Object.keys(N),{shapeFlag:B}=k;O.length&&B&7&&(i&&O.some(js)&&(N=oc(N,i)),k=ut(k,N,!1,!0))}return n.dirs&&(k=ut(k,null,!1,!0),k.dirs=k.dirs?k.dirs.concat(n.dirs):n.dirs),n.transition&&xt(k,n.transition),K=k,En(q),K}const sc=e=>{let t;for(const n in e)(n==="class"||n==="style"||$n(n))&&((t||(t={}))[n]=e[n]);return t},oc=(e,t)=>{const n={};for(const s in e)(!js(s)||!(s.slice(9)in t))&&(n[s]=e[s]);return n};function ic(e,t,n){const{props:s,children:o,component:i}=e,{props:r,children:c,patchFlag:l}=t,u=i.emitsOptions;if(t.dirs||t.transition)return!0;if(n&&l>=0){if(l&1024)return!0;if(l&16)return s?bo(s,r,u):!!r;if(l&8){const a=t.dynamicProps;for(let h=0;h<a.length;h++){const m=a[h];if(Zi(r,s,m)&&!Zn(u,m))return!0}}}else return(o||c)&&(!c||!c.$stable)?!0:s===r?!1:s?r?bo(s,r,u):!0:!!r;return!1}function bo(e,t,n){const s=Object.keys(t);if(s.length!==Object.keys(e).length)return!0;for(let o=0;o<s.length;o++){const i=s[o];if(Zi(t,e,i)&&!Zn(n,i))return!0}return!1}function Zi(e,t,n){const s=e[n],o=t[n];return n==="style"&&X(s)&&X(o)?!fn(s,o):s!==o}function rc({vnode:e,parent:t},n){for(;t;){const s=t.subTree;if(s.suspense&&s.suspense.activeBranch===e&&(s.el=e.el),s===e)(e=t.vnode).el=n,t=t.parent;else break}}const zi={},Xi=()=>Object.create(zi),er=e=>Object.getPrototypeOf(e)===zi;function lc(e,t,n,s=!1){const o={},i=Xi();e.propsDefaults=Object.create(null),tr(e,t,o,i);for(const r in e.propsOptions[0])r in o||(o[r]=void 0);n?e.props=s?o:pl(o):e.type.props?e.props=o:e.props=i,e.attrs=i}function cc(e,t,n,s){const{props:o,attrs:i,vnode:{patchFlag:r}}=e,c=J(o),[l]=e.propsOptions;let u=!1;if((s||r>0)&&!(r&16)){if(r&8){const a=e.vnode.dynamicProps;for(let h=0;h<a.length;h++){let m=a[h];if(Zn(e.emitsOptions,m))continue;const C=t[m];if(l)if(z(i,m))C!==i[m]&&(i[m]=C,u=!0);else{const M=at(m);o[M]=Ts(l,c,M,C,e,!1)}else C!==i[m]&&(i[m]=C,u=!0)}}}else{tr(e,t,o,i)&&(u=!0);let a;for(const h in c)(!t||!z(t,h)&&((a=Pt(h))===h||!z(t,a)))&&(l?n&&(n[h]!==void 0||n[a]!==void 0)&&(o[h]=Ts(l,c,h,void 0,e,!0)):delete o[h]);if(i!==c)for(const h in i)(!t||!z(t,h))&&(delete i[h],u=!0)}u&&Je(e.attrs,"set","")}function tr(e,t,n,s){const[o,i]=e.propsOptions;let r=!1,c;if(t)for(let l in t){if(Jt(l))continue;const u=t[l];let a;o&&z(o,a=at(l))?!i||!i.includes(a)?n[a]=u:(c||(c={}))[a]=u:Zn(e.emitsOptions,l)||(!(l in s)||u!==s[l])&&(s[l]=u,r=!0)}if(i){const l=J(n),u=c||ne;for(let a=0;a<i.length;a++){const h=i[a];n[h]=Ts(o,l,h,u[h],e,!z(u,h))}}return r}function Ts(e,t,n,s,o,i){const r=e[n];if(r!=null){const c=z(r,"default");if(c&&s===void 0){const l=r.default;if(r.type!==Function&&!r.skipFactory&&V(l)){const{propsDefaults:u}=o;if(n in u)s=u[n];else{const a=hn(o);s=u[n]=l.call(null,t),a()}}else s=l;o.ce&&o.ce._setProp(n,s)}r[0]&&(i&&!c?s=!1:r[1]&&(s===""||s===Pt(n))&&(s=!0))}return s}const ac=new WeakMap;function nr(e,t,n=!1){const s=n?ac:t.propsCache,o=s.get(e);if(o)return o;const i=e.props,r={},c=[];let l=!1;if(!V(e)){const a=h=>{l=!0;const[m,C]=nr(h,t,!0);pe(r,m),C&&c.push(...C)};!n&&t.mixins.length&&t.mixins.forEach(a),e.extends&&a(e.extends),e.mixins&&e.mixins.forEach(a)}if(!i&&!l)return X(e)&&s.set(e,It),It;if(F(i))for(let a=0;a<i.length;a++){const h=at(i[a]);_o(h)&&(r[h]=ne)}else if(i)for(const a in i){const h=at(a);if(_o(h)){const m=i[a],C=r[h]=F(m)||V(m)?{type:m}:pe({},m),M=C.type;let I=!1,q=!0;if(F(M))for(let K=0;K<M.length;++K){const N=M[K],k=V(N)&&N.name;if(k==="Boolean"){I=!0;break}else k==="String"&&(q=!1)}else I=V(M)&&M.name==="Boolean";C[0]=I,C[1]=q,(I||z(C,"default"))&&c.push(h)}}const u=[r,c];return X(e)&&s.set(e,u),u}function _o(e){return e[0]!=="$"&&!Jt(e)}const Ys=e=>e==="_"||e==="_ctx"||e==="$stable",Qs=e=>F(e)?e.map(ke):[ke(e)],uc=(e,t,n)=>{if(t._n)return t;const s=Gn((...o)=>Qs(t(...o)),n);return s._c=!1,s},sr=(e,t,n)=>{const s=e._ctx;for(const o in e){if(Ys(o))continue;const i=e[o];if(V(i))t[o]=uc(o,i,s);else if(i!=null){const r=Qs(i);t[o]=()=>r}}},or=(e,t)=>{const n=Qs(t);e.slots.default=()=>n},ir=(e,t,n)=>{for(const s in t)(n||!Ys(s))&&(e[s]=t[s])},fc=(e,t,n)=>{const s=e.slots=Xi();if(e.vnode.shapeFlag&32){const o=t._;o?(ir(s,t,n),n&&li(s,"_",o,!0)):sr(t,s)}else t&&or(e,t)},dc=(e,t,n)=>{const{vnode:s,slots:o}=e;let i=!0,r=ne;if(s.shapeFlag&32){const c=t._;c?n&&c===1?i=!1:ir(o,t,n):(i=!t.$stable,sr(t,o)),r=t}else t&&(or(e,t),r={default:1});if(i)for(const c in o)!Ys(c)&&r[c]==null&&delete o[c]},xe=yc;function hc(e){return pc(e)}function pc(e,t){const n=Hn();n.__VUE__=!0;const{insert:s,remove:o,patchProp:i,createElement:r,createText:c,createComment:l,setText:u,setElementText:a,parentNode:h,nextSibling:m,setScopeId:C=Ke,insertStaticContent:M}=e,I=(f,d,p,v=null,y=null,b=null,E=void 0,T=null,P=!!d.dynamicChildren)=>{if(f===d)return;f&&!bt(f,d)&&(v=gn(f),Fe(f,y,b,!0),f=null),d.patchFlag===-2&&(P=!1,d.dynamicChildren=null);const{type:_,ref:R,shapeFlag:L}=d;switch(_){case zn:q(f,d,p,v);break;case ve:K(f,d,p,v);break;case Sn:f==null&&N(d,p,v,E);break;case he:x(f,d,p,v,y,b,E,T,P);break;default:L&1?B(f,d,p,v,y,b,E,T,P):L&6?H(f,d,p,v,y,b,E,T,P):(L&64||L&128)&&_.process(f,d,p,v,y,b,E,T,P,Bt)}R!=null&&y?zt(R,f&&f.ref,b,d||f,!d):R==null&&f&&f.ref!=null&&zt(f.ref,null,b,f,!0)},q=(f,d,p,v)=>{if(f==null)s(d.el=c(d.children),p,v);else{const y=d.el=f.el;d.children!==f.children&&u(y,d.children)}},K=(f,d,p,v)=>{f==null?s(d.el=l(d.children||""),p,v):d.el=f.el},N=(f,d,p,v)=>{[f.el,f.anchor]=M(f.children,d,p,v,f.el,f.anchor)},k=({el:f,anchor:d},p,v)=>{let y;for(;f&&f!==d;)y=m(f),s(f,p,v),f=y;s(d,p,v)},O=({el:f,anchor:d})=>{let p;for(;f&&f!==d;)p=m(f),o(f),f=p;o(d)},B=(f,d,p,v,y,b,E,T,P)=>{if(d.type==="svg"?E="svg":d.type==="math"&&(E="mathml"),f==null)ue(d,p,v,y,b,E,T,P);else{const _=f.el&&f.el._isVueCE?f.el:null;try{_&&_._beginPatch(),g(f,d,y,b,E,T,P)}finally{_&&_._endPatch()}}},ue=(f,d,p,v,y,b,E,T)=>{let P,_;const{props:R,shapeFlag:L,transition:D,dirs:$}=f;if(P=f.el=r(f.type,b,R&&R.is,R),L&8?a(P,f.children):L&16&&j(f.children,P,null,v,y,fs(f,b),E,T),$&&pt(f,null,v,"created"),le(P,f,f.scopeId,E,v),R){for(const oe in R)oe!=="value"&&!Jt(oe)&&i(P,oe,null,R[oe],b,v);"value"in R&&i(P,"value",null,R.value,b),(_=R.onVnodeBeforeMount)&&je(_,v,f)}$&&pt(f,null,v,"beforeMount");const G=gc(y,D);G&&D.beforeEnter(P),s(P,d,p),((_=R&&R.onVnodeMounted)||G||$)&&xe(()=>{_&&je(_,v,f),G&&D.enter(P),$&&pt(f,null,v,"mounted")},y)},le=(f,d,p,v,y)=>{if(p&&C(f,p),v)for(let b=0;b<v.length;b++)C(f,v[b]);if(y){let b=y.subTree;if(d===b||ar(b.type)&&(b.ssContent===d||b.ssFallback===d)){const E=y.vnode;le(f,E,E.scopeId,E.slotScopeIds,y.parent)}}},j=(f,d,p,v,y,b,E,T,P=0)=>{for(let _=P;_<f.length;_++){const R=f[_]=T?Ge(f[_]):ke(f[_]);I(null,R,d,p,v,y,b,E,T)}},g=(f,d,p,v,y,b,E)=>{const T=d.el=f.el;let{patchFlag:P,dynamicChildren:_,dirs:R}=d;P|=f.patchFlag&16;const L=f.props||ne,D=d.props||ne;let $;if(p&&gt(p,!1),($=D.onVnodeBeforeUpdate)&&je($,p,d,f),R&&pt(d,f,p,"beforeUpdate"),p&&gt(p,!0),(L.innerHTML&&D.innerHTML==null||L.textContent&&D.textContent==null)&&a(T,""),_?w(f.dynamicChildren,_,T,p,v,fs(d,y),b):E||se(f,d,T,null,p,v,fs(d,y),b,!1),P>0){if(P&16)A(T,L,D,p,y);else if(P&2&&L.class!==D.class&&i(T,"class",null,D.class,y),P&4&&i(T,"style",L.style,D.style,y),P&8){const G=d.dynamicProps;for(let oe=0;oe<G.length;oe++){const te=G[oe],Ce=L[te],we=D[te];(we!==Ce||te==="value")&&i(T,te,Ce,we,y,p)}}P&1&&f.children!==d.children&&a(T,d.children)}else!E&&_==null&&A(T,L,D,p,y);(($=D.onVnodeUpdated)||R)&&xe(()=>{$&&je($,p,d,f),R&&pt(d,f,p,"updated")},v)},w=(f,d,p,v,y,b,E)=>{for(let T=0;T<d.length;T++){const P=f[T],_=d[T],R=P.el&&(P.type===he||!bt(P,_)||P.shapeFlag&198)?h(P.el):p;I(P,_,R,null,v,y,b,E,!0)}},A=(f,d,p,v,y)=>{if(d!==p){if(d!==ne)for(const b in d)!Jt(b)&&!(b in p)&&i(f,b,d[b],null,y,v);for(const b in p){if(Jt(b))continue;const E=p[b],T=d[b];E!==T&&b!=="value"&&i(f,b,T,E,y,v)}"value"in p&&i(f,"value",d.value,p.value,y)}},x=(f,d,p,v,y,b,E,T,P)=>{const _=d.el=f?f.el:c(""),R=d.anchor=f?f.anchor:c("");let{patchFlag:L,dynamicChildren:D,slotScopeIds:$}=d;$&&(T=T?T.concat($):$),f==null?(s(_,p,v),s(R,p,v),j(d.children||[],p,R,y,b,E,T,P)):L>0&&L&64&&D&&f.dynamicChildren&&f.dynamicChildren.length===D.length?(w(f.dynamicChildren,D,p,y,b,E,T),(d.key!=null||y&&d===y.subTree)&&rr(f,d,!0)):se(f,d,p,R,y,b,E,T,P)},H=(f,d,p,v,y,b,E,T,P)=>{d.slotScopeIds=T,f==null?d.shapeFlag&512?y.ctx.activate(d,p,v,E,P):ee(d,p,v,y,b,E,P):Ae(f,d,P)},ee=(f,d,p,v,y,b,E)=>{const T=f.component=Tc(f,v,y);if(Jn(f)&&(T.ctx.renderer=Bt),Ec(T,!1,E),T.asyncDep){if(y&&y.registerDep(T,re,E),!f.el){const P=T.subTree=ce(ve);K(null,P,d,p),f.placeholder=P.el}}else re(T,f,d,p,y,b,E)},Ae=(f,d,p)=>{const v=d.component=f.component;if(ic(f,d,p))if(v.asyncDep&&!v.asyncResolved){W(v,d,p);return}else v.next=d,v.update();else d.el=f.el,v.vnode=d},re=(f,d,p,v,y,b,E)=>{const T=()=>{if(f.isMounted){let{next:L,bu:D,u:$,parent:G,vnode:oe}=f;{const $e=lr(f);if($e){L&&(L.el=oe.el,W(f,L,E)),$e.asyncDep.then(()=>{xe(()=>{f.isUnmounted||_()},y)});return}}let te=L,Ce;gt(f,!1),L?(L.el=oe.el,W(f,L,E)):L=oe,D&&_n(D),(Ce=L.props&&L.props.onVnodeBeforeUpdate)&&je(Ce,G,L,oe),gt(f,!0);const we=yo(f),Re=f.subTree;f.subTree=we,I(Re,we,h(Re.el),gn(Re),f,y,b),L.el=we.el,te===null&&rc(f,we.el),$&&xe($,y),(Ce=L.props&&L.props.onVnodeUpdated)&&xe(()=>je(Ce,G,L,oe),y)}else{let L;const{el:D,props:$}=d,{bm:G,m:oe,parent:te,root:Ce,type:we}=f,Re=Xt(d);gt(f,!1),G&&_n(G),!Re&&(L=$&&$.onVnodeBeforeMount)&&je(L,te,d),gt(f,!0);{Ce.ce&&Ce.ce._hasShadowRoot()&&Ce.ce._injectChildStyle(we);const $e=f.subTree=yo(f);I(null,$e,p,v,f,y,b),d.el=$e.el}if(oe&&xe(oe,y),!Re&&(L=$&&$.onVnodeMounted)){const $e=d;xe(()=>je(L,te,$e),y)}(d.shapeFlag&256||te&&Xt(te.vnode)&&te.vnode.shapeFlag&256)&&f.a&&xe(f.a,y),f.isMounted=!0,d=p=v=null}};f.scope.on();const P=f.effect=new pi(T);f.scope.off();const _=f.update=P.run.bind(P),R=f.job=P.runIfDirty.bind(P);R.i=f,R.id=f.uid,P.scheduler=()=>Gs(R),gt(f,!0),_()},W=(f,d,p)=>{d.component=f;const v=f.vnode.props;f.vnode=d,f.next=null,cc(f,d.props,v,p),dc(f,d.children,p),ze(),co(f),Xe()},se=(f,d,p,v,y,b,E,T,P=!1)=>{const _=f&&f.children,R=f?f.shapeFlag:0,L=d.children,{patchFlag:D,shapeFlag:$}=d;if(D>0){if(D&128){pn(_,L,p,v,y,b,E,T,P);return}else if(D&256){dt(_,L,p,v,y,b,E,T,P);return}}$&8?(R&16&&Vt(_,y,b),L!==_&&a(p,L)):R&16?$&16?pn(_,L,p,v,y,b,E,T,P):Vt(_,y,b,!0):(R&8&&a(p,""),$&16&&j(L,p,v,y,b,E,T,P))},dt=(f,d,p,v,y,b,E,T,P)=>{f=f||It,d=d||It;const _=f.length,R=d.length,L=Math.min(_,R);let D;for(D=0;D<L;D++){const $=d[D]=P?Ge(d[D]):ke(d[D]);I(f[D],$,p,null,y,b,E,T,P)}_>R?Vt(f,y,b,!0,!1,L):j(d,p,v,y,b,E,T,P,L)},pn=(f,d,p,v,y,b,E,T,P)=>{let _=0;const R=d.length;let L=f.length-1,D=R-1;for(;_<=L&&_<=D;){const $=f[_],G=d[_]=P?Ge(d[_]):ke(d[_]);if(bt($,G))I($,G,p,null,y,b,E,T,P);else break;_++}for(;_<=L&&_<=D;){const $=f[L],G=d[D]=P?Ge(d[D]):ke(d[D]);if(bt($,G))I($,G,p,null,y,b,E,T,P);else break;L--,D--}if(_>L){if(_<=D){const $=D+1,G=$<R?d[$].el:v;for(;_<=D;)I(null,d[_]=P?Ge(d[_]):ke(d[_]),p,G,y,b,E,T,P),_++}}else if(_>D)for(;_<=L;)Fe(f[_],y,b,!0),_++;else{const $=_,G=_,oe=new Map;for(_=G;_<=D;_++){const Pe=d[_]=P?Ge(d[_]):ke(d[_]);Pe.key!=null&&oe.set(Pe.key,_)}let te,Ce=0;const we=D-G+1;let Re=!1,$e=0;const Ht=new Array(we);for(_=0;_<we;_++)Ht[_]=0;for(_=$;_<=L;_++){const Pe=f[_];if(Ce>=we){Fe(Pe,y,b,!0);continue}let Ne;if(Pe.key!=null)Ne=oe.get(Pe.key);else for(te=G;te<=D;te++)if(Ht[te-G]===0&&bt(Pe,d[te])){Ne=te;break}Ne===void 0?Fe(Pe,y,b,!0):(Ht[Ne-G]=_+1,Ne>=$e?$e=Ne:Re=!0,I(Pe,d[Ne],p,null,y,b,E,T,P),Ce++)}const to=Re?mc(Ht):It;for(te=to.length-1,_=we-1;_>=0;_--){const Pe=G+_,Ne=d[Pe],no=d[Pe+1],so=Pe+1<R?no.el||cr(no):v;Ht[_]===0?I(null,Ne,p,so,y,b,E,T,P):Re&&(te<0||_!==to[te]?ht(Ne,p,so,2):te--)}}},ht=(f,d,p,v,y=null)=>{const{el:b,type:E,transition:T,children:P,shapeFlag:_}=f;if(_&6){ht(f.component.subTree,d,p,v);return}if(_&128){f.suspense.move(d,p,v);return}if(_&64){E.move(f,d,p,Bt);return}if(E===he){s(b,d,p);for(let L=0;L<P.length;L++)ht(P[L],d,p,v);s(f.anchor,d,p);return}if(E===Sn){k(f,d,p);return}if(v!==2&&_&1&&T)if(v===0)T.beforeEnter(b),s(b,d,p),xe(()=>T.enter(b),y);else{const{leave:L,delayLeave:D,afterLeave:$}=T,G=()=>{f.ctx.isUnmounted?o(b):s(b,d,p)},oe=()=>{b._isLeaving&&b[He](!0),L(b,()=>{G(),$&&$()})};D?D(b,G,oe):oe()}else s(b,d,p)},Fe=(f,d,p,v=!1,y=!1)=>{const{type:b,props:E,ref:T,children:P,dynamicChildren:_,shapeFlag:R,patchFlag:L,dirs:D,cacheIndex:$}=f;if(L===-2&&(y=!1),T!=null&&(ze(),zt(T,null,p,f,!0),Xe()),$!=null&&(d.renderCache[$]=void 0),R&256){d.ctx.deactivate(f);return}const G=R&1&&D,oe=!Xt(f);let te;if(oe&&(te=E&&E.onVnodeBeforeUnmount)&&je(te,d,f),R&6)Fr(f.component,p,v);else{if(R&128){f.suspense.unmount(p,v);return}G&&pt(f,null,d,"beforeUnmount"),R&64?f.type.remove(f,d,p,Bt,v):_&&!_.hasOnce&&(b!==he||L>0&&L&64)?Vt(_,d,p,!1,!0):(b===he&&L&384||!y&&R&16)&&Vt(P,d,p),v&&Xs(f)}(oe&&(te=E&&E.onVnodeUnmounted)||G)&&xe(()=>{te&&je(te,d,f),G&&pt(f,null,d,"unmounted")},p)},Xs=f=>{const{type:d,el:p,anchor:v,transition:y}=f;if(d===he){Dr(p,v);return}if(d===Sn){O(f);return}const b=()=>{o(p),y&&!y.persisted&&y.afterLeave&&y.afterLeave()};if(f.shapeFlag&1&&y&&!y.persisted){const{leave:E,delayLeave:T}=y,P=()=>E(p,b);T?T(f.el,b,P):P()}else b()},Dr=(f,d)=>{let p;for(;f!==d;)p=m(f),o(f),f=p;o(d)},Fr=(f,d,p)=>{const{bum:v,scope:y,job:b,subTree:E,um:T,m:P,a:_}=f;vo(P),vo(_),v&&_n(v),y.stop(),b&&(b.flags|=8,Fe(E,f,d,p)),T&&xe(T,d),xe(()=>{f.isUnmounted=!0},d)},Vt=(f,d,p,v=!1,y=!1,b=0)=>{for(let E=b;E<f.length;E++)Fe(f[E],d,p,v,y)},gn=f=>{if(f.shapeFlag&6)return gn(f.component.subTree);if(f.shapeFlag&128)return f.suspense.next();const d=m(f.anchor||f.el),p=d&&d[Dl];return p?m(p):d};let ss=!1;const eo=(f,d,p)=>{let v;f==null?d._vnode&&(Fe(d._vnode,null,null,!0),v=d._vnode.component):I(d._vnode||null,f,d,null,null,null,p),d._vnode=f,ss||(ss=!0,co(v),Mi(),ss=!1)},Bt={p:I,um:Fe,m:ht,r:Xs,mt:ee,mc:j,pc:se,pbc:w,n:gn,o:e};return{render:eo,hydrate:void 0,createApp:Xl(eo)}}function fs({type:e,props:t},n){return n==="svg"&&e==="foreignObject"||n==="mathml"&&e==="annotation-xml"&&t&&t.encoding&&t.encoding.includes("html")?void 0:n}function gt({effect:e,job:t},n){n?(e.flags|=32,t.flags|=4):(e.flags&=-33,t.flags&=-5)}function gc(e,t){return(!e||e&&!e.pendingBranch)&&t&&!t.persisted}function rr(e,t,n=!1){const s=e.children,o=t.children;if(F(s)&&F(o))for(let i=0;i<s.length;i++){const r=s[i];let c=o[i];c.shapeFlag&1&&!c.dynamicChildren&&((c.patchFlag<=0||c.patchFlag===32)&&(c=o[i]=Ge(o[i]),c.el=r.el),!n&&c.patchFlag!==-2&&rr(r,c)),c.type===zn&&(c.patchFlag===-1&&(c=o[i]=Ge(c)),c.el=r.el),c.type===ve&&!c.el&&(c.el=r.el)}}function mc(e){const t=e.slice(),n=[0];let s,o,i,r,c;const l=e.length;for(s=0;s<l;s++){const u=e[s];if(u!==0){if(o=n[n.length-1],e[o]<u){t[s]=o,n.push(s);continue}for(i=0,r=n.length-1;i<r;)c=i+r>>1,e[n[c]]<u?i=c+1:r=c;u<e[n[i]]&&(i>0&&(t[s]=n[i-1]),n[i]=s)}}for(i=n.length,r=n[i-1];i-- >0;)n[i]=r,r=t[r];return n}function lr(e){const t=e.subTree.component;if(t)return t.asyncDep&&!t.asyncResolved?t:lr(t)}function vo(e){if(e)for(let t=0;t<e.length;t++)e[t].flags|=8}function cr(e){if(e.placeholder)return e.placeholder;const t=e.component;return t?cr(t.subTree):null}const ar=e=>e.__isSuspense;function yc(e,t){t&&t.pendingBranch?F(e)?t.effects.push(...e):t.effects.push(e):El(e)}const he=Symbol.for("v-fgt"),zn=Symbol.for("v-txt"),ve=Symbol.for("v-cmt"),Sn=Symbol.for("v-stc"),tn=[];let Te=null;function Y(e=!1){tn.push(Te=e?null:[])}function bc(){tn.pop(),Te=tn[tn.length-1]||null}let cn=1;function In(e,t=!1){cn+=e,e<0&&Te&&t&&(Te.hasOnce=!0)}function ur(e){return e.dynamicChildren=cn>0?Te||It:null,bc(),cn>0&&Te&&Te.push(e),e}function Z(e,t,n,s,o,i){return ur(S(e,t,n,s,o,i,!0))}function Zs(e,t,n,s,o){return ur(ce(e,t,n,s,o,!0))}function Mn(e){return e?e.__v_isVNode===!0:!1}function bt(e,t){return e.type===t.type&&e.key===t.key}const fr=({key:e})=>e??null,Cn=({ref:e,ref_key:t,ref_for:n})=>(typeof e=="number"&&(e=""+e),e!=null?fe(e)||ae(e)||V(e)?{i:Ie,r:e,k:t,f:!!n}:e:null);function S(e,t=null,n=null,s=0,o=null,i=e===he?0:1,r=!1,c=!1){const l={__v_isVNode:!0,__v_skip:!0,type:e,props:t,key:t&&fr(t),ref:t&&Cn(t),scopeId:Di,slotScopeIds:null,children:n,component:null,suspense:null,ssContent:null,ssFallback:null,dirs:null,transition:null,el:null,anchor:null,target:null,targetStart:null,targetAnchor:null,staticCount:0,shapeFlag:i,patchFlag:s,dynamicProps:o,dynamicChildren:null,appContext:null,ctx:Ie};return c?(zs(l,n),i&128&&e.normalize(l)):n&&(l.shapeFlag|=fe(n)?8:16),cn>0&&!r&&Te&&(l.patchFlag>0||i&6)&&l.patchFlag!==32&&Te.push(l),l}const ce=_c;function _c(e,t=null,n=null,s=0,o=null,i=!1){if((!e||e===Ul)&&(e=ve),Mn(e)){const c=ut(e,t,!0);return n&&zs(c,n),cn>0&&!i&&Te&&(c.shapeFlag&6?Te[Te.indexOf(e)]=c:Te.push(c)),c.patchFlag=-2,c}if(Mc(e)&&(e=e.__vccOpts),t){t=vc(t);let{class:c,style:l}=t;c&&!fe(c)&&(t.class=wt(c)),X(l)&&(Wn(l)&&!F(l)&&(l=pe({},l)),t.style=jt(l))}const r=fe(e)?1:ar(e)?128:$i(e)?64:X(e)?4:V(e)?2:0;return S(e,t,n,s,o,r,i,!0)}function vc(e){return e?Wn(e)||er(e)?pe({},e):e:null}function ut(e,t,n=!1,s=!1){const{props:o,ref:i,patchFlag:r,children:c,transition:l}=e,u=t?wc(o||{},t):o,a={__v_isVNode:!0,__v_skip:!0,type:e.type,props:u,key:u&&fr(u),ref:t&&t.ref?n&&i?F(i)?i.concat(Cn(t)):[i,Cn(t)]:Cn(t):i,scopeId:e.scopeId,slotScopeIds:e.slotScopeIds,children:c,target:e.target,targetStart:e.targetStart,targetAnchor:e.targetAnchor,staticCount:e.staticCount,shapeFlag:e.shapeFlag,patchFlag:t&&e.type!==he?r===-1?16:r|16:r,dynamicProps:e.dynamicProps,dynamicChildren:e.dynamicChildren,appContext:e.appContext,dirs:e.dirs,transition:l,component:e.component,suspense:e.suspense,ssContent:e.ssContent&&ut(e.ssContent),ssFallback:e.ssFallback&&ut(e.ssFallback),placeholder:e.placeholder,el:e.el,anchor:e.anchor,ctx:e.ctx,ce:e.ce};return l&&s&&xt(a,l.clone(a)),a}function Sc(e=" ",t=0){return ce(zn,null,e,t)}function Cc(e,t){const n=ce(Sn,null,e);return n.staticCount=t,n}function Qe(e="",t=!1){return t?(Y(),Zs(ve,null,e)):ce(ve,null,e)}function ke(e){return e==null||typeof e=="boolean"?ce(ve):F(e)?ce(he,null,e.slice()):Mn(e)?Ge(e):ce(zn,null,String(e))}function Ge(e){return e.el===null&&e.patchFlag!==-1||e.memo?e:ut(e)}function zs(e,t){let n=0;const{shapeFlag:s}=e;if(t==null)t=null;else if(F(t))n=16;else if(typeof t=="object")if(s&65){const o=t.default;o&&(o._c&&(o._d=!1),zs(e,o()),o._c&&(o._d=!0));return}else{n=32;const o=t._;!o&&!er(t)?t._ctx=Ie:o===3&&Ie&&(Ie.slots._===1?t._=1:(t._=2,e.patchFlag|=1024))}else V(t)?(t={default:t,_ctx:Ie},n=32):(t=String(t),s&64?(n=16,t=[Sc(t)]):n=8);e.children=t,e.shapeFlag|=n}function wc(...e){const t={};for(let n=0;n<e.length;n++){const s=e[n];for(const o in s)if(o==="class")t.class!==s.class&&(t.class=wt([t.class,s.class]));else if(o==="style")t.style=jt([t.style,s.style]);else if($n(o)){const i=t[o],r=s[o];r&&i!==r&&!(F(i)&&i.includes(r))&&(t[o]=i?[].concat(i,r):r)}else o!==""&&(t[o]=s[o])}return t}function je(e,t,n,s=null){De(e,t,7,[n,s])}const xc=Yi();let Pc=0;function Tc(e,t,n){const s=e.type,o=(t?t.appContext:e.appContext)||xc,i={uid:Pc++,vnode:e,type:s,parent:t,appContext:o,root:null,next:null,subTree:null,effect:null,update:null,job:null,scope:new fi(!0),render:null,proxy:null,exposed:null,exposeProxy:null,withProxy:null,provides:t?t.provides:Object.create(o.provides),ids:t?t.ids:["",0,0],accessCache:null,renderCache:[],components:null,directives:null,propsOptions:nr(s,o),emitsOptions:Qi(s,o),emit:null,emitted:null,propsDefaults:ne,inheritAttrs:s.inheritAttrs,ctx:ne,data:ne,props:ne,attrs:ne,slots:ne,refs:ne,setupState:ne,setupContext:null,suspense:n,suspenseId:n?n.pendingId:0,asyncDep:null,asyncResolved:!1,isMounted:!1,isUnmounted:!1,isDeactivated:!1,bc:null,c:null,bm:null,m:null,bu:null,u:null,um:null,bum:null,da:null,a:null,rtg:null,rtc:null,ec:null,sp:null};return i.ctx={_:i},i.root=t?t.root:i,i.emit=tc.bind(null,i),e.ce&&e.ce(i),i}let Se=null;const Xn=()=>Se||Ie;let On,Es;{const e=Hn(),t=(n,s)=>{let o;return(o=e[n])||(o=e[n]=[]),o.push(s),i=>{o.length>1?o.forEach(r=>r(i)):o[0](i)}};On=t("__VUE_INSTANCE_SETTERS__",n=>Se=n),Es=t("__VUE_SSR_SETTERS__",n=>an=n)}const hn=e=>{const t=Se;return On(e),e.scope.on(),()=>{e.scope.off(),On(t)}},So=()=>{Se&&Se.scope.off(),On(null)};function dr(e){return e.vnode.shapeFlag&4}let an=!1;function Ec(e,t=!1,n=!1){t&&Es(t);const{props:s,children:o}=e.vnode,i=dr(e);lc(e,s,i,t),fc(e,o,n||t);const r=i?Ac(e,t):void 0;return t&&Es(!1),r}function Ac(e,t){const n=e.type;e.accessCache=Object.create(null),e.proxy=new Proxy(e.ctx,ql);const{setup:s}=n;if(s){ze();const o=e.setupContext=s.length>1?Ic(e):null,i=hn(e),r=dn(s,e,0,[e.props,o]),c=si(r);if(Xe(),i(),(c||e.sp)&&!Xt(e)&&ki(e),c){if(r.then(So,So),t)return r.then(l=>{Co(e,l)}).catch(l=>{Un(l,e,0)});e.asyncDep=r}else Co(e,r)}else hr(e)}function Co(e,t,n){V(t)?e.type.__ssrInlineRender?e.ssrRender=t:e.render=t:X(t)&&(e.setupState=Ai(t)),hr(e)}function hr(e,t,n){const s=e.type;e.render||(e.render=s.render||Ke);{const o=hn(e);ze();try{Gl(e)}finally{Xe(),o()}}}const Lc={get(e,t){return ye(e,"get",""),e[t]}};function Ic(e){const t=n=>{e.exposed=n||{}};return{attrs:new Proxy(e.attrs,Lc),slots:e.slots,emit:e.emit,expose:t}}function es(e){return e.exposed?e.exposeProxy||(e.exposeProxy=new Proxy(Ai(qs(e.exposed)),{get(t,n){if(n in t)return t[n];if(n in en)return en[n](e)},has(t,n){return n in t||n in en}})):e.proxy}function Mc(e){return V(e)&&"__vccOpts"in e}const de=(e,t)=>Cl(e,t,an);function Oc(e,t,n){try{In(-1);const s=arguments.length;return s===2?X(t)&&!F(t)?Mn(t)?ce(e,null,[t]):ce(e,t):ce(e,null,t):(s>3?n=Array.prototype.slice.call(arguments,2):s===3&&Mn(n)&&(n=[n]),ce(e,t,n))}finally{In(1)}}const Dc="3.5.28";/**
-* @vue/runtime-dom v3.5.28
-* (c) 2018-present Yuxi (Evan) You and Vue contributors
-* @license MIT
-**/let As;const wo=typeof window<"u"&&window.trustedTypes;if(wo)try{As=wo.createPolicy("vue",{createHTML:e=>e})}catch{}const pr=As?e=>As.createHTML(e):e=>e,Fc="http://www.w3.org/2000/svg",Rc="http://www.w3.org/1998/Math/MathML",qe=typeof document<"u"?document:null,xo=qe&&qe.createElement("template"),$c={insert:(e,t,n)=>{t.insertBefore(e,n||null)},remove:e=>{const t=e.parentNode;t&&t.removeChild(e)},createElement:(e,t,n,s)=>{const o=t==="svg"?qe.createElementNS(Fc,e):t==="mathml"?qe.createElementNS(Rc,e):n?qe.createElement(e,{is:n}):qe.createElement(e);return e==="select"&&s&&s.multiple!=null&&o.setAttribute("multiple",s.multiple),o},createText:e=>qe.createTextNode(e),createComment:e=>qe.createComment(e),setText:(e,t)=>{e.nodeValue=t},setElementText:(e,t)=>{e.textContent=t},parentNode:e=>e.parentNode,nextSibling:e=>e.nextSibling,querySelector:e=>qe.querySelector(e),setScopeId(e,t){e.setAttribute(t,"")},insertStaticContent(e,t,n,s,o,i){const r=n?n.previousSibling:t.lastChild;if(o&&(o===i||o.nextSibling))for(;t.insertBefore(o.cloneNode(!0),n),!(o===i||!(o=o.nextSibling)););else{xo.innerHTML=pr(s==="svg"?`<svg>${e}</svg>`:s==="mathml"?`<math>${e}</math>`:e);const c=xo.content;if(s==="svg"||s==="mathml"){const l=c.firstChild;for(;l.firstChild;)c.appendChild(l.firstChild);c.removeChild(l)}t.insertBefore(c,n)}return[r?r.nextSibling:t.firstChild,n?n.previousSibling:t.lastChild]}},nt="transition",Wt="animation",Nt=Symbol("_vtc"),gr={name:String,type:String,css:{type:Boolean,default:!0},duration:[String,Number,Object],enterFromClass:String,enterActiveClass:String,enterToClass:String,appearFromClass:String,appearActiveClass:String,appearToClass:String,leaveFromClass:String,leaveActiveClass:String,leaveToClass:String},mr=pe({},ji,gr),Nc=e=>(e.displayName="Transition",e.props=mr,e),yr=Nc((e,{slots:t})=>Oc(Rl,br(e),t)),mt=(e,t=[])=>{F(e)?e.forEach(n=>n(...t)):e&&e(...t)},Po=e=>e?F(e)?e.some(t=>t.length>1):e.length>1:!1;function br(e){const t={};for(const x in e)x in gr||(t[x]=e[x]);if(e.css===!1)return t;const{name:n="v",type:s,duration:o,enterFromClass:i=`${n}-enter-from`,enterActiveClass:r=`${n}-enter-active`,enterToClass:c=`${n}-enter-to`,appearFromClass:l=i,appearActiveClass:u=r,appearToClass:a=c,leaveFromClass:h=`${n}-leave-from`,leaveActiveClass:m=`${n}-leave-active`,leaveToClass:C=`${n}-leave-to`}=e,M=jc(o),I=M&&M[0],q=M&&M[1],{onBeforeEnter:K,onEnter:N,onEnterCancelled:k,onLeave:O,onLeaveCancelled:B,onBeforeAppear:ue=K,onAppear:le=N,onAppearCancelled:j=k}=t,g=(x,H,ee,Ae)=>{x._enterCancelled=Ae,ot(x,H?a:c),ot(x,H?u:r),ee&&ee()},w=(x,H)=>{x._isLeaving=!1,ot(x,h),ot(x,C),ot(x,m),H&&H()},A=x=>(H,ee)=>{const Ae=x?le:N,re=()=>g(H,x,ee);mt(Ae,[H,re]),To(()=>{ot(H,x?l:i),Ve(H,x?a:c),Po(Ae)||Eo(H,s,I,re)})};return pe(t,{onBeforeEnter(x){mt(K,[x]),Ve(x,i),Ve(x,r)},onBeforeAppear(x){mt(ue,[x]),Ve(x,l),Ve(x,u)},onEnter:A(!1),onAppear:A(!0),onLeave(x,H){x._isLeaving=!0;const ee=()=>w(x,H);Ve(x,h),x._enterCancelled?(Ve(x,m),Ls(x)):(Ls(x),Ve(x,m)),To(()=>{x._isLeaving&&(ot(x,h),Ve(x,C),Po(O)||Eo(x,s,q,ee))}),mt(O,[x,ee])},onEnterCancelled(x){g(x,!1,void 0,!0),mt(k,[x])},onAppearCancelled(x){g(x,!0,void 0,!0),mt(j,[x])},onLeaveCancelled(x){w(x),mt(B,[x])}})}function jc(e){if(e==null)return null;if(X(e))return[ds(e.enter),ds(e.leave)];{const t=ds(e);return[t,t]}}function ds(e){return Vr(e)}function Ve(e,t){t.split(/\s+/).forEach(n=>n&&e.classList.add(n)),(e[Nt]||(e[Nt]=new Set)).add(t)}function ot(e,t){t.split(/\s+/).forEach(s=>s&&e.classList.remove(s));const n=e[Nt];n&&(n.delete(t),n.size||(e[Nt]=void 0))}function To(e){requestAnimationFrame(()=>{requestAnimationFrame(e)})}let Vc=0;function Eo(e,t,n,s){const o=e._endId=++Vc,i=()=>{o===e._endId&&s()};if(n!=null)return setTimeout(i,n);const{type:r,timeout:c,propCount:l}=_r(e,t);if(!r)return s();const u=r+"end";let a=0;const h=()=>{e.removeEventListener(u,m),i()},m=C=>{C.target===e&&++a>=l&&h()};setTimeout(()=>{a<l&&h()},c+1),e.addEventListener(u,m)}function _r(e,t){const n=window.getComputedStyle(e),s=M=>(n[M]||"").split(", "),o=s(`${nt}Delay`),i=s(`${nt}Duration`),r=Ao(o,i),c=s(`${Wt}Delay`),l=s(`${Wt}Duration`),u=Ao(c,l);let a=null,h=0,m=0;t===nt?r>0&&(a=nt,h=r,m=i.length):t===Wt?u>0&&(a=Wt,h=u,m=l.length):(h=Math.max(r,u),a=h>0?r>u?nt:Wt:null,m=a?a===nt?i.length:l.length:0);const C=a===nt&&/\b(?:transform|all)(?:,|$)/.test(s(`${nt}Property`).toString());return{type:a,timeout:h,propCount:m,hasTransform:C}}function Ao(e,t){for(;e.length<t.length;)e=e.concat(e);return Math.max(...t.map((n,s)=>Lo(n)+Lo(e[s])))}function Lo(e){return e==="auto"?0:Number(e.slice(0,-1).replace(",","."))*1e3}function Ls(e){return(e?e.ownerDocument:document).body.offsetHeight}function Bc(e,t,n){const s=e[Nt];s&&(t=(t?[t,...s]:[...s]).join(" ")),t==null?e.removeAttribute("class"):n?e.setAttribute("class",t):e.className=t}const Io=Symbol("_vod"),Hc=Symbol("_vsh"),kc=Symbol(""),Kc=/(?:^|;)\s*display\s*:/;function Wc(e,t,n){const s=e.style,o=fe(n);let i=!1;if(n&&!o){if(t)if(fe(t))for(const r of t.split(";")){const c=r.slice(0,r.indexOf(":")).trim();n[c]==null&&wn(s,c,"")}else for(const r in t)n[r]==null&&wn(s,r,"");for(const r in n)r==="display"&&(i=!0),wn(s,r,n[r])}else if(o){if(t!==n){const r=s[kc];r&&(n+=";"+r),s.cssText=n,i=Kc.test(n)}}else t&&e.removeAttribute("style");Io in e&&(e[Io]=i?s.display:"",e[Hc]&&(s.display="none"))}const Mo=/\s*!important$/;function wn(e,t,n){if(F(n))n.forEach(s=>wn(e,t,s));else if(n==null&&(n=""),t.startsWith("--"))e.setProperty(t,n);else{const s=Uc(e,t);Mo.test(n)?e.setProperty(Pt(s),n.replace(Mo,""),"important"):e[s]=n}}const Oo=["Webkit","Moz","ms"],hs={};function Uc(e,t){const n=hs[t];if(n)return n;let s=at(t);if(s!=="filter"&&s in e)return hs[t]=s;s=ri(s);for(let o=0;o<Oo.length;o++){const i=Oo[o]+s;if(i in e)return hs[t]=i}return t}const Do="http://www.w3.org/1999/xlink";function Fo(e,t,n,s,o,i=Ur(t)){s&&t.startsWith("xlink:")?n==null?e.removeAttributeNS(Do,t.slice(6,t.length)):e.setAttributeNS(Do,t,n):n==null||i&&!ci(n)?e.removeAttribute(t):e.setAttribute(t,i?"":We(n)?String(n):n)}function Ro(e,t,n,s,o){if(t==="innerHTML"||t==="textContent"){n!=null&&(e[t]=t==="innerHTML"?pr(n):n);return}const i=e.tagName;if(t==="value"&&i!=="PROGRESS"&&!i.includes("-")){const c=i==="OPTION"?e.getAttribute("value")||"":e.value,l=n==null?e.type==="checkbox"?"on":"":String(n);(c!==l||!("_value"in e))&&(e.value=l),n==null&&e.removeAttribute(t),e._value=n;return}let r=!1;if(n===""||n==null){const c=typeof e[t];c==="boolean"?n=ci(n):n==null&&c==="string"?(n="",r=!0):c==="number"&&(n=0,r=!0)}try{e[t]=n}catch{}r&&e.removeAttribute(o||t)}function _t(e,t,n,s){e.addEventListener(t,n,s)}function qc(e,t,n,s){e.removeEventListener(t,n,s)}const $o=Symbol("_vei");function Gc(e,t,n,s,o=null){const i=e[$o]||(e[$o]={}),r=i[t];if(s&&r)r.value=s;else{const[c,l]=Jc(t);if(s){const u=i[t]=Zc(s,o);_t(e,c,u,l)}else r&&(qc(e,c,r,l),i[t]=void 0)}}const No=/(?:Once|Passive|Capture)$/;function Jc(e){let t;if(No.test(e)){t={};let s;for(;s=e.match(No);)e=e.slice(0,e.length-s[0].length),t[s[0].toLowerCase()]=!0}return[e[2]===":"?e.slice(3):Pt(e.slice(2)),t]}let ps=0;const Yc=Promise.resolve(),Qc=()=>ps||(Yc.then(()=>ps=0),ps=Date.now());function Zc(e,t){const n=s=>{if(!s._vts)s._vts=Date.now();else if(s._vts<=n.attached)return;De(zc(s,n.value),t,5,[s])};return n.value=e,n.attached=Qc(),n}function zc(e,t){if(F(t)){const n=e.stopImmediatePropagation;return e.stopImmediatePropagation=()=>{n.call(e),e._stopped=!0},t.map(s=>o=>!o._stopped&&s&&s(o))}else return t}const jo=e=>e.charCodeAt(0)===111&&e.charCodeAt(1)===110&&e.charCodeAt(2)>96&&e.charCodeAt(2)<123,Xc=(e,t,n,s,o,i)=>{const r=o==="svg";t==="class"?Bc(e,s,r):t==="style"?Wc(e,n,s):$n(t)?js(t)||Gc(e,t,n,s,i):(t[0]==="."?(t=t.slice(1),!0):t[0]==="^"?(t=t.slice(1),!1):ea(e,t,s,r))?(Ro(e,t,s),!e.tagName.includes("-")&&(t==="value"||t==="checked"||t==="selected")&&Fo(e,t,s,r,i,t!=="value")):e._isVueCE&&(/[A-Z]/.test(t)||!fe(s))?Ro(e,at(t),s,i,t):(t==="true-value"?e._trueValue=s:t==="false-value"&&(e._falseValue=s),Fo(e,t,s,r))};function ea(e,t,n,s){if(s)return!!(t==="innerHTML"||t==="textContent"||t in e&&jo(t)&&V(n));if(t==="spellcheck"||t==="draggable"||t==="translate"||t==="autocorrect"||t==="sandbox"&&e.tagName==="IFRAME"||t==="form"||t==="list"&&e.tagName==="INPUT"||t==="type"&&e.tagName==="TEXTAREA")return!1;if(t==="width"||t==="height"){const o=e.tagName;if(o==="IMG"||o==="VIDEO"||o==="CANVAS"||o==="SOURCE")return!1}return jo(t)&&fe(n)?!1:t in e}const vr=new WeakMap,Sr=new WeakMap,Dn=Symbol("_moveCb"),Vo=Symbol("_enterCb"),ta=e=>(delete e.props.mode,e),na=ta({name:"TransitionGroup",props:pe({},mr,{tag:String,moveClass:String}),setup(e,{slots:t}){const n=Xn(),s=Ni();let o,i;return Wi(()=>{if(!o.length)return;const r=e.moveClass||`${e.name||"v"}-move`;if(!la(o[0].el,n.vnode.el,r)){o=[];return}o.forEach(oa),o.forEach(ia);const c=o.filter(ra);Ls(n.vnode.el),c.forEach(l=>{const u=l.el,a=u.style;Ve(u,r),a.transform=a.webkitTransform=a.transitionDuration="";const h=u[Dn]=m=>{m&&m.target!==u||(!m||m.propertyName.endsWith("transform"))&&(u.removeEventListener("transitionend",h),u[Dn]=null,ot(u,r))};u.addEventListener("transitionend",h)}),o=[]}),()=>{const r=J(e),c=br(r);let l=r.tag||he;if(o=[],i)for(let u=0;u<i.length;u++){const a=i[u];a.el&&a.el instanceof Element&&(o.push(a),xt(a,ln(a,c,s,n)),vr.set(a,Cr(a.el)))}i=t.default?Js(t.default()):[];for(let u=0;u<i.length;u++){const a=i[u];a.key!=null&&xt(a,ln(a,c,s,n))}return ce(l,null,i)}}}),sa=na;function oa(e){const t=e.el;t[Dn]&&t[Dn](),t[Vo]&&t[Vo]()}function ia(e){Sr.set(e,Cr(e.el))}function ra(e){const t=vr.get(e),n=Sr.get(e),s=t.left-n.left,o=t.top-n.top;if(s||o){const i=e.el,r=i.style,c=i.getBoundingClientRect();let l=1,u=1;return i.offsetWidth&&(l=c.width/i.offsetWidth),i.offsetHeight&&(u=c.height/i.offsetHeight),(!Number.isFinite(l)||l===0)&&(l=1),(!Number.isFinite(u)||u===0)&&(u=1),Math.abs(l-1)<.01&&(l=1),Math.abs(u-1)<.01&&(u=1),r.transform=r.webkitTransform=`translate(${s/l}px,${o/u}px)`,r.transitionDuration="0s",e}}function Cr(e){const t=e.getBoundingClientRect();return{left:t.left,top:t.top}}function la(e,t,n){const s=e.cloneNode(),o=e[Nt];o&&o.forEach(c=>{c.split(/\s+/).forEach(l=>l&&s.classList.remove(l))}),n.split(/\s+/).forEach(c=>c&&s.classList.add(c)),s.style.display="none";const i=t.nodeType===1?t:t.parentNode;i.appendChild(s);const{hasTransform:r}=_r(s);return i.removeChild(s),r}const Fn=e=>{const t=e.props["onUpdate:modelValue"]||!1;return F(t)?n=>_n(t,n):t};function ca(e){e.target.composing=!0}function Bo(e){const t=e.target;t.composing&&(t.composing=!1,t.dispatchEvent(new Event("input")))}const Ft=Symbol("_assign");function Ho(e,t,n){return t&&(e=e.trim()),n&&(e=Bn(e)),e}const wr={created(e,{modifiers:{lazy:t,trim:n,number:s}},o){e[Ft]=Fn(o);const i=s||o.props&&o.props.type==="number";_t(e,t?"change":"input",r=>{r.target.composing||e[Ft](Ho(e.value,n,i))}),(n||i)&&_t(e,"change",()=>{e.value=Ho(e.value,n,i)}),t||(_t(e,"compositionstart",ca),_t(e,"compositionend",Bo),_t(e,"change",Bo))},mounted(e,{value:t}){e.value=t??""},beforeUpdate(e,{value:t,oldValue:n,modifiers:{lazy:s,trim:o,number:i}},r){if(e[Ft]=Fn(r),e.composing)return;const c=(i||e.type==="number")&&!/^0\d/.test(e.value)?Bn(e.value):e.value,l=t??"";c!==l&&(document.activeElement===e&&e.type!=="range"&&(s&&t===n||o&&e.value.trim()===l)||(e.value=l))}},ko={deep:!0,created(e,{value:t,modifiers:{number:n}},s){const o=Nn(t);_t(e,"change",()=>{const i=Array.prototype.filter.call(e.options,r=>r.selected).map(r=>n?Bn(Rn(r)):Rn(r));e[Ft](e.multiple?o?new Set(i):i:i[0]),e._assigning=!0,qn(()=>{e._assigning=!1})}),e[Ft]=Fn(s)},mounted(e,{value:t}){Ko(e,t)},beforeUpdate(e,t,n){e[Ft]=Fn(n)},updated(e,{value:t}){e._assigning||Ko(e,t)}};function Ko(e,t){const n=e.multiple,s=F(t);if(!(n&&!s&&!Nn(t))){for(let o=0,i=e.options.length;o<i;o++){const r=e.options[o],c=Rn(r);if(n)if(s){const l=typeof c;l==="string"||l==="number"?r.selected=t.some(u=>String(u)===String(c)):r.selected=Gr(t,c)>-1}else r.selected=t.has(c);else if(fn(Rn(r),t)){e.selectedIndex!==o&&(e.selectedIndex=o);return}}!n&&e.selectedIndex!==-1&&(e.selectedIndex=-1)}}function Rn(e){return"_value"in e?e._value:e.value}const aa=["ctrl","shift","alt","meta"],ua={stop:e=>e.stopPropagation(),prevent:e=>e.preventDefault(),self:e=>e.target!==e.currentTarget,ctrl:e=>!e.ctrlKey,shift:e=>!e.shiftKey,alt:e=>!e.altKey,meta:e=>!e.metaKey,left:e=>"button"in e&&e.button!==0,middle:e=>"button"in e&&e.button!==1,right:e=>"button"in e&&e.button!==2,exact:(e,t)=>aa.some(n=>e[`${n}Key`]&&!t.includes(n))},xr=(e,t)=>{if(!e)return e;const n=e._withMods||(e._withMods={}),s=t.join(".");return n[s]||(n[s]=((o,...i)=>{for(let r=0;r<t.length;r++){const c=ua[t[r]];if(c&&c(o,t))return}return e(o,...i)}))},fa=pe({patchProp:Xc},$c);let Wo;function da(){return Wo||(Wo=hc(fa))}const ha=((...e)=>{const t=da().createApp(...e),{mount:n}=t;return t.mount=s=>{const o=ga(s);if(!o)return;const i=t._component;!V(i)&&!i.render&&!i.template&&(i.template=o.innerHTML),o.nodeType===1&&(o.textContent="");const r=n(o,!1,pa(o));return o instanceof Element&&(o.removeAttribute("v-cloak"),o.setAttribute("data-v-app","")),r},t});function pa(e){if(e instanceof SVGElement)return"svg";if(typeof MathMLElement=="function"&&e instanceof MathMLElement)return"mathml"}function ga(e){return fe(e)?document.querySelector(e):e}/*!
- * pinia v2.3.1
- * (c) 2025 Eduardo San Martin Morote
- * @license MIT
- */let Pr;const ts=e=>Pr=e,Tr=Symbol();function Is(e){return e&&typeof e=="object"&&Object.prototype.toString.call(e)==="[object Object]"&&typeof e.toJSON!="function"}var nn;(function(e){e.direct="direct",e.patchObject="patch object",e.patchFunction="patch function"})(nn||(nn={}));function ma(){const e=di(!0),t=e.run(()=>ge({}));let n=[],s=[];const o=qs({install(i){ts(o),o._a=i,i.provide(Tr,o),i.config.globalProperties.$pinia=o,s.forEach(r=>n.push(r)),s=[]},use(i){return this._a?n.push(i):s.push(i),this},_p:n,_a:null,_e:e,_s:new Map,state:t});return o}const Er=()=>{};function Uo(e,t,n,s=Er){e.push(t);const o=()=>{const i=e.indexOf(t);i>-1&&(e.splice(i,1),s())};return!n&&hi()&&Jr(o),o}function At(e,...t){e.slice().forEach(n=>{n(...t)})}const ya=e=>e(),qo=Symbol(),gs=Symbol();function Ms(e,t){e instanceof Map&&t instanceof Map?t.forEach((n,s)=>e.set(s,n)):e instanceof Set&&t instanceof Set&&t.forEach(e.add,e);for(const n in t){if(!t.hasOwnProperty(n))continue;const s=t[n],o=e[n];Is(o)&&Is(s)&&e.hasOwnProperty(n)&&!ae(s)&&!Ze(s)?e[n]=Ms(o,s):e[n]=s}return e}const ba=Symbol();function _a(e){return!Is(e)||!e.hasOwnProperty(ba)}const{assign:it}=Object;function va(e){return!!(ae(e)&&e.effect)}function Sa(e,t,n,s){const{state:o,actions:i,getters:r}=t,c=n.state.value[e];let l;function u(){c||(n.state.value[e]=o?o():{});const a=bl(n.state.value[e]);return it(a,i,Object.keys(r||{}).reduce((h,m)=>(h[m]=qs(de(()=>{ts(n);const C=n._s.get(e);return r[m].call(C,C)})),h),{}))}return l=Ar(e,u,t,n,s,!0),l}function Ar(e,t,n={},s,o,i){let r;const c=it({actions:{}},n),l={deep:!0};let u,a,h=[],m=[],C;const M=s.state.value[e];!i&&!M&&(s.state.value[e]={});let I;function q(j){let g;u=a=!1,typeof j=="function"?(j(s.state.value[e]),g={type:nn.patchFunction,storeId:e,events:C}):(Ms(s.state.value[e],j),g={type:nn.patchObject,payload:j,storeId:e,events:C});const w=I=Symbol();qn().then(()=>{I===w&&(u=!0)}),a=!0,At(h,g,s.state.value[e])}const K=i?function(){const{state:g}=n,w=g?g():{};this.$patch(A=>{it(A,w)})}:Er;function N(){r.stop(),h=[],m=[],s._s.delete(e)}const k=(j,g="")=>{if(qo in j)return j[gs]=g,j;const w=function(){ts(s);const A=Array.from(arguments),x=[],H=[];function ee(W){x.push(W)}function Ae(W){H.push(W)}At(m,{args:A,name:w[gs],store:B,after:ee,onError:Ae});let re;try{re=j.apply(this&&this.$id===e?this:B,A)}catch(W){throw At(H,W),W}return re instanceof Promise?re.then(W=>(At(x,W),W)).catch(W=>(At(H,W),Promise.reject(W))):(At(x,re),re)};return w[qo]=!0,w[gs]=g,w},O={_p:s,$id:e,$onAction:Uo.bind(null,m),$patch:q,$reset:K,$subscribe(j,g={}){const w=Uo(h,j,g.detached,()=>A()),A=r.run(()=>Dt(()=>s.state.value[e],x=>{(g.flush==="sync"?a:u)&&j({storeId:e,type:nn.direct,events:C},x)},it({},l,g)));return w},$dispose:N},B=Kn(O);s._s.set(e,B);const le=(s._a&&s._a.runWithContext||ya)(()=>s._e.run(()=>(r=di()).run(()=>t({action:k}))));for(const j in le){const g=le[j];if(ae(g)&&!va(g)||Ze(g))i||(M&&_a(g)&&(ae(g)?g.value=M[j]:Ms(g,M[j])),s.state.value[e][j]=g);else if(typeof g=="function"){const w=k(g,j);le[j]=w,c.actions[j]=g}}return it(B,le),it(J(B),le),Object.defineProperty(B,"$state",{get:()=>s.state.value[e],set:j=>{q(g=>{it(g,j)})}}),s._p.forEach(j=>{it(B,r.run(()=>j({store:B,app:s._a,pinia:s,options:c})))}),M&&i&&n.hydrate&&n.hydrate(B.$state,M),u=!0,a=!0,B}/*! #__NO_SIDE_EFFECTS__ */function Ca(e,t,n){let s,o;const i=typeof t=="function";s=e,o=i?n:t;function r(c,l){const u=Ll();return c=c||(u?Zt(Tr,null):null),c&&ts(c),c=Pr,c._s.has(s)||(i?Ar(s,t,o,c):Sa(s,o,c)),c._s.get(s)}return r.$id=s,r}const Os=(e,t)=>t.some(n=>e instanceof n);let Go,Jo;function wa(){return Go||(Go=[IDBDatabase,IDBObjectStore,IDBIndex,IDBCursor,IDBTransaction])}function xa(){return Jo||(Jo=[IDBCursor.prototype.advance,IDBCursor.prototype.continue,IDBCursor.prototype.continuePrimaryKey])}const Ds=new WeakMap,ms=new WeakMap,ns=new WeakMap;function Pa(e){const t=new Promise((n,s)=>{const o=()=>{e.removeEventListener("success",i),e.removeEventListener("error",r)},i=()=>{n(Ct(e.result)),o()},r=()=>{s(e.error),o()};e.addEventListener("success",i),e.addEventListener("error",r)});return ns.set(t,e),t}function Ta(e){if(Ds.has(e))return;const t=new Promise((n,s)=>{const o=()=>{e.removeEventListener("complete",i),e.removeEventListener("error",r),e.removeEventListener("abort",r)},i=()=>{n(),o()},r=()=>{s(e.error||new DOMException("AbortError","AbortError")),o()};e.addEventListener("complete",i),e.addEventListener("error",r),e.addEventListener("abort",r)});Ds.set(e,t)}let Fs={get(e,t,n){if(e instanceof IDBTransaction){if(t==="done")return Ds.get(e);if(t==="store")return n.objectStoreNames[1]?void 0:n.objectStore(n.objectStoreNames[0])}return Ct(e[t])},set(e,t,n){return e[t]=n,!0},has(e,t){return e instanceof IDBTransaction&&(t==="done"||t==="store")?!0:t in e}};function Lr(e){Fs=e(Fs)}function Ea(e){return xa().includes(e)?function(...t){return e.apply(Rs(this),t),Ct(this.request)}:function(...t){return Ct(e.apply(Rs(this),t))}}function Aa(e){return typeof e=="function"?Ea(e):(e instanceof IDBTransaction&&Ta(e),Os(e,wa())?new Proxy(e,Fs):e)}function Ct(e){if(e instanceof IDBRequest)return Pa(e);if(ms.has(e))return ms.get(e);const t=Aa(e);return t!==e&&(ms.set(e,t),ns.set(t,e)),t}const Rs=e=>ns.get(e);function La(e,t,{blocked:n,upgrade:s,blocking:o,terminated:i}={}){const r=indexedDB.open(e,t),c=Ct(r);return s&&r.addEventListener("upgradeneeded",l=>{s(Ct(r.result),l.oldVersion,l.newVersion,Ct(r.transaction),l)}),n&&r.addEventListener("blocked",l=>n(l.oldVersion,l.newVersion,l)),c.then(l=>{i&&l.addEventListener("close",()=>i()),o&&l.addEventListener("versionchange",u=>o(u.oldVersion,u.newVersion,u))}).catch(()=>{}),c}const Ia=["get","getKey","getAll","getAllKeys","count"],Ma=["put","add","delete","clear"],ys=new Map;function Yo(e,t){if(!(e instanceof IDBDatabase&&!(t in e)&&typeof t=="string"))return;if(ys.get(t))return ys.get(t);const n=t.replace(/FromIndex$/,""),s=t!==n,o=Ma.includes(n);if(!(n in(s?IDBIndex:IDBObjectStore).prototype)||!(o||Ia.includes(n)))return;const i=async function(r,...c){const l=this.transaction(r,o?"readwrite":"readonly");let u=l.store;return s&&(u=u.index(c.shift())),(await Promise.all([u[n](...c),o&&l.done]))[0]};return ys.set(t,i),i}Lr(e=>({...e,get:(t,n,s)=>Yo(t,n)||e.get(t,n,s),has:(t,n)=>!!Yo(t,n)||e.has(t,n)}));const Oa=["continue","continuePrimaryKey","advance"],Qo={},$s=new WeakMap,Ir=new WeakMap,Da={get(e,t){if(!Oa.includes(t))return e[t];let n=Qo[t];return n||(n=Qo[t]=function(...s){$s.set(this,Ir.get(this)[t](...s))}),n}};async function*Fa(...e){let t=this;if(t instanceof IDBCursor||(t=await t.openCursor(...e)),!t)return;t=t;const n=new Proxy(t,Da);for(Ir.set(n,t),ns.set(n,Rs(t));t;)yield n,t=await($s.get(n)||t.continue()),$s.delete(n)}function Zo(e,t){return t===Symbol.asyncIterator&&Os(e,[IDBIndex,IDBObjectStore,IDBCursor])||t==="iterate"&&Os(e,[IDBIndex,IDBObjectStore])}Lr(e=>({...e,get(t,n,s){return Zo(t,n)?Fa:e.get(t,n,s)},has(t,n){return Zo(t,n)||e.has(t,n)}}));const Ra="playlist-intelligence",$a=1;let bs=null;function Mr(){return bs||(bs=La(Ra,$a,{upgrade(e){e.objectStoreNames.contains("keyval")||e.createObjectStore("keyval"),e.objectStoreNames.contains("playlists")||e.createObjectStore("playlists",{keyPath:"id"})}})),bs}async function Ut(e){return(await Mr()).get("keyval",e)}async function qt(e,t){return(await Mr()).put("keyval",t,e)}const Na={totalPlaylists:8,totalVideos:247,categoryDistribution:{Music:72,Gaming:48,Education:35,"Science & Technology":28,Entertainment:24,"People & Blogs":18,"Film & Animation":12,Comedy:10}},ja={PLabc001:{totalVideos:45,dominantCategory:"Music",dominantCategoryId:"10",dominantRatio:.89,dominantCount:40,uniqueCategories:3,focusLabel:"Highly Focused",categoryFrequency:{Music:40,Entertainment:3,"People & Blogs":2}},PLabc002:{totalVideos:38,dominantCategory:"Gaming",dominantCategoryId:"20",dominantRatio:.84,dominantCount:32,uniqueCategories:4,focusLabel:"Highly Focused",categoryFrequency:{Gaming:32,Entertainment:3,"Science & Technology":2,Comedy:1}},PLabc003:{totalVideos:52,dominantCategory:"Education",dominantCategoryId:"27",dominantRatio:.62,dominantCount:32,uniqueCategories:5,focusLabel:"Focused",categoryFrequency:{Education:32,"Science & Technology":10,"People & Blogs":5,"Film & Animation":3,Music:2}},PLabc004:{totalVideos:28,dominantCategory:"Science & Technology",dominantCategoryId:"28",dominantRatio:.57,dominantCount:16,uniqueCategories:4,focusLabel:"Focused",categoryFrequency:{"Science & Technology":16,Education:5,"People & Blogs":4,Entertainment:3}},PLabc005:{totalVideos:22,dominantCategory:"Entertainment",dominantCategoryId:"24",dominantRatio:.45,dominantCount:10,uniqueCategories:6,focusLabel:"Mixed",categoryFrequency:{Entertainment:10,Music:4,Comedy:3,Gaming:2,"Film & Animation":2,"People & Blogs":1}},PLabc006:{totalVideos:18,dominantCategory:"Music",dominantCategoryId:"10",dominantRatio:.94,dominantCount:17,uniqueCategories:2,focusLabel:"Highly Focused",categoryFrequency:{Music:17,Entertainment:1}},PLabc007:{totalVideos:31,dominantCategory:"Film & Animation",dominantCategoryId:"1",dominantRatio:.35,dominantCount:11,uniqueCategories:5,focusLabel:"Mixed",categoryFrequency:{"Film & Animation":11,Entertainment:8,Comedy:6,Music:4,Gaming:2}},PLabc008:{totalVideos:13,dominantCategory:"Comedy",dominantCategoryId:"23",dominantRatio:.69,dominantCount:9,uniqueCategories:3,focusLabel:"Focused",categoryFrequency:{Comedy:9,Entertainment:3,"People & Blogs":1}}},Va={PLabc001:{title:"Chill Vibes",description:"Lo-fi, ambient, and chill tracks for working and relaxing.",url:"https://www.youtube.com/playlist?list=PLabc001",thumbnail:"https://i.ytimg.com/vi/jfKfPfyJRdk/mqdefault.jpg",publishedAt:"2019-03-15T10:22:00Z",privacyStatus:"public",videoCount:45},PLabc002:{title:"Let's Play Archive",description:"Full playthroughs and highlights from various games.",url:"https://www.youtube.com/playlist?list=PLabc002",thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",publishedAt:"2020-07-01T14:00:00Z",privacyStatus:"public",videoCount:38},PLabc003:{title:"Learn Something New",description:"Educational content: science, math, and history deep dives.",url:"https://www.youtube.com/playlist?list=PLabc003",thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",publishedAt:"2021-01-10T08:30:00Z",privacyStatus:"public",videoCount:52},PLabc004:{title:"Tech Deep Dives",description:"In-depth looks at programming, AI, and hardware.",url:"https://www.youtube.com/playlist?list=PLabc004",thumbnail:"",publishedAt:"2022-05-22T16:45:00Z",privacyStatus:"public",videoCount:28},PLabc005:{title:"Random Favs",description:"",url:"https://www.youtube.com/playlist?list=PLabc005",thumbnail:"",publishedAt:"2018-11-03T20:00:00Z",privacyStatus:"public",videoCount:22},PLabc006:{title:"Workout Beats",description:"High-energy music for the gym.",url:"https://www.youtube.com/playlist?list=PLabc006",thumbnail:"",publishedAt:"2023-02-14T09:15:00Z",privacyStatus:"private",videoCount:18},PLabc007:{title:"Movie Night",description:"Trailers, reviews, and behind-the-scenes content.",url:"https://www.youtube.com/playlist?list=PLabc007",thumbnail:"",publishedAt:"2024-08-30T11:00:00Z",privacyStatus:"public",videoCount:31},PLabc008:{title:"Funny Stuff",description:"Sketches and stand-up clips that crack me up.",url:"https://www.youtube.com/playlist?list=PLabc008",thumbnail:"",publishedAt:"2017-06-18T13:30:00Z",privacyStatus:"unlisted",videoCount:13}};function st(e,t,n){const s={},o=Object.entries(n);let i=0;for(const[r,c]of o)for(let l=0;l<c&&i<t;l++,i++){const u=`${e}_v${String(i).padStart(3,"0")}`;s[u]={categoryId:r,category:r,title:`${r} Video ${l+1} – Sample Title`,channelTitle:`Channel ${String.fromCharCode(65+i%26)}`,thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg"}}return s}const Ba={PLabc001:st("PLabc001",45,{Music:40,Entertainment:3,"People & Blogs":2}),PLabc002:st("PLabc002",38,{Gaming:32,Entertainment:3,"Science & Technology":2,Comedy:1}),PLabc003:st("PLabc003",52,{Education:32,"Science & Technology":10,"People & Blogs":5,"Film & Animation":3,Music:2}),PLabc004:st("PLabc004",28,{"Science & Technology":16,Education:5,"People & Blogs":4,Entertainment:3}),PLabc005:st("PLabc005",22,{Entertainment:10,Music:4,Comedy:3,Gaming:2,"Film & Animation":2,"People & Blogs":1}),PLabc006:st("PLabc006",18,{Music:17,Entertainment:1}),PLabc007:st("PLabc007",31,{"Film & Animation":11,Entertainment:8,Comedy:6,Music:4,Gaming:2}),PLabc008:st("PLabc008",13,{Comedy:9,Entertainment:3,"People & Blogs":1})},Ha=Date.now()-36e5;var ei,ti;const zo=!(typeof chrome<"u"&&((ei=chrome.storage)!=null&&ei.local)&&((ti=chrome.runtime)!=null&&ti.sendMessage)),Tt=Ca("dashboard",()=>{const e=ge(null),t=ge({}),n=ge({}),s=ge({}),o=ge(null),i=ge(!0),r=ge(!1),c=ge(null),l=ge(""),u=ge("ratio"),a=ge(""),h=ge(null),m=de(()=>{var g;return((g=e.value)==null?void 0:g.totalPlaylists)??0}),C=de(()=>{var g;return((g=e.value)==null?void 0:g.totalVideos)??0}),M=de(()=>{var g;return((g=e.value)==null?void 0:g.categoryDistribution)??{}}),I=de(()=>Object.keys(M.value).length),q=de(()=>{const g=Object.entries(M.value);return g.length?(g.sort((w,A)=>A[1]-w[1]),g[0][0]):"—"}),K=de(()=>{const g=new Set;for(const w of Object.values(t.value))if(w.categoryFrequency)for(const A of Object.keys(w.categoryFrequency))g.add(A);return Array.from(g).sort()}),N=de(()=>{let g=Object.entries(t.value).map(([w,A])=>{var x,H,ee;return{id:w,name:((x=n.value[w])==null?void 0:x.title)||w,url:((H=n.value[w])==null?void 0:H.url)||`https://www.youtube.com/playlist?list=${w}`,totalVideos:A.totalVideos,dominantCategory:A.dominantCategory||"—",dominantRatio:A.dominantRatio||0,focusLabel:A.focusLabel||"Empty",createdAt:((ee=n.value[w])==null?void 0:ee.publishedAt)||null,categories:A.categoryFrequency?Object.keys(A.categoryFrequency):[]}});if(a.value){const w=a.value;g=g.filter(A=>A.categories.includes(w))}if(l.value){const w=l.value.toLowerCase();g=g.filter(A=>A.name.toLowerCase().includes(w)||A.dominantCategory.toLowerCase().includes(w))}switch(u.value){case"name":g.sort((w,A)=>w.name.localeCompare(A.name));break;case"videos":g.sort((w,A)=>A.totalVideos-w.totalVideos);break;case"ratio":g.sort((w,A)=>A.dominantRatio-w.dominantRatio);break;case"focus":g.sort((w,A)=>Xo(w.focusLabel)-Xo(A.focusLabel));break;case"newest":g.sort((w,A)=>{const x=w.createdAt?new Date(w.createdAt).getTime():0;return(A.createdAt?new Date(A.createdAt).getTime():0)-x});break;case"oldest":g.sort((w,A)=>{const x=w.createdAt?new Date(w.createdAt).getTime():1/0,H=A.createdAt?new Date(A.createdAt).getTime():1/0;return x-H});break}return g}),k=de(()=>{const g=h.value;if(!g)return null;const w=n.value[g]||{},A=t.value[g]||{};return{id:g,title:w.title||g,description:w.description||"",url:w.url||`https://www.youtube.com/playlist?list=${g}`,thumbnail:w.thumbnail||"",privacyStatus:w.privacyStatus||"unknown",...A}}),O=de(()=>{const g=h.value;if(!g)return[];const w=s.value[g]||{};return Object.entries(w).map(([A,x])=>({id:A,title:x.title||A,category:x.category||"Unknown",categoryId:x.categoryId||null,channelTitle:x.channelTitle||"",thumbnail:x.thumbnail||"",url:`https://www.youtube.com/watch?v=${A}`}))});function B(g){h.value=g}function ue(){h.value=null}async function le(){i.value=!0;try{if(zo){console.info("[Dashboard] Dev mode — loading mock data"),e.value=Na,t.value=ja,n.value=Va,s.value=Ba,o.value=Ha;return}let g=await Ut("globalStats"),w=await Ut("playlistStats"),A=await Ut("playlistMeta"),x=await Ut("playlistCategories"),H=await Ut("lastSync");const ee=await chrome.storage.local.get(["globalStats","playlistStats","playlistMeta","playlistCategories","lastSync"]);(ee.lastSync||0)>(H||0)&&ee.globalStats&&(g=ee.globalStats,w=ee.playlistStats,A=ee.playlistMeta,x=ee.playlistCategories,H=ee.lastSync,await Promise.all([qt("globalStats",g),qt("playlistStats",w),qt("playlistMeta",A),qt("playlistCategories",x),qt("lastSync",H)])),e.value=g||null,t.value=w||{},n.value=A||{},s.value=x||{},o.value=H||null}catch(g){console.error("Failed to load dashboard data:",g)}finally{i.value=!1}}async function j(){if(zo){r.value=!0,await new Promise(g=>setTimeout(g,600)),o.value=Date.now(),r.value=!1;return}r.value=!0,c.value=null;try{const g=await chrome.runtime.sendMessage({type:"SYNC_START"});g.success?await le():c.value=g.error||"Sync failed"}catch(g){c.value=g.message}finally{r.value=!1}}return{globalStats:e,playlistStats:t,playlistMeta:n,playlistCategories:s,lastSync:o,isLoading:i,isSyncing:r,syncError:c,searchQuery:l,sortBy:u,filterCategory:a,selectedPlaylistId:h,totalPlaylists:m,totalVideos:C,categoryDistribution:M,uniqueCategories:I,topCategory:q,allCategories:K,playlistRows:N,selectedPlaylist:k,selectedVideos:O,loadData:le,refresh:j,selectPlaylist:B,clearSelection:ue}});function Xo(e){switch(e){case"Highly Focused":return 0;case"Focused":return 1;case"Mixed":return 2;default:return 3}}const ft=(e,t)=>{const n=e.__vccOpts||e;for(const[s,o]of t)n[s]=o;return n},ka={class:"dash-header"},Ka={class:"header-actions"},Wa={key:0,class:"sync-error"},Ua=["disabled"],qa={__name:"DashHeader",setup(e){const t=Tt();return(n,s)=>(Y(),Z("header",ka,[s[1]||(s[1]=S("h1",null,"📊 Playlist Intelligence Dashboard",-1)),S("div",Ka,[U(t).syncError?(Y(),Z("span",Wa,Q(U(t).syncError),1)):Qe("",!0),S("button",{class:"btn btn-secondary",disabled:U(t).isSyncing,onClick:s[0]||(s[0]=o=>U(t).refresh())},Q(U(t).isSyncing?"Syncing…":"🔄 Refresh"),9,Ua)])]))}},Ga=ft(qa,[["__scopeId","data-v-2baeb98e"]]),Ja={class:"summary-section"},Ya={class:"summary-value"},Qa={class:"summary-label"},Za={__name:"SummaryCards",setup(e){const t=Tt(),n=de(()=>[{label:"Total Playlists",value:t.totalPlaylists},{label:"Total Videos",value:t.totalVideos},{label:"Unique Categories",value:t.uniqueCategories},{label:"Top Category",value:t.topCategory}]);return(s,o)=>(Y(),Z("section",Ja,[(Y(!0),Z(he,null,$t(n.value,i=>(Y(),Z("div",{key:i.label,class:"summary-card"},[S("span",Ya,Q(i.value),1),S("span",Qa,Q(i.label),1)]))),128))]))}},za=ft(Za,[["__scopeId","data-v-29a07b45"]]),Xa={class:"chart-section"},eu={class:"pie-chart-container"},tu={class:"pie-legend"},nu=["onMouseenter"],su={class:"legend-label"},ou={class:"legend-count"},iu={__name:"CategoryChart",setup(e){const t=Tt(),n=ge(null),s=ge(null),o=["#3ea6ff","#f5c518","#ff4e45","#4caf50","#ab47bc","#ff7043","#26c6da","#ec407a","#66bb6a","#ffa726","#8d6e63","#78909c","#5c6bc0","#29b6f6","#d4e157","#ef5350","#7e57c2","#26a69a","#ffee58","#bdbdbd"],i=de(()=>{const c=Object.entries(t.categoryDistribution).sort((u,a)=>a[1]-u[1]),l=c.reduce((u,[,a])=>u+a,0);return l===0?[]:c.map(([u,a])=>({label:u,count:a,pct:(a/l*100).toFixed(1)}))});function r(){const c=n.value;if(!c)return;const l=c.getContext("2d"),u=i.value,a=u.reduce((I,q)=>I+q.count,0);if(a===0)return;l.clearRect(0,0,c.width,c.height);const h=c.width/2,m=c.height/2,C=Math.min(h,m)-10;let M=-Math.PI/2;u.forEach((I,q)=>{const K=I.count/a*2*Math.PI,N=s.value===q,k=N?C+6:C;l.beginPath(),l.moveTo(h,m),l.arc(h,m,k,M,M+K),l.closePath(),l.fillStyle=o[q%o.length],l.globalAlpha=s.value!==null&&!N?.4:1,l.fill(),l.globalAlpha=1,M+=K}),l.beginPath(),l.arc(h,m,C*.55,0,2*Math.PI),l.fillStyle="#181818",l.fill(),l.fillStyle="#fff",l.font="bold 28px Segoe UI, Roboto, sans-serif",l.textAlign="center",l.textBaseline="middle",l.fillText(a.toString(),h,m-8),l.font="11px Segoe UI, Roboto, sans-serif",l.fillStyle="#888",l.fillText("videos",h,m+14)}return Qn(()=>{r()}),Dt(()=>t.categoryDistribution,()=>qn(r),{deep:!0}),Dt(s,()=>r()),(c,l)=>(Y(),Z("section",Xa,[l[1]||(l[1]=S("h2",null,"Category Distribution",-1)),S("div",eu,[S("canvas",{ref_key:"canvasRef",ref:n,width:"300",height:"300"},null,512),S("div",tu,[(Y(!0),Z(he,null,$t(i.value,(u,a)=>(Y(),Z("div",{key:u.label,class:wt(["legend-item",{dimmed:s.value!==null&&s.value!==a}]),onMouseenter:h=>s.value=a,onMouseleave:l[0]||(l[0]=h=>s.value=null)},[S("span",{class:"legend-color",style:jt({background:o[a%o.length]})},null,4),S("span",su,Q(u.label),1),S("span",ou,Q(u.count)+" ("+Q(u.pct)+"%)",1)],42,nu))),128))])])]))}},ru=ft(iu,[["__scopeId","data-v-09a01b5d"]]),lu={class:"table-section"},cu={class:"table-controls"},au=["value"],uu={class:"table-wrapper"},fu={class:"cell-idx"},du={class:"cell-name"},hu={class:"dominance-cell"},pu={class:"dominance-bar-wrap"},gu={class:"dominance-pct"},mu={class:"cell-created"},yu={class:"cell-actions"},bu=["href"],_u=["onClick"],vu={key:0,class:"no-results"},Su={__name:"PlaylistTable",setup(e){const t=Tt();function n(r){return(r*100).toFixed(0)}function s(r){return r>=.8?"#4caf50":r>=.5?"#3ea6ff":"#ff9800"}function o(r){switch(r){case"Highly Focused":return"badge-highly-focused";case"Focused":return"badge-focused";default:return"badge-mixed"}}function i(r){return r?new Date(r).toLocaleDateString("en-GB",{month:"short",year:"numeric"}):"—"}return(r,c)=>(Y(),Z("section",lu,[c[7]||(c[7]=S("h2",null,"Playlist Breakdown",-1)),S("div",cu,[vn(S("input",{type:"text","onUpdate:modelValue":c[0]||(c[0]=l=>U(t).searchQuery=l),placeholder:"Search playlists…"},null,512),[[wr,U(t).searchQuery]]),vn(S("select",{"onUpdate:modelValue":c[1]||(c[1]=l=>U(t).filterCategory=l)},[c[4]||(c[4]=S("option",{value:""},"All Categories",-1)),(Y(!0),Z(he,null,$t(U(t).allCategories,l=>(Y(),Z("option",{key:l,value:l},Q(l),9,au))),128))],512),[[ko,U(t).filterCategory]]),vn(S("select",{"onUpdate:modelValue":c[2]||(c[2]=l=>U(t).sortBy=l)},[...c[5]||(c[5]=[Cc('<option value="name" data-v-7d46c830>Sort by Name</option><option value="videos" data-v-7d46c830>Sort by Videos</option><option value="ratio" data-v-7d46c830>Sort by Dominance</option><option value="focus" data-v-7d46c830>Sort by Focus</option><option value="newest" data-v-7d46c830>Newest First</option><option value="oldest" data-v-7d46c830>Oldest First</option>',6)])],512),[[ko,U(t).sortBy]])]),S("div",uu,[S("table",null,[c[6]||(c[6]=S("thead",null,[S("tr",null,[S("th",{class:"th-idx"},"#"),S("th",null,"Playlist"),S("th",null,"Videos"),S("th",null,"Dominant Category"),S("th",null,"Dominance"),S("th",null,"Focus"),S("th",null,"Created"),S("th",{class:"th-actions"},"Actions")])],-1)),ce(sa,{tag:"tbody",name:"row"},{default:Gn(()=>[(Y(!0),Z(he,null,$t(U(t).playlistRows,(l,u)=>(Y(),Z("tr",{key:l.id},[S("td",fu,Q(u+1),1),S("td",du,Q(l.name),1),S("td",null,Q(l.totalVideos),1),S("td",null,Q(l.dominantCategory),1),S("td",null,[S("div",hu,[S("span",pu,[S("span",{class:"dominance-bar",style:jt({width:n(l.dominantRatio)+"%",background:s(l.dominantRatio)})},null,4)]),S("span",gu,Q(n(l.dominantRatio))+"%",1)])]),S("td",null,[S("span",{class:wt(["badge",o(l.focusLabel)])},Q(l.focusLabel),3)]),S("td",mu,Q(i(l.createdAt)),1),S("td",yu,[S("a",{href:l.url,target:"_blank",rel:"noopener",class:"action-btn",title:"Open on YouTube",onClick:c[3]||(c[3]=xr(()=>{},["stop"]))},"▶",8,bu),S("button",{class:"action-btn",title:"View details",onClick:a=>U(t).selectPlaylist(l.id)},"📋",8,_u)])]))),128))]),_:1})]),U(t).playlistRows.length===0?(Y(),Z("p",vu," No playlists match your search. ")):Qe("",!0)])]))}},Cu=ft(Su,[["__scopeId","data-v-7d46c830"]]),wu={class:"dash-footer"},xu={__name:"DashFooter",setup(e){const t=Tt(),n=de(()=>{if(!t.lastSync)return"Last sync: never";const s=new Date(t.lastSync);return`Last sync: ${s.toLocaleDateString()} ${s.toLocaleTimeString()}`});return(s,o)=>(Y(),Z("footer",wu,[S("span",null,Q(n.value),1)]))}},Pu=ft(xu,[["__scopeId","data-v-e46de0ed"]]),Tu={},Eu={class:"empty-state"};function Au(e,t){return Y(),Z("div",Eu,[...t[0]||(t[0]=[S("div",{class:"empty-icon"},"📊",-1),S("h2",null,"No Data Yet",-1),S("p",null,"Open the extension popup and sign in to sync your playlists.",-1)])])}const Lu=ft(Tu,[["render",Au],["__scopeId","data-v-9f039abc"]]),Iu={class:"detail-panel"},Mu={class:"detail-header"},Ou=["href"],Du={class:"detail-info"},Fu=["src","alt"],Ru={class:"detail-meta"},$u={key:0,class:"detail-desc"},Nu={class:"detail-badges"},ju={class:"meta-chip"},Vu={class:"meta-chip"},Bu={class:"stats-strip"},Hu={class:"stat-item"},ku={class:"stat-val"},Ku={class:"stat-item"},Wu={class:"stat-val"},Uu={class:"stat-item"},qu={key:0,class:"category-breakdown"},Gu={class:"cat-label"},Ju={class:"cat-bar-wrap"},Yu={class:"cat-count"},Qu={class:"video-list"},Zu={class:"video-grid"},zu=["href"],Xu=["src","alt"],ef={key:1,class:"video-thumb-placeholder"},tf={class:"video-info"},nf={class:"video-title"},sf={class:"video-meta"},of={class:"video-channel"},rf={class:"video-cat"},lf={key:0,class:"no-results"},cf={__name:"PlaylistDetail",setup(e){const t=Tt(),n=ge(""),s=de(()=>{var l;return((((l=t.selectedPlaylist)==null?void 0:l.dominantRatio)||0)*100).toFixed(0)}),o=de(()=>{var u;const l=(u=t.selectedPlaylist)==null?void 0:u.privacyStatus;return l==="private"?"chip-private":l==="unlisted"?"chip-unlisted":"chip-public"}),i=de(()=>{var u;const l=(u=t.selectedPlaylist)==null?void 0:u.focusLabel;return l==="Highly Focused"?"badge-highly-focused":l==="Focused"?"badge-focused":"badge-mixed"}),r=de(()=>{var h;const l=((h=t.selectedPlaylist)==null?void 0:h.categoryFrequency)||{},u=Object.entries(l).sort((m,C)=>C[1]-m[1]);if(!u.length)return[];const a=u[0][1];return u.map(([m,C])=>({label:m,count:C,pct:(C/a*100).toFixed(0)}))}),c=de(()=>{if(!n.value)return t.selectedVideos;const l=n.value.toLowerCase();return t.selectedVideos.filter(u=>u.title.toLowerCase().includes(l)||u.category.toLowerCase().includes(l)||u.channelTitle.toLowerCase().includes(l))});return(l,u)=>(Y(),Zs(yr,{name:"slide"},{default:Gn(()=>[U(t).selectedPlaylist?(Y(),Z("div",{key:0,class:"detail-overlay",onClick:u[2]||(u[2]=xr(a=>U(t).clearSelection(),["self"]))},[S("aside",Iu,[S("div",Mu,[S("button",{class:"btn-back",onClick:u[0]||(u[0]=a=>U(t).clearSelection())},"← Back"),S("a",{href:U(t).selectedPlaylist.url,target:"_blank",rel:"noopener",class:"btn btn-primary btn-sm"}," ▶ Open on YouTube ",8,Ou)]),S("div",Du,[U(t).selectedPlaylist.thumbnail?(Y(),Z("img",{key:0,src:U(t).selectedPlaylist.thumbnail,alt:U(t).selectedPlaylist.title,class:"detail-thumb"},null,8,Fu)):Qe("",!0),S("div",Ru,[S("h2",null,Q(U(t).selectedPlaylist.title),1),U(t).selectedPlaylist.description?(Y(),Z("p",$u,Q(U(t).selectedPlaylist.description),1)):Qe("",!0),S("div",Nu,[S("span",ju,Q(U(t).selectedPlaylist.totalVideos)+" videos",1),S("span",Vu,Q(U(t).selectedPlaylist.uniqueCategories)+" categories",1),S("span",{class:wt(["meta-chip",o.value])},Q(U(t).selectedPlaylist.privacyStatus),3)])])]),S("div",Bu,[S("div",Hu,[S("span",ku,Q(U(t).selectedPlaylist.dominantCategory),1),u[3]||(u[3]=S("span",{class:"stat-lbl"},"Dominant",-1))]),S("div",Ku,[S("span",Wu,Q(s.value)+"%",1),u[4]||(u[4]=S("span",{class:"stat-lbl"},"Dominance",-1))]),S("div",Uu,[S("span",{class:wt(["badge",i.value])},Q(U(t).selectedPlaylist.focusLabel),3),u[5]||(u[5]=S("span",{class:"stat-lbl"},"Focus",-1))])]),r.value.length?(Y(),Z("div",qu,[u[6]||(u[6]=S("h3",null,"Category Breakdown",-1)),(Y(!0),Z(he,null,$t(r.value,a=>(Y(),Z("div",{key:a.label,class:"cat-row"},[S("span",Gu,Q(a.label),1),S("span",Ju,[S("span",{class:"cat-bar",style:jt({width:a.pct+"%"})},null,4)]),S("span",Yu,Q(a.count),1)]))),128))])):Qe("",!0),S("div",Qu,[S("h3",null,"Videos ("+Q(U(t).selectedVideos.length)+")",1),vn(S("input",{"onUpdate:modelValue":u[1]||(u[1]=a=>n.value=a),type:"text",placeholder:"Filter videos…",class:"video-search"},null,512),[[wr,n.value]]),S("div",Zu,[(Y(!0),Z(he,null,$t(c.value,a=>(Y(),Z("a",{key:a.id,href:a.url,target:"_blank",rel:"noopener",class:"video-card"},[a.thumbnail?(Y(),Z("img",{key:0,src:a.thumbnail,alt:a.title,class:"video-thumb",loading:"lazy"},null,8,Xu)):(Y(),Z("div",ef,"▶")),S("div",tf,[S("span",nf,Q(a.title),1),S("span",sf,[S("span",of,Q(a.channelTitle),1),S("span",rf,Q(a.category),1)])])],8,zu))),128))]),c.value.length===0?(Y(),Z("p",lf," No videos match your filter. ")):Qe("",!0)])])])):Qe("",!0)]),_:1}))}},af=ft(cf,[["__scopeId","data-v-57e14a77"]]),uf={key:0,class:"loading"},ff={key:0,class:"dashboard"},df={__name:"App",setup(e){const t=Tt();return Qn(()=>{t.loadData()}),(n,s)=>(Y(),Z(he,null,[U(t).isLoading?(Y(),Z("div",uf,[...s[0]||(s[0]=[S("div",{class:"loading-spinner"},null,-1),S("p",null,"Loading dashboard…",-1)])])):Qe("",!0),ce(yr,{name:"fade"},{default:Gn(()=>[U(t).isLoading?Qe("",!0):(Y(),Z("div",ff,[U(t).globalStats?(Y(),Z(he,{key:0},[ce(Ga),ce(za),ce(ru),ce(Cu),ce(Pu),ce(af)],64)):(Y(),Zs(Lu,{key:1}))]))]),_:1})],64))}},hf=ft(df,[["__scopeId","data-v-51ba2c96"]]),Or=ha(hf);Or.use(ma());Or.mount("#app");
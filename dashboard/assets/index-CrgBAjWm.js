@@ -0,0 +1,21 @@
+(function(){const t=document.createElement("link").relList;if(t&&t.supports&&t.supports("modulepreload"))return;for(const o of document.querySelectorAll('link[rel="modulepreload"]'))s(o);new MutationObserver(o=>{for(const i of o)if(i.type==="childList")for(const r of i.addedNodes)r.tagName==="LINK"&&r.rel==="modulepreload"&&s(r)}).observe(document,{childList:!0,subtree:!0});function n(o){const i={};return o.integrity&&(i.integrity=o.integrity),o.referrerPolicy&&(i.referrerPolicy=o.referrerPolicy),o.crossOrigin==="use-credentials"?i.credentials="include":o.crossOrigin==="anonymous"?i.credentials="omit":i.credentials="same-origin",i}function s(o){if(o.ep)return;o.ep=!0;const i=n(o);fetch(o.href,i)}})();/**
+* @vue/shared v3.5.28
+* (c) 2018-present Yuxi (Evan) You and Vue contributors
+* @license MIT
+**/function zs(e){const t=Object.create(null);for(const n of e.split(","))t[n]=1;return n=>n in t}const fe={},Ht=[],Ze=()=>{},mi=()=>!1,Qn=e=>e.charCodeAt(0)===111&&e.charCodeAt(1)===110&&(e.charCodeAt(2)>122||e.charCodeAt(2)<97),Qs=e=>e.startsWith("onUpdate:"),ye=Object.assign,Zs=(e,t)=>{const n=e.indexOf(t);n>-1&&e.splice(n,1)},Jr=Object.prototype.hasOwnProperty,se=(e,t)=>Jr.call(e,t),B=Array.isArray,Ut=e=>En(e)==="[object Map]",Yt=e=>En(e)==="[object Set]",bo=e=>En(e)==="[object Date]",J=e=>typeof e=="function",ge=e=>typeof e=="string",Xe=e=>typeof e=="symbol",oe=e=>e!==null&&typeof e=="object",yi=e=>(oe(e)||J(e))&&J(e.then)&&J(e.catch),_i=Object.prototype.toString,En=e=>_i.call(e),zr=e=>En(e).slice(8,-1),bi=e=>En(e)==="[object Object]",Zn=e=>ge(e)&&e!=="NaN"&&e[0]!=="-"&&""+parseInt(e,10)===e,cn=zs(",key,ref,ref_for,ref_key,onVnodeBeforeMount,onVnodeMounted,onVnodeBeforeUpdate,onVnodeUpdated,onVnodeBeforeUnmount,onVnodeUnmounted"),Xn=e=>{const t=Object.create(null);return(n=>t[n]||(t[n]=e(n)))},Qr=/-\w/g,Ct=Xn(e=>e.replace(Qr,t=>t.slice(1).toUpperCase())),Zr=/\B([A-Z])/g,Dt=Xn(e=>e.replace(Zr,"-$1").toLowerCase()),vi=Xn(e=>e.charAt(0).toUpperCase()+e.slice(1)),ys=Xn(e=>e?`on${vi(e)}`:""),St=(e,t)=>!Object.is(e,t),Dn=(e,...t)=>{for(let n=0;n<e.length;n++)e[n](...t)},Si=(e,t,n,s=!1)=>{Object.defineProperty(e,t,{configurable:!0,enumerable:!1,writable:s,value:n})},es=e=>{const t=parseFloat(e);return isNaN(t)?e:t},Xr=e=>{const t=ge(e)?Number(e):NaN;return isNaN(t)?e:t};let vo;const ts=()=>vo||(vo=typeof globalThis<"u"?globalThis:typeof self<"u"?self:typeof window<"u"?window:typeof global<"u"?global:{});function Jt(e){if(B(e)){const t={};for(let n=0;n<e.length;n++){const s=e[n],o=ge(s)?sl(s):Jt(s);if(o)for(const i in o)t[i]=o[i]}return t}else if(ge(e)||oe(e))return e}const el=/;(?![^(]*\))/g,tl=/:([^]+)/,nl=/\/\*[^]*?\*\//g;function sl(e){const t={};return e.replace(nl,"").split(el).forEach(n=>{if(n){const s=n.split(tl);s.length>1&&(t[s[0].trim()]=s[1].trim())}}),t}function Me(e){let t="";if(ge(e))t=e;else if(B(e))for(let n=0;n<e.length;n++){const s=Me(e[n]);s&&(t+=s+" ")}else if(oe(e))for(const n in e)e[n]&&(t+=n+" ");return t.trim()}const ol="itemscope,allowfullscreen,formnovalidate,ismap,nomodule,novalidate,readonly",il=zs(ol);function Ci(e){return!!e||e===""}function rl(e,t){if(e.length!==t.length)return!1;let n=!0;for(let s=0;n&&s<e.length;s++)n=zt(e[s],t[s]);return n}function zt(e,t){if(e===t)return!0;let n=bo(e),s=bo(t);if(n||s)return n&&s?e.getTime()===t.getTime():!1;if(n=Xe(e),s=Xe(t),n||s)return e===t;if(n=B(e),s=B(t),n||s)return n&&s?rl(e,t):!1;if(n=oe(e),s=oe(t),n||s){if(!n||!s)return!1;const o=Object.keys(e).length,i=Object.keys(t).length;if(o!==i)return!1;for(const r in e){const l=e.hasOwnProperty(r),a=t.hasOwnProperty(r);if(l&&!a||!l&&a||!zt(e[r],t[r]))return!1}}return String(e)===String(t)}function Xs(e,t){return e.findIndex(n=>zt(n,t))}const wi=e=>!!(e&&e.__v_isRef===!0),E=e=>ge(e)?e:e==null?"":B(e)||oe(e)&&(e.toString===_i||!J(e.toString))?wi(e)?E(e.value):JSON.stringify(e,Pi,2):String(e),Pi=(e,t)=>wi(t)?Pi(e,t.value):Ut(t)?{[`Map(${t.size})`]:[...t.entries()].reduce((n,[s,o],i)=>(n[_s(s,i)+" =>"]=o,n),{})}:Yt(t)?{[`Set(${t.size})`]:[...t.values()].map(n=>_s(n))}:Xe(t)?_s(t):oe(t)&&!B(t)&&!bi(t)?String(t):t,_s=(e,t="")=>{var n;return Xe(e)?`Symbol(${(n=e.description)!=null?n:t})`:e};/**
+* @vue/reactivity v3.5.28
+* (c) 2018-present Yuxi (Evan) You and Vue contributors
+* @license MIT
+**/let _e;class xi{constructor(t=!1){this.detached=t,this._active=!0,this._on=0,this.effects=[],this.cleanups=[],this._isPaused=!1,this.__v_skip=!0,this.parent=_e,!t&&_e&&(this.index=(_e.scopes||(_e.scopes=[])).push(this)-1)}get active(){return this._active}pause(){if(this._active){this._isPaused=!0;let t,n;if(this.scopes)for(t=0,n=this.scopes.length;t<n;t++)this.scopes[t].pause();for(t=0,n=this.effects.length;t<n;t++)this.effects[t].pause()}}resume(){if(this._active&&this._isPaused){this._isPaused=!1;let t,n;if(this.scopes)for(t=0,n=this.scopes.length;t<n;t++)this.scopes[t].resume();for(t=0,n=this.effects.length;t<n;t++)this.effects[t].resume()}}run(t){if(this._active){const n=_e;try{return _e=this,t()}finally{_e=n}}}on(){++this._on===1&&(this.prevScope=_e,_e=this)}off(){this._on>0&&--this._on===0&&(_e=this.prevScope,this.prevScope=void 0)}stop(t){if(this._active){this._active=!1;let n,s;for(n=0,s=this.effects.length;n<s;n++)this.effects[n].stop();for(this.effects.length=0,n=0,s=this.cleanups.length;n<s;n++)this.cleanups[n]();if(this.cleanups.length=0,this.scopes){for(n=0,s=this.scopes.length;n<s;n++)this.scopes[n].stop(!0);this.scopes.length=0}if(!this.detached&&this.parent&&!t){const o=this.parent.scopes.pop();o&&o!==this&&(this.parent.scopes[this.index]=o,o.index=this.index)}this.parent=void 0}}}function Ti(e){return new xi(e)}function Ei(){return _e}function ll(e,t=!1){_e&&_e.cleanups.push(e)}let de;const bs=new WeakSet;class $i{constructor(t){this.fn=t,this.deps=void 0,this.depsTail=void 0,this.flags=5,this.next=void 0,this.cleanup=void 0,this.scheduler=void 0,_e&&_e.active&&_e.effects.push(this)}pause(){this.flags|=64}resume(){this.flags&64&&(this.flags&=-65,bs.has(this)&&(bs.delete(this),this.trigger()))}notify(){this.flags&2&&!(this.flags&32)||this.flags&8||Ai(this)}run(){if(!(this.flags&1))return this.fn();this.flags|=2,So(this),Ii(this);const t=de,n=je;de=this,je=!0;try{return this.fn()}finally{Mi(this),de=t,je=n,this.flags&=-3}}stop(){if(this.flags&1){for(let t=this.deps;t;t=t.nextDep)no(t);this.deps=this.depsTail=void 0,So(this),this.onStop&&this.onStop(),this.flags&=-2}}trigger(){this.flags&64?bs.add(this):this.scheduler?this.scheduler():this.runIfDirty()}runIfDirty(){Ms(this)&&this.run()}get dirty(){return Ms(this)}}let Li=0,un,fn;function Ai(e,t=!1){if(e.flags|=8,t){e.next=fn,fn=e;return}e.next=un,un=e}function eo(){Li++}function to(){if(--Li>0)return;if(fn){let t=fn;for(fn=void 0;t;){const n=t.next;t.next=void 0,t.flags&=-9,t=n}}let e;for(;un;){let t=un;for(un=void 0;t;){const n=t.next;if(t.next=void 0,t.flags&=-9,t.flags&1)try{t.trigger()}catch(s){e||(e=s)}t=n}}if(e)throw e}function Ii(e){for(let t=e.deps;t;t=t.nextDep)t.version=-1,t.prevActiveLink=t.dep.activeLink,t.dep.activeLink=t}function Mi(e){let t,n=e.depsTail,s=n;for(;s;){const o=s.prevDep;s.version===-1?(s===n&&(n=o),no(s),al(s)):t=s,s.dep.activeLink=s.prevActiveLink,s.prevActiveLink=void 0,s=o}e.deps=t,e.depsTail=n}function Ms(e){for(let t=e.deps;t;t=t.nextDep)if(t.dep.version!==t.version||t.dep.computed&&(ki(t.dep.computed)||t.dep.version!==t.version))return!0;return!!e._dirty}function ki(e){if(e.flags&4&&!(e.flags&16)||(e.flags&=-17,e.globalVersion===bn)||(e.globalVersion=bn,!e.isSSR&&e.flags&128&&(!e.deps&&!e._dirty||!Ms(e))))return;e.flags|=2;const t=e.dep,n=de,s=je;de=e,je=!0;try{Ii(e);const o=e.fn(e._value);(t.version===0||St(o,e._value))&&(e.flags|=128,e._value=o,t.version++)}catch(o){throw t.version++,o}finally{de=n,je=s,Mi(e),e.flags&=-3}}function no(e,t=!1){const{dep:n,prevSub:s,nextSub:o}=e;if(s&&(s.nextSub=o,e.prevSub=void 0),o&&(o.prevSub=s,e.nextSub=void 0),n.subs===e&&(n.subs=s,!s&&n.computed)){n.computed.flags&=-5;for(let i=n.computed.deps;i;i=i.nextDep)no(i,!0)}!t&&!--n.sc&&n.map&&n.map.delete(n.key)}function al(e){const{prevDep:t,nextDep:n}=e;t&&(t.nextDep=n,e.prevDep=void 0),n&&(n.prevDep=t,e.nextDep=void 0)}let je=!0;const Ri=[];function ct(){Ri.push(je),je=!1}function ut(){const e=Ri.pop();je=e===void 0?!0:e}function So(e){const{cleanup:t}=e;if(e.cleanup=void 0,t){const n=de;de=void 0;try{t()}finally{de=n}}}let bn=0;class cl{constructor(t,n){this.sub=t,this.dep=n,this.version=n.version,this.nextDep=this.prevDep=this.nextSub=this.prevSub=this.prevActiveLink=void 0}}class so{constructor(t){this.computed=t,this.version=0,this.activeLink=void 0,this.subs=void 0,this.map=void 0,this.key=void 0,this.sc=0,this.__v_skip=!0}track(t){if(!de||!je||de===this.computed)return;let n=this.activeLink;if(n===void 0||n.sub!==de)n=this.activeLink=new cl(de,this),de.deps?(n.prevDep=de.depsTail,de.depsTail.nextDep=n,de.depsTail=n):de.deps=de.depsTail=n,Di(n);else if(n.version===-1&&(n.version=this.version,n.nextDep)){const s=n.nextDep;s.prevDep=n.prevDep,n.prevDep&&(n.prevDep.nextDep=s),n.prevDep=de.depsTail,n.nextDep=void 0,de.depsTail.nextDep=n,de.depsTail=n,de.deps===n&&(de.deps=s)}return n}trigger(t){this.version++,bn++,this.notify(t)}notify(t){eo();try{for(let n=this.subs;n;n=n.prevSub)n.sub.notify()&&n.sub.dep.notify()}finally{to()}}}function Di(e){if(e.dep.sc++,e.sub.flags&4){const t=e.dep.computed;if(t&&!e.dep.subs){t.flags|=20;for(let s=t.deps;s;s=s.nextDep)Di(s)}const n=e.dep.subs;n!==e&&(e.prevSub=n,n&&(n.nextSub=e)),e.dep.subs=e}}const Bn=new WeakMap,At=Symbol(""),ks=Symbol(""),vn=Symbol("");function be(e,t,n){if(je&&de){let s=Bn.get(e);s||Bn.set(e,s=new Map);let o=s.get(n);o||(s.set(n,o=new so),o.map=s,o.key=n),o.track()}}function it(e,t,n,s,o,i){const r=Bn.get(e);if(!r){bn++;return}const l=a=>{a&&a.trigger()};if(eo(),t==="clear")r.forEach(l);else{const a=B(e),u=a&&Zn(n);if(a&&n==="length"){const c=Number(s);r.forEach((d,y)=>{(y==="length"||y===vn||!Xe(y)&&y>=c)&&l(d)})}else switch((n!==void 0||r.has(void 0))&&l(r.get(n)),u&&l(r.get(vn)),t){case"add":a?u&&l(r.get("length")):(l(r.get(At)),Ut(e)&&l(r.get(ks)));break;case"delete":a||(l(r.get(At)),Ut(e)&&l(r.get(ks)));break;case"set":Ut(e)&&l(r.get(At));break}}to()}function ul(e,t){const n=Bn.get(e);return n&&n.get(t)}function Vt(e){const t=Z(e);return t===e?t:(be(t,"iterate",vn),ke(e)?t:t.map(He))}function ns(e){return be(e=Z(e),"iterate",vn),e}function _t(e,t){return ft(e)?Kt(lt(e)?He(t):t):He(t)}const fl={__proto__:null,[Symbol.iterator](){return vs(this,Symbol.iterator,e=>_t(this,e))},concat(...e){return Vt(this).concat(...e.map(t=>B(t)?Vt(t):t))},entries(){return vs(this,"entries",e=>(e[1]=_t(this,e[1]),e))},every(e,t){return nt(this,"every",e,t,void 0,arguments)},filter(e,t){return nt(this,"filter",e,t,n=>n.map(s=>_t(this,s)),arguments)},find(e,t){return nt(this,"find",e,t,n=>_t(this,n),arguments)},findIndex(e,t){return nt(this,"findIndex",e,t,void 0,arguments)},findLast(e,t){return nt(this,"findLast",e,t,n=>_t(this,n),arguments)},findLastIndex(e,t){return nt(this,"findLastIndex",e,t,void 0,arguments)},forEach(e,t){return nt(this,"forEach",e,t,void 0,arguments)},includes(...e){return Ss(this,"includes",e)},indexOf(...e){return Ss(this,"indexOf",e)},join(e){return Vt(this).join(e)},lastIndexOf(...e){return Ss(this,"lastIndexOf",e)},map(e,t){return nt(this,"map",e,t,void 0,arguments)},pop(){return tn(this,"pop")},push(...e){return tn(this,"push",e)},reduce(e,...t){return Co(this,"reduce",e,t)},reduceRight(e,...t){return Co(this,"reduceRight",e,t)},shift(){return tn(this,"shift")},some(e,t){return nt(this,"some",e,t,void 0,arguments)},splice(...e){return tn(this,"splice",e)},toReversed(){return Vt(this).toReversed()},toSorted(e){return Vt(this).toSorted(e)},toSpliced(...e){return Vt(this).toSpliced(...e)},unshift(...e){return tn(this,"unshift",e)},values(){return vs(this,"values",e=>_t(this,e))}};function vs(e,t,n){const s=ns(e),o=s[t]();return s!==e&&!ke(e)&&(o._next=o.next,o.next=()=>{const i=o._next();return i.done||(i.value=n(i.value)),i}),o}const dl=Array.prototype;function nt(e,t,n,s,o,i){const r=ns(e),l=r!==e&&!ke(e),a=r[t];if(a!==dl[t]){const d=a.apply(e,i);return l?He(d):d}let u=n;r!==e&&(l?u=function(d,y){return n.call(this,_t(e,d),y,e)}:n.length>2&&(u=function(d,y){return n.call(this,d,y,e)}));const c=a.call(r,u,s);return l&&o?o(c):c}function Co(e,t,n,s){const o=ns(e);let i=n;return o!==e&&(ke(e)?n.length>3&&(i=function(r,l,a){return n.call(this,r,l,a,e)}):i=function(r,l,a){return n.call(this,r,_t(e,l),a,e)}),o[t](i,...s)}function Ss(e,t,n){const s=Z(e);be(s,"iterate",vn);const o=s[t](...n);return(o===-1||o===!1)&&ss(n[0])?(n[0]=Z(n[0]),s[t](...n)):o}function tn(e,t,n=[]){ct(),eo();const s=Z(e)[t].apply(e,n);return to(),ut(),s}const hl=zs("__proto__,__v_isRef,__isVue"),Oi=new Set(Object.getOwnPropertyNames(Symbol).filter(e=>e!=="arguments"&&e!=="caller").map(e=>Symbol[e]).filter(Xe));function pl(e){Xe(e)||(e=String(e));const t=Z(this);return be(t,"has",e),t.hasOwnProperty(e)}class Fi{constructor(t=!1,n=!1){this._isReadonly=t,this._isShallow=n}get(t,n,s){if(n==="__v_skip")return t.__v_skip;const o=this._isReadonly,i=this._isShallow;if(n==="__v_isReactive")return!o;if(n==="__v_isReadonly")return o;if(n==="__v_isShallow")return i;if(n==="__v_raw")return s===(o?i?Pl:Bi:i?ji:Ni).get(t)||Object.getPrototypeOf(t)===Object.getPrototypeOf(s)?t:void 0;const r=B(t);if(!o){let a;if(r&&(a=fl[n]))return a;if(n==="hasOwnProperty")return pl}const l=Reflect.get(t,n,pe(t)?t:s);if((Xe(n)?Oi.has(n):hl(n))||(o||be(t,"get",n),i))return l;if(pe(l)){const a=r&&Zn(n)?l:l.value;return o&&oe(a)?Ds(a):a}return oe(l)?o?Ds(l):Qt(l):l}}class Vi extends Fi{constructor(t=!1){super(!1,t)}set(t,n,s,o){let i=t[n];const r=B(t)&&Zn(n);if(!this._isShallow){const u=ft(i);if(!ke(s)&&!ft(s)&&(i=Z(i),s=Z(s)),!r&&pe(i)&&!pe(s))return u||(i.value=s),!0}const l=r?Number(n)<t.length:se(t,n),a=Reflect.set(t,n,s,pe(t)?t:o);return t===Z(o)&&(l?St(s,i)&&it(t,"set",n,s):it(t,"add",n,s)),a}deleteProperty(t,n){const s=se(t,n);t[n];const o=Reflect.deleteProperty(t,n);return o&&s&&it(t,"delete",n,void 0),o}has(t,n){const s=Reflect.has(t,n);return(!Xe(n)||!Oi.has(n))&&be(t,"has",n),s}ownKeys(t){return be(t,"iterate",B(t)?"length":At),Reflect.ownKeys(t)}}class gl extends Fi{constructor(t=!1){super(!0,t)}set(t,n){return!0}deleteProperty(t,n){return!0}}const ml=new Vi,yl=new gl,_l=new Vi(!0);const Rs=e=>e,Mn=e=>Reflect.getPrototypeOf(e);function bl(e,t,n){return function(...s){const o=this.__v_raw,i=Z(o),r=Ut(i),l=e==="entries"||e===Symbol.iterator&&r,a=e==="keys"&&r,u=o[e](...s),c=n?Rs:t?Kt:He;return!t&&be(i,"iterate",a?ks:At),ye(Object.create(u),{next(){const{value:d,done:y}=u.next();return y?{value:d,done:y}:{value:l?[c(d[0]),c(d[1])]:c(d),done:y}}})}}function kn(e){return function(...t){return e==="delete"?!1:e==="clear"?void 0:this}}function vl(e,t){const n={get(o){const i=this.__v_raw,r=Z(i),l=Z(o);e||(St(o,l)&&be(r,"get",o),be(r,"get",l));const{has:a}=Mn(r),u=t?Rs:e?Kt:He;if(a.call(r,o))return u(i.get(o));if(a.call(r,l))return u(i.get(l));i!==r&&i.get(o)},get size(){const o=this.__v_raw;return!e&&be(Z(o),"iterate",At),o.size},has(o){const i=this.__v_raw,r=Z(i),l=Z(o);return e||(St(o,l)&&be(r,"has",o),be(r,"has",l)),o===l?i.has(o):i.has(o)||i.has(l)},forEach(o,i){const r=this,l=r.__v_raw,a=Z(l),u=t?Rs:e?Kt:He;return!e&&be(a,"iterate",At),l.forEach((c,d)=>o.call(i,u(c),u(d),r))}};return ye(n,e?{add:kn("add"),set:kn("set"),delete:kn("delete"),clear:kn("clear")}:{add(o){!t&&!ke(o)&&!ft(o)&&(o=Z(o));const i=Z(this);return Mn(i).has.call(i,o)||(i.add(o),it(i,"add",o,o)),this},set(o,i){!t&&!ke(i)&&!ft(i)&&(i=Z(i));const r=Z(this),{has:l,get:a}=Mn(r);let u=l.call(r,o);u||(o=Z(o),u=l.call(r,o));const c=a.call(r,o);return r.set(o,i),u?St(i,c)&&it(r,"set",o,i):it(r,"add",o,i),this},delete(o){const i=Z(this),{has:r,get:l}=Mn(i);let a=r.call(i,o);a||(o=Z(o),a=r.call(i,o)),l&&l.call(i,o);const u=i.delete(o);return a&&it(i,"delete",o,void 0),u},clear(){const o=Z(this),i=o.size!==0,r=o.clear();return i&&it(o,"clear",void 0,void 0),r}}),["keys","values","entries",Symbol.iterator].forEach(o=>{n[o]=bl(o,e,t)}),n}function oo(e,t){const n=vl(e,t);return(s,o,i)=>o==="__v_isReactive"?!e:o==="__v_isReadonly"?e:o==="__v_raw"?s:Reflect.get(se(n,o)&&o in s?n:s,o,i)}const Sl={get:oo(!1,!1)},Cl={get:oo(!1,!0)},wl={get:oo(!0,!1)};const Ni=new WeakMap,ji=new WeakMap,Bi=new WeakMap,Pl=new WeakMap;function xl(e){switch(e){case"Object":case"Array":return 1;case"Map":case"Set":case"WeakMap":case"WeakSet":return 2;default:return 0}}function Tl(e){return e.__v_skip||!Object.isExtensible(e)?0:xl(zr(e))}function Qt(e){return ft(e)?e:io(e,!1,ml,Sl,Ni)}function El(e){return io(e,!1,_l,Cl,ji)}function Ds(e){return io(e,!0,yl,wl,Bi)}function io(e,t,n,s,o){if(!oe(e)||e.__v_raw&&!(t&&e.__v_isReactive))return e;const i=Tl(e);if(i===0)return e;const r=o.get(e);if(r)return r;const l=new Proxy(e,i===2?s:n);return o.set(e,l),l}function lt(e){return ft(e)?lt(e.__v_raw):!!(e&&e.__v_isReactive)}function ft(e){return!!(e&&e.__v_isReadonly)}function ke(e){return!!(e&&e.__v_isShallow)}function ss(e){return e?!!e.__v_raw:!1}function Z(e){const t=e&&e.__v_raw;return t?Z(t):e}function ro(e){return!se(e,"__v_skip")&&Object.isExtensible(e)&&Si(e,"__v_skip",!0),e}const He=e=>oe(e)?Qt(e):e,Kt=e=>oe(e)?Ds(e):e;function pe(e){return e?e.__v_isRef===!0:!1}function ce(e){return $l(e,!1)}function $l(e,t){return pe(e)?e:new Ll(e,t)}class Ll{constructor(t,n){this.dep=new so,this.__v_isRef=!0,this.__v_isShallow=!1,this._rawValue=n?t:Z(t),this._value=n?t:He(t),this.__v_isShallow=n}get value(){return this.dep.track(),this._value}set value(t){const n=this._rawValue,s=this.__v_isShallow||ke(t)||ft(t);t=s?t:Z(t),St(t,n)&&(this._rawValue=t,this._value=s?t:He(t),this.dep.trigger())}}function L(e){return pe(e)?e.value:e}const Al={get:(e,t,n)=>t==="__v_raw"?e:L(Reflect.get(e,t,n)),set:(e,t,n,s)=>{const o=e[t];return pe(o)&&!pe(n)?(o.value=n,!0):Reflect.set(e,t,n,s)}};function Hi(e){return lt(e)?e:new Proxy(e,Al)}function Il(e){const t=B(e)?new Array(e.length):{};for(const n in e)t[n]=kl(e,n);return t}class Ml{constructor(t,n,s){this._object=t,this._key=n,this._defaultValue=s,this.__v_isRef=!0,this._value=void 0,this._raw=Z(t);let o=!0,i=t;if(!B(t)||!Zn(String(n)))do o=!ss(i)||ke(i);while(o&&(i=i.__v_raw));this._shallow=o}get value(){let t=this._object[this._key];return this._shallow&&(t=L(t)),this._value=t===void 0?this._defaultValue:t}set value(t){if(this._shallow&&pe(this._raw[this._key])){const n=this._object[this._key];if(pe(n)){n.value=t;return}}this._object[this._key]=t}get dep(){return ul(this._raw,this._key)}}function kl(e,t,n){return new Ml(e,t,n)}class Rl{constructor(t,n,s){this.fn=t,this.setter=n,this._value=void 0,this.dep=new so(this),this.__v_isRef=!0,this.deps=void 0,this.depsTail=void 0,this.flags=16,this.globalVersion=bn-1,this.next=void 0,this.effect=this,this.__v_isReadonly=!n,this.isSSR=s}notify(){if(this.flags|=16,!(this.flags&8)&&de!==this)return Ai(this,!0),!0}get value(){const t=this.dep.track();return ki(this),t&&(t.version=this.dep.version),this._value}set value(t){this.setter&&this.setter(t)}}function Dl(e,t,n=!1){let s,o;return J(e)?s=e:(s=e.get,o=e.set),new Rl(s,o,n)}const Rn={},Hn=new WeakMap;let $t;function Ol(e,t=!1,n=$t){if(n){let s=Hn.get(n);s||Hn.set(n,s=[]),s.push(e)}}function Fl(e,t,n=fe){const{immediate:s,deep:o,once:i,scheduler:r,augmentJob:l,call:a}=n,u=$=>o?$:ke($)||o===!1||o===0?rt($,1):rt($);let c,d,y,v,F=!1,I=!1;if(pe(e)?(d=()=>e.value,F=ke(e)):lt(e)?(d=()=>u(e),F=!0):B(e)?(I=!0,F=e.some($=>lt($)||ke($)),d=()=>e.map($=>{if(pe($))return $.value;if(lt($))return u($);if(J($))return a?a($,2):$()})):J(e)?t?d=a?()=>a(e,2):e:d=()=>{if(y){ct();try{y()}finally{ut()}}const $=$t;$t=c;try{return a?a(e,3,[v]):e(v)}finally{$t=$}}:d=Ze,t&&o){const $=d,U=o===!0?1/0:o;d=()=>rt($(),U)}const V=Ei(),N=()=>{c.stop(),V&&V.active&&Zs(V.effects,c)};if(i&&t){const $=t;t=(...U)=>{$(...U),N()}}let k=I?new Array(e.length).fill(Rn):Rn;const j=$=>{if(!(!(c.flags&1)||!c.dirty&&!$))if(t){const U=c.run();if(o||F||(I?U.some((W,ie)=>St(W,k[ie])):St(U,k))){y&&y();const W=$t;$t=c;try{const ie=[U,k===Rn?void 0:I&&k[0]===Rn?[]:k,v];k=U,a?a(t,3,ie):t(...ie)}finally{$t=W}}}else c.run()};return l&&l(j),c=new $i(d),c.scheduler=r?()=>r(j,!1):j,v=$=>Ol($,!1,c),y=c.onStop=()=>{const $=Hn.get(c);if($){if(a)a($,4);else for(const U of $)U();Hn.delete(c)}},t?s?j(!0):k=c.run():r?r(j.bind(null,!0),!0):c.run(),N.pause=c.pause.bind(c),N.resume=c.resume.bind(c),N.stop=N,N}function rt(e,t=1/0,n){if(t<=0||!oe(e)||e.__v_skip||(n=n||new Map,(n.get(e)||0)>=t))return e;if(n.set(e,t),t--,pe(e))rt(e.value,t,n);else if(B(e))for(let s=0;s<e.length;s++)rt(e[s],t,n);else if(Yt(e)||Ut(e))e.forEach(s=>{rt(s,t,n)});else if(bi(e)){for(const s in e)rt(e[s],t,n);for(const s of Object.getOwnPropertySymbols(e))Object.prototype.propertyIsEnumerable.call(e,s)&&rt(e[s],t,n)}return e}/**
+* @vue/runtime-core v3.5.28
+* (c) 2018-present Yuxi (Evan) You and Vue contributors
+* @license MIT
+**/function $n(e,t,n,s){try{return s?e(...s):e()}catch(o){os(o,t,n)}}function Ue(e,t,n,s){if(J(e)){const o=$n(e,t,n,s);return o&&yi(o)&&o.catch(i=>{os(i,t,n)}),o}if(B(e)){const o=[];for(let i=0;i<e.length;i++)o.push(Ue(e[i],t,n,s));return o}}function os(e,t,n,s=!0){const o=t?t.vnode:null,{errorHandler:i,throwUnhandledErrorInProduction:r}=t&&t.appContext.config||fe;if(t){let l=t.parent;const a=t.proxy,u=`https://vuejs.org/error-reference/#runtime-${n}`;for(;l;){const c=l.ec;if(c){for(let d=0;d<c.length;d++)if(c[d](e,a,u)===!1)return}l=l.parent}if(i){ct(),$n(i,null,10,[e,a,u]),ut();return}}Vl(e,n,o,s,r)}function Vl(e,t,n,s=!0,o=!1){if(o)throw e;console.error(e)}const Se=[];let Je=-1;const Wt=[];let bt=null,jt=0;const Ui=Promise.resolve();let Un=null;function is(e){const t=Un||Ui;return e?t.then(this?e.bind(this):e):t}function Nl(e){let t=Je+1,n=Se.length;for(;t<n;){const s=t+n>>>1,o=Se[s],i=Sn(o);i<e||i===e&&o.flags&2?t=s+1:n=s}return t}function lo(e){if(!(e.flags&1)){const t=Sn(e),n=Se[Se.length-1];!n||!(e.flags&2)&&t>=Sn(n)?Se.push(e):Se.splice(Nl(t),0,e),e.flags|=1,Wi()}}function Wi(){Un||(Un=Ui.then(qi))}function jl(e){B(e)?Wt.push(...e):bt&&e.id===-1?bt.splice(jt+1,0,e):e.flags&1||(Wt.push(e),e.flags|=1),Wi()}function wo(e,t,n=Je+1){for(;n<Se.length;n++){const s=Se[n];if(s&&s.flags&2){if(e&&s.id!==e.uid)continue;Se.splice(n,1),n--,s.flags&4&&(s.flags&=-2),s(),s.flags&4||(s.flags&=-2)}}}function Ki(e){if(Wt.length){const t=[...new Set(Wt)].sort((n,s)=>Sn(n)-Sn(s));if(Wt.length=0,bt){bt.push(...t);return}for(bt=t,jt=0;jt<bt.length;jt++){const n=bt[jt];n.flags&4&&(n.flags&=-2),n.flags&8||n(),n.flags&=-2}bt=null,jt=0}}const Sn=e=>e.id==null?e.flags&2?-1:1/0:e.id;function qi(e){try{for(Je=0;Je<Se.length;Je++){const t=Se[Je];t&&!(t.flags&8)&&(t.flags&4&&(t.flags&=-2),$n(t,t.i,t.i?15:14),t.flags&4||(t.flags&=-2))}}finally{for(;Je<Se.length;Je++){const t=Se[Je];t&&(t.flags&=-2)}Je=-1,Se.length=0,Ki(),Un=null,(Se.length||Wt.length)&&qi()}}let Ve=null,Gi=null;function Wn(e){const t=Ve;return Ve=e,Gi=e&&e.type.__scopeId||null,t}function rs(e,t=Ve,n){if(!t||e._n)return e;const s=(...o)=>{s._d&&Gn(-1);const i=Wn(t);let r;try{r=e(...o)}finally{Wn(i),s._d&&Gn(1)}return r};return s._n=!0,s._c=!0,s._d=!0,s}function Fe(e,t){if(Ve===null)return e;const n=hs(Ve),s=e.dirs||(e.dirs=[]);for(let o=0;o<t.length;o++){let[i,r,l,a=fe]=t[o];i&&(J(i)&&(i={mounted:i,updated:i}),i.deep&&rt(r),s.push({dir:i,instance:n,value:r,oldValue:void 0,arg:l,modifiers:a}))}return e}function xt(e,t,n,s){const o=e.dirs,i=t&&t.dirs;for(let r=0;r<o.length;r++){const l=o[r];i&&(l.oldValue=i[r].value);let a=l.dir[s];a&&(ct(),Ue(a,n,8,[e.el,l,e,t]),ut())}}function Bl(e,t){if(we){let n=we.provides;const s=we.parent&&we.parent.provides;s===n&&(n=we.provides=Object.create(s)),n[e]=t}}function dn(e,t,n=!1){const s=ds();if(s||Mt){let o=Mt?Mt._context.provides:s?s.parent==null||s.ce?s.vnode.appContext&&s.vnode.appContext.provides:s.parent.provides:void 0;if(o&&e in o)return o[e];if(arguments.length>1)return n&&J(t)?t.call(s&&s.proxy):t}}function Hl(){return!!(ds()||Mt)}const Ul=Symbol.for("v-scx"),Wl=()=>dn(Ul);function It(e,t,n){return Yi(e,t,n)}function Yi(e,t,n=fe){const{immediate:s,deep:o,flush:i,once:r}=n,l=ye({},n),a=t&&s||!t&&i!=="post";let u;if(Pn){if(i==="sync"){const v=Wl();u=v.__watcherHandles||(v.__watcherHandles=[])}else if(!a){const v=()=>{};return v.stop=Ze,v.resume=Ze,v.pause=Ze,v}}const c=we;l.call=(v,F,I)=>Ue(v,c,F,I);let d=!1;i==="post"?l.scheduler=v=>{Ee(v,c&&c.suspense)}:i!=="sync"&&(d=!0,l.scheduler=(v,F)=>{F?v():lo(v)}),l.augmentJob=v=>{t&&(v.flags|=4),d&&(v.flags|=2,c&&(v.id=c.uid,v.i=c))};const y=Fl(e,t,l);return Pn&&(u?u.push(y):a&&y()),y}function Kl(e,t,n){const s=this.proxy,o=ge(e)?e.includes(".")?Ji(s,e):()=>s[e]:e.bind(s,s);let i;J(t)?i=t:(i=t.handler,n=t);const r=Ln(this),l=Yi(o,i.bind(s),n);return r(),l}function Ji(e,t){const n=t.split(".");return()=>{let s=e;for(let o=0;o<n.length&&s;o++)s=s[n[o]];return s}}const ql=Symbol("_vte"),zi=e=>e.__isTeleport,ze=Symbol("_leaveCb"),nn=Symbol("_enterCb");function Qi(){const e={isMounted:!1,isLeaving:!1,isUnmounting:!1,leavingVNodes:new Map};return cs(()=>{e.isMounted=!0}),ir(()=>{e.isUnmounting=!0}),e}const Oe=[Function,Array],Zi={mode:String,appear:Boolean,persisted:Boolean,onBeforeEnter:Oe,onEnter:Oe,onAfterEnter:Oe,onEnterCancelled:Oe,onBeforeLeave:Oe,onLeave:Oe,onAfterLeave:Oe,onLeaveCancelled:Oe,onBeforeAppear:Oe,onAppear:Oe,onAfterAppear:Oe,onAppearCancelled:Oe},Xi=e=>{const t=e.subTree;return t.component?Xi(t.component):t},Gl={name:"BaseTransition",props:Zi,setup(e,{slots:t}){const n=ds(),s=Qi();return()=>{const o=t.default&&ao(t.default(),!0);if(!o||!o.length)return;const i=er(o),r=Z(e),{mode:l}=r;if(s.isLeaving)return Cs(i);const a=Po(i);if(!a)return Cs(i);let u=Cn(a,r,s,n,d=>u=d);a.type!==Ce&&Rt(a,u);let c=n.subTree&&Po(n.subTree);if(c&&c.type!==Ce&&!Lt(c,a)&&Xi(n).type!==Ce){let d=Cn(c,r,s,n);if(Rt(c,d),l==="out-in"&&a.type!==Ce)return s.isLeaving=!0,d.afterLeave=()=>{s.isLeaving=!1,n.job.flags&8||n.update(),delete d.afterLeave,c=void 0},Cs(i);l==="in-out"&&a.type!==Ce?d.delayLeave=(y,v,F)=>{const I=tr(s,c);I[String(c.key)]=c,y[ze]=()=>{v(),y[ze]=void 0,delete u.delayedLeave,c=void 0},u.delayedLeave=()=>{F(),delete u.delayedLeave,c=void 0}}:c=void 0}else c&&(c=void 0);return i}}};function er(e){let t=e[0];if(e.length>1){for(const n of e)if(n.type!==Ce){t=n;break}}return t}const Yl=Gl;function tr(e,t){const{leavingVNodes:n}=e;let s=n.get(t.type);return s||(s=Object.create(null),n.set(t.type,s)),s}function Cn(e,t,n,s,o){const{appear:i,mode:r,persisted:l=!1,onBeforeEnter:a,onEnter:u,onAfterEnter:c,onEnterCancelled:d,onBeforeLeave:y,onLeave:v,onAfterLeave:F,onLeaveCancelled:I,onBeforeAppear:V,onAppear:N,onAfterAppear:k,onAppearCancelled:j}=t,$=String(e.key),U=tr(n,e),W=(R,G)=>{R&&Ue(R,s,9,G)},ie=(R,G)=>{const X=G[1];W(R,G),B(R)?R.every(D=>D.length<=1)&&X():R.length<=1&&X()},Y={mode:r,persisted:l,beforeEnter(R){let G=a;if(!n.isMounted)if(i)G=V||a;else return;R[ze]&&R[ze](!0);const X=U[$];X&&Lt(e,X)&&X.el[ze]&&X.el[ze](),W(G,[R])},enter(R){let G=u,X=c,D=d;if(!n.isMounted)if(i)G=N||u,X=k||c,D=j||d;else return;let te=!1;R[nn]=Le=>{te||(te=!0,Le?W(D,[R]):W(X,[R]),Y.delayedLeave&&Y.delayedLeave(),R[nn]=void 0)};const me=R[nn].bind(null,!1);G?ie(G,[R,me]):me()},leave(R,G){const X=String(e.key);if(R[nn]&&R[nn](!0),n.isUnmounting)return G();W(y,[R]);let D=!1;R[ze]=me=>{D||(D=!0,G(),me?W(I,[R]):W(F,[R]),R[ze]=void 0,U[X]===e&&delete U[X])};const te=R[ze].bind(null,!1);U[X]=e,v?ie(v,[R,te]):te()},clone(R){const G=Cn(R,t,n,s,o);return o&&o(G),G}};return Y}function Cs(e){if(ls(e))return e=wt(e),e.children=null,e}function Po(e){if(!ls(e))return zi(e.type)&&e.children?er(e.children):e;if(e.component)return e.component.subTree;const{shapeFlag:t,children:n}=e;if(n){if(t&16)return n[0];if(t&32&&J(n.default))return n.default()}}function Rt(e,t){e.shapeFlag&6&&e.component?(e.transition=t,Rt(e.component.subTree,t)):e.shapeFlag&128?(e.ssContent.transition=t.clone(e.ssContent),e.ssFallback.transition=t.clone(e.ssFallback)):e.transition=t}function ao(e,t=!1,n){let s=[],o=0;for(let i=0;i<e.length;i++){let r=e[i];const l=n==null?r.key:String(n)+String(r.key!=null?r.key:i);r.type===q?(r.patchFlag&128&&o++,s=s.concat(ao(r.children,t,l))):(t||r.type!==Ce)&&s.push(l!=null?wt(r,{key:l}):r)}if(o>1)for(let i=0;i<s.length;i++)s[i].patchFlag=-2;return s}function nr(e){e.ids=[e.ids[0]+e.ids[2]+++"-",0,0]}function xo(e,t){let n;return!!((n=Object.getOwnPropertyDescriptor(e,t))&&!n.configurable)}const Kn=new WeakMap;function hn(e,t,n,s,o=!1){if(B(e)){e.forEach((I,V)=>hn(I,t&&(B(t)?t[V]:t),n,s,o));return}if(pn(s)&&!o){s.shapeFlag&512&&s.type.__asyncResolved&&s.component.subTree.component&&hn(e,t,n,s.component.subTree);return}const i=s.shapeFlag&4?hs(s.component):s.el,r=o?null:i,{i:l,r:a}=e,u=t&&t.r,c=l.refs===fe?l.refs={}:l.refs,d=l.setupState,y=Z(d),v=d===fe?mi:I=>xo(c,I)?!1:se(y,I),F=(I,V)=>!(V&&xo(c,V));if(u!=null&&u!==a){if(To(t),ge(u))c[u]=null,v(u)&&(d[u]=null);else if(pe(u)){const I=t;F(u,I.k)&&(u.value=null),I.k&&(c[I.k]=null)}}if(J(a))$n(a,l,12,[r,c]);else{const I=ge(a),V=pe(a);if(I||V){const N=()=>{if(e.f){const k=I?v(a)?d[a]:c[a]:F()||!e.k?a.value:c[e.k];if(o)B(k)&&Zs(k,i);else if(B(k))k.includes(i)||k.push(i);else if(I)c[a]=[i],v(a)&&(d[a]=c[a]);else{const j=[i];F(a,e.k)&&(a.value=j),e.k&&(c[e.k]=j)}}else I?(c[a]=r,v(a)&&(d[a]=r)):V&&(F(a,e.k)&&(a.value=r),e.k&&(c[e.k]=r))};if(r){const k=()=>{N(),Kn.delete(e)};k.id=-1,Kn.set(e,k),Ee(k,n)}else To(e),N()}}}function To(e){const t=Kn.get(e);t&&(t.flags|=8,Kn.delete(e))}ts().requestIdleCallback;ts().cancelIdleCallback;const pn=e=>!!e.type.__asyncLoader,ls=e=>e.type.__isKeepAlive;function Jl(e,t){sr(e,"a",t)}function zl(e,t){sr(e,"da",t)}function sr(e,t,n=we){const s=e.__wdc||(e.__wdc=()=>{let o=n;for(;o;){if(o.isDeactivated)return;o=o.parent}return e()});if(as(t,s,n),n){let o=n.parent;for(;o&&o.parent;)ls(o.parent.vnode)&&Ql(s,t,n,o),o=o.parent}}function Ql(e,t,n,s){const o=as(t,e,s,!0);rr(()=>{Zs(s[t],o)},n)}function as(e,t,n=we,s=!1){if(n){const o=n[e]||(n[e]=[]),i=t.__weh||(t.__weh=(...r)=>{ct();const l=Ln(n),a=Ue(t,n,e,r);return l(),ut(),a});return s?o.unshift(i):o.push(i),i}}const dt=e=>(t,n=we)=>{(!Pn||e==="sp")&&as(e,(...s)=>t(...s),n)},Zl=dt("bm"),cs=dt("m"),Xl=dt("bu"),or=dt("u"),ir=dt("bum"),rr=dt("um"),ea=dt("sp"),ta=dt("rtg"),na=dt("rtc");function sa(e,t=we){as("ec",e,t)}const oa=Symbol.for("v-ndc");function he(e,t,n,s){let o;const i=n,r=B(e);if(r||ge(e)){const l=r&&lt(e);let a=!1,u=!1;l&&(a=!ke(e),u=ft(e),e=ns(e)),o=new Array(e.length);for(let c=0,d=e.length;c<d;c++)o[c]=t(a?u?Kt(He(e[c])):He(e[c]):e[c],c,void 0,i)}else if(typeof e=="number"){o=new Array(e);for(let l=0;l<e;l++)o[l]=t(l+1,l,void 0,i)}else if(oe(e))if(e[Symbol.iterator])o=Array.from(e,(l,a)=>t(l,a,void 0,i));else{const l=Object.keys(e);o=new Array(l.length);for(let a=0,u=l.length;a<u;a++){const c=l[a];o[a]=t(e[c],c,a,i)}}else o=[];return o}const Os=e=>e?Tr(e)?hs(e):Os(e.parent):null,gn=ye(Object.create(null),{$:e=>e,$el:e=>e.vnode.el,$data:e=>e.data,$props:e=>e.props,$attrs:e=>e.attrs,$slots:e=>e.slots,$refs:e=>e.refs,$parent:e=>Os(e.parent),$root:e=>Os(e.root),$host:e=>e.ce,$emit:e=>e.emit,$options:e=>ar(e),$forceUpdate:e=>e.f||(e.f=()=>{lo(e.update)}),$nextTick:e=>e.n||(e.n=is.bind(e.proxy)),$watch:e=>Kl.bind(e)}),ws=(e,t)=>e!==fe&&!e.__isScriptSetup&&se(e,t),ia={get({_:e},t){if(t==="__v_skip")return!0;const{ctx:n,setupState:s,data:o,props:i,accessCache:r,type:l,appContext:a}=e;if(t[0]!=="$"){const y=r[t];if(y!==void 0)switch(y){case 1:return s[t];case 2:return o[t];case 4:return n[t];case 3:return i[t]}else{if(ws(s,t))return r[t]=1,s[t];if(o!==fe&&se(o,t))return r[t]=2,o[t];if(se(i,t))return r[t]=3,i[t];if(n!==fe&&se(n,t))return r[t]=4,n[t];Fs&&(r[t]=0)}}const u=gn[t];let c,d;if(u)return t==="$attrs"&&be(e.attrs,"get",""),u(e);if((c=l.__cssModules)&&(c=c[t]))return c;if(n!==fe&&se(n,t))return r[t]=4,n[t];if(d=a.config.globalProperties,se(d,t))return d[t]},set({_:e},t,n){const{data:s,setupState:o,ctx:i}=e;return ws(o,t)?(o[t]=n,!0):s!==fe&&se(s,t)?(s[t]=n,!0):se(e.props,t)||t[0]==="$"&&t.slice(1)in e?!1:(i[t]=n,!0)},has({_:{data:e,setupState:t,accessCache:n,ctx:s,appContext:o,props:i,type:r}},l){let a;return!!(n[l]||e!==fe&&l[0]!=="$"&&se(e,l)||ws(t,l)||se(i,l)||se(s,l)||se(gn,l)||se(o.config.globalProperties,l)||(a=r.__cssModules)&&a[l])},defineProperty(e,t,n){return n.get!=null?e._.accessCache[t]=0:se(n,"value")&&this.set(e,t,n.value,null),Reflect.defineProperty(e,t,n)}};function Eo(e){return B(e)?e.reduce((t,n)=>(t[n]=null,t),{}):e}let Fs=!0;function ra(e){const t=ar(e),n=e.proxy,s=e.ctx;Fs=!1,t.beforeCreate&&$o(t.beforeCreate,e,"bc");const{data:o,computed:i,methods:r,watch:l,provide:a,inject:u,created:c,beforeMount:d,mounted:y,beforeUpdate:v,updated:F,activated:I,deactivated:V,beforeDestroy:N,beforeUnmount:k,destroyed:j,unmounted:$,render:U,renderTracked:W,renderTriggered:ie,errorCaptured:Y,serverPrefetch:R,expose:G,inheritAttrs:X,components:D,directives:te,filters:me}=t;if(u&&la(u,s,null),r)for(const z in r){const le=r[z];J(le)&&(s[z]=le.bind(n))}if(o){const z=o.call(n,n);oe(z)&&(e.data=Qt(z))}if(Fs=!0,i)for(const z in i){const le=i[z],et=J(le)?le.bind(n,n):J(le.get)?le.get.bind(n,n):Ze,Ne=!J(le)&&J(le.set)?le.set.bind(n):Ze,tt=ee({get:et,set:Ne});Object.defineProperty(s,z,{enumerable:!0,configurable:!0,get:()=>tt.value,set:De=>tt.value=De})}if(l)for(const z in l)lr(l[z],s,n,z);if(a){const z=J(a)?a.call(n):a;Reflect.ownKeys(z).forEach(le=>{Bl(le,z[le])})}c&&$o(c,e,"c");function ue(z,le){B(le)?le.forEach(et=>z(et.bind(n))):le&&z(le.bind(n))}if(ue(Zl,d),ue(cs,y),ue(Xl,v),ue(or,F),ue(Jl,I),ue(zl,V),ue(sa,Y),ue(na,W),ue(ta,ie),ue(ir,k),ue(rr,$),ue(ea,R),B(G))if(G.length){const z=e.exposed||(e.exposed={});G.forEach(le=>{Object.defineProperty(z,le,{get:()=>n[le],set:et=>n[le]=et,enumerable:!0})})}else e.exposed||(e.exposed={});U&&e.render===Ze&&(e.render=U),X!=null&&(e.inheritAttrs=X),D&&(e.components=D),te&&(e.directives=te),R&&nr(e)}function la(e,t,n=Ze){B(e)&&(e=Vs(e));for(const s in e){const o=e[s];let i;oe(o)?"default"in o?i=dn(o.from||s,o.default,!0):i=dn(o.from||s):i=dn(o),pe(i)?Object.defineProperty(t,s,{enumerable:!0,configurable:!0,get:()=>i.value,set:r=>i.value=r}):t[s]=i}}function $o(e,t,n){Ue(B(e)?e.map(s=>s.bind(t.proxy)):e.bind(t.proxy),t,n)}function lr(e,t,n,s){let o=s.includes(".")?Ji(n,s):()=>n[s];if(ge(e)){const i=t[e];J(i)&&It(o,i)}else if(J(e))It(o,e.bind(n));else if(oe(e))if(B(e))e.forEach(i=>lr(i,t,n,s));else{const i=J(e.handler)?e.handler.bind(n):t[e.handler];J(i)&&It(o,i,e)}}function ar(e){const t=e.type,{mixins:n,extends:s}=t,{mixins:o,optionsCache:i,config:{optionMergeStrategies:r}}=e.appContext,l=i.get(t);let a;return l?a=l:!o.length&&!n&&!s?a=t:(a={},o.length&&o.forEach(u=>qn(a,u,r,!0)),qn(a,t,r)),oe(t)&&i.set(t,a),a}function qn(e,t,n,s=!1){const{mixins:o,extends:i}=t;i&&qn(e,i,n,!0),o&&o.forEach(r=>qn(e,r,n,!0));for(const r in t)if(!(s&&r==="expose")){const l=aa[r]||n&&n[r];e[r]=l?l(e[r],t[r]):t[r]}return e}const aa={data:Lo,props:Ao,emits:Ao,methods:ln,computed:ln,beforeCreate:ve,created:ve,beforeMount:ve,mounted:ve,beforeUpdate:ve,updated:ve,beforeDestroy:ve,beforeUnmount:ve,destroyed:ve,unmounted:ve,activated:ve,deactivated:ve,errorCaptured:ve,serverPrefetch:ve,components:ln,directives:ln,watch:ua,provide:Lo,inject:ca};function Lo(e,t){return t?e?function(){return ye(J(e)?e.call(this,this):e,J(t)?t.call(this,this):t)}:t:e}function ca(e,t){return ln(Vs(e),Vs(t))}function Vs(e){if(B(e)){const t={};for(let n=0;n<e.length;n++)t[e[n]]=e[n];return t}return e}function ve(e,t){return e?[...new Set([].concat(e,t))]:t}function ln(e,t){return e?ye(Object.create(null),e,t):t}function Ao(e,t){return e?B(e)&&B(t)?[...new Set([...e,...t])]:ye(Object.create(null),Eo(e),Eo(t??{})):t}function ua(e,t){if(!e)return t;if(!t)return e;const n=ye(Object.create(null),e);for(const s in t)n[s]=ve(e[s],t[s]);return n}function cr(){return{app:null,config:{isNativeTag:mi,performance:!1,globalProperties:{},optionMergeStrategies:{},errorHandler:void 0,warnHandler:void 0,compilerOptions:{}},mixins:[],components:{},directives:{},provides:Object.create(null),optionsCache:new WeakMap,propsCache:new WeakMap,emitsCache:new WeakMap}}let fa=0;function da(e,t){return function(s,o=null){J(s)||(s=ye({},s)),o!=null&&!oe(o)&&(o=null);const i=cr(),r=new WeakSet,l=[];let a=!1;const u=i.app={_uid:fa++,_component:s,_props:o,_container:null,_context:i,_instance:null,version:Ka,get config(){return i.config},set config(c){},use(c,...d){return r.has(c)||(c&&J(c.install)?(r.add(c),c.install(u,...d)):J(c)&&(r.add(c),c(u,...d))),u},mixin(c){return i.mixins.includes(c)||i.mixins.push(c),u},component(c,d){return d?(i.components[c]=d,u):i.components[c]},directive(c,d){return d?(i.directives[c]=d,u):i.directives[c]},mount(c,d,y){if(!a){const v=u._ceVNode||re(s,o);return v.appContext=i,y===!0?y="svg":y===!1&&(y=void 0),e(v,c,y),a=!0,u._container=c,c.__vue_app__=u,hs(v.component)}},onUnmount(c){l.push(c)},unmount(){a&&(Ue(l,u._instance,16),e(null,u._container),delete u._container.__vue_app__)},provide(c,d){return i.provides[c]=d,u},runWithContext(c){const d=Mt;Mt=u;try{return c()}finally{Mt=d}}};return u}}let Mt=null;const ha=(e,t)=>t==="modelValue"||t==="model-value"?e.modelModifiers:e[`${t}Modifiers`]||e[`${Ct(t)}Modifiers`]||e[`${Dt(t)}Modifiers`];function pa(e,t,...n){if(e.isUnmounted)return;const s=e.vnode.props||fe;let o=n;const i=t.startsWith("update:"),r=i&&ha(s,t.slice(7));r&&(r.trim&&(o=n.map(c=>ge(c)?c.trim():c)),r.number&&(o=n.map(es)));let l,a=s[l=ys(t)]||s[l=ys(Ct(t))];!a&&i&&(a=s[l=ys(Dt(t))]),a&&Ue(a,e,6,o);const u=s[l+"Once"];if(u){if(!e.emitted)e.emitted={};else if(e.emitted[l])return;e.emitted[l]=!0,Ue(u,e,6,o)}}const ga=new WeakMap;function ur(e,t,n=!1){const s=n?ga:t.emitsCache,o=s.get(e);if(o!==void 0)return o;const i=e.emits;let r={},l=!1;if(!J(e)){const a=u=>{const c=ur(u,t,!0);c&&(l=!0,ye(r,c))};!n&&t.mixins.length&&t.mixins.forEach(a),e.extends&&a(e.extends),e.mixins&&e.mixins.forEach(a)}return!i&&!l?(oe(e)&&s.set(e,null),null):(B(i)?i.forEach(a=>r[a]=null):ye(r,i),oe(e)&&s.set(e,r),r)}function us(e,t){return!e||!Qn(t)?!1:(t=t.slice(2).replace(/Once$/,""),se(e,t[0].toLowerCase()+t.slice(1))||se(e,Dt(t))||se(e,t))}function Io(e){const{type:t,vnode:n,proxy:s,withProxy:o,propsOptions:[i],slots:r,attrs:l,emit:a,render:u,renderCache:c,props:d,data:y,setupState:v,ctx:F,inheritAttrs:I}=e,V=Wn(e);let N,k;try{if(n.shapeFlag&4){const $=o||s,U=$;N=Qe(u.call(U,$,c,d,v,y,F)),k=l}else{const $=t;N=Qe($.length>1?$(d,{attrs:l,slots:r,emit:a}):$(d,null)),k=t.props?l:ma(l)}}catch($){mn.length=0,os($,e,1),N=re(Ce)}let j=N;if(k&&I!==!1){const $=Object.keys(k),{shapeFlag:U}=j;$.length&&U&7&&(i&&$.some(Qs)&&(k=ya(k,i)),j=wt(j,k,!1,!0))}return n.dirs&&(j=wt(j,null,!1,!0),j.dirs=j.dirs?j.dirs.concat(n.dirs):n.dirs),n.transition&&Rt(j,n.transition),N=j,Wn(V),N}const ma=e=>{let t;for(const n in e)(n==="class"||n==="style"||Qn(n))&&((t||(t={}))[n]=e[n]);return t},ya=(e,t)=>{const n={};for(const s in e)(!Qs(s)||!(s.slice(9)in t))&&(n[s]=e[s]);return n};function _a(e,t,n){const{props:s,children:o,component:i}=e,{props:r,children:l,patchFlag:a}=t,u=i.emitsOptions;if(t.dirs||t.transition)return!0;if(n&&a>=0){if(a&1024)return!0;if(a&16)return s?Mo(s,r,u):!!r;if(a&8){const c=t.dynamicProps;for(let d=0;d<c.length;d++){const y=c[d];if(fr(r,s,y)&&!us(u,y))return!0}}}else return(o||l)&&(!l||!l.$stable)?!0:s===r?!1:s?r?Mo(s,r,u):!0:!!r;return!1}function Mo(e,t,n){const s=Object.keys(t);if(s.length!==Object.keys(e).length)return!0;for(let o=0;o<s.length;o++){const i=s[o];if(fr(t,e,i)&&!us(n,i))return!0}return!1}function fr(e,t,n){const s=e[n],o=t[n];return n==="style"&&oe(s)&&oe(o)?!zt(s,o):s!==o}function ba({vnode:e,parent:t},n){for(;t;){const s=t.subTree;if(s.suspense&&s.suspense.activeBranch===e&&(s.el=e.el),s===e)(e=t.vnode).el=n,t=t.parent;else break}}const dr={},hr=()=>Object.create(dr),pr=e=>Object.getPrototypeOf(e)===dr;function va(e,t,n,s=!1){const o={},i=hr();e.propsDefaults=Object.create(null),gr(e,t,o,i);for(const r in e.propsOptions[0])r in o||(o[r]=void 0);n?e.props=s?o:El(o):e.type.props?e.props=o:e.props=i,e.attrs=i}function Sa(e,t,n,s){const{props:o,attrs:i,vnode:{patchFlag:r}}=e,l=Z(o),[a]=e.propsOptions;let u=!1;if((s||r>0)&&!(r&16)){if(r&8){const c=e.vnode.dynamicProps;for(let d=0;d<c.length;d++){let y=c[d];if(us(e.emitsOptions,y))continue;const v=t[y];if(a)if(se(i,y))v!==i[y]&&(i[y]=v,u=!0);else{const F=Ct(y);o[F]=Ns(a,l,F,v,e,!1)}else v!==i[y]&&(i[y]=v,u=!0)}}}else{gr(e,t,o,i)&&(u=!0);let c;for(const d in l)(!t||!se(t,d)&&((c=Dt(d))===d||!se(t,c)))&&(a?n&&(n[d]!==void 0||n[c]!==void 0)&&(o[d]=Ns(a,l,d,void 0,e,!0)):delete o[d]);if(i!==l)for(const d in i)(!t||!se(t,d))&&(delete i[d],u=!0)}u&&it(e.attrs,"set","")}function gr(e,t,n,s){const[o,i]=e.propsOptions;let r=!1,l;if(t)for(let a in t){if(cn(a))continue;const u=t[a];let c;o&&se(o,c=Ct(a))?!i||!i.includes(c)?n[c]=u:(l||(l={}))[c]=u:us(e.emitsOptions,a)||(!(a in s)||u!==s[a])&&(s[a]=u,r=!0)}if(i){const a=Z(n),u=l||fe;for(let c=0;c<i.length;c++){const d=i[c];n[d]=Ns(o,a,d,u[d],e,!se(u,d))}}return r}function Ns(e,t,n,s,o,i){const r=e[n];if(r!=null){const l=se(r,"default");if(l&&s===void 0){const a=r.default;if(r.type!==Function&&!r.skipFactory&&J(a)){const{propsDefaults:u}=o;if(n in u)s=u[n];else{const c=Ln(o);s=u[n]=a.call(null,t),c()}}else s=a;o.ce&&o.ce._setProp(n,s)}r[0]&&(i&&!l?s=!1:r[1]&&(s===""||s===Dt(n))&&(s=!0))}return s}const Ca=new WeakMap;function mr(e,t,n=!1){const s=n?Ca:t.propsCache,o=s.get(e);if(o)return o;const i=e.props,r={},l=[];let a=!1;if(!J(e)){const c=d=>{a=!0;const[y,v]=mr(d,t,!0);ye(r,y),v&&l.push(...v)};!n&&t.mixins.length&&t.mixins.forEach(c),e.extends&&c(e.extends),e.mixins&&e.mixins.forEach(c)}if(!i&&!a)return oe(e)&&s.set(e,Ht),Ht;if(B(i))for(let c=0;c<i.length;c++){const d=Ct(i[c]);ko(d)&&(r[d]=fe)}else if(i)for(const c in i){const d=Ct(c);if(ko(d)){const y=i[c],v=r[d]=B(y)||J(y)?{type:y}:ye({},y),F=v.type;let I=!1,V=!0;if(B(F))for(let N=0;N<F.length;++N){const k=F[N],j=J(k)&&k.name;if(j==="Boolean"){I=!0;break}else j==="String"&&(V=!1)}else I=J(F)&&F.name==="Boolean";v[0]=I,v[1]=V,(I||se(v,"default"))&&l.push(d)}}const u=[r,l];return oe(e)&&s.set(e,u),u}function ko(e){return e[0]!=="$"&&!cn(e)}const co=e=>e==="_"||e==="_ctx"||e==="$stable",uo=e=>B(e)?e.map(Qe):[Qe(e)],wa=(e,t,n)=>{if(t._n)return t;const s=rs((...o)=>uo(t(...o)),n);return s._c=!1,s},yr=(e,t,n)=>{const s=e._ctx;for(const o in e){if(co(o))continue;const i=e[o];if(J(i))t[o]=wa(o,i,s);else if(i!=null){const r=uo(i);t[o]=()=>r}}},_r=(e,t)=>{const n=uo(t);e.slots.default=()=>n},br=(e,t,n)=>{for(const s in t)(n||!co(s))&&(e[s]=t[s])},Pa=(e,t,n)=>{const s=e.slots=hr();if(e.vnode.shapeFlag&32){const o=t._;o?(br(s,t,n),n&&Si(s,"_",o,!0)):yr(t,s)}else t&&_r(e,t)},xa=(e,t,n)=>{const{vnode:s,slots:o}=e;let i=!0,r=fe;if(s.shapeFlag&32){const l=t._;l?n&&l===1?i=!1:br(o,t,n):(i=!t.$stable,yr(t,o)),r=t}else t&&(_r(e,t),r={default:1});if(i)for(const l in o)!co(l)&&r[l]==null&&delete o[l]},Ee=Aa;function Ta(e){return Ea(e)}function Ea(e,t){const n=ts();n.__VUE__=!0;const{insert:s,remove:o,patchProp:i,createElement:r,createText:l,createComment:a,setText:u,setElementText:c,parentNode:d,nextSibling:y,setScopeId:v=Ze,insertStaticContent:F}=e,I=(f,g,_,P=null,C=null,w=null,M=void 0,A=null,p=!!g.dynamicChildren)=>{if(f===g)return;f&&!Lt(f,g)&&(P=Ft(f),De(f,C,w,!0),f=null),g.patchFlag===-2&&(p=!1,g.dynamicChildren=null);const{type:h,ref:x,shapeFlag:T}=g;switch(h){case fs:V(f,g,_,P);break;case Ce:N(f,g,_,P);break;case On:f==null&&k(g,_,P,M);break;case q:D(f,g,_,P,C,w,M,A,p);break;default:T&1?U(f,g,_,P,C,w,M,A,p):T&6?te(f,g,_,P,C,w,M,A,p):(T&64||T&128)&&h.process(f,g,_,P,C,w,M,A,p,ht)}x!=null&&C?hn(x,f&&f.ref,w,g||f,!g):x==null&&f&&f.ref!=null&&hn(f.ref,null,w,f,!0)},V=(f,g,_,P)=>{if(f==null)s(g.el=l(g.children),_,P);else{const C=g.el=f.el;g.children!==f.children&&u(C,g.children)}},N=(f,g,_,P)=>{f==null?s(g.el=a(g.children||""),_,P):g.el=f.el},k=(f,g,_,P)=>{[f.el,f.anchor]=F(f.children,g,_,P,f.el,f.anchor)},j=({el:f,anchor:g},_,P)=>{let C;for(;f&&f!==g;)C=y(f),s(f,_,P),f=C;s(g,_,P)},$=({el:f,anchor:g})=>{let _;for(;f&&f!==g;)_=y(f),o(f),f=_;o(g)},U=(f,g,_,P,C,w,M,A,p)=>{if(g.type==="svg"?M="svg":g.type==="math"&&(M="mathml"),f==null)W(g,_,P,C,w,M,A,p);else{const h=f.el&&f.el._isVueCE?f.el:null;try{h&&h._beginPatch(),R(f,g,C,w,M,A,p)}finally{h&&h._endPatch()}}},W=(f,g,_,P,C,w,M,A)=>{let p,h;const{props:x,shapeFlag:T,transition:O,dirs:H}=f;if(p=f.el=r(f.type,w,x&&x.is,x),T&8?c(p,f.children):T&16&&Y(f.children,p,null,P,C,Ps(f,w),M,A),H&&xt(f,null,P,"created"),ie(p,f,f.scopeId,M,P),x){for(const ae in x)ae!=="value"&&!cn(ae)&&i(p,ae,null,x[ae],w,P);"value"in x&&i(p,"value",null,x.value,w),(h=x.onVnodeBeforeMount)&&Ge(h,P,f)}H&&xt(f,null,P,"beforeMount");const K=$a(C,O);K&&O.beforeEnter(p),s(p,g,_),((h=x&&x.onVnodeMounted)||K||H)&&Ee(()=>{h&&Ge(h,P,f),K&&O.enter(p),H&&xt(f,null,P,"mounted")},C)},ie=(f,g,_,P,C)=>{if(_&&v(f,_),P)for(let w=0;w<P.length;w++)v(f,P[w]);if(C){let w=C.subTree;if(g===w||wr(w.type)&&(w.ssContent===g||w.ssFallback===g)){const M=C.vnode;ie(f,M,M.scopeId,M.slotScopeIds,C.parent)}}},Y=(f,g,_,P,C,w,M,A,p=0)=>{for(let h=p;h<f.length;h++){const x=f[h]=A?ot(f[h]):Qe(f[h]);I(null,x,g,_,P,C,w,M,A)}},R=(f,g,_,P,C,w,M)=>{const A=g.el=f.el;let{patchFlag:p,dynamicChildren:h,dirs:x}=g;p|=f.patchFlag&16;const T=f.props||fe,O=g.props||fe;let H;if(_&&Tt(_,!1),(H=O.onVnodeBeforeUpdate)&&Ge(H,_,g,f),x&&xt(g,f,_,"beforeUpdate"),_&&Tt(_,!0),(T.innerHTML&&O.innerHTML==null||T.textContent&&O.textContent==null)&&c(A,""),h?G(f.dynamicChildren,h,A,_,P,Ps(g,C),w):M||le(f,g,A,null,_,P,Ps(g,C),w,!1),p>0){if(p&16)X(A,T,O,_,C);else if(p&2&&T.class!==O.class&&i(A,"class",null,O.class,C),p&4&&i(A,"style",T.style,O.style,C),p&8){const K=g.dynamicProps;for(let ae=0;ae<K.length;ae++){const ne=K[ae],Pe=T[ne],xe=O[ne];(xe!==Pe||ne==="value")&&i(A,ne,Pe,xe,C,_)}}p&1&&f.children!==g.children&&c(A,g.children)}else!M&&h==null&&X(A,T,O,_,C);((H=O.onVnodeUpdated)||x)&&Ee(()=>{H&&Ge(H,_,g,f),x&&xt(g,f,_,"updated")},P)},G=(f,g,_,P,C,w,M)=>{for(let A=0;A<g.length;A++){const p=f[A],h=g[A],x=p.el&&(p.type===q||!Lt(p,h)||p.shapeFlag&198)?d(p.el):_;I(p,h,x,null,P,C,w,M,!0)}},X=(f,g,_,P,C)=>{if(g!==_){if(g!==fe)for(const w in g)!cn(w)&&!(w in _)&&i(f,w,g[w],null,C,P);for(const w in _){if(cn(w))continue;const M=_[w],A=g[w];M!==A&&w!=="value"&&i(f,w,A,M,C,P)}"value"in _&&i(f,"value",g.value,_.value,C)}},D=(f,g,_,P,C,w,M,A,p)=>{const h=g.el=f?f.el:l(""),x=g.anchor=f?f.anchor:l("");let{patchFlag:T,dynamicChildren:O,slotScopeIds:H}=g;H&&(A=A?A.concat(H):H),f==null?(s(h,_,P),s(x,_,P),Y(g.children||[],_,x,C,w,M,A,p)):T>0&&T&64&&O&&f.dynamicChildren&&f.dynamicChildren.length===O.length?(G(f.dynamicChildren,O,_,C,w,M,A),(g.key!=null||C&&g===C.subTree)&&vr(f,g,!0)):le(f,g,_,x,C,w,M,A,p)},te=(f,g,_,P,C,w,M,A,p)=>{g.slotScopeIds=A,f==null?g.shapeFlag&512?C.ctx.activate(g,_,P,M,p):me(g,_,P,C,w,M,p):Le(f,g,p)},me=(f,g,_,P,C,w,M)=>{const A=f.component=Va(f,P,C);if(ls(f)&&(A.ctx.renderer=ht),Na(A,!1,M),A.asyncDep){if(C&&C.registerDep(A,ue,M),!f.el){const p=A.subTree=re(Ce);N(null,p,g,_),f.placeholder=p.el}}else ue(A,f,g,_,C,w,M)},Le=(f,g,_)=>{const P=g.component=f.component;if(_a(f,g,_))if(P.asyncDep&&!P.asyncResolved){z(P,g,_);return}else P.next=g,P.update();else g.el=f.el,P.vnode=g},ue=(f,g,_,P,C,w,M)=>{const A=()=>{if(f.isMounted){let{next:T,bu:O,u:H,parent:K,vnode:ae}=f;{const Ke=Sr(f);if(Ke){T&&(T.el=ae.el,z(f,T,M)),Ke.asyncDep.then(()=>{Ee(()=>{f.isUnmounted||h()},C)});return}}let ne=T,Pe;Tt(f,!1),T?(T.el=ae.el,z(f,T,M)):T=ae,O&&Dn(O),(Pe=T.props&&T.props.onVnodeBeforeUpdate)&&Ge(Pe,K,T,ae),Tt(f,!0);const xe=Io(f),We=f.subTree;f.subTree=xe,I(We,xe,d(We.el),Ft(We),f,C,w),T.el=xe.el,ne===null&&ba(f,xe.el),H&&Ee(H,C),(Pe=T.props&&T.props.onVnodeUpdated)&&Ee(()=>Ge(Pe,K,T,ae),C)}else{let T;const{el:O,props:H}=g,{bm:K,m:ae,parent:ne,root:Pe,type:xe}=f,We=pn(g);Tt(f,!1),K&&Dn(K),!We&&(T=H&&H.onVnodeBeforeMount)&&Ge(T,ne,g),Tt(f,!0);{Pe.ce&&Pe.ce._hasShadowRoot()&&Pe.ce._injectChildStyle(xe);const Ke=f.subTree=Io(f);I(null,Ke,_,P,f,C,w),g.el=Ke.el}if(ae&&Ee(ae,C),!We&&(T=H&&H.onVnodeMounted)){const Ke=g;Ee(()=>Ge(T,ne,Ke),C)}(g.shapeFlag&256||ne&&pn(ne.vnode)&&ne.vnode.shapeFlag&256)&&f.a&&Ee(f.a,C),f.isMounted=!0,g=_=P=null}};f.scope.on();const p=f.effect=new $i(A);f.scope.off();const h=f.update=p.run.bind(p),x=f.job=p.runIfDirty.bind(p);x.i=f,x.id=f.uid,p.scheduler=()=>lo(x),Tt(f,!0),h()},z=(f,g,_)=>{g.component=f;const P=f.vnode.props;f.vnode=g,f.next=null,Sa(f,g.props,P,_),xa(f,g.children,_),ct(),wo(f),ut()},le=(f,g,_,P,C,w,M,A,p=!1)=>{const h=f&&f.children,x=f?f.shapeFlag:0,T=g.children,{patchFlag:O,shapeFlag:H}=g;if(O>0){if(O&128){Ne(h,T,_,P,C,w,M,A,p);return}else if(O&256){et(h,T,_,P,C,w,M,A,p);return}}H&8?(x&16&&Pt(h,C,w),T!==h&&c(_,T)):x&16?H&16?Ne(h,T,_,P,C,w,M,A,p):Pt(h,C,w,!0):(x&8&&c(_,""),H&16&&Y(T,_,P,C,w,M,A,p))},et=(f,g,_,P,C,w,M,A,p)=>{f=f||Ht,g=g||Ht;const h=f.length,x=g.length,T=Math.min(h,x);let O;for(O=0;O<T;O++){const H=g[O]=p?ot(g[O]):Qe(g[O]);I(f[O],H,_,null,C,w,M,A,p)}h>x?Pt(f,C,w,!0,!1,T):Y(g,_,P,C,w,M,A,p,T)},Ne=(f,g,_,P,C,w,M,A,p)=>{let h=0;const x=g.length;let T=f.length-1,O=x-1;for(;h<=T&&h<=O;){const H=f[h],K=g[h]=p?ot(g[h]):Qe(g[h]);if(Lt(H,K))I(H,K,_,null,C,w,M,A,p);else break;h++}for(;h<=T&&h<=O;){const H=f[T],K=g[O]=p?ot(g[O]):Qe(g[O]);if(Lt(H,K))I(H,K,_,null,C,w,M,A,p);else break;T--,O--}if(h>T){if(h<=O){const H=O+1,K=H<x?g[H].el:P;for(;h<=O;)I(null,g[h]=p?ot(g[h]):Qe(g[h]),_,K,C,w,M,A,p),h++}}else if(h>O)for(;h<=T;)De(f[h],C,w,!0),h++;else{const H=h,K=h,ae=new Map;for(h=K;h<=O;h++){const Ae=g[h]=p?ot(g[h]):Qe(g[h]);Ae.key!=null&&ae.set(Ae.key,h)}let ne,Pe=0;const xe=O-K+1;let We=!1,Ke=0;const en=new Array(xe);for(h=0;h<xe;h++)en[h]=0;for(h=H;h<=T;h++){const Ae=f[h];if(Pe>=xe){De(Ae,C,w,!0);continue}let qe;if(Ae.key!=null)qe=ae.get(Ae.key);else for(ne=K;ne<=O;ne++)if(en[ne-K]===0&&Lt(Ae,g[ne])){qe=ne;break}qe===void 0?De(Ae,C,w,!0):(en[qe-K]=h+1,qe>=Ke?Ke=qe:We=!0,I(Ae,g[qe],_,null,C,w,M,A,p),Pe++)}const mo=We?La(en):Ht;for(ne=mo.length-1,h=xe-1;h>=0;h--){const Ae=K+h,qe=g[Ae],yo=g[Ae+1],_o=Ae+1<x?yo.el||Cr(yo):P;en[h]===0?I(null,qe,_,_o,C,w,M,A,p):We&&(ne<0||h!==mo[ne]?tt(qe,_,_o,2):ne--)}}},tt=(f,g,_,P,C=null)=>{const{el:w,type:M,transition:A,children:p,shapeFlag:h}=f;if(h&6){tt(f.component.subTree,g,_,P);return}if(h&128){f.suspense.move(g,_,P);return}if(h&64){M.move(f,g,_,ht);return}if(M===q){s(w,g,_);for(let T=0;T<p.length;T++)tt(p[T],g,_,P);s(f.anchor,g,_);return}if(M===On){j(f,g,_);return}if(P!==2&&h&1&&A)if(P===0)A.beforeEnter(w),s(w,g,_),Ee(()=>A.enter(w),C);else{const{leave:T,delayLeave:O,afterLeave:H}=A,K=()=>{f.ctx.isUnmounted?o(w):s(w,g,_)},ae=()=>{w._isLeaving&&w[ze](!0),T(w,()=>{K(),H&&H()})};O?O(w,K,ae):ae()}else s(w,g,_)},De=(f,g,_,P=!1,C=!1)=>{const{type:w,props:M,ref:A,children:p,dynamicChildren:h,shapeFlag:x,patchFlag:T,dirs:O,cacheIndex:H}=f;if(T===-2&&(C=!1),A!=null&&(ct(),hn(A,null,_,f,!0),ut()),H!=null&&(g.renderCache[H]=void 0),x&256){g.ctx.deactivate(f);return}const K=x&1&&O,ae=!pn(f);let ne;if(ae&&(ne=M&&M.onVnodeBeforeUnmount)&&Ge(ne,g,f),x&6)ms(f.component,_,P);else{if(x&128){f.suspense.unmount(_,P);return}K&&xt(f,null,g,"beforeUnmount"),x&64?f.type.remove(f,g,_,ht,P):h&&!h.hasOnce&&(w!==q||T>0&&T&64)?Pt(h,g,_,!1,!0):(w===q&&T&384||!C&&x&16)&&Pt(p,g,_),P&&Zt(f)}(ae&&(ne=M&&M.onVnodeUnmounted)||K)&&Ee(()=>{ne&&Ge(ne,g,f),K&&xt(f,null,g,"unmounted")},_)},Zt=f=>{const{type:g,el:_,anchor:P,transition:C}=f;if(g===q){An(_,P);return}if(g===On){$(f);return}const w=()=>{o(_),C&&!C.persisted&&C.afterLeave&&C.afterLeave()};if(f.shapeFlag&1&&C&&!C.persisted){const{leave:M,delayLeave:A}=C,p=()=>M(_,w);A?A(f.el,w,p):p()}else w()},An=(f,g)=>{let _;for(;f!==g;)_=y(f),o(f),f=_;o(g)},ms=(f,g,_)=>{const{bum:P,scope:C,job:w,subTree:M,um:A,m:p,a:h}=f;Ro(p),Ro(h),P&&Dn(P),C.stop(),w&&(w.flags|=8,De(M,f,g,_)),A&&Ee(A,g),Ee(()=>{f.isUnmounted=!0},g)},Pt=(f,g,_,P=!1,C=!1,w=0)=>{for(let M=w;M<f.length;M++)De(f[M],g,_,P,C)},Ft=f=>{if(f.shapeFlag&6)return Ft(f.component.subTree);if(f.shapeFlag&128)return f.suspense.next();const g=y(f.anchor||f.el),_=g&&g[ql];return _?y(_):g};let Xt=!1;const In=(f,g,_)=>{let P;f==null?g._vnode&&(De(g._vnode,null,null,!0),P=g._vnode.component):I(g._vnode||null,f,g,null,null,null,_),g._vnode=f,Xt||(Xt=!0,wo(P),Ki(),Xt=!1)},ht={p:I,um:De,m:tt,r:Zt,mt:me,mc:Y,pc:le,pbc:G,n:Ft,o:e};return{render:In,hydrate:void 0,createApp:da(In)}}function Ps({type:e,props:t},n){return n==="svg"&&e==="foreignObject"||n==="mathml"&&e==="annotation-xml"&&t&&t.encoding&&t.encoding.includes("html")?void 0:n}function Tt({effect:e,job:t},n){n?(e.flags|=32,t.flags|=4):(e.flags&=-33,t.flags&=-5)}function $a(e,t){return(!e||e&&!e.pendingBranch)&&t&&!t.persisted}function vr(e,t,n=!1){const s=e.children,o=t.children;if(B(s)&&B(o))for(let i=0;i<s.length;i++){const r=s[i];let l=o[i];l.shapeFlag&1&&!l.dynamicChildren&&((l.patchFlag<=0||l.patchFlag===32)&&(l=o[i]=ot(o[i]),l.el=r.el),!n&&l.patchFlag!==-2&&vr(r,l)),l.type===fs&&(l.patchFlag===-1&&(l=o[i]=ot(l)),l.el=r.el),l.type===Ce&&!l.el&&(l.el=r.el)}}function La(e){const t=e.slice(),n=[0];let s,o,i,r,l;const a=e.length;for(s=0;s<a;s++){const u=e[s];if(u!==0){if(o=n[n.length-1],e[o]<u){t[s]=o,n.push(s);continue}for(i=0,r=n.length-1;i<r;)l=i+r>>1,e[n[l]]<u?i=l+1:r=l;u<e[n[i]]&&(i>0&&(t[s]=n[i-1]),n[i]=s)}}for(i=n.length,r=n[i-1];i-- >0;)n[i]=r,r=t[r];return n}function Sr(e){const t=e.subTree.component;if(t)return t.asyncDep&&!t.asyncResolved?t:Sr(t)}function Ro(e){if(e)for(let t=0;t<e.length;t++)e[t].flags|=8}function Cr(e){if(e.placeholder)return e.placeholder;const t=e.component;return t?Cr(t.subTree):null}const wr=e=>e.__isSuspense;function Aa(e,t){t&&t.pendingBranch?B(e)?t.effects.push(...e):t.effects.push(e):jl(e)}const q=Symbol.for("v-fgt"),fs=Symbol.for("v-txt"),Ce=Symbol.for("v-cmt"),On=Symbol.for("v-stc"),mn=[];let Ie=null;function b(e=!1){mn.push(Ie=e?null:[])}function Ia(){mn.pop(),Ie=mn[mn.length-1]||null}let wn=1;function Gn(e,t=!1){wn+=e,e<0&&Ie&&t&&(Ie.hasOnce=!0)}function Pr(e){return e.dynamicChildren=wn>0?Ie||Ht:null,Ia(),wn>0&&Ie&&Ie.push(e),e}function S(e,t,n,s,o,i){return Pr(m(e,t,n,s,o,i,!0))}function fo(e,t,n,s,o){return Pr(re(e,t,n,s,o,!0))}function Yn(e){return e?e.__v_isVNode===!0:!1}function Lt(e,t){return e.type===t.type&&e.key===t.key}const xr=({key:e})=>e??null,Fn=({ref:e,ref_key:t,ref_for:n})=>(typeof e=="number"&&(e=""+e),e!=null?ge(e)||pe(e)||J(e)?{i:Ve,r:e,k:t,f:!!n}:e:null);function m(e,t=null,n=null,s=0,o=null,i=e===q?0:1,r=!1,l=!1){const a={__v_isVNode:!0,__v_skip:!0,type:e,props:t,key:t&&xr(t),ref:t&&Fn(t),scopeId:Gi,slotScopeIds:null,children:n,component:null,suspense:null,ssContent:null,ssFallback:null,dirs:null,transition:null,el:null,anchor:null,target:null,targetStart:null,targetAnchor:null,staticCount:0,shapeFlag:i,patchFlag:s,dynamicProps:o,dynamicChildren:null,appContext:null,ctx:Ve};return l?(ho(a,n),i&128&&e.normalize(a)):n&&(a.shapeFlag|=ge(n)?8:16),wn>0&&!r&&Ie&&(a.patchFlag>0||i&6)&&a.patchFlag!==32&&Ie.push(a),a}const re=Ma;function Ma(e,t=null,n=null,s=0,o=null,i=!1){if((!e||e===oa)&&(e=Ce),Yn(e)){const l=wt(e,t,!0);return n&&ho(l,n),wn>0&&!i&&Ie&&(l.shapeFlag&6?Ie[Ie.indexOf(e)]=l:Ie.push(l)),l.patchFlag=-2,l}if(Ua(e)&&(e=e.__vccOpts),t){t=ka(t);let{class:l,style:a}=t;l&&!ge(l)&&(t.class=Me(l)),oe(a)&&(ss(a)&&!B(a)&&(a=ye({},a)),t.style=Jt(a))}const r=ge(e)?1:wr(e)?128:zi(e)?64:oe(e)?4:J(e)?2:0;return m(e,t,n,s,o,r,i,!0)}function ka(e){return e?ss(e)||pr(e)?ye({},e):e:null}function wt(e,t,n=!1,s=!1){const{props:o,ref:i,patchFlag:r,children:l,transition:a}=e,u=t?Da(o||{},t):o,c={__v_isVNode:!0,__v_skip:!0,type:e.type,props:u,key:u&&xr(u),ref:t&&t.ref?n&&i?B(i)?i.concat(Fn(t)):[i,Fn(t)]:Fn(t):i,scopeId:e.scopeId,slotScopeIds:e.slotScopeIds,children:l,target:e.target,targetStart:e.targetStart,targetAnchor:e.targetAnchor,staticCount:e.staticCount,shapeFlag:e.shapeFlag,patchFlag:t&&e.type!==q?r===-1?16:r|16:r,dynamicProps:e.dynamicProps,dynamicChildren:e.dynamicChildren,appContext:e.appContext,dirs:e.dirs,transition:a,component:e.component,suspense:e.suspense,ssContent:e.ssContent&&wt(e.ssContent),ssFallback:e.ssFallback&&wt(e.ssFallback),placeholder:e.placeholder,el:e.el,anchor:e.anchor,ctx:e.ctx,ce:e.ce};return a&&s&&Rt(c,a.clone(c)),c}function Be(e=" ",t=0){return re(fs,null,e,t)}function Ra(e,t){const n=re(On,null,e);return n.staticCount=t,n}function Q(e="",t=!1){return t?(b(),fo(Ce,null,e)):re(Ce,null,e)}function Qe(e){return e==null||typeof e=="boolean"?re(Ce):B(e)?re(q,null,e.slice()):Yn(e)?ot(e):re(fs,null,String(e))}function ot(e){return e.el===null&&e.patchFlag!==-1||e.memo?e:wt(e)}function ho(e,t){let n=0;const{shapeFlag:s}=e;if(t==null)t=null;else if(B(t))n=16;else if(typeof t=="object")if(s&65){const o=t.default;o&&(o._c&&(o._d=!1),ho(e,o()),o._c&&(o._d=!0));return}else{n=32;const o=t._;!o&&!pr(t)?t._ctx=Ve:o===3&&Ve&&(Ve.slots._===1?t._=1:(t._=2,e.patchFlag|=1024))}else J(t)?(t={default:t,_ctx:Ve},n=32):(t=String(t),s&64?(n=16,t=[Be(t)]):n=8);e.children=t,e.shapeFlag|=n}function Da(...e){const t={};for(let n=0;n<e.length;n++){const s=e[n];for(const o in s)if(o==="class")t.class!==s.class&&(t.class=Me([t.class,s.class]));else if(o==="style")t.style=Jt([t.style,s.style]);else if(Qn(o)){const i=t[o],r=s[o];r&&i!==r&&!(B(i)&&i.includes(r))&&(t[o]=i?[].concat(i,r):r)}else o!==""&&(t[o]=s[o])}return t}function Ge(e,t,n,s=null){Ue(e,t,7,[n,s])}const Oa=cr();let Fa=0;function Va(e,t,n){const s=e.type,o=(t?t.appContext:e.appContext)||Oa,i={uid:Fa++,vnode:e,type:s,parent:t,appContext:o,root:null,next:null,subTree:null,effect:null,update:null,job:null,scope:new xi(!0),render:null,proxy:null,exposed:null,exposeProxy:null,withProxy:null,provides:t?t.provides:Object.create(o.provides),ids:t?t.ids:["",0,0],accessCache:null,renderCache:[],components:null,directives:null,propsOptions:mr(s,o),emitsOptions:ur(s,o),emit:null,emitted:null,propsDefaults:fe,inheritAttrs:s.inheritAttrs,ctx:fe,data:fe,props:fe,attrs:fe,slots:fe,refs:fe,setupState:fe,setupContext:null,suspense:n,suspenseId:n?n.pendingId:0,asyncDep:null,asyncResolved:!1,isMounted:!1,isUnmounted:!1,isDeactivated:!1,bc:null,c:null,bm:null,m:null,bu:null,u:null,um:null,bum:null,da:null,a:null,rtg:null,rtc:null,ec:null,sp:null};return i.ctx={_:i},i.root=t?t.root:i,i.emit=pa.bind(null,i),e.ce&&e.ce(i),i}let we=null;const ds=()=>we||Ve;let Jn,js;{const e=ts(),t=(n,s)=>{let o;return(o=e[n])||(o=e[n]=[]),o.push(s),i=>{o.length>1?o.forEach(r=>r(i)):o[0](i)}};Jn=t("__VUE_INSTANCE_SETTERS__",n=>we=n),js=t("__VUE_SSR_SETTERS__",n=>Pn=n)}const Ln=e=>{const t=we;return Jn(e),e.scope.on(),()=>{e.scope.off(),Jn(t)}},Do=()=>{we&&we.scope.off(),Jn(null)};function Tr(e){return e.vnode.shapeFlag&4}let Pn=!1;function Na(e,t=!1,n=!1){t&&js(t);const{props:s,children:o}=e.vnode,i=Tr(e);va(e,s,i,t),Pa(e,o,n||t);const r=i?ja(e,t):void 0;return t&&js(!1),r}function ja(e,t){const n=e.type;e.accessCache=Object.create(null),e.proxy=new Proxy(e.ctx,ia);const{setup:s}=n;if(s){ct();const o=e.setupContext=s.length>1?Ha(e):null,i=Ln(e),r=$n(s,e,0,[e.props,o]),l=yi(r);if(ut(),i(),(l||e.sp)&&!pn(e)&&nr(e),l){if(r.then(Do,Do),t)return r.then(a=>{Oo(e,a)}).catch(a=>{os(a,e,0)});e.asyncDep=r}else Oo(e,r)}else Er(e)}function Oo(e,t,n){J(t)?e.type.__ssrInlineRender?e.ssrRender=t:e.render=t:oe(t)&&(e.setupState=Hi(t)),Er(e)}function Er(e,t,n){const s=e.type;e.render||(e.render=s.render||Ze);{const o=Ln(e);ct();try{ra(e)}finally{ut(),o()}}}const Ba={get(e,t){return be(e,"get",""),e[t]}};function Ha(e){const t=n=>{e.exposed=n||{}};return{attrs:new Proxy(e.attrs,Ba),slots:e.slots,emit:e.emit,expose:t}}function hs(e){return e.exposed?e.exposeProxy||(e.exposeProxy=new Proxy(Hi(ro(e.exposed)),{get(t,n){if(n in t)return t[n];if(n in gn)return gn[n](e)},has(t,n){return n in t||n in gn}})):e.proxy}function Ua(e){return J(e)&&"__vccOpts"in e}const ee=(e,t)=>Dl(e,t,Pn);function Wa(e,t,n){try{Gn(-1);const s=arguments.length;return s===2?oe(t)&&!B(t)?Yn(t)?re(e,null,[t]):re(e,t):re(e,null,t):(s>3?n=Array.prototype.slice.call(arguments,2):s===3&&Yn(n)&&(n=[n]),re(e,t,n))}finally{Gn(1)}}const Ka="3.5.28";/**
+* @vue/runtime-dom v3.5.28
+* (c) 2018-present Yuxi (Evan) You and Vue contributors
+* @license MIT
+**/let Bs;const Fo=typeof window<"u"&&window.trustedTypes;if(Fo)try{Bs=Fo.createPolicy("vue",{createHTML:e=>e})}catch{}const $r=Bs?e=>Bs.createHTML(e):e=>e,qa="http://www.w3.org/2000/svg",Ga="http://www.w3.org/1998/Math/MathML",st=typeof document<"u"?document:null,Vo=st&&st.createElement("template"),Ya={insert:(e,t,n)=>{t.insertBefore(e,n||null)},remove:e=>{const t=e.parentNode;t&&t.removeChild(e)},createElement:(e,t,n,s)=>{const o=t==="svg"?st.createElementNS(qa,e):t==="mathml"?st.createElementNS(Ga,e):n?st.createElement(e,{is:n}):st.createElement(e);return e==="select"&&s&&s.multiple!=null&&o.setAttribute("multiple",s.multiple),o},createText:e=>st.createTextNode(e),createComment:e=>st.createComment(e),setText:(e,t)=>{e.nodeValue=t},setElementText:(e,t)=>{e.textContent=t},parentNode:e=>e.parentNode,nextSibling:e=>e.nextSibling,querySelector:e=>st.querySelector(e),setScopeId(e,t){e.setAttribute(t,"")},insertStaticContent(e,t,n,s,o,i){const r=n?n.previousSibling:t.lastChild;if(o&&(o===i||o.nextSibling))for(;t.insertBefore(o.cloneNode(!0),n),!(o===i||!(o=o.nextSibling)););else{Vo.innerHTML=$r(s==="svg"?`<svg>${e}</svg>`:s==="mathml"?`<math>${e}</math>`:e);const l=Vo.content;if(s==="svg"||s==="mathml"){const a=l.firstChild;for(;a.firstChild;)l.appendChild(a.firstChild);l.removeChild(a)}t.insertBefore(l,n)}return[r?r.nextSibling:t.firstChild,n?n.previousSibling:t.lastChild]}},pt="transition",sn="animation",qt=Symbol("_vtc"),Lr={name:String,type:String,css:{type:Boolean,default:!0},duration:[String,Number,Object],enterFromClass:String,enterActiveClass:String,enterToClass:String,appearFromClass:String,appearActiveClass:String,appearToClass:String,leaveFromClass:String,leaveActiveClass:String,leaveToClass:String},Ar=ye({},Zi,Lr),Ja=e=>(e.displayName="Transition",e.props=Ar,e),Ir=Ja((e,{slots:t})=>Wa(Yl,Mr(e),t)),Et=(e,t=[])=>{B(e)?e.forEach(n=>n(...t)):e&&e(...t)},No=e=>e?B(e)?e.some(t=>t.length>1):e.length>1:!1;function Mr(e){const t={};for(const D in e)D in Lr||(t[D]=e[D]);if(e.css===!1)return t;const{name:n="v",type:s,duration:o,enterFromClass:i=`${n}-enter-from`,enterActiveClass:r=`${n}-enter-active`,enterToClass:l=`${n}-enter-to`,appearFromClass:a=i,appearActiveClass:u=r,appearToClass:c=l,leaveFromClass:d=`${n}-leave-from`,leaveActiveClass:y=`${n}-leave-active`,leaveToClass:v=`${n}-leave-to`}=e,F=za(o),I=F&&F[0],V=F&&F[1],{onBeforeEnter:N,onEnter:k,onEnterCancelled:j,onLeave:$,onLeaveCancelled:U,onBeforeAppear:W=N,onAppear:ie=k,onAppearCancelled:Y=j}=t,R=(D,te,me,Le)=>{D._enterCancelled=Le,mt(D,te?c:l),mt(D,te?u:r),me&&me()},G=(D,te)=>{D._isLeaving=!1,mt(D,d),mt(D,v),mt(D,y),te&&te()},X=D=>(te,me)=>{const Le=D?ie:k,ue=()=>R(te,D,me);Et(Le,[te,ue]),jo(()=>{mt(te,D?a:i),Ye(te,D?c:l),No(Le)||Bo(te,s,I,ue)})};return ye(t,{onBeforeEnter(D){Et(N,[D]),Ye(D,i),Ye(D,r)},onBeforeAppear(D){Et(W,[D]),Ye(D,a),Ye(D,u)},onEnter:X(!1),onAppear:X(!0),onLeave(D,te){D._isLeaving=!0;const me=()=>G(D,te);Ye(D,d),D._enterCancelled?(Ye(D,y),Hs(D)):(Hs(D),Ye(D,y)),jo(()=>{D._isLeaving&&(mt(D,d),Ye(D,v),No($)||Bo(D,s,V,me))}),Et($,[D,me])},onEnterCancelled(D){R(D,!1,void 0,!0),Et(j,[D])},onAppearCancelled(D){R(D,!0,void 0,!0),Et(Y,[D])},onLeaveCancelled(D){G(D),Et(U,[D])}})}function za(e){if(e==null)return null;if(oe(e))return[xs(e.enter),xs(e.leave)];{const t=xs(e);return[t,t]}}function xs(e){return Xr(e)}function Ye(e,t){t.split(/\s+/).forEach(n=>n&&e.classList.add(n)),(e[qt]||(e[qt]=new Set)).add(t)}function mt(e,t){t.split(/\s+/).forEach(s=>s&&e.classList.remove(s));const n=e[qt];n&&(n.delete(t),n.size||(e[qt]=void 0))}function jo(e){requestAnimationFrame(()=>{requestAnimationFrame(e)})}let Qa=0;function Bo(e,t,n,s){const o=e._endId=++Qa,i=()=>{o===e._endId&&s()};if(n!=null)return setTimeout(i,n);const{type:r,timeout:l,propCount:a}=kr(e,t);if(!r)return s();const u=r+"end";let c=0;const d=()=>{e.removeEventListener(u,y),i()},y=v=>{v.target===e&&++c>=a&&d()};setTimeout(()=>{c<a&&d()},l+1),e.addEventListener(u,y)}function kr(e,t){const n=window.getComputedStyle(e),s=F=>(n[F]||"").split(", "),o=s(`${pt}Delay`),i=s(`${pt}Duration`),r=Ho(o,i),l=s(`${sn}Delay`),a=s(`${sn}Duration`),u=Ho(l,a);let c=null,d=0,y=0;t===pt?r>0&&(c=pt,d=r,y=i.length):t===sn?u>0&&(c=sn,d=u,y=a.length):(d=Math.max(r,u),c=d>0?r>u?pt:sn:null,y=c?c===pt?i.length:a.length:0);const v=c===pt&&/\b(?:transform|all)(?:,|$)/.test(s(`${pt}Property`).toString());return{type:c,timeout:d,propCount:y,hasTransform:v}}function Ho(e,t){for(;e.length<t.length;)e=e.concat(e);return Math.max(...t.map((n,s)=>Uo(n)+Uo(e[s])))}function Uo(e){return e==="auto"?0:Number(e.slice(0,-1).replace(",","."))*1e3}function Hs(e){return(e?e.ownerDocument:document).body.offsetHeight}function Za(e,t,n){const s=e[qt];s&&(t=(t?[t,...s]:[...s]).join(" ")),t==null?e.removeAttribute("class"):n?e.setAttribute("class",t):e.className=t}const Wo=Symbol("_vod"),Xa=Symbol("_vsh"),ec=Symbol(""),tc=/(?:^|;)\s*display\s*:/;function nc(e,t,n){const s=e.style,o=ge(n);let i=!1;if(n&&!o){if(t)if(ge(t))for(const r of t.split(";")){const l=r.slice(0,r.indexOf(":")).trim();n[l]==null&&Vn(s,l,"")}else for(const r in t)n[r]==null&&Vn(s,r,"");for(const r in n)r==="display"&&(i=!0),Vn(s,r,n[r])}else if(o){if(t!==n){const r=s[ec];r&&(n+=";"+r),s.cssText=n,i=tc.test(n)}}else t&&e.removeAttribute("style");Wo in e&&(e[Wo]=i?s.display:"",e[Xa]&&(s.display="none"))}const Ko=/\s*!important$/;function Vn(e,t,n){if(B(n))n.forEach(s=>Vn(e,t,s));else if(n==null&&(n=""),t.startsWith("--"))e.setProperty(t,n);else{const s=sc(e,t);Ko.test(n)?e.setProperty(Dt(s),n.replace(Ko,""),"important"):e[s]=n}}const qo=["Webkit","Moz","ms"],Ts={};function sc(e,t){const n=Ts[t];if(n)return n;let s=Ct(t);if(s!=="filter"&&s in e)return Ts[t]=s;s=vi(s);for(let o=0;o<qo.length;o++){const i=qo[o]+s;if(i in e)return Ts[t]=i}return t}const Go="http://www.w3.org/1999/xlink";function Yo(e,t,n,s,o,i=il(t)){s&&t.startsWith("xlink:")?n==null?e.removeAttributeNS(Go,t.slice(6,t.length)):e.setAttributeNS(Go,t,n):n==null||i&&!Ci(n)?e.removeAttribute(t):e.setAttribute(t,i?"":Xe(n)?String(n):n)}function Jo(e,t,n,s,o){if(t==="innerHTML"||t==="textContent"){n!=null&&(e[t]=t==="innerHTML"?$r(n):n);return}const i=e.tagName;if(t==="value"&&i!=="PROGRESS"&&!i.includes("-")){const l=i==="OPTION"?e.getAttribute("value")||"":e.value,a=n==null?e.type==="checkbox"?"on":"":String(n);(l!==a||!("_value"in e))&&(e.value=a),n==null&&e.removeAttribute(t),e._value=n;return}let r=!1;if(n===""||n==null){const l=typeof e[t];l==="boolean"?n=Ci(n):n==null&&l==="string"?(n="",r=!0):l==="number"&&(n=0,r=!0)}try{e[t]=n}catch{}r&&e.removeAttribute(o||t)}function vt(e,t,n,s){e.addEventListener(t,n,s)}function oc(e,t,n,s){e.removeEventListener(t,n,s)}const zo=Symbol("_vei");function ic(e,t,n,s,o=null){const i=e[zo]||(e[zo]={}),r=i[t];if(s&&r)r.value=s;else{const[l,a]=rc(t);if(s){const u=i[t]=cc(s,o);vt(e,l,u,a)}else r&&(oc(e,l,r,a),i[t]=void 0)}}const Qo=/(?:Once|Passive|Capture)$/;function rc(e){let t;if(Qo.test(e)){t={};let s;for(;s=e.match(Qo);)e=e.slice(0,e.length-s[0].length),t[s[0].toLowerCase()]=!0}return[e[2]===":"?e.slice(3):Dt(e.slice(2)),t]}let Es=0;const lc=Promise.resolve(),ac=()=>Es||(lc.then(()=>Es=0),Es=Date.now());function cc(e,t){const n=s=>{if(!s._vts)s._vts=Date.now();else if(s._vts<=n.attached)return;Ue(uc(s,n.value),t,5,[s])};return n.value=e,n.attached=ac(),n}function uc(e,t){if(B(t)){const n=e.stopImmediatePropagation;return e.stopImmediatePropagation=()=>{n.call(e),e._stopped=!0},t.map(s=>o=>!o._stopped&&s&&s(o))}else return t}const Zo=e=>e.charCodeAt(0)===111&&e.charCodeAt(1)===110&&e.charCodeAt(2)>96&&e.charCodeAt(2)<123,fc=(e,t,n,s,o,i)=>{const r=o==="svg";t==="class"?Za(e,s,r):t==="style"?nc(e,n,s):Qn(t)?Qs(t)||ic(e,t,n,s,i):(t[0]==="."?(t=t.slice(1),!0):t[0]==="^"?(t=t.slice(1),!1):dc(e,t,s,r))?(Jo(e,t,s),!e.tagName.includes("-")&&(t==="value"||t==="checked"||t==="selected")&&Yo(e,t,s,r,i,t!=="value")):e._isVueCE&&(/[A-Z]/.test(t)||!ge(s))?Jo(e,Ct(t),s,i,t):(t==="true-value"?e._trueValue=s:t==="false-value"&&(e._falseValue=s),Yo(e,t,s,r))};function dc(e,t,n,s){if(s)return!!(t==="innerHTML"||t==="textContent"||t in e&&Zo(t)&&J(n));if(t==="spellcheck"||t==="draggable"||t==="translate"||t==="autocorrect"||t==="sandbox"&&e.tagName==="IFRAME"||t==="form"||t==="list"&&e.tagName==="INPUT"||t==="type"&&e.tagName==="TEXTAREA")return!1;if(t==="width"||t==="height"){const o=e.tagName;if(o==="IMG"||o==="VIDEO"||o==="CANVAS"||o==="SOURCE")return!1}return Zo(t)&&ge(n)?!1:t in e}const Rr=new WeakMap,Dr=new WeakMap,zn=Symbol("_moveCb"),Xo=Symbol("_enterCb"),hc=e=>(delete e.props.mode,e),pc=hc({name:"TransitionGroup",props:ye({},Ar,{tag:String,moveClass:String}),setup(e,{slots:t}){const n=ds(),s=Qi();let o,i;return or(()=>{if(!o.length)return;const r=e.moveClass||`${e.name||"v"}-move`;if(!bc(o[0].el,n.vnode.el,r)){o=[];return}o.forEach(mc),o.forEach(yc);const l=o.filter(_c);Hs(n.vnode.el),l.forEach(a=>{const u=a.el,c=u.style;Ye(u,r),c.transform=c.webkitTransform=c.transitionDuration="";const d=u[zn]=y=>{y&&y.target!==u||(!y||y.propertyName.endsWith("transform"))&&(u.removeEventListener("transitionend",d),u[zn]=null,mt(u,r))};u.addEventListener("transitionend",d)}),o=[]}),()=>{const r=Z(e),l=Mr(r);let a=r.tag||q;if(o=[],i)for(let u=0;u<i.length;u++){const c=i[u];c.el&&c.el instanceof Element&&(o.push(c),Rt(c,Cn(c,l,s,n)),Rr.set(c,Or(c.el)))}i=t.default?ao(t.default()):[];for(let u=0;u<i.length;u++){const c=i[u];c.key!=null&&Rt(c,Cn(c,l,s,n))}return re(a,null,i)}}}),gc=pc;function mc(e){const t=e.el;t[zn]&&t[zn](),t[Xo]&&t[Xo]()}function yc(e){Dr.set(e,Or(e.el))}function _c(e){const t=Rr.get(e),n=Dr.get(e),s=t.left-n.left,o=t.top-n.top;if(s||o){const i=e.el,r=i.style,l=i.getBoundingClientRect();let a=1,u=1;return i.offsetWidth&&(a=l.width/i.offsetWidth),i.offsetHeight&&(u=l.height/i.offsetHeight),(!Number.isFinite(a)||a===0)&&(a=1),(!Number.isFinite(u)||u===0)&&(u=1),Math.abs(a-1)<.01&&(a=1),Math.abs(u-1)<.01&&(u=1),r.transform=r.webkitTransform=`translate(${s/a}px,${o/u}px)`,r.transitionDuration="0s",e}}function Or(e){const t=e.getBoundingClientRect();return{left:t.left,top:t.top}}function bc(e,t,n){const s=e.cloneNode(),o=e[qt];o&&o.forEach(l=>{l.split(/\s+/).forEach(a=>a&&s.classList.remove(a))}),n.split(/\s+/).forEach(l=>l&&s.classList.add(l)),s.style.display="none";const i=t.nodeType===1?t:t.parentNode;i.appendChild(s);const{hasTransform:r}=kr(s);return i.removeChild(s),r}const Gt=e=>{const t=e.props["onUpdate:modelValue"]||!1;return B(t)?n=>Dn(t,n):t};function vc(e){e.target.composing=!0}function ei(e){const t=e.target;t.composing&&(t.composing=!1,t.dispatchEvent(new Event("input")))}const at=Symbol("_assign");function ti(e,t,n){return t&&(e=e.trim()),n&&(e=es(e)),e}const yn={created(e,{modifiers:{lazy:t,trim:n,number:s}},o){e[at]=Gt(o);const i=s||o.props&&o.props.type==="number";vt(e,t?"change":"input",r=>{r.target.composing||e[at](ti(e.value,n,i))}),(n||i)&&vt(e,"change",()=>{e.value=ti(e.value,n,i)}),t||(vt(e,"compositionstart",vc),vt(e,"compositionend",ei),vt(e,"change",ei))},mounted(e,{value:t}){e.value=t??""},beforeUpdate(e,{value:t,oldValue:n,modifiers:{lazy:s,trim:o,number:i}},r){if(e[at]=Gt(r),e.composing)return;const l=(i||e.type==="number")&&!/^0\d/.test(e.value)?es(e.value):e.value,a=t??"";l!==a&&(document.activeElement===e&&e.type!=="range"&&(s&&t===n||o&&e.value.trim()===a)||(e.value=a))}},Sc={deep:!0,created(e,t,n){e[at]=Gt(n),vt(e,"change",()=>{const s=e._modelValue,o=xn(e),i=e.checked,r=e[at];if(B(s)){const l=Xs(s,o),a=l!==-1;if(i&&!a)r(s.concat(o));else if(!i&&a){const u=[...s];u.splice(l,1),r(u)}}else if(Yt(s)){const l=new Set(s);i?l.add(o):l.delete(o),r(l)}else r(Fr(e,i))})},mounted:ni,beforeUpdate(e,t,n){e[at]=Gt(n),ni(e,t,n)}};function ni(e,{value:t,oldValue:n},s){e._modelValue=t;let o;if(B(t))o=Xs(t,s.props.value)>-1;else if(Yt(t))o=t.has(s.props.value);else{if(t===n)return;o=zt(t,Fr(e,!0))}e.checked!==o&&(e.checked=o)}const Bt={deep:!0,created(e,{value:t,modifiers:{number:n}},s){const o=Yt(t);vt(e,"change",()=>{const i=Array.prototype.filter.call(e.options,r=>r.selected).map(r=>n?es(xn(r)):xn(r));e[at](e.multiple?o?new Set(i):i:i[0]),e._assigning=!0,is(()=>{e._assigning=!1})}),e[at]=Gt(s)},mounted(e,{value:t}){si(e,t)},beforeUpdate(e,t,n){e[at]=Gt(n)},updated(e,{value:t}){e._assigning||si(e,t)}};function si(e,t){const n=e.multiple,s=B(t);if(!(n&&!s&&!Yt(t))){for(let o=0,i=e.options.length;o<i;o++){const r=e.options[o],l=xn(r);if(n)if(s){const a=typeof l;a==="string"||a==="number"?r.selected=t.some(u=>String(u)===String(l)):r.selected=Xs(t,l)>-1}else r.selected=t.has(l);else if(zt(xn(r),t)){e.selectedIndex!==o&&(e.selectedIndex=o);return}}!n&&e.selectedIndex!==-1&&(e.selectedIndex=-1)}}function xn(e){return"_value"in e?e._value:e.value}function Fr(e,t){const n=t?"_trueValue":"_falseValue";return n in e?e[n]:t}const Cc=["ctrl","shift","alt","meta"],wc={stop:e=>e.stopPropagation(),prevent:e=>e.preventDefault(),self:e=>e.target!==e.currentTarget,ctrl:e=>!e.ctrlKey,shift:e=>!e.shiftKey,alt:e=>!e.altKey,meta:e=>!e.metaKey,left:e=>"button"in e&&e.button!==0,middle:e=>"button"in e&&e.button!==1,right:e=>"button"in e&&e.button!==2,exact:(e,t)=>Cc.some(n=>e[`${n}Key`]&&!t.includes(n))},Vr=(e,t)=>{if(!e)return e;const n=e._withMods||(e._withMods={}),s=t.join(".");return n[s]||(n[s]=((o,...i)=>{for(let r=0;r<t.length;r++){const l=wc[t[r]];if(l&&l(o,t))return}return e(o,...i)}))},Pc=ye({patchProp:fc},Ya);let oi;function xc(){return oi||(oi=Ta(Pc))}const Tc=((...e)=>{const t=xc().createApp(...e),{mount:n}=t;return t.mount=s=>{const o=$c(s);if(!o)return;const i=t._component;!J(i)&&!i.render&&!i.template&&(i.template=o.innerHTML),o.nodeType===1&&(o.textContent="");const r=n(o,!1,Ec(o));return o instanceof Element&&(o.removeAttribute("v-cloak"),o.setAttribute("data-v-app","")),r},t});function Ec(e){if(e instanceof SVGElement)return"svg";if(typeof MathMLElement=="function"&&e instanceof MathMLElement)return"mathml"}function $c(e){return ge(e)?document.querySelector(e):e}/*!
+ * pinia v2.3.1
+ * (c) 2025 Eduardo San Martin Morote
+ * @license MIT
+ */let Nr;const ps=e=>Nr=e,jr=Symbol();function Us(e){return e&&typeof e=="object"&&Object.prototype.toString.call(e)==="[object Object]"&&typeof e.toJSON!="function"}var _n;(function(e){e.direct="direct",e.patchObject="patch object",e.patchFunction="patch function"})(_n||(_n={}));function Lc(){const e=Ti(!0),t=e.run(()=>ce({}));let n=[],s=[];const o=ro({install(i){ps(o),o._a=i,i.provide(jr,o),i.config.globalProperties.$pinia=o,s.forEach(r=>n.push(r)),s=[]},use(i){return this._a?n.push(i):s.push(i),this},_p:n,_a:null,_e:e,_s:new Map,state:t});return o}const Br=()=>{};function ii(e,t,n,s=Br){e.push(t);const o=()=>{const i=e.indexOf(t);i>-1&&(e.splice(i,1),s())};return!n&&Ei()&&ll(o),o}function Nt(e,...t){e.slice().forEach(n=>{n(...t)})}const Ac=e=>e(),ri=Symbol(),$s=Symbol();function Ws(e,t){e instanceof Map&&t instanceof Map?t.forEach((n,s)=>e.set(s,n)):e instanceof Set&&t instanceof Set&&t.forEach(e.add,e);for(const n in t){if(!t.hasOwnProperty(n))continue;const s=t[n],o=e[n];Us(o)&&Us(s)&&e.hasOwnProperty(n)&&!pe(s)&&!lt(s)?e[n]=Ws(o,s):e[n]=s}return e}const Ic=Symbol();function Mc(e){return!Us(e)||!e.hasOwnProperty(Ic)}const{assign:yt}=Object;function kc(e){return!!(pe(e)&&e.effect)}function Rc(e,t,n,s){const{state:o,actions:i,getters:r}=t,l=n.state.value[e];let a;function u(){l||(n.state.value[e]=o?o():{});const c=Il(n.state.value[e]);return yt(c,i,Object.keys(r||{}).reduce((d,y)=>(d[y]=ro(ee(()=>{ps(n);const v=n._s.get(e);return r[y].call(v,v)})),d),{}))}return a=Hr(e,u,t,n,s,!0),a}function Hr(e,t,n={},s,o,i){let r;const l=yt({actions:{}},n),a={deep:!0};let u,c,d=[],y=[],v;const F=s.state.value[e];!i&&!F&&(s.state.value[e]={});let I;function V(Y){let R;u=c=!1,typeof Y=="function"?(Y(s.state.value[e]),R={type:_n.patchFunction,storeId:e,events:v}):(Ws(s.state.value[e],Y),R={type:_n.patchObject,payload:Y,storeId:e,events:v});const G=I=Symbol();is().then(()=>{I===G&&(u=!0)}),c=!0,Nt(d,R,s.state.value[e])}const N=i?function(){const{state:R}=n,G=R?R():{};this.$patch(X=>{yt(X,G)})}:Br;function k(){r.stop(),d=[],y=[],s._s.delete(e)}const j=(Y,R="")=>{if(ri in Y)return Y[$s]=R,Y;const G=function(){ps(s);const X=Array.from(arguments),D=[],te=[];function me(z){D.push(z)}function Le(z){te.push(z)}Nt(y,{args:X,name:G[$s],store:U,after:me,onError:Le});let ue;try{ue=Y.apply(this&&this.$id===e?this:U,X)}catch(z){throw Nt(te,z),z}return ue instanceof Promise?ue.then(z=>(Nt(D,z),z)).catch(z=>(Nt(te,z),Promise.reject(z))):(Nt(D,ue),ue)};return G[ri]=!0,G[$s]=R,G},$={_p:s,$id:e,$onAction:ii.bind(null,y),$patch:V,$reset:N,$subscribe(Y,R={}){const G=ii(d,Y,R.detached,()=>X()),X=r.run(()=>It(()=>s.state.value[e],D=>{(R.flush==="sync"?c:u)&&Y({storeId:e,type:_n.direct,events:v},D)},yt({},a,R)));return G},$dispose:k},U=Qt($);s._s.set(e,U);const ie=(s._a&&s._a.runWithContext||Ac)(()=>s._e.run(()=>(r=Ti()).run(()=>t({action:j}))));for(const Y in ie){const R=ie[Y];if(pe(R)&&!kc(R)||lt(R))i||(F&&Mc(R)&&(pe(R)?R.value=F[Y]:Ws(R,F[Y])),s.state.value[e][Y]=R);else if(typeof R=="function"){const G=j(R,Y);ie[Y]=G,l.actions[Y]=R}}return yt(U,ie),yt(Z(U),ie),Object.defineProperty(U,"$state",{get:()=>s.state.value[e],set:Y=>{V(R=>{yt(R,Y)})}}),s._p.forEach(Y=>{yt(U,r.run(()=>Y({store:U,app:s._a,pinia:s,options:l})))}),F&&i&&n.hydrate&&n.hydrate(U.$state,F),u=!0,c=!0,U}/*! #__NO_SIDE_EFFECTS__ */function Dc(e,t,n){let s,o;const i=typeof t=="function";s=e,o=i?n:t;function r(l,a){const u=Hl();return l=l||(u?dn(jr,null):null),l&&ps(l),l=Nr,l._s.has(s)||(i?Hr(s,t,o,l):Rc(s,o,l)),l._s.get(s)}return r.$id=s,r}const Ks=(e,t)=>t.some(n=>e instanceof n);let li,ai;function Oc(){return li||(li=[IDBDatabase,IDBObjectStore,IDBIndex,IDBCursor,IDBTransaction])}function Fc(){return ai||(ai=[IDBCursor.prototype.advance,IDBCursor.prototype.continue,IDBCursor.prototype.continuePrimaryKey])}const qs=new WeakMap,Ls=new WeakMap,gs=new WeakMap;function Vc(e){const t=new Promise((n,s)=>{const o=()=>{e.removeEventListener("success",i),e.removeEventListener("error",r)},i=()=>{n(kt(e.result)),o()},r=()=>{s(e.error),o()};e.addEventListener("success",i),e.addEventListener("error",r)});return gs.set(t,e),t}function Nc(e){if(qs.has(e))return;const t=new Promise((n,s)=>{const o=()=>{e.removeEventListener("complete",i),e.removeEventListener("error",r),e.removeEventListener("abort",r)},i=()=>{n(),o()},r=()=>{s(e.error||new DOMException("AbortError","AbortError")),o()};e.addEventListener("complete",i),e.addEventListener("error",r),e.addEventListener("abort",r)});qs.set(e,t)}let Gs={get(e,t,n){if(e instanceof IDBTransaction){if(t==="done")return qs.get(e);if(t==="store")return n.objectStoreNames[1]?void 0:n.objectStore(n.objectStoreNames[0])}return kt(e[t])},set(e,t,n){return e[t]=n,!0},has(e,t){return e instanceof IDBTransaction&&(t==="done"||t==="store")?!0:t in e}};function Ur(e){Gs=e(Gs)}function jc(e){return Fc().includes(e)?function(...t){return e.apply(Ys(this),t),kt(this.request)}:function(...t){return kt(e.apply(Ys(this),t))}}function Bc(e){return typeof e=="function"?jc(e):(e instanceof IDBTransaction&&Nc(e),Ks(e,Oc())?new Proxy(e,Gs):e)}function kt(e){if(e instanceof IDBRequest)return Vc(e);if(Ls.has(e))return Ls.get(e);const t=Bc(e);return t!==e&&(Ls.set(e,t),gs.set(t,e)),t}const Ys=e=>gs.get(e);function Hc(e,t,{blocked:n,upgrade:s,blocking:o,terminated:i}={}){const r=indexedDB.open(e,t),l=kt(r);return s&&r.addEventListener("upgradeneeded",a=>{s(kt(r.result),a.oldVersion,a.newVersion,kt(r.transaction),a)}),n&&r.addEventListener("blocked",a=>n(a.oldVersion,a.newVersion,a)),l.then(a=>{i&&a.addEventListener("close",()=>i()),o&&a.addEventListener("versionchange",u=>o(u.oldVersion,u.newVersion,u))}).catch(()=>{}),l}const Uc=["get","getKey","getAll","getAllKeys","count"],Wc=["put","add","delete","clear"],As=new Map;function ci(e,t){if(!(e instanceof IDBDatabase&&!(t in e)&&typeof t=="string"))return;if(As.get(t))return As.get(t);const n=t.replace(/FromIndex$/,""),s=t!==n,o=Wc.includes(n);if(!(n in(s?IDBIndex:IDBObjectStore).prototype)||!(o||Uc.includes(n)))return;const i=async function(r,...l){const a=this.transaction(r,o?"readwrite":"readonly");let u=a.store;return s&&(u=u.index(l.shift())),(await Promise.all([u[n](...l),o&&a.done]))[0]};return As.set(t,i),i}Ur(e=>({...e,get:(t,n,s)=>ci(t,n)||e.get(t,n,s),has:(t,n)=>!!ci(t,n)||e.has(t,n)}));const Kc=["continue","continuePrimaryKey","advance"],ui={},Js=new WeakMap,Wr=new WeakMap,qc={get(e,t){if(!Kc.includes(t))return e[t];let n=ui[t];return n||(n=ui[t]=function(...s){Js.set(this,Wr.get(this)[t](...s))}),n}};async function*Gc(...e){let t=this;if(t instanceof IDBCursor||(t=await t.openCursor(...e)),!t)return;t=t;const n=new Proxy(t,qc);for(Wr.set(n,t),gs.set(n,Ys(t));t;)yield n,t=await(Js.get(n)||t.continue()),Js.delete(n)}function fi(e,t){return t===Symbol.asyncIterator&&Ks(e,[IDBIndex,IDBObjectStore,IDBCursor])||t==="iterate"&&Ks(e,[IDBIndex,IDBObjectStore])}Ur(e=>({...e,get(t,n,s){return fi(t,n)?Gc:e.get(t,n,s)},has(t,n){return fi(t,n)||e.has(t,n)}}));const Yc="playlist-intelligence",Jc=2;let Is=null;function Kr(){return Is||(Is=Hc(Yc,Jc,{upgrade(e,t,n,s){e.objectStoreNames.contains("keyval")||e.createObjectStore("keyval"),e.objectStoreNames.contains("playlists")||e.createObjectStore("playlists",{keyPath:"id"}),t===1&&s.objectStore("keyval").delete("playlistCategories")}})),Is}async function on(e){return(await Kr()).get("keyval",e)}async function rn(e,t){return(await Kr()).put("keyval",t,e)}const zc="pi-video-store",qr=[e=>{const t=e.createObjectStore("videos",{keyPath:["playlistId","videoId"]});t.createIndex("byPlaylist","playlistId"),t.createIndex("byVideo","videoId"),t.createIndex("byCategory","categoryId"),t.createIndex("byChannel","channelTitle"),e.createObjectStore("meta")},(e,t)=>{t.objectStore("videos").createIndex("byChannelId","channelId")},e=>{e.createObjectStore("indexes")},e=>{e.createObjectStore("pages")}],di=qr.length;let an=null;function Qc(){return an||(an=Zc().then(async e=>(await Xc(e),e)).catch(e=>{throw an=null,e})),an}function Zc(){return new Promise((e,t)=>{const n=indexedDB.open(zc,di);n.onupgradeneeded=s=>{const o=n.result;for(let i=s.oldVersion;i<di;i++)qr[i](o,n.transaction)},n.onsuccess=()=>{const s=n.result;s.onversionchange=()=>{s.close(),an=null},e(s)},n.onerror=()=>t(n.error),n.onblocked=()=>console.warn("[VideoStore] Upgrade blocked by an open page")})}async function Xc(e){const{playlistCategories:t}=await chrome.storage.local.get(["playlistCategories"]);if(!t)return;const n=e.transaction(["videos","meta"],"readwrite"),s=n.objectStore("videos");let o=0;for(const[i,r]of Object.entries(t))for(const[l,a]of Object.entries(r||{}))s.put(tu(i,l,a)),o++;n.objectStore("meta").put(Date.now(),"migratedFromStorageAt"),await ou(n),await chrome.storage.local.remove(["playlistCategories"]),console.log(`[VideoStore] Migrated ${o} cached videos from chrome.storage.local`)}async function eu(){var s;const e=await Qc(),t=await su(e.transaction("videos").objectStore("videos").getAll()),n={};for(const o of t)(n[s=o.playlistId]||(n[s]={}))[o.videoId]=nu(o);return n}function tu(e,t,n){return{...n,playlistId:e,videoId:t}}function nu(e){const{playlistId:t,videoId:n,...s}=e;return s}function su(e){return new Promise((t,n)=>{e.onsuccess=()=>t(e.result),e.onerror=()=>n(e.error)})}function ou(e){return new Promise((t,n)=>{e.oncomplete=()=>t(),e.onerror=()=>n(e.error),e.onabort=()=>n(e.error||new Error("Transaction aborted"))})}const iu=30,ru=3,lu=.3,po={};function Ot(e,{label:t,description:n="",defaultWeight:s=0,score:o}){po[e]={label:t,description:n,defaultWeight:s,score:o}}Ot("dominant",{label:"Dominant category",description:"The playlist is mostly videos of this category",defaultWeight:1,score:({stats:e},{videoCategoryId:t})=>e.dominantCategoryId===t?e.dominantRatio||1:0});Ot("distribution",{label:"Category share",description:"Fraction of the playlist in this category",defaultWeight:1,score:({categoryDistribution:e},{videoCategoryId:t})=>(e==null?void 0:e[t])||0});Ot("recency",{label:"Recently used",description:"Videos were added to the playlist recently",defaultWeight:.3,score:({activity:e},{now:t})=>{if(!(e!=null&&e.lastAddedAt))return 0;const n=Math.max(0,t-e.lastAddedAt)/864e5;return Math.pow(.5,n/iu)}});Ot("size",{label:"Playlist size",description:"Bigger playlists rank a little higher",defaultWeight:.1,score:({stats:e},{maxVideos:t})=>t?Math.log1p(e.totalVideos||0)/Math.log1p(t):0});Ot("frequency",{label:"Save frequency",description:"You often add videos to this playlist",defaultWeight:.3,score:({activity:e},{maxAdds:t})=>t?((e==null?void 0:e.addedCount)||0)/t:0});Ot("channel",{label:"Same channel",description:"The playlist already has videos from this channel",defaultWeight:1.5,score:({channelCount:e})=>1-Math.pow(.5,(e||0)/ru)});Ot("title",{label:"Similar titles",description:"The video's title shares distinctive words with the playlist's videos",defaultWeight:1,score:({titleSimilarity:e})=>(e||0)/lu});const au=2;function cu(){const e={};for(const[t,n]of Object.entries(po))e[t]=n.defaultWeight;return e}function uu(){return Object.entries(po).map(([e,{label:t,description:n,defaultWeight:s}])=>({id:e,label:t,description:n,defaultWeight:s}))}const fu={totalPlaylists:8,totalVideos:247,categoryDistribution:{Music:72,Gaming:48,Education:35,"Science & Technology":28,Entertainment:24,"People & Blogs":18,"Film & Animation":12,Comedy:10}},du={PLabc001:{totalVideos:45,dominantCategory:"Music",dominantCategoryId:"10",dominantRatio:.89,dominantCount:40,uniqueCategories:3,focusLabel:"Highly Focused",categoryFrequency:{Music:40,Entertainment:3,"People & Blogs":2}},PLabc002:{totalVideos:38,dominantCategory:"Gaming",dominantCategoryId:"20",dominantRatio:.84,dominantCount:32,uniqueCategories:4,focusLabel:"Highly Focused",categoryFrequency:{Gaming:32,Entertainment:3,"Science & Technology":2,Comedy:1}},PLabc003:{totalVideos:52,dominantCategory:"Education",dominantCategoryId:"27",dominantRatio:.62,dominantCount:32,uniqueCategories:5,focusLabel:"Focused",categoryFrequency:{Education:32,"Science & Technology":10,"People & Blogs":5,"Film & Animation":3,Music:2}},PLabc004:{totalVideos:28,dominantCategory:"Science & Technology",dominantCategoryId:"28",dominantRatio:.57,dominantCount:16,uniqueCategories:4,focusLabel:"Focused",categoryFrequency:{"Science & Technology":16,Education:5,"People & Blogs":4,Entertainment:3}},PLabc005:{totalVideos:22,dominantCategory:"Entertainment",dominantCategoryId:"24",dominantRatio:.45,dominantCount:10,uniqueCategories:6,focusLabel:"Mixed",categoryFrequency:{Entertainment:10,Music:4,Comedy:3,Gaming:2,"Film & Animation":2,"People & Blogs":1}},PLabc006:{totalVideos:18,dominantCategory:"Music",dominantCategoryId:"10",dominantRatio:.94,dominantCount:17,uniqueCategories:2,focusLabel:"Highly Focused",categoryFrequency:{Music:17,Entertainment:1}},PLabc007:{totalVideos:31,dominantCategory:"Film & Animation",dominantCategoryId:"1",dominantRatio:.35,dominantCount:11,uniqueCategories:5,focusLabel:"Mixed",categoryFrequency:{"Film & Animation":11,Entertainment:8,Comedy:6,Music:4,Gaming:2}},PLabc008:{totalVideos:13,dominantCategory:"Comedy",dominantCategoryId:"23",dominantRatio:.69,dominantCount:9,uniqueCategories:3,focusLabel:"Focused",categoryFrequency:{Comedy:9,Entertainment:3,"People & Blogs":1}}},hu={PLabc001:{title:"Chill Vibes",description:"Lo-fi, ambient, and chill tracks for working and relaxing.",url:"https://www.youtube.com/playlist?list=PLabc001",thumbnail:"https://i.ytimg.com/vi/jfKfPfyJRdk/mqdefault.jpg",publishedAt:"2019-03-15T10:22:00Z",privacyStatus:"public",videoCount:45},PLabc002:{title:"Let's Play Archive",description:"Full playthroughs and highlights from various games.",url:"https://www.youtube.com/playlist?list=PLabc002",thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",publishedAt:"2020-07-01T14:00:00Z",privacyStatus:"public",videoCount:38},PLabc003:{title:"Learn Something New",description:"Educational content: science, math, and history deep dives.",url:"https://www.youtube.com/playlist?list=PLabc003",thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",publishedAt:"2021-01-10T08:30:00Z",privacyStatus:"public",videoCount:52},PLabc004:{title:"Tech Deep Dives",description:"In-depth looks at programming, AI, and hardware.",url:"https://www.youtube.com/playlist?list=PLabc004",thumbnail:"",publishedAt:"2022-05-22T16:45:00Z",privacyStatus:"public",videoCount:28},PLabc005:{title:"Random Favs",description:"",url:"https://www.youtube.com/playlist?list=PLabc005",thumbnail:"",publishedAt:"2018-11-03T20:00:00Z",privacyStatus:"public",videoCount:22},PLabc006:{title:"Workout Beats",description:"High-energy music for the gym.",url:"https://www.youtube.com/playlist?list=PLabc006",thumbnail:"",publishedAt:"2023-02-14T09:15:00Z",privacyStatus:"private",videoCount:18},PLabc007:{title:"Movie Night",description:"Trailers, reviews, and behind-the-scenes content.",url:"https://www.youtube.com/playlist?list=PLabc007",thumbnail:"",publishedAt:"2024-08-30T11:00:00Z",privacyStatus:"public",videoCount:31},PLabc008:{title:"Funny Stuff",description:"Sketches and stand-up clips that crack me up.",url:"https://www.youtube.com/playlist?list=PLabc008",thumbnail:"",publishedAt:"2017-06-18T13:30:00Z",privacyStatus:"unlisted",videoCount:13}};function gt(e,t,n){const s={},o=Object.entries(n);let i=0;for(const[r,l]of o)for(let a=0;a<l&&i<t;a++,i++){const u=`${e}_v${String(i).padStart(3,"0")}`;s[u]={categoryId:r,category:r,title:`${r} Video ${a+1} – Sample Title`,channelTitle:`Channel ${String.fromCharCode(65+i%26)}`,thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",durationSeconds:20+i*97%900}}return s}const Tn={PLabc001:gt("PLabc001",45,{Music:40,Entertainment:3,"People & Blogs":2}),PLabc002:gt("PLabc002",38,{Gaming:32,Entertainment:3,"Science & Technology":2,Comedy:1}),PLabc003:gt("PLabc003",52,{Education:32,"Science & Technology":10,"People & Blogs":5,"Film & Animation":3,Music:2}),PLabc004:gt("PLabc004",28,{"Science & Technology":16,Education:5,"People & Blogs":4,Entertainment:3}),PLabc005:gt("PLabc005",22,{Entertainment:10,Music:4,Comedy:3,Gaming:2,"Film & Animation":2,"People & Blogs":1}),PLabc006:gt("PLabc006",18,{Music:17,Entertainment:1}),PLabc007:gt("PLabc007",31,{"Film & Animation":11,Entertainment:8,Comedy:6,Music:4,Gaming:2}),PLabc008:gt("PLabc008",13,{Comedy:9,Entertainment:3,"People & Blogs":1})};Tn.PLabc001.PLabc001_v007={...Tn.PLabc001.PLabc001_v007,status:"private",unavailableSince:Date.now()-3*864e5};Tn.PLabc003.PLabc003_v020={...Tn.PLabc003.PLabc003_v020,status:"deleted",unavailableSince:Date.now()-864e5};const pu={PLabc001:{PLabc001_v007:{title:"Music Video 8 – Sample Title",channelTitle:"Channel H",thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",category:"Music",status:"private",detectedAt:Date.now()-3*864e5,removedAt:null}},PLabc003:{PLabc003_v020:{title:"Education Video 21 – Sample Title",channelTitle:"Channel U",thumbnail:"https://i.ytimg.com/vi/dQw4w9WgXcQ/mqdefault.jpg",category:"Education",status:"deleted",detectedAt:Date.now()-864e5,removedAt:null},PLabc003_gone01:{title:"The History of Zero",channelTitle:"Numberphile",thumbnail:"",category:"Education",status:"deleted",detectedAt:Date.now()-20*864e5,removedAt:Date.now()-10*864e5}}},gu=Date.now()-36e5,mu={at:Date.now()-36e5,finishedAt:Date.now()-359e4,status:"success",reason:null,error:null,totalPlaylists:8},yu=[{id:"run-2",trigger:"scheduled",status:"success",startedAt:Date.now()-36e5,finishedAt:Date.now()-359e4,durationMs:1e4,resumeCount:0,apiUnits:14,playlists:8,error:null,failedPlaylists:[],addedPlaylists:[],removedPlaylists:[],changes:{PLabc001:{title:"Chill Vibes",initial:!1,addedCount:2,removedCount:1,added:[{videoId:"jfKfPfyJRdk",title:"lofi hip hop radio – beats to relax/study to",channelTitle:"Lofi Girl"},{videoId:"PLabc001_v045",title:"Rainy Day Jazz",channelTitle:"Channel T"}],removed:[{videoId:"PLabc001_v012",title:"Music Video 13 – Sample Title",channelTitle:"Channel M"}]}}},{id:"run-1",trigger:"manual",status:"failed",startedAt:Date.now()-864e5,finishedAt:Date.now()-8638e4,durationMs:2e4,resumeCount:0,apiUnits:9,playlists:8,error:"YouTube API 403 (quotaExceeded): The request cannot be completed because you have exceeded your quota.",failedPlaylists:[{playlistId:"PLabc007",title:"Movie Night",type:"forbidden",message:"YouTube API 403 (forbidden)"}],addedPlaylists:[{playlistId:"PLabc008",title:"Funny Stuff"}],removedPlaylists:[],changes:{PLabc008:{title:"Funny Stuff",initial:!0,addedCount:13,removedCount:0,added:[],removed:[]}}}],_u={mode:"exclude",include:[],exclude:["PLabc005"],maxVideos:0,skipGenerated:!0},bu={byChannel:{UCSJ4gkVC6NrvII8umztf0Ow:{PLabc001:6},"UCoxcjq-8xIDTYp3uz647V5A":{PLabc003:3,PLabc006:1},"Channel H":{PLabc002:4}},channelNames:{UCSJ4gkVC6NrvII8umztf0Ow:"Lofi Girl","UCoxcjq-8xIDTYp3uz647V5A":"Numberphile","Channel H":"Channel H"},byCategory:{10:{PLabc001:9},20:{PLabc002:5,PLabc008:1},28:{PLabc003:3,PLabc006:1}},eventCount:24,since:Date.now()-21*864e5},vu=[{id:"rule-1",name:"Shorts",enabled:!0,match:"all",conditions:[{field:"duration",op:"under",value:60}],playlistIds:["PLabc008"]},{id:"rule-2",name:"Channel B music",enabled:!0,match:"all",conditions:[{field:"channel",op:"is",value:"Channel B"},{field:"title",op:"matches",value:"^Music"}],playlistIds:["PLabc001","PLabc006"]}];var pi,gi;const Te=!(typeof chrome<"u"&&((pi=chrome.storage)!=null&&pi.local)&&((gi=chrome.runtime)!=null&&gi.sendMessage)),Re=Dc("dashboard",()=>{const e=ce(null),t=ce({}),n=ce({}),s=ce({}),o=ce({}),i=ce(null),r=ce(null),l=ce([]),a=ce(!0),u=ce(!1),c=ce("idle"),d=ce(null),y=ce(null),v=ce(null),F=ce([]),I=ce(null),V=ce([]),N=ce(null),k=ce(null),j=ce(""),$=ce("ratio"),U=ce(""),W=ce(null),ie=ee(()=>{var p;return((p=e.value)==null?void 0:p.totalPlaylists)??0}),Y=ee(()=>{var p;return((p=e.value)==null?void 0:p.totalVideos)??0}),R=ee(()=>{var p;return((p=e.value)==null?void 0:p.categoryDistribution)??{}}),G=ee(()=>Object.keys(R.value).length),X=ee(()=>{const p=Object.entries(R.value);return p.length?(p.sort((h,x)=>x[1]-h[1]),p[0][0]):"—"}),D=ee(()=>{const p=new Set;for(const h of Object.values(t.value))if(h.categoryFrequency)for(const x of Object.keys(h.categoryFrequency))p.add(x);return Array.from(p).sort()}),te=ee(()=>{let p=Object.entries(t.value).map(([h,x])=>{var T,O,H;return{id:h,name:((T=n.value[h])==null?void 0:T.title)||h,url:((O=n.value[h])==null?void 0:O.url)||`https://www.youtube.com/playlist?list=${h}`,totalVideos:x.totalVideos,dominantCategory:x.dominantCategory||"—",dominantRatio:x.dominantRatio||0,focusLabel:x.focusLabel||"Empty",createdAt:((H=n.value[h])==null?void 0:H.publishedAt)||null,categories:x.categoryFrequency?Object.keys(x.categoryFrequency):[]}});if(U.value){const h=U.value;p=p.filter(x=>x.categories.includes(h))}if(j.value){const h=j.value.toLowerCase();p=p.filter(x=>x.name.toLowerCase().includes(h)||x.dominantCategory.toLowerCase().includes(h))}switch($.value){case"name":p.sort((h,x)=>h.name.localeCompare(x.name));break;case"videos":p.sort((h,x)=>x.totalVideos-h.totalVideos);break;case"ratio":p.sort((h,x)=>x.dominantRatio-h.dominantRatio);break;case"focus":p.sort((h,x)=>hi(h.focusLabel)-hi(x.focusLabel));break;case"newest":p.sort((h,x)=>{const T=h.createdAt?new Date(h.createdAt).getTime():0;return(x.createdAt?new Date(x.createdAt).getTime():0)-T});break;case"oldest":p.sort((h,x)=>{const T=h.createdAt?new Date(h.createdAt).getTime():1/0,O=x.createdAt?new Date(x.createdAt).getTime():1/0;return T-O});break}return p}),me=ee(()=>{const p=W.value;if(!p)return null;const h=n.value[p]||{},x=t.value[p]||{};return{id:p,title:h.title||p,description:h.description||"",url:h.url||`https://www.youtube.com/playlist?list=${p}`,thumbnail:h.thumbnail||"",privacyStatus:h.privacyStatus||"unknown",syncError:h.syncError||null,...x}}),Le=ee(()=>{const p=W.value;if(!p)return[];const h=s.value[p]||{};return Object.entries(h).map(([x,T])=>({id:x,title:T.title||x,category:T.category||"Unknown",categoryId:T.categoryId||null,channelTitle:T.channelTitle||"",thumbnail:T.thumbnail||"",status:T.status||"available",url:`https://www.youtube.com/watch?v=${x}`}))}),ue=ee(()=>Object.entries(o.value).map(([p,h])=>{var x;return{id:p,name:((x=n.value[p])==null?void 0:x.title)||p,videos:Object.entries(h).map(([T,O])=>({id:T,...O,title:O.title||T,url:`https://www.youtube.com/watch?v=${T}`})).sort((T,O)=>(O.detectedAt||0)-(T.detectedAt||0))}}).filter(p=>p.videos.length).sort((p,h)=>h.videos.length-p.videos.length)),z=ee(()=>ue.value.reduce((p,h)=>p+h.videos.length,0));function le(p){W.value=p}function et(){W.value=null}async function Ne({force:p=!1}={}){a.value=!0;try{if(Te){console.info("[Dashboard] Dev mode — loading mock data"),e.value=fu,t.value=du,n.value=hu,s.value=Tn,o.value=pu,i.value=gu,r.value=mu,l.value=yu;return}let h=await on("globalStats"),x=await on("playlistStats"),T=await on("playlistMeta"),O=await on("unavailableVideos"),H=await on("lastSync");const K=await chrome.storage.local.get(["globalStats","playlistStats","playlistMeta","unavailableVideos","lastSync","lastScheduledSync","syncHistory"]);r.value=K.lastScheduledSync||null,l.value=K.syncHistory||[];const ae=K.lastSync||0;(p||ae>(H||0))&&K.globalStats&&(h=K.globalStats,x=K.playlistStats,T=K.playlistMeta,O=K.unavailableVideos,H=K.lastSync,await Promise.all([rn("globalStats",h),rn("playlistStats",x),rn("playlistMeta",T),rn("unavailableVideos",O||{}),rn("lastSync",H)])),e.value=h||null,t.value=x||{},n.value=T||{},s.value=await eu(),o.value=O||{},i.value=H||null}catch(h){console.error("Failed to load dashboard data:",h)}finally{a.value=!1}}async function tt(){await Zt("SYNC_START")}async function De(){await Zt("SYNC_RESUME")}async function Zt(p){if(Te){u.value=!0,await new Promise(h=>setTimeout(h,600)),i.value=Date.now(),u.value=!1;return}u.value=!0,c.value="running",d.value=null;try{const h=await chrome.runtime.sendMessage({type:p});h.success?(c.value="idle",await Ne(),await ht()):h.state==="paused"?c.value="paused":h.state==="cancelled"?(c.value="idle",await Ne()):(c.value="idle",d.value=h.error||"Sync failed")}catch(h){c.value="idle",d.value=h.message}finally{u.value=!1}}async function An(p){if(!Te)try{const h=await chrome.runtime.sendMessage({type:p});h!=null&&h.success?h.state==="cancelled"?(c.value="idle",await Ne()):c.value=h.state:d.value=(h==null?void 0:h.error)||"No sync in progress"}catch(h){d.value=h.message}}function ms(){return An("SYNC_PAUSE")}function Pt(){return An("SYNC_CANCEL")}async function Ft(){if(!Te)try{const p=await chrome.runtime.sendMessage({type:"GET_SYNC_STATUS"});p!=null&&p.success&&!u.value&&(c.value=p.state)}catch{}}function Xt(p){if((p==null?void 0:p.type)!=="SYNC_PROGRESS")return;const h=p.state||"running";if(h==="running")c.value!=="pausing"&&c.value!=="cancelling"&&(c.value="running");else if(h==="paused")c.value="paused";else{if(c.value="idle",u.value)return;h==="failed"?d.value=p.text:Ne()}}Te||chrome.runtime.onMessage.addListener(Xt);async function In(p){if(Te){y.value=p,await new Promise(h=>setTimeout(h,600)),y.value=null;return}y.value=p,d.value=null;try{const h=await chrome.runtime.sendMessage({type:"SYNC_PLAYLIST",playlistId:p});h!=null&&h.success||(d.value=(h==null?void 0:h.error)||"Playlist refresh failed"),await Ne({force:!0})}catch(h){d.value=h.message}finally{y.value=null}}async function ht(){if(Te){v.value={..._u},F.value=Object.entries(n.value).map(([p,h])=>({id:p,title:h.title,videoCount:h.videoCount||0,skipReason:null}));return}try{f(await chrome.runtime.sendMessage({type:"GET_SYNC_FILTER"}))}catch{}}async function go(p){if(Te){v.value=p;return}try{f(await chrome.runtime.sendMessage({type:"SET_SYNC_FILTER",filter:p}))}catch(h){d.value=h.message}}function f(p){p!=null&&p.success&&(v.value=p.filter,F.value=p.playlists)}async function g(){if(Te){I.value=cu(),V.value=uu();return}try{P(await chrome.runtime.sendMessage({type:"GET_SCORING_WEIGHTS"}))}catch{}}async function _(p){if(Te){I.value=p;return}try{P(await chrome.runtime.sendMessage({type:"SET_SCORING_WEIGHTS",weights:p}))}catch(h){d.value=h.message}}function P(p){p!=null&&p.success&&(I.value=p.weights,V.value=p.signals)}async function C(){if(Te){N.value=bu;return}try{const p=await chrome.runtime.sendMessage({type:"GET_SAVE_MODEL"});p!=null&&p.success&&(N.value=p.model)}catch{}}async function w(){if(!Te)try{await chrome.runtime.sendMessage({type:"RESET_SAVE_MODEL"})}catch(p){d.value=p.message;return}N.value={byChannel:{},byCategory:{},eventCount:0,since:null}}async function M(){if(Te){k.value=structuredClone(vu);return}try{const p=await chrome.runtime.sendMessage({type:"GET_SAVE_RULES"});p!=null&&p.success&&(k.value=p.rules)}catch{}}async function A(p){if(Te){k.value=p;return}try{const h=await chrome.runtime.sendMessage({type:"SET_SAVE_RULES",rules:p});h!=null&&h.success&&(k.value=h.rules)}catch(h){d.value=h.message}}return{globalStats:e,playlistStats:t,playlistMeta:n,playlistCategories:s,unavailableVideos:o,lastSync:i,lastScheduledSync:r,syncHistory:l,isLoading:a,isSyncing:u,syncState:c,syncError:d,refreshingPlaylistId:y,syncFilter:v,syncSelection:F,scoringWeights:I,scoringSignals:V,saveModel:N,saveRules:k,searchQuery:j,sortBy:$,filterCategory:U,selectedPlaylistId:W,totalPlaylists:ie,totalVideos:Y,categoryDistribution:R,uniqueCategories:G,topCategory:X,allCategories:D,playlistRows:te,selectedPlaylist:me,selectedVideos:Le,unavailableReport:ue,totalUnavailable:z,loadData:Ne,refresh:tt,resumeSync:De,pauseSync:ms,cancelSync:Pt,loadSyncStatus:Ft,syncPlaylist:In,loadSyncFilter:ht,saveSyncFilter:go,loadScoringWeights:g,saveScoringWeights:_,loadSaveModel:C,resetSaveModel:w,loadSaveRules:M,saveSaveRules:A,selectPlaylist:le,clearSelection:et}});function hi(e){switch(e){case"Highly Focused":return 0;case"Focused":return 1;case"Mixed":return 2;default:return 3}}const $e=(e,t)=>{const n=e.__vccOpts||e;for(const[s,o]of t)n[s]=o;return n},Su={class:"dash-header"},Cu={class:"header-actions"},wu={key:0,class:"sync-error"},Pu={key:3,class:"sync-state"},xu=["disabled"],Tu={__name:"DashHeader",setup(e){const t=Re();return(n,s)=>(b(),S("header",Su,[s[5]||(s[5]=m("h1",null,"📊 Playlist Intelligence Dashboard",-1)),m("div",Cu,[L(t).syncError?(b(),S("span",wu,E(L(t).syncError),1)):Q("",!0),L(t).syncState==="running"?(b(),S(q,{key:1},[m("button",{class:"btn btn-secondary",onClick:s[0]||(s[0]=o=>L(t).pauseSync())},"⏸ Pause"),m("button",{class:"btn btn-secondary",onClick:s[1]||(s[1]=o=>L(t).cancelSync())},"✕ Cancel")],64)):L(t).syncState==="paused"?(b(),S(q,{key:2},[m("button",{class:"btn btn-secondary",onClick:s[2]||(s[2]=o=>L(t).resumeSync())},"▶ Resume"),m("button",{class:"btn btn-secondary",onClick:s[3]||(s[3]=o=>L(t).cancelSync())},"✕ Cancel")],64)):L(t).syncState==="pausing"||L(t).syncState==="cancelling"?(b(),S("span",Pu,E(L(t).syncState==="pausing"?"Pausing…":"Cancelling…"),1)):Q("",!0),m("button",{class:"btn btn-secondary",disabled:L(t).isSyncing||L(t).syncState==="paused",onClick:s[4]||(s[4]=o=>L(t).refresh())},E(L(t).isSyncing?"Syncing…":"🔄 Refresh"),9,xu)])]))}},Eu=$e(Tu,[["__scopeId","data-v-beaec41e"]]),$u={class:"summary-section"},Lu={class:"summary-value"},Au={class:"summary-label"},Iu={__name:"SummaryCards",setup(e){const t=Re(),n=ee(()=>[{label:"Total Playlists",value:t.totalPlaylists},{label:"Total Videos",value:t.totalVideos},{label:"Unique Categories",value:t.uniqueCategories},{label:"Top Category",value:t.topCategory}]);return(s,o)=>(b(),S("section",$u,[(b(!0),S(q,null,he(n.value,i=>(b(),S("div",{key:i.label,class:"summary-card"},[m("span",Lu,E(i.value),1),m("span",Au,E(i.label),1)]))),128))]))}},Mu=$e(Iu,[["__scopeId","data-v-29a07b45"]]),ku={class:"chart-section"},Ru={class:"pie-chart-container"},Du={class:"pie-legend"},Ou=["onMouseenter"],Fu={class:"legend-label"},Vu={class:"legend-count"},Nu={__name:"CategoryChart",setup(e){const t=Re(),n=ce(null),s=ce(null),o=["#3ea6ff","#f5c518","#ff4e45","#4caf50","#ab47bc","#ff7043","#26c6da","#ec407a","#66bb6a","#ffa726","#8d6e63","#78909c","#5c6bc0","#29b6f6","#d4e157","#ef5350","#7e57c2","#26a69a","#ffee58","#bdbdbd"],i=ee(()=>{const l=Object.entries(t.categoryDistribution).sort((u,c)=>c[1]-u[1]),a=l.reduce((u,[,c])=>u+c,0);return a===0?[]:l.map(([u,c])=>({label:u,count:c,pct:(c/a*100).toFixed(1)}))});function r(){const l=n.value;if(!l)return;const a=l.getContext("2d"),u=i.value,c=u.reduce((I,V)=>I+V.count,0);if(c===0)return;a.clearRect(0,0,l.width,l.height);const d=l.width/2,y=l.height/2,v=Math.min(d,y)-10;let F=-Math.PI/2;u.forEach((I,V)=>{const N=I.count/c*2*Math.PI,k=s.value===V,j=k?v+6:v;a.beginPath(),a.moveTo(d,y),a.arc(d,y,j,F,F+N),a.closePath(),a.fillStyle=o[V%o.length],a.globalAlpha=s.value!==null&&!k?.4:1,a.fill(),a.globalAlpha=1,F+=N}),a.beginPath(),a.arc(d,y,v*.55,0,2*Math.PI),a.fillStyle="#181818",a.fill(),a.fillStyle="#fff",a.font="bold 28px Segoe UI, Roboto, sans-serif",a.textAlign="center",a.textBaseline="middle",a.fillText(c.toString(),d,y-8),a.font="11px Segoe UI, Roboto, sans-serif",a.fillStyle="#888",a.fillText("videos",d,y+14)}return cs(()=>{r()}),It(()=>t.categoryDistribution,()=>is(r),{deep:!0}),It(s,()=>r()),(l,a)=>(b(),S("section",ku,[a[1]||(a[1]=m("h2",null,"Category Distribution",-1)),m("div",Ru,[m("canvas",{ref_key:"canvasRef",ref:n,width:"300",height:"300"},null,512),m("div",Du,[(b(!0),S(q,null,he(i.value,(u,c)=>(b(),S("div",{key:u.label,class:Me(["legend-item",{dimmed:s.value!==null&&s.value!==c}]),onMouseenter:d=>s.value=c,onMouseleave:a[0]||(a[0]=d=>s.value=null)},[m("span",{class:"legend-color",style:Jt({background:o[c%o.length]})},null,4),m("span",Fu,E(u.label),1),m("span",Vu,E(u.count)+" ("+E(u.pct)+"%)",1)],42,Ou))),128))])])]))}},ju=$e(Nu,[["__scopeId","data-v-09a01b5d"]]),Bu={class:"table-section"},Hu={class:"table-controls"},Uu=["value"],Wu={class:"table-wrapper"},Ku={class:"cell-idx"},qu={class:"cell-name"},Gu={class:"dominance-cell"},Yu={class:"dominance-bar-wrap"},Ju={class:"dominance-pct"},zu={class:"cell-created"},Qu={class:"cell-actions"},Zu=["href"],Xu=["onClick"],ef={key:0,class:"no-results"},tf={__name:"PlaylistTable",setup(e){const t=Re();function n(r){return(r*100).toFixed(0)}function s(r){return r>=.8?"#4caf50":r>=.5?"#3ea6ff":"#ff9800"}function o(r){switch(r){case"Highly Focused":return"badge-highly-focused";case"Focused":return"badge-focused";default:return"badge-mixed"}}function i(r){return r?new Date(r).toLocaleDateString("en-GB",{month:"short",year:"numeric"}):"—"}return(r,l)=>(b(),S("section",Bu,[l[7]||(l[7]=m("h2",null,"Playlist Breakdown",-1)),m("div",Hu,[Fe(m("input",{type:"text","onUpdate:modelValue":l[0]||(l[0]=a=>L(t).searchQuery=a),placeholder:"Search playlists…"},null,512),[[yn,L(t).searchQuery]]),Fe(m("select",{"onUpdate:modelValue":l[1]||(l[1]=a=>L(t).filterCategory=a)},[l[4]||(l[4]=m("option",{value:""},"All Categories",-1)),(b(!0),S(q,null,he(L(t).allCategories,a=>(b(),S("option",{key:a,value:a},E(a),9,Uu))),128))],512),[[Bt,L(t).filterCategory]]),Fe(m("select",{"onUpdate:modelValue":l[2]||(l[2]=a=>L(t).sortBy=a)},[...l[5]||(l[5]=[Ra('<option value="name" data-v-7d46c830>Sort by Name</option><option value="videos" data-v-7d46c830>Sort by Videos</option><option value="ratio" data-v-7d46c830>Sort by Dominance</option><option value="focus" data-v-7d46c830>Sort by Focus</option><option value="newest" data-v-7d46c830>Newest First</option><option value="oldest" data-v-7d46c830>Oldest First</option>',6)])],512),[[Bt,L(t).sortBy]])]),m("div",Wu,[m("table",null,[l[6]||(l[6]=m("thead",null,[m("tr",null,[m("th",{class:"th-idx"},"#"),m("th",null,"Playlist"),m("th",null,"Videos"),m("th",null,"Dominant Category"),m("th",null,"Dominance"),m("th",null,"Focus"),m("th",null,"Created"),m("th",{class:"th-actions"},"Actions")])],-1)),re(gc,{tag:"tbody",name:"row"},{default:rs(()=>[(b(!0),S(q,null,he(L(t).playlistRows,(a,u)=>(b(),S("tr",{key:a.id},[m("td",Ku,E(u+1),1),m("td",qu,E(a.name),1),m("td",null,E(a.totalVideos),1),m("td",null,E(a.dominantCategory),1),m("td",null,[m("div",Gu,[m("span",Yu,[m("span",{class:"dominance-bar",style:Jt({width:n(a.dominantRatio)+"%",background:s(a.dominantRatio)})},null,4)]),m("span",Ju,E(n(a.dominantRatio))+"%",1)])]),m("td",null,[m("span",{class:Me(["badge",o(a.focusLabel)])},E(a.focusLabel),3)]),m("td",zu,E(i(a.createdAt)),1),m("td",Qu,[m("a",{href:a.url,target:"_blank",rel:"noopener",class:"action-btn",title:"Open on YouTube",onClick:l[3]||(l[3]=Vr(()=>{},["stop"]))},"▶",8,Zu),m("button",{class:"action-btn",title:"View details",onClick:c=>L(t).selectPlaylist(a.id)},"📋",8,Xu)])]))),128))]),_:1})]),L(t).playlistRows.length===0?(b(),S("p",ef," No playlists match your search. ")):Q("",!0)])]))}},nf=$e(tf,[["__scopeId","data-v-7d46c830"]]),sf={key:0,class:"report-section"},of=["onClick"],rf={class:"report-name"},lf={class:"report-count"},af={class:"report-toggle"},cf={key:0,class:"report-videos"},uf=["src","alt"],ff={key:1,class:"report-thumb-placeholder"},df={class:"report-info"},hf=["href"],pf={class:"report-meta"},gf={key:0},mf={key:1},yf={key:2,class:"report-removed"},_f=["href"],bf={__name:"UnavailableReport",setup(e){const t=Re(),n=Qt(new Set);function s(r){n.has(r)?n.delete(r):n.add(r)}function o(r){return new Date(r).toLocaleDateString()}function i(r){const l=[r.title,r.channelTitle].filter(Boolean).join(" ");return`https://www.youtube.com/results?search_query=${encodeURIComponent(l)}`}return(r,l)=>L(t).unavailableReport.length?(b(),S("section",sf,[m("h2",null,"Unavailable Videos ("+E(L(t).totalUnavailable)+")",1),l[0]||(l[0]=m("p",{class:"report-hint"}," Videos that were made private or deleted, with the last details cached before they disappeared. ",-1)),(b(!0),S(q,null,he(L(t).unavailableReport,a=>(b(),S("div",{key:a.id,class:"report-playlist"},[m("button",{class:"report-header",onClick:u=>s(a.id)},[m("span",rf,E(a.name),1),m("span",lf,E(a.videos.length),1),m("span",af,E(n.has(a.id)?"▾":"▸"),1)],8,of),n.has(a.id)?(b(),S("ul",cf,[(b(!0),S(q,null,he(a.videos,u=>(b(),S("li",{key:u.id,class:"report-video"},[u.thumbnail?(b(),S("img",{key:0,src:u.thumbnail,alt:u.title,class:"report-thumb",loading:"lazy"},null,8,uf)):(b(),S("div",ff,"▶")),m("div",df,[m("a",{href:u.url,target:"_blank",rel:"noopener",class:"report-title"},E(u.title),9,hf),m("span",pf,[u.channelTitle?(b(),S("span",gf,E(u.channelTitle),1)):Q("",!0),m("span",{class:Me(["report-status",`status-${u.status}`])},E(u.status),3),u.detectedAt?(b(),S("span",mf,"since "+E(o(u.detectedAt)),1)):Q("",!0),u.removedAt?(b(),S("span",yf," removed from playlist "+E(o(u.removedAt)),1)):Q("",!0)])]),u.title!==u.id?(b(),S("a",{key:2,href:i(u),target:"_blank",rel:"noopener",class:"action-btn",title:"Search YouTube for a replacement"},"🔍",8,_f)):Q("",!0)]))),128))])):Q("",!0)]))),128))])):Q("",!0)}},vf=$e(bf,[["__scopeId","data-v-52e8bb35"]]),Sf={key:0,class:"journal-section"},Cf={class:"run-list"},wf=["onClick"],Pf={class:"run-when"},xf={class:"run-trigger"},Tf={class:"run-summary"},Ef={class:"run-meta"},$f={class:"run-toggle"},Lf={key:0,class:"run-body"},Af={key:0,class:"run-error"},If={key:1,class:"run-note"},Mf={key:2,class:"run-note"},kf={key:3,class:"run-note"},Rf={class:"change-title"},Df={class:"change-added"},Of={class:"change-removed"},Ff={key:0,class:"change-initial"},Vf={class:"change-videos"},Nf=["href"],jf={class:"channel"},Bf=["href"],Hf={class:"channel"},Uf={key:4,class:"run-note"},Wf={__name:"ChangesJournal",setup(e){const t=Re(),n=Qt(new Set);function s(c){n.has(c)?n.delete(c):n.add(c)}function o(c){switch(c){case"success":return"OK";case"cancelled":return"Cancelled";default:return"Failed"}}function i(c){switch(c){case"scheduled":return"Auto";case"playlist":return"Single playlist";default:return"Manual"}}function r(c){let d=0,y=0;for(const F of Object.values(c.changes))d+=F.addedCount,y+=F.removedCount;const v=[`${c.playlists} playlists`,`+${d} / −${y} videos`];return c.failedPlaylists.length&&v.push(`${c.failedPlaylists.length} failed`),v.join(" · ")}function l(c){const d=new Date(c);return`${d.toLocaleDateString()} ${d.toLocaleTimeString([],{hour:"2-digit",minute:"2-digit"})}`}function a(c){const d=Math.round(c/1e3);return d<60?`${d}s`:`${Math.floor(d/60)}m ${d%60}s`}function u(c){return`https://www.youtube.com/watch?v=${c}`}return(c,d)=>L(t).syncHistory.length?(b(),S("section",Sf,[d[2]||(d[2]=m("h2",null,"Sync History",-1)),m("ul",Cf,[(b(!0),S(q,null,he(L(t).syncHistory,y=>(b(),S("li",{key:y.id,class:"run"},[m("button",{class:"run-header",onClick:v=>s(y.id)},[m("span",{class:Me(["run-status",`status-${y.status}`])},E(o(y.status)),3),m("span",Pf,E(l(y.startedAt)),1),m("span",xf,E(i(y.trigger)),1),m("span",Tf,E(r(y)),1),m("span",Ef,E(a(y.durationMs))+" · "+E(y.apiUnits)+" units ",1),m("span",$f,E(n.has(y.id)?"▾":"▸"),1)],8,wf),n.has(y.id)?(b(),S("div",Lf,[y.error?(b(),S("p",Af,E(y.error),1)):Q("",!0),y.resumeCount?(b(),S("p",If," Resumed "+E(y.resumeCount)+"× from a checkpoint ",1)):Q("",!0),y.addedPlaylists.length?(b(),S("p",Mf," New playlists: "+E(y.addedPlaylists.map(v=>v.title).join(", ")),1)):Q("",!0),y.removedPlaylists.length?(b(),S("p",kf," Removed playlists: "+E(y.removedPlaylists.map(v=>v.title).join(", ")),1)):Q("",!0),(b(!0),S(q,null,he(y.failedPlaylists,v=>(b(),S("div",{key:v.playlistId,class:"run-error"},E(v.title)+" — "+E(v.type)+" (previous data kept) ",1))),128)),(b(!0),S(q,null,he(y.changes,(v,F)=>(b(),S("div",{key:F,class:"change"},[m("div",Rf,[m("span",null,E(v.title),1),m("span",Df,"+"+E(v.addedCount),1),m("span",Of,"−"+E(v.removedCount),1),v.initial?(b(),S("span",Ff,"first sync")):Q("",!0)]),m("ul",Vf,[(b(!0),S(q,null,he(v.added,I=>(b(),S("li",{key:"a"+I.videoId,class:"added"},[d[0]||(d[0]=Be(" + ",-1)),m("a",{href:u(I.videoId),target:"_blank",rel:"noopener"},E(I.title||I.videoId),9,Nf),m("span",jf,E(I.channelTitle),1)]))),128)),(b(!0),S(q,null,he(v.removed,I=>(b(),S("li",{key:"r"+I.videoId,class:"removed"},[d[1]||(d[1]=Be(" − ",-1)),m("a",{href:u(I.videoId),target:"_blank",rel:"noopener"},E(I.title||I.videoId),9,Bf),m("span",Hf,E(I.channelTitle),1)]))),128))])]))),128)),Object.keys(y.changes).length?Q("",!0):(b(),S("p",Uf," No videos added or removed. "))])):Q("",!0)]))),128))])])):Q("",!0)}},Kf=$e(Wf,[["__scopeId","data-v-e68361f1"]]),qf={key:0,class:"selection-section"},Gf={class:"selection-header"},Yf={class:"selection-summary"},Jf={class:"selection-rules"},zf=["value"],Qf=["value"],Zf=["checked"],Xf={class:"selection-list"},ed=["checked","disabled","onChange"],td={class:"pl-title"},nd={class:"pl-count"},sd={key:0,class:"pl-reason"},od={__name:"SyncSelection",setup(e){const t=Re(),n=ee(()=>t.syncSelection.filter(r=>!r.skipReason).length);function s(r){t.saveSyncFilter({...t.syncFilter,...r})}function o(r){const l=t.syncFilter;return l.mode==="include"?l.include.includes(r):l.mode==="exclude"?!l.exclude.includes(r):!0}function i(r,l){const a=t.syncFilter;if(a.mode==="include"){const u=l?[...a.include,r]:a.include.filter(c=>c!==r);s({include:u})}else if(a.mode==="exclude"){const u=l?a.exclude.filter(c=>c!==r):[...a.exclude,r];s({exclude:u})}}return(r,l)=>L(t).syncFilter?(b(),S("section",qf,[m("div",Gf,[l[3]||(l[3]=m("h2",null,"Sync Selection",-1)),m("span",Yf,E(n.value)+" of "+E(L(t).syncSelection.length)+" playlists synced ",1)]),l[8]||(l[8]=m("p",{class:"selection-hint"},"Changes apply from the next sync. Skipped playlists are not fetched and drop out of the stats.",-1)),m("div",Jf,[m("label",null,[m("select",{value:L(t).syncFilter.mode,onChange:l[0]||(l[0]=a=>s({mode:a.target.value}))},[...l[4]||(l[4]=[m("option",{value:"all"},"Sync all playlists",-1),m("option",{value:"include"},"Sync only the checked playlists",-1),m("option",{value:"exclude"},"Sync all except unchecked playlists",-1)])],40,zf)]),m("label",null,[l[5]||(l[5]=Be(" Skip playlists over ",-1)),m("input",{type:"number",min:"0",step:"50",value:L(t).syncFilter.maxVideos||"",placeholder:"no limit",onChange:l[1]||(l[1]=a=>s({maxVideos:a.target.value}))},null,40,Qf),l[6]||(l[6]=Be(" videos ",-1))]),m("label",null,[m("input",{type:"checkbox",checked:L(t).syncFilter.skipGenerated,onChange:l[2]||(l[2]=a=>s({skipGenerated:a.target.checked}))},null,40,Zf),l[7]||(l[7]=Be(" Skip mixes and auto-generated playlists ",-1))])]),m("ul",Xf,[(b(!0),S(q,null,he(L(t).syncSelection,a=>(b(),S("li",{key:a.id,class:Me({skipped:a.skipReason})},[m("label",null,[m("input",{type:"checkbox",checked:o(a.id),disabled:L(t).syncFilter.mode==="all",onChange:u=>i(a.id,u.target.checked)},null,40,ed),m("span",td,E(a.title),1),m("span",nd,E(a.videoCount)+" videos",1),a.skipReason?(b(),S("span",sd,E(a.skipReason),1)):Q("",!0)])],2))),128))])])):Q("",!0)}},id=$e(od,[["__scopeId","data-v-df5aa817"]]),rd={key:0,class:"weights-section"},ld={class:"weights-header"},ad=["disabled"],cd={class:"weight-label"},ud={class:"weight-name"},fd={class:"weight-desc"},dd=["max","value","aria-label","onChange"],hd={class:"weight-value"},pd={__name:"ScoringWeights",setup(e){const t=Re(),n=ee(()=>t.scoringSignals.every(i=>t.scoringWeights[i.id]===i.defaultWeight));function s(i,r){t.saveScoringWeights({...t.scoringWeights,[i]:Number(r)})}function o(){const i={};for(const r of t.scoringSignals)i[r.id]=r.defaultWeight;t.saveScoringWeights(i)}return(i,r)=>L(t).scoringWeights?(b(),S("section",rd,[m("div",ld,[r[0]||(r[0]=m("h2",null,"Save Suggestions",-1)),m("button",{class:"btn-reset",disabled:n.value,onClick:o},"Reset to defaults",8,ad)]),r[1]||(r[1]=m("p",{class:"weights-hint"}," How much each signal counts when the Save modal ranks your playlists. Set a weight to 0 to ignore that signal. ",-1)),(b(!0),S(q,null,he(L(t).scoringSignals,l=>(b(),S("div",{key:l.id,class:"weight-row"},[m("div",cd,[m("span",ud,E(l.label),1),m("span",fd,E(l.description),1)]),m("input",{type:"range",min:"0",max:L(au),step:"0.1",value:L(t).scoringWeights[l.id],"aria-label":l.label,onChange:a=>s(l.id,a.target.value)},null,40,dd),m("span",hd,E(L(t).scoringWeights[l.id].toFixed(1)),1)]))),128))])):Q("",!0)}},gd=$e(pd,[["__scopeId","data-v-ce1ff0ae"]]),Gr={1:"Film & Animation",2:"Autos & Vehicles",10:"Music",15:"Pets & Animals",17:"Sports",18:"Short Movies",19:"Travel & Events",20:"Gaming",21:"Videoblogging",22:"People & Blogs",23:"Comedy",24:"Entertainment",25:"News & Politics",26:"Howto & Style",27:"Education",28:"Science & Technology",29:"Nonprofits & Activism",30:"Movies",31:"Anime/Animation",32:"Action/Adventure",33:"Classics",34:"Comedy",35:"Documentary",36:"Drama",37:"Family",38:"Foreign",39:"Horror",40:"Sci-Fi/Fantasy",41:"Thriller",42:"Shorts",43:"Shows",44:"Trailers"};function md(e){return Gr[e]||"Unknown"}const yd={key:0,class:"learned-section"},_d={class:"learned-header"},bd=["disabled"],vd={class:"learned-hint"},Sd={key:0,class:"learned-columns"},Cd={key:0,class:"learned-empty"},wd={class:"learned-key"},Pd={class:"learned-targets"},xd={class:"learned-count"},Td={__name:"LearnedPreferences",setup(e){const t=Re(),n=ee(()=>[{title:"By channel",rows:s(t.saveModel.byChannel,r=>{var l;return((l=t.saveModel.channelNames)==null?void 0:l[r])||r})},{title:"By category",rows:s(t.saveModel.byCategory,md)}]);function s(r,l){return Object.entries(r).map(([a,u])=>{const c=Object.entries(u).map(([d,y])=>{var v;return{pid:d,count:y,title:((v=t.playlistMeta[d])==null?void 0:v.title)||d}}).sort((d,y)=>y.count-d.count);return{key:a,label:l(a),targets:c,total:c.reduce((d,y)=>d+y.count,0)}}).sort((a,u)=>u.total-a.total)}function o(r){return new Date(r).toLocaleDateString()}function i(){confirm("Forget every save the suggestions have learned from?")&&t.resetSaveModel()}return(r,l)=>L(t).saveModel?(b(),S("section",yd,[m("div",_d,[l[0]||(l[0]=m("h2",null,"Learned Preferences",-1)),m("button",{class:"btn-reset",disabled:!L(t).saveModel.eventCount,onClick:i},"Reset",8,bd)]),m("p",vd,[L(t).saveModel.eventCount?(b(),S(q,{key:0},[Be(" Learned from "+E(L(t).saveModel.eventCount)+" saves since "+E(o(L(t).saveModel.since))+". Playlists you pick for a channel or category are ranked higher next time. ",1)],64)):(b(),S(q,{key:1},[Be(` Nothing learned yet. Playlists you pick in YouTube's "Save to…" dialog are remembered here. `)],64))]),L(t).saveModel.eventCount?(b(),S("div",Sd,[(b(!0),S(q,null,he(n.value,a=>(b(),S("div",{key:a.title,class:"learned-group"},[m("h3",null,E(a.title),1),a.rows.length?Q("",!0):(b(),S("p",Cd,"No data")),m("ul",null,[(b(!0),S(q,null,he(a.rows,u=>(b(),S("li",{key:u.key,class:"learned-row"},[m("span",wd,E(u.label),1),m("span",Pd,[(b(!0),S(q,null,he(u.targets,c=>(b(),S("span",{key:c.pid,class:"learned-target"},[Be(E(c.title)+" ",1),m("span",xd,"×"+E(c.count),1)]))),128))])]))),128))])]))),128))])):Q("",!0)])):Q("",!0)}},Ed=$e(Td,[["__scopeId","data-v-aa9604ba"]]),Nn={channel:{label:"Channel",ops:["is","contains"]},title:{label:"Title",ops:["contains","matches"]},category:{label:"Category",ops:["is","isNot"]},duration:{label:"Duration (seconds)",ops:["under","over"]}},$d=["all","any"];function Ld(e){return Array.isArray(e)?e.filter(t=>t&&typeof t=="object").map((t,n)=>({id:typeof t.id=="string"&&t.id?t.id:`rule-${Date.now()}-${n}`,name:String(t.name||"").trim()||`Rule ${n+1}`,enabled:t.enabled!==!1,match:$d.includes(t.match)?t.match:"all",conditions:(Array.isArray(t.conditions)?t.conditions:[]).filter(Md).map(s=>({field:s.field,op:s.op,value:s.field==="duration"?Math.max(0,Number(s.value)||0):String(s.value??"")})),playlistIds:[...new Set((t.playlistIds||[]).filter(s=>typeof s=="string"&&s))]})):[]}function jn({field:e,op:t,value:n}){if(e!=="duration"&&!String(n??"").trim())return"Enter a value";if(e==="title"&&t==="matches")try{new RegExp(n,"i")}catch(s){return`Invalid regex: ${s.message}`}return null}function Ad(e,t){if(!e.enabled||!e.conditions.length||!e.playlistIds.length||e.conditions.some(s=>jn(s)))return!1;const n=s=>Id(s,t);return e.match==="any"?e.conditions.some(n):e.conditions.every(n)}function Id({field:e,op:t,value:n},s){switch(e){case"channel":{const o=n.trim().toLowerCase();return t==="is"?s.channelId===n.trim()||(s.channelTitle||"").toLowerCase()===o:(s.channelTitle||"").toLowerCase().includes(o)}case"title":return t==="matches"?new RegExp(n,"i").test(s.title||""):(s.title||"").toLowerCase().includes(n.trim().toLowerCase());case"category":return t==="isNot"?s.categoryId!==n:s.categoryId===n;case"duration":return s.durationSeconds==null?!1:t==="over"?s.durationSeconds>n:s.durationSeconds<n;default:return!1}}function Md(e){var t;return e&&((t=Nn[e.field])==null?void 0:t.ops.includes(e.op))}const kd={key:0,class:"rules-section"},Rd={class:"rules-header"},Dd={class:"rules-actions"},Od=["disabled"],Fd=["disabled"],Vd={key:0,class:"rules-empty"},Nd={class:"rule-top"},jd=["onUpdate:modelValue","aria-label"],Bd=["onUpdate:modelValue"],Hd=["onUpdate:modelValue"],Ud=["onClick"],Wd=["value","onChange"],Kd=["value"],qd=["onUpdate:modelValue"],Gd=["value"],Yd=["onUpdate:modelValue"],Jd=["value"],zd=["onUpdate:modelValue"],Qd=["onUpdate:modelValue","placeholder"],Zd=["onClick"],Xd={key:3,class:"cond-error"},eh=["onClick"],th={class:"rule-targets"},nh=["onUpdate:modelValue"],sh=["value"],oh={class:"rule-preview"},ih={key:0,class:"preview-more"},rh=5,lh={__name:"RulesEditor",setup(e){const t=Re(),n={is:"is",isNot:"is not",contains:"contains",matches:"matches regex",under:"under",over:"over"},s=ce([]);It(()=>t.saveRules,V=>{s.value=structuredClone(V||[])},{immediate:!0});const o=ee(()=>JSON.stringify(s.value)!==JSON.stringify(t.saveRules)),i=ee(()=>s.value.some(V=>V.conditions.some(N=>jn(N)))),r=ee(()=>Object.entries(t.playlistMeta).filter(([,V])=>!V.skipped).map(([V,N])=>({id:V,title:N.title})).sort((V,N)=>V.title.localeCompare(N.title))),l=ee(()=>{const V=new Map;for(const N of Object.values(t.playlistCategories))for(const[k,j]of Object.entries(N))!j.status&&!V.has(k)&&V.set(k,{id:k,...j});return[...V.values()]}),a=ee(()=>s.value.map(V=>{const[N]=Ld([V]),k=l.value.filter(j=>Ad(N,j));return{count:k.length,sample:k.slice(0,rh)}}));function u(V){return V.enabled?V.conditions.length?V.playlistIds.length?"No cached videos match.":"Choose at least one playlist to pin.":"Add a condition to preview matches.":"Disabled."}function c(){return{field:"channel",op:"is",value:""}}function d(V,N){V.field=N,V.op=Nn[N].ops[0],V.value=N==="duration"?60:N==="category"?"10":""}function y(V){return V.field==="channel"?V.op==="is"?"Channel name or ID":"Part of the channel name":V.op==="matches"?"e.g. \\b(tutorial|lecture)\\b":"Text in the title"}function v(){s.value.push({id:`rule-${Date.now()}`,name:`Rule ${s.value.length+1}`,enabled:!0,match:"all",conditions:[c()],playlistIds:[]})}function F(){s.value=structuredClone(t.saveRules)}function I(){t.saveSaveRules(structuredClone(s.value))}return(V,N)=>L(t).saveRules?(b(),S("section",kd,[m("div",Rd,[N[0]||(N[0]=m("h2",null,"Auto-Filing Rules",-1)),m("div",Dd,[m("button",{class:"btn-secondary",onClick:v},"+ Add rule"),m("button",{class:"btn-secondary",disabled:!o.value,onClick:F},"Discard",8,Od),m("button",{class:"btn-primary",disabled:!o.value||i.value,onClick:I},"Save rules",8,Fd)])]),N[3]||(N[3]=m("p",{class:"rules-hint"},' When a video matches a rule, its playlists are pinned to the top of the "Save to…" dialog with a rule badge. The preview shows which cached videos each rule would match. ',-1)),s.value.length?Q("",!0):(b(),S("p",Vd,"No rules yet.")),(b(!0),S(q,null,he(s.value,(k,j)=>(b(),S("div",{key:k.id,class:Me(["rule",{disabled:!k.enabled}])},[m("div",Nd,[Fe(m("input",{"onUpdate:modelValue":$=>k.enabled=$,type:"checkbox","aria-label":`Enable ${k.name}`},null,8,jd),[[Sc,k.enabled]]),Fe(m("input",{"onUpdate:modelValue":$=>k.name=$,class:"rule-name",placeholder:"Rule name"},null,8,Bd),[[yn,k.name]]),Fe(m("select",{"onUpdate:modelValue":$=>k.match=$},[...N[1]||(N[1]=[m("option",{value:"all"},"Match all conditions",-1),m("option",{value:"any"},"Match any condition",-1)])],8,Hd),[[Bt,k.match]]),m("button",{class:"btn-icon",title:"Delete rule",onClick:$=>s.value.splice(j,1)},"✕",8,Ud)]),(b(!0),S(q,null,he(k.conditions,($,U)=>(b(),S("div",{key:U,class:"condition"},[m("select",{value:$.field,onChange:W=>d($,W.target.value)},[(b(!0),S(q,null,he(L(Nn),(W,ie)=>(b(),S("option",{key:ie,value:ie},E(W.label),9,Kd))),128))],40,Wd),Fe(m("select",{"onUpdate:modelValue":W=>$.op=W},[(b(!0),S(q,null,he(L(Nn)[$.field].ops,W=>(b(),S("option",{key:W,value:W},E(n[W]),9,Gd))),128))],8,qd),[[Bt,$.op]]),$.field==="category"?Fe((b(),S("select",{key:0,"onUpdate:modelValue":W=>$.value=W},[(b(!0),S(q,null,he(L(Gr),(W,ie)=>(b(),S("option",{key:ie,value:ie},E(W),9,Jd))),128))],8,Yd)),[[Bt,$.value]]):$.field==="duration"?Fe((b(),S("input",{key:1,"onUpdate:modelValue":W=>$.value=W,type:"number",min:"0"},null,8,zd)),[[yn,$.value,void 0,{number:!0}]]):Fe((b(),S("input",{key:2,"onUpdate:modelValue":W=>$.value=W,placeholder:y($)},null,8,Qd)),[[yn,$.value]]),m("button",{class:"btn-icon",title:"Remove condition",onClick:W=>k.conditions.splice(U,1)},"✕",8,Zd),L(jn)($)?(b(),S("span",Xd,E(L(jn)($)),1)):Q("",!0)]))),128)),m("button",{class:"btn-link",onClick:$=>k.conditions.push(c())},"+ Condition",8,eh),m("label",th,[N[2]||(N[2]=m("span",null,"Pin playlists",-1)),Fe(m("select",{"onUpdate:modelValue":$=>k.playlistIds=$,multiple:"",size:"4"},[(b(!0),S(q,null,he(r.value,$=>(b(),S("option",{key:$.id,value:$.id},E($.title),9,sh))),128))],8,nh),[[Bt,k.playlistIds]])]),m("div",oh,[a.value[j].count?(b(),S(q,{key:0},[Be(" Matches "+E(a.value[j].count)+" cached video"+E(a.value[j].count===1?"":"s")+": ",1),(b(!0),S(q,null,he(a.value[j].sample,$=>(b(),S("span",{key:$.id,class:"preview-video"},E($.title),1))),128)),a.value[j].count>a.value[j].sample.length?(b(),S("span",ih," +"+E(a.value[j].count-a.value[j].sample.length)+" more ",1)):Q("",!0)],64)):(b(),S(q,{key:1},[Be(E(u(k)),1)],64))])],2))),128))])):Q("",!0)}},ah=$e(lh,[["__scopeId","data-v-78c6edf1"]]),ch={class:"dash-footer"},uh={__name:"DashFooter",setup(e){const t=Re(),n=ee(()=>{if(!t.lastSync)return"Last sync: never";const o=new Date(t.lastSync);return`Last sync: ${o.toLocaleDateString()} ${o.toLocaleTimeString()}`}),s=ee(()=>{const o=t.lastScheduledSync;if(!o)return"";const i=new Date(o.at),r=`${i.toLocaleDateString()} ${i.toLocaleTimeString()}`;switch(o.status){case"success":return`Auto-sync: ${r} — OK`;case"skipped":return`Auto-sync: ${r} — skipped (${o.reason})`;default:return`Auto-sync: ${r} — failed: ${o.error||"unknown error"}`}});return(o,i)=>(b(),S("footer",ch,[m("span",null,E(n.value),1),s.value?(b(),S("span",{key:0,class:Me(["scheduled-run",{failed:L(t).lastScheduledSync.status==="failed"}])},E(s.value),3)):Q("",!0)]))}},fh=$e(uh,[["__scopeId","data-v-b4a1be61"]]),dh={},hh={class:"empty-state"};function ph(e,t){return b(),S("div",hh,[...t[0]||(t[0]=[m("div",{class:"empty-icon"},"📊",-1),m("h2",null,"No Data Yet",-1),m("p",null,"Open the extension popup and sign in to sync your playlists.",-1)])])}const gh=$e(dh,[["render",ph],["__scopeId","data-v-9f039abc"]]),mh={class:"detail-panel"},yh={class:"detail-header"},_h={class:"header-actions"},bh=["disabled"],vh=["href"],Sh={class:"detail-info"},Ch=["src","alt"],wh={class:"detail-meta"},Ph={key:0,class:"detail-desc"},xh={class:"detail-badges"},Th={class:"meta-chip"},Eh={class:"meta-chip"},$h=["title"],Lh={key:1,class:"meta-chip chip-error"},Ah={class:"stats-strip"},Ih={class:"stat-item"},Mh={class:"stat-val"},kh={class:"stat-item"},Rh={class:"stat-val"},Dh={class:"stat-item"},Oh={key:0,class:"category-breakdown"},Fh={class:"cat-label"},Vh={class:"cat-bar-wrap"},Nh={class:"cat-count"},jh={class:"video-list"},Bh={class:"video-grid"},Hh=["href"],Uh=["src","alt"],Wh={key:1,class:"video-thumb-placeholder"},Kh={class:"video-info"},qh={class:"video-title"},Gh={class:"video-meta"},Yh={class:"video-channel"},Jh={class:"video-cat"},zh={key:0,class:"video-status"},Qh={key:0,class:"no-results"},Zh={__name:"PlaylistDetail",setup(e){const t=Re(),n=ce(""),s=ee(()=>{var u;return((((u=t.selectedPlaylist)==null?void 0:u.dominantRatio)||0)*100).toFixed(0)}),o=ee(()=>{var c;const u=(c=t.selectedPlaylist)==null?void 0:c.privacyStatus;return u==="private"?"chip-private":u==="unlisted"?"chip-unlisted":"chip-public"}),i=ee(()=>{var c;const u=(c=t.selectedPlaylist)==null?void 0:c.focusLabel;return u==="Highly Focused"?"badge-highly-focused":u==="Focused"?"badge-focused":"badge-mixed"}),r=ee(()=>{var y;const u=((y=t.selectedPlaylist)==null?void 0:y.categoryFrequency)||{},c=Object.entries(u).sort((v,F)=>F[1]-v[1]);if(!c.length)return[];const d=c[0][1];return c.map(([v,F])=>({label:v,count:F,pct:(F/d*100).toFixed(0)}))}),l=ee(()=>t.selectedVideos.filter(u=>u.status!=="available").length),a=ee(()=>{if(!n.value)return t.selectedVideos;const u=n.value.toLowerCase();return t.selectedVideos.filter(c=>c.title.toLowerCase().includes(u)||c.category.toLowerCase().includes(u)||c.channelTitle.toLowerCase().includes(u))});return(u,c)=>(b(),fo(Ir,{name:"slide"},{default:rs(()=>[L(t).selectedPlaylist?(b(),S("div",{key:0,class:"detail-overlay",onClick:c[3]||(c[3]=Vr(d=>L(t).clearSelection(),["self"]))},[m("aside",mh,[m("div",yh,[m("button",{class:"btn-back",onClick:c[0]||(c[0]=d=>L(t).clearSelection())},"← Back"),m("div",_h,[m("button",{class:"btn btn-secondary btn-sm",disabled:L(t).isSyncing||L(t).refreshingPlaylistId===L(t).selectedPlaylist.id,onClick:c[1]||(c[1]=d=>L(t).syncPlaylist(L(t).selectedPlaylist.id))},E(L(t).refreshingPlaylistId===L(t).selectedPlaylist.id?"Refreshing…":"🔄 Refresh playlist"),9,bh),m("a",{href:L(t).selectedPlaylist.url,target:"_blank",rel:"noopener",class:"btn btn-primary btn-sm"}," ▶ Open on YouTube ",8,vh)])]),m("div",Sh,[L(t).selectedPlaylist.thumbnail?(b(),S("img",{key:0,src:L(t).selectedPlaylist.thumbnail,alt:L(t).selectedPlaylist.title,class:"detail-thumb"},null,8,Ch)):Q("",!0),m("div",wh,[m("h2",null,E(L(t).selectedPlaylist.title),1),L(t).selectedPlaylist.description?(b(),S("p",Ph,E(L(t).selectedPlaylist.description),1)):Q("",!0),m("div",xh,[m("span",Th,E(L(t).selectedPlaylist.totalVideos)+" videos",1),m("span",Eh,E(L(t).selectedPlaylist.uniqueCategories)+" categories",1),m("span",{class:Me(["meta-chip",o.value])},E(L(t).selectedPlaylist.privacyStatus),3),L(t).selectedPlaylist.syncError?(b(),S("span",{key:0,class:"meta-chip chip-error",title:L(t).selectedPlaylist.syncError.message}," ⚠ Last sync failed ("+E(L(t).selectedPlaylist.syncError.type)+") — showing previous data ",9,$h)):Q("",!0),l.value?(b(),S("span",Lh,E(l.value)+" unavailable ",1)):Q("",!0)])])]),m("div",Ah,[m("div",Ih,[m("span",Mh,E(L(t).selectedPlaylist.dominantCategory),1),c[4]||(c[4]=m("span",{class:"stat-lbl"},"Dominant",-1))]),m("div",kh,[m("span",Rh,E(s.value)+"%",1),c[5]||(c[5]=m("span",{class:"stat-lbl"},"Dominance",-1))]),m("div",Dh,[m("span",{class:Me(["badge",i.value])},E(L(t).selectedPlaylist.focusLabel),3),c[6]||(c[6]=m("span",{class:"stat-lbl"},"Focus",-1))])]),r.value.length?(b(),S("div",Oh,[c[7]||(c[7]=m("h3",null,"Category Breakdown",-1)),(b(!0),S(q,null,he(r.value,d=>(b(),S("div",{key:d.label,class:"cat-row"},[m("span",Fh,E(d.label),1),m("span",Vh,[m("span",{class:"cat-bar",style:Jt({width:d.pct+"%"})},null,4)]),m("span",Nh,E(d.count),1)]))),128))])):Q("",!0),m("div",jh,[m("h3",null,"Videos ("+E(L(t).selectedVideos.length)+")",1),Fe(m("input",{"onUpdate:modelValue":c[2]||(c[2]=d=>n.value=d),type:"text",placeholder:"Filter videos…",class:"video-search"},null,512),[[yn,n.value]]),m("div",Bh,[(b(!0),S(q,null,he(a.value,d=>(b(),S("a",{key:d.id,href:d.url,target:"_blank",rel:"noopener",class:Me(["video-card",{"video-unavailable":d.status!=="available"}])},[d.thumbnail?(b(),S("img",{key:0,src:d.thumbnail,alt:d.title,class:"video-thumb",loading:"lazy"},null,8,Uh)):(b(),S("div",Wh,"▶")),m("div",Kh,[m("span",qh,E(d.title),1),m("span",Gh,[m("span",Yh,E(d.channelTitle),1),m("span",Jh,E(d.category),1),d.status!=="available"?(b(),S("span",zh,E(d.status),1)):Q("",!0)])])],10,Hh))),128))]),a.value.length===0?(b(),S("p",Qh," No videos match your filter. ")):Q("",!0)])])])):Q("",!0)]),_:1}))}},Xh=$e(Zh,[["__scopeId","data-v-dc8ad8f9"]]),ep={key:0,class:"loading"},tp={key:0,class:"dashboard"},np={__name:"App",setup(e){const t=Re();return cs(async()=>{t.loadSyncStatus(),await t.loadData(),t.loadSyncFilter(),t.loadScoringWeights(),t.loadSaveModel(),t.loadSaveRules()}),(n,s)=>(b(),S(q,null,[L(t).isLoading?(b(),S("div",ep,[...s[0]||(s[0]=[m("div",{class:"loading-spinner"},null,-1),m("p",null,"Loading dashboard…",-1)])])):Q("",!0),re(Ir,{name:"fade"},{default:rs(()=>[L(t).isLoading?Q("",!0):(b(),S("div",tp,[L(t).globalStats?(b(),S(q,{key:0},[re(Eu),re(Mu),re(ju),re(nf),re(vf),re(Kf),re(id),re(gd),re(Ed),re(ah),re(fh),re(Xh)],64)):(b(),fo(gh,{key:1}))]))]),_:1})],64))}},sp=$e(np,[["__scopeId","data-v-a091d3b8"]]),Yr=Tc(sp);Yr.use(Lc());Yr.mount("#app");
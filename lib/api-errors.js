@@ -0,0 +1,89 @@
+/**
+ * Typed YouTube Data API errors.
+ *
+ * apiCall() turns every non-OK response into a YouTubeApiError with a
+ * `type` taken from the response's `error.errors[0].reason`, so callers
+ * can decide whether to retry, stop the sync, or skip one playlist.
+ */
+
+export const API_ERROR = {
+  QUOTA_EXCEEDED: "quotaExceeded",       // daily quota used up (YouTube's or our safety guard)
+  RATE_LIMITED: "rateLimitExceeded",     // too many requests — retry after a pause
+  NOT_FOUND: "playlistNotFound",         // playlist/video deleted or wrong ID
+  FORBIDDEN: "forbidden",                // private/unavailable to these credentials
+  AUTH_EXPIRED: "authExpired",           // OAuth token expired or revoked
+  TRANSIENT: "transient",                // 5xx or network failure — retry
+  BAD_REQUEST: "badRequest"              // anything else; not retried
+};
+
+// Errors that abort the whole sync — every following request would fail too
+const FATAL_TYPES = new Set([API_ERROR.QUOTA_EXCEEDED, API_ERROR.AUTH_EXPIRED]);
+
+// Errors worth retrying with backoff
+const RETRYABLE_TYPES = new Set([API_ERROR.TRANSIENT, API_ERROR.RATE_LIMITED]);
+
+export class YouTubeApiError extends Error {
+  /**
+   * @param {string} type     - one of API_ERROR
+   * @param {string} message
+   * @param {Object} [details]
+   * @param {number} [details.status] - HTTP status (0 for network errors)
+   * @param {string} [details.reason] - raw `reason` from the API response
+   */
+  constructor(type, message, { status = 0, reason = null } = {}) {
+    super(message);
+    this.name = "YouTubeApiError";
+    this.type = type;
+    this.status = status;
+    this.reason = reason;
+  }
+
+  get retryable() {
+    return RETRYABLE_TYPES.has(this.type);
+  }
+
+  get fatal() {
+    return FATAL_TYPES.has(this.type);
+  }
+}
+
+/**
+ * Build a YouTubeApiError from a failed fetch Response body.
+ * @param {number} status
+ * @param {string} body - raw response text
+ * @returns {YouTubeApiError}
+ */
+export function classifyApiError(status, body) {
+  let reason = null;
+  let message = body;
+  try {
+    const parsed = JSON.parse(body);
+    reason = parsed.error?.errors?.[0]?.reason || null;
+    message = parsed.error?.message || body;
+  } catch {
+    // Not JSON — keep the raw text
+  }
+
+  const details = { status, reason };
+  const text = `YouTube API ${status}${reason ? ` (${reason})` : ""}: ${message}`;
+
+  if (reason === "quotaExceeded" || reason === "dailyLimitExceeded") {
+    return new YouTubeApiError(API_ERROR.QUOTA_EXCEEDED, text, details);
+  }
+  if (status === 429 || reason === "rateLimitExceeded" || reason === "userRateLimitExceeded") {
+    return new YouTubeApiError(API_ERROR.RATE_LIMITED, text, details);
+  }
+  if (status === 401) {
+    return new YouTubeApiError(API_ERROR.AUTH_EXPIRED, text, details);
+  }
+  if (status === 404) {
+    return new YouTubeApiError(API_ERROR.NOT_FOUND, text, details);
+  }
+  if (status === 403) {
+    return new YouTubeApiError(API_ERROR.FORBIDDEN, text, details);
+  }
+  if (status >= 500) {
+    return new YouTubeApiError(API_ERROR.TRANSIENT, text, details);
+  }
+  return new YouTubeApiError(API_ERROR.BAD_REQUEST, text, details);
+}
@@ -25,6 +25,7 @@ export function computePlaylistStats(videoCategories) {
     return {
       totalVideos: 0,
       categoryFrequency: {},
+      categoryCounts: {},
       dominantCategory: null,
       dominantCategoryId: null,
       dominantCount: 0,
@@ -75,6 +76,7 @@ export function computePlaylistStats(videoCategories) {
   return {
     totalVideos,
     categoryFrequency,
+    categoryCounts: freq,   // categoryId → count, for the reordering engine
     dominantCategory,
     dominantCategoryId,
     dominantCount,
@@ -122,21 +124,38 @@ export function computeGlobalStats(allPlaylistStats) {
  * @param {Object} stats - output of computePlaylistStats()
  * @returns {Object} { categoryId: ratio }
  */
-export function getCategoryDistribution(videoCategories) {
-  const videos = Object.values(videoCategories);
-  const total = videos.length;
-  if (total === 0) return {};
-
-  const freq = {};
-  for (const v of videos) {
-    const cid = v.categoryId || "unknown";
-    freq[cid] = (freq[cid] || 0) + 1;
-  }
+export function getCategoryDistribution(stats) {
+  const total = stats.totalVideos;
+  if (!total) return {};
 
   const dist = {};
-  for (const [cid, count] of Object.entries(freq)) {
+  for (const [cid, count] of Object.entries(stats.categoryCounts || {})) {
     dist[cid] = count / total;
   }
 
   return dist;
 }
+
+/**
+ * Count each playlist's videos from one channel. Matches on channelId;
+ * videos cached before channel IDs were stored fall back to the channel
+ * title. Used by the reordering engine.
+ *
+ * @param {Array<Object>} videos - video store records ({ playlistId, … })
+ *   from the channel's byChannelId / byChannel lookups
+ * @param {{ channelId?: string, channelTitle?: string }} channel
+ * @returns {Object} { playlistId: count }
+ */
+export function countChannelVideos(videos, { channelId, channelTitle }) {
+  const counts = {};
+  const seen = new Set();
+  for (const v of videos) {
+    const key = `${v.playlistId}/${v.videoId}`;
+    if (seen.has(key)) continue;
+    seen.add(key);
+    if (v.channelId ? v.channelId === channelId : Boolean(channelTitle) && v.channelTitle === channelTitle) {
+      counts[v.playlistId] = (counts[v.playlistId] || 0) + 1;
+    }
+  }
+  return counts;
+}
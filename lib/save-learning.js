@@ -0,0 +1,128 @@
+/**
+ * Learned Save Preferences.
+ *
+ * Records which playlists the user actually toggles in the "Save to..."
+ * modal (`saveEvents` in chrome.storage.local, oldest first) and turns
+ * them into a personalized prior for the reorder engine: for the video's
+ * channel and category, the share of past saves that went to each playlist.
+ *
+ * Event shape:
+ *   { at, videoId, categoryId, channelId, channelTitle, playlistId, action }   // action: "add" | "remove"
+ *
+ * Channels are keyed by channelId; events recorded without one fall back
+ * to the channel title.
+ *
+ * Nothing leaves the device; resetting the model just drops the events.
+ */
+
+const MAX_SAVE_EVENTS = 1000;
+
+// A saved video's channel says more about the target playlist than its category
+const CHANNEL_WEIGHT = 2;
+const CATEGORY_WEIGHT = 1;
+
+// Evidence needed before the prior carries half the final score
+const PRIOR_PSEUDO_COUNT = 6;
+// The content signals always keep some say, however much history there is
+const MAX_PRIOR_CONFIDENCE = 0.8;
+
+/**
+ * @returns {Promise<Object[]>} recorded events, oldest first
+ */
+export async function getSaveEvents() {
+  const data = await chrome.storage.local.get(["saveEvents"]);
+  return data.saveEvents || [];
+}
+
+/**
+ * Append one toggle from the Save modal, keeping at most MAX_SAVE_EVENTS.
+ * @param {Object} event - { videoId, categoryId, channelId, channelTitle, playlistId, action }
+ */
+export async function recordSaveEvent(event) {
+  const events = await getSaveEvents();
+  events.push({ at: Date.now(), ...event });
+  await chrome.storage.local.set({ saveEvents: events.slice(-MAX_SAVE_EVENTS) });
+}
+
+/**
+ * Forget everything learned so far.
+ */
+export async function clearSaveEvents() {
+  await chrome.storage.local.remove(["saveEvents"]);
+}
+
+/**
+ * Aggregate events into net save counts per channel and per category.
+ * A "remove" undoes one earlier "add" for the same context.
+ *
+ * @param {Object[]} events - oldest first
+ * @returns {{ byChannel: Object, byCategory: Object, channelNames: Object, eventCount: number, since: number|null }}
+ *   byChannel    — channel key → { playlistId → saves }
+ *   byCategory   — categoryId  → { playlistId → saves }
+ *   channelNames — channel key → latest channel title
+ */
+export function buildSaveModel(events) {
+  const byChannel = {};
+  const byCategory = {};
+  const channelNames = {};
+
+  for (const e of events) {
+    const delta = e.action === "remove" ? -1 : 1;
+    const channel = channelKey(e);
+    if (channel) {
+      bump(byChannel, channel, e.playlistId, delta);
+      if (e.channelTitle) channelNames[channel] = e.channelTitle;
+    }
+    if (e.categoryId) bump(byCategory, e.categoryId, e.playlistId, delta);
+  }
+
+  return {
+    byChannel,
+    byCategory,
+    channelNames,
+    eventCount: events.length,
+    since: events[0]?.at ?? null
+  };
+}
+
+/**
+ * Prior for one video: how strongly each playlist is preferred for its
+ * channel and category, and how much to trust that (0–MAX_PRIOR_CONFIDENCE).
+ *
+ * @param {Object} model - from buildSaveModel()
+ * @param {{ categoryId?: string, channelId?: string, channelTitle?: string }} video
+ * @returns {{ scores: Object<string, number>, confidence: number }}
+ */
+export function getSavePrior(model, video) {
+  const { categoryId } = video;
+  const key = channelKey(video);
+  const channel = (key && model.byChannel[key]) || {};
+  const category = (categoryId && model.byCategory[categoryId]) || {};
+
+  const evidence = CHANNEL_WEIGHT * sum(channel) + CATEGORY_WEIGHT * sum(category);
+  if (!evidence) return { scores: {}, confidence: 0 };
+
+  const scores = {};
+  for (const pid of new Set([...Object.keys(channel), ...Object.keys(category)])) {
+    scores[pid] = (CHANNEL_WEIGHT * (channel[pid] || 0) + CATEGORY_WEIGHT * (category[pid] || 0)) / evidence;
+  }
+
+  const confidence = Math.min(MAX_PRIOR_CONFIDENCE, evidence / (evidence + PRIOR_PSEUDO_COUNT));
+  return { scores, confidence };
+}
+
+function channelKey({ channelId, channelTitle }) {
+  return channelId || channelTitle || null;
+}
+
+function bump(map, key, playlistId, delta) {
+  const counts = (map[key] ||= {});
+  const next = (counts[playlistId] || 0) + delta;
+  if (next > 0) counts[playlistId] = next;
+  else delete counts[playlistId];
+  if (!Object.keys(counts).length) delete map[key];
+}
+
+function sum(counts) {
+  return Object.values(counts).reduce((total, n) => total + n, 0);
+}
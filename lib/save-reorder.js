@@ -4,11 +4,185 @@
  * When the user saves a video, this module scores playlists
  * and returns them sorted by relevance to the video's category.
  *
- * Scoring formula (from PRD §6.4):
- *   category_match_score = category_distribution[video_category] / total_videos
- *   dominant_bonus = 1 if dominant_category == video_category else 0
- *   final_score = dominant_bonus + category_match_score
+ * Scoring is a weighted blend of independent signals, each returning a
+ * value in 0–1 for one playlist:
+ *
+ *   final_score = Σ weight[s] · signal[s] / Σ weight[s]
+ *
+ * Built-in signals (see SCORING_SIGNALS):
+ *   dominant     — the playlist's dominant category is the video's (scaled by how dominant)
+ *   distribution — fraction of the playlist in the video's category (PRD §6.4 match score)
+ *   recency      — how recently videos were added to the playlist
+ *   size         — larger playlists rank slightly higher (log-scaled)
+ *   frequency    — how often the user adds videos to the playlist
+ *   channel      — the playlist already holds videos from the video's channel
+ *   title        — TF-IDF similarity of the video's title to the playlist's videos
+ *
+ * New signals are added with registerSignal(); their weight defaults to 0
+ * until the user turns them up in the dashboard.
+ *
+ * A personalized prior learned from past saves (lib/save-learning.js) is
+ * then mixed in, trusted in proportion to how much history backs it:
+ *
+ *   score = (1 − confidence) · final_score + confidence · prior[playlist]
+ *
+ * Playlists pinned by an auto-filing rule (lib/save-rules.js) come first,
+ * whatever their score.
+ */
+
+// Recency half-life: a playlist last added to this long ago scores 0.5
+const RECENCY_HALF_LIFE_DAYS = 30;
+// Videos from the same channel for the channel signal to reach 0.5
+const CHANNEL_HALF_COUNT = 3;
+// Cosine similarity that already counts as a full title match
+const TITLE_FULL_SIMILARITY = 0.3;
+
+/**
+ * Signal registry: id → { label, description, defaultWeight, score(playlist, context) }.
+ *
+ * `playlist` is one playlistData entry; `context` holds the video's
+ * categoryId plus library-wide maxima for normalizing:
+ *   { videoCategoryId, now, maxVideos, maxAdds }
  */
+export const SCORING_SIGNALS = {};
+
+/**
+ * Register a scoring signal.
+ * @param {string} id
+ * @param {Object} signal
+ * @param {string} signal.label
+ * @param {string} [signal.description]
+ * @param {number} [signal.defaultWeight=0]
+ * @param {(playlist: Object, context: Object) => number} signal.score - returns 0–1
+ */
+export function registerSignal(id, { label, description = "", defaultWeight = 0, score }) {
+  SCORING_SIGNALS[id] = { label, description, defaultWeight, score };
+}
+
+registerSignal("dominant", {
+  label: "Dominant category",
+  description: "The playlist is mostly videos of this category",
+  defaultWeight: 1,
+  score: ({ stats }, { videoCategoryId }) =>
+    stats.dominantCategoryId === videoCategoryId ? stats.dominantRatio || 1 : 0
+});
+
+registerSignal("distribution", {
+  label: "Category share",
+  description: "Fraction of the playlist in this category",
+  defaultWeight: 1,
+  score: ({ categoryDistribution }, { videoCategoryId }) =>
+    categoryDistribution?.[videoCategoryId] || 0
+});
+
+registerSignal("recency", {
+  label: "Recently used",
+  description: "Videos were added to the playlist recently",
+  defaultWeight: 0.3,
+  score: ({ activity }, { now }) => {
+    if (!activity?.lastAddedAt) return 0;
+    const days = Math.max(0, now - activity.lastAddedAt) / 86400000;
+    return Math.pow(0.5, days / RECENCY_HALF_LIFE_DAYS);
+  }
+});
+
+registerSignal("size", {
+  label: "Playlist size",
+  description: "Bigger playlists rank a little higher",
+  defaultWeight: 0.1,
+  score: ({ stats }, { maxVideos }) =>
+    maxVideos ? Math.log1p(stats.totalVideos || 0) / Math.log1p(maxVideos) : 0
+});
+
+registerSignal("frequency", {
+  label: "Save frequency",
+  description: "You often add videos to this playlist",
+  defaultWeight: 0.3,
+  score: ({ activity }, { maxAdds }) => (maxAdds ? (activity?.addedCount || 0) / maxAdds : 0)
+});
+
+registerSignal("channel", {
+  label: "Same channel",
+  description: "The playlist already has videos from this channel",
+  defaultWeight: 1.5,
+  score: ({ channelCount }) => 1 - Math.pow(0.5, (channelCount || 0) / CHANNEL_HALF_COUNT)
+});
+
+registerSignal("title", {
+  label: "Similar titles",
+  description: "The video's title shares distinctive words with the playlist's videos",
+  defaultWeight: 1,
+  score: ({ titleSimilarity }) => (titleSimilarity || 0) / TITLE_FULL_SIMILARITY
+});
+
+// ─── Weights ─────────────────────────────────────────────────────────────────
+
+export const MAX_WEIGHT = 2;
+
+/**
+ * Default weight for every registered signal.
+ * @returns {Object<string, number>}
+ */
+export function getDefaultWeights() {
+  const weights = {};
+  for (const [id, signal] of Object.entries(SCORING_SIGNALS)) {
+    weights[id] = signal.defaultWeight;
+  }
+  return weights;
+}
+
+/**
+ * Read the stored signal weights, filling in defaults.
+ * @returns {Promise<Object<string, number>>}
+ */
+export async function getScoringWeights() {
+  const data = await chrome.storage.local.get(["scoringWeights"]);
+  return normalizeWeights(data.scoringWeights);
+}
+
+/**
+ * Validate and persist signal weights.
+ * @param {Object} weights - partial or full id → weight map
+ * @returns {Promise<Object<string, number>>} the normalized weights that were saved
+ */
+export async function saveScoringWeights(weights) {
+  const normalized = normalizeWeights(weights);
+  await chrome.storage.local.set({ scoringWeights: normalized });
+  return normalized;
+}
+
+/**
+ * Merge (possibly partial or malformed) weights with the defaults.
+ * Unknown signals are dropped; weights are clamped to 0–MAX_WEIGHT.
+ * @param {Object} [weights]
+ * @returns {Object<string, number>}
+ */
+export function normalizeWeights(weights = {}) {
+  const w = weights || {};
+  const result = getDefaultWeights();
+  for (const id of Object.keys(result)) {
+    const value = Number(w[id]);
+    if (w[id] != null && Number.isFinite(value)) {
+      result[id] = Math.min(MAX_WEIGHT, Math.max(0, value));
+    }
+  }
+  return result;
+}
+
+/**
+ * Signal metadata for settings UIs.
+ * @returns {Array<{id, label, description, defaultWeight}>}
+ */
+export function describeSignals() {
+  return Object.entries(SCORING_SIGNALS).map(([id, { label, description, defaultWeight }]) => ({
+    id,
+    label,
+    description,
+    defaultWeight
+  }));
+}
+
+// ─── Scoring ─────────────────────────────────────────────────────────────────
 
 /**
  * Score and reorder playlists for a given video category.
@@ -19,42 +193,75 @@
  *   stats: {
  *     totalVideos: number,
  *     dominantCategoryId: string,
+ *     dominantRatio: number,
  *     categoryFrequency: Object  // label → count (not used directly)
  *   },
- *   categoryDistribution: Object  // categoryId → ratio
+ *   categoryDistribution: Object,  // categoryId → ratio
+ *   activity?: { lastAddedAt, addedCount },  // from the sync history
+ *   channelCount?: number,  // videos from the saved video's channel
+ *   titleSimilarity?: number  // 0–1 cosine similarity from lib/title-index.js
  * }
- * @returns {Array<{playlistId, title, score, dominantCategory, matchRatio}>}
+ * @param {Object} [options]
+ * @param {Object<string, number>} [options.weights] - signal weights (defaults when omitted)
+ * @param {{ scores: Object<string, number>, confidence: number }} [options.prior]
+ *   learned save preferences for this video (see getSavePrior())
+ * @param {Object<string, string[]>} [options.pinned] - playlistId → rule names (see evaluateRules())
+ * @param {number} [options.now]
+ * @returns {Array<{playlistId, title, score, contentScore, prior, signals, pinnedBy, dominantCategory, matchRatio, channelCount, activity}>}
+ *   score is 0–1; contentScore is the weighted signal blend before the prior;
+ *   signals holds each signal's raw 0–1 value
  */
-export function reorderPlaylists(videoCategoryId, playlistData) {
+export function reorderPlaylists(videoCategoryId, playlistData, { weights, prior, pinned = {}, now = Date.now() } = {}) {
+  const w = normalizeWeights(weights);
+  const totalWeight = Object.values(w).reduce((sum, v) => sum + v, 0);
+  const entries = Object.entries(playlistData);
+  const confidence = prior?.confidence || 0;
+
+  const context = {
+    videoCategoryId,
+    now,
+    maxVideos: Math.max(0, ...entries.map(([, d]) => d.stats.totalVideos || 0)),
+    maxAdds: Math.max(0, ...entries.map(([, d]) => d.activity?.addedCount || 0))
+  };
+
   const scored = [];
-  console.log("Playlist data for reordering:", playlistData);
-  for (const [playlistId, data] of Object.entries(playlistData)) {
+  for (const [playlistId, data] of entries) {
     const { title, stats, categoryDistribution } = data;
 
-    // commented out category match score as i just want reorder based on dominant category and recenct
-    // Category match score: what fraction of this playlist is the target category
-    // const categoryMatchScore = categoryDistribution[videoCategoryId] || 0;
+    const signals = {};
+    let weighted = 0;
+    for (const [id, signal] of Object.entries(SCORING_SIGNALS)) {
+      const value = clamp01(signal.score(data, context));
+      signals[id] = value;
+      weighted += w[id] * value;
+    }
 
-    // Dominant bonus: 1 if this playlist's dominant category matches the video
-    const dominantBonus = stats.dominantCategoryId === videoCategoryId ? 1 : 0;
-
-    // Final score
-    const score = dominantBonus ;
+    const contentScore = totalWeight ? weighted / totalWeight : 0;
+    const learned = prior?.scores?.[playlistId] || 0;
 
     scored.push({
       playlistId,
       title,
-      score,
+      score: (1 - confidence) * contentScore + confidence * learned,
+      contentScore,
+      prior: learned,
+      signals,
+      pinnedBy: pinned[playlistId] || [],
       dominantCategory: stats.dominantCategory,
       dominantRatio: stats.dominantRatio,
-      // matchRatio: categoryMatchScore,
+      matchRatio: categoryDistribution?.[videoCategoryId] || 0,
       focusLabel: stats.focusLabel,
-      totalVideos: stats.totalVideos
+      totalVideos: stats.totalVideos,
+      channelCount: data.channelCount || 0,
+      activity: data.activity || null
     });
   }
 
-  // Sort descending by score, then by title alphabetically for ties
-  scored.sort((a, b) => b.score - a.score);
+  // Pinned first, then descending by score, then by title alphabetically for ties
+  scored.sort((a, b) =>
+    (b.pinnedBy.length > 0) - (a.pinnedBy.length > 0)
+    || b.score - a.score
+    || (a.title || "").localeCompare(b.title || ""));
 
   return scored;
 }
@@ -68,3 +275,7 @@ export function reorderPlaylists(videoCategoryId, playlistData) {
 export function playlistContainsCategory(videoCategoryId, categoryDistribution) {
   return (categoryDistribution[videoCategoryId] || 0) > 0;
 }
+
+function clamp01(value) {
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
@@ -0,0 +1,154 @@
+/**
+ * Auto-Filing Rules.
+ *
+ * User-defined rules that map videos to playlists ("channel is X",
+ * "title matches /regex/", "category is Music", "shorter than 60s").
+ * handleReorder evaluates them before scoring, and the target playlists
+ * of every matching rule are pinned to the top of the Save modal.
+ *
+ * Rule shape:
+ *   {
+ *     id, name, enabled,
+ *     match: "all" | "any",                 // combine conditions with AND / OR
+ *     conditions: [{ field, op, value }],   // see CONDITION_FIELDS
+ *     playlistIds: []                       // target playlists
+ *   }
+ *
+ * Videos are matched on { title, channelTitle, channelId, categoryId,
+ * durationSeconds } — the shape of getVideoCategory() and of video store
+ * entries, so the dashboard can preview rules against the cache.
+ */
+
+/**
+ * Supported condition fields and their operators.
+ */
+export const CONDITION_FIELDS = {
+  channel: { label: "Channel", ops: ["is", "contains"] },
+  title: { label: "Title", ops: ["contains", "matches"] },
+  category: { label: "Category", ops: ["is", "isNot"] },
+  duration: { label: "Duration (seconds)", ops: ["under", "over"] }
+};
+
+const MATCH_MODES = ["all", "any"];
+
+/**
+ * Read the stored rules.
+ * @returns {Promise<Object[]>}
+ */
+export async function getSaveRules() {
+  const data = await chrome.storage.local.get(["saveRules"]);
+  return normalizeRules(data.saveRules);
+}
+
+/**
+ * Validate and persist the full rule list.
+ * @param {Object[]} rules
+ * @returns {Promise<Object[]>} the normalized rules that were saved
+ */
+export async function saveSaveRules(rules) {
+  const normalized = normalizeRules(rules);
+  await chrome.storage.local.set({ saveRules: normalized });
+  return normalized;
+}
+
+/**
+ * Drop malformed rules and conditions, filling in defaults.
+ * Rules with an invalid regex are kept (so the editor can show the error)
+ * but never match.
+ * @param {Object[]} [rules]
+ * @returns {Object[]}
+ */
+export function normalizeRules(rules) {
+  if (!Array.isArray(rules)) return [];
+
+  return rules
+    .filter((r) => r && typeof r === "object")
+    .map((r, i) => ({
+      id: typeof r.id === "string" && r.id ? r.id : `rule-${Date.now()}-${i}`,
+      name: String(r.name || "").trim() || `Rule ${i + 1}`,
+      enabled: r.enabled !== false,
+      match: MATCH_MODES.includes(r.match) ? r.match : "all",
+      conditions: (Array.isArray(r.conditions) ? r.conditions : []).filter(isValidShape).map((c) => ({
+        field: c.field,
+        op: c.op,
+        value: c.field === "duration" ? Math.max(0, Number(c.value) || 0) : String(c.value ?? "")
+      })),
+      playlistIds: [...new Set((r.playlistIds || []).filter((id) => typeof id === "string" && id))]
+    }));
+}
+
+/**
+ * Problem with a condition's value, or null if it's usable.
+ * @param {{ field, op, value }} condition
+ * @returns {string|null}
+ */
+export function getConditionError({ field, op, value }) {
+  if (field !== "duration" && !String(value ?? "").trim()) return "Enter a value";
+  if (field === "title" && op === "matches") {
+    try {
+      new RegExp(value, "i");
+    } catch (err) {
+      return `Invalid regex: ${err.message}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Does an enabled rule, with at least one condition and target, match the video?
+ * @param {Object} rule - normalized rule
+ * @param {Object} video
+ * @returns {boolean}
+ */
+export function matchesRule(rule, video) {
+  if (!rule.enabled || !rule.conditions.length || !rule.playlistIds.length) return false;
+  if (rule.conditions.some((c) => getConditionError(c))) return false;
+
+  const test = (c) => matchesCondition(c, video);
+  return rule.match === "any" ? rule.conditions.some(test) : rule.conditions.every(test);
+}
+
+/**
+ * Evaluate every rule against a video.
+ * @param {Object[]} rules - normalized rules
+ * @param {Object} video
+ * @returns {Object<string, string[]>} playlistId → names of the rules pinning it
+ */
+export function evaluateRules(rules, video) {
+  const pinned = {};
+  for (const rule of rules) {
+    if (!matchesRule(rule, video)) continue;
+    for (const pid of rule.playlistIds) {
+      (pinned[pid] ||= []).push(rule.name);
+    }
+  }
+  return pinned;
+}
+
+function matchesCondition({ field, op, value }, video) {
+  switch (field) {
+    case "channel": {
+      const needle = value.trim().toLowerCase();
+      // "is" accepts either the channel ID or its title
+      if (op === "is") {
+        return video.channelId === value.trim() || (video.channelTitle || "").toLowerCase() === needle;
+      }
+      return (video.channelTitle || "").toLowerCase().includes(needle);
+    }
+    case "title":
+      if (op === "matches") return new RegExp(value, "i").test(video.title || "");
+      return (video.title || "").toLowerCase().includes(value.trim().toLowerCase());
+    case "category":
+      return op === "isNot" ? video.categoryId !== value : video.categoryId === value;
+    case "duration":
+      // Unknown durations (videos cached before durations were stored) never match
+      if (video.durationSeconds == null) return false;
+      return op === "over" ? video.durationSeconds > value : video.durationSeconds < value;
+    default:
+      return false;
+  }
+}
+
+function isValidShape(c) {
+  return c && CONDITION_FIELDS[c.field]?.ops.includes(c.op);
+}
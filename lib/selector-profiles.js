@@ -0,0 +1,241 @@
+/**
+ * DOM Selector Profiles.
+ *
+ * The content script finds YouTube's Save sheet, its items and the watch
+ * page controls through named roles ("sheet", "item", "itemTitle", …)
+ * instead of hard-coded selectors. Each profile maps every role to a list
+ * of selectors for one generation of YouTube's UI. When YouTube ships a
+ * redesign, a new or updated profile can be imported (a JSON file, kept in
+ * `selectorProfiles` in chrome.storage.local) without a code change.
+ *
+ * Profile shape:
+ *   {
+ *     id, label,
+ *     version,                          // bump on every change; the highest version of an id wins
+ *     selectors: { role: [selector] }   // tried in order
+ *   }
+ *
+ * The content script resolves a role through the profile that best matches
+ * the page and falls back to the other profiles' selectors for that role
+ * ("healing"). Diagnostics mode records which roles resolved, and how, in
+ * a report the popup can export for bug reports.
+ *
+ * Loaded by the service worker, the popup and (through a dynamic import)
+ * the content script, so it only touches chrome.storage.
+ */
+
+export const PROFILE_SCHEMA_VERSION = 1;
+
+/**
+ * Roles the content script looks up. `scope` says where a role can be
+ * checked: inside an open Save sheet ("sheet"), inside one of its items
+ * ("item"), on a watch page ("watch") or on any page ("page"). Optional
+ * roles aren't always on screen, so diagnostics don't count them missing.
+ */
+export const SELECTOR_ROLES = {
+  sheet: { scope: "page", label: "Save sheet (or the popup that hosts it)" },
+  list: { scope: "sheet", label: "Playlist list" },
+  item: { scope: "sheet", label: "Playlist item" },
+  toggleableItem: { scope: "sheet", label: "Item that toggles a playlist" },
+  itemTitle: { scope: "item", label: "Item title" },
+  itemToggle: { scope: "item", label: "Item checkbox / toggle" },
+  header: { scope: "sheet", label: "Sheet header" },
+  closeButton: { scope: "sheet", label: "Sheet close button", optional: true },
+  watchActions: { scope: "watch", label: "Action row under the player" },
+  belowPlayer: { scope: "watch", label: "Column under the player" },
+  pageVideo: { scope: "watch", label: "Watch / Shorts page video area" },
+  videoCard: { scope: "page", label: "Video card with a menu (feeds, sidebar)", optional: true },
+  miniplayer: { scope: "page", label: "Mini-player", optional: true },
+  miniplayerLink: { scope: "page", label: "Mini-player video link", optional: true }
+};
+
+/**
+ * Built-in profiles, newest UI first.
+ */
+export const DEFAULT_SELECTOR_PROFILES = [
+  {
+    id: "sheet-2026",
+    label: "View-model sheets (2025–2026)",
+    version: 2,
+    selectors: {
+      sheet: ["yt-sheet-view-model", "tp-yt-iron-dropdown.ytd-popup-container"],
+      list: ['yt-list-view-model[role="list"]'],
+      item: ["toggleable-list-item-view-model", "yt-list-item-view-model"],
+      toggleableItem: ["toggleable-list-item-view-model"],
+      itemTitle: [".yt-list-item-view-model__title"],
+      itemToggle: ["[aria-pressed]", "button", "[role='button']"],
+      header: ["h2.ytPanelHeaderViewModelTitleHeader", ".ytPanelHeaderViewModelTitle", "yt-panel-header-view-model h2"],
+      closeButton: ["yt-panel-header-view-model button"],
+      watchActions: ["ytd-watch-metadata #top-level-buttons-computed", "ytd-watch-metadata #actions-inner"],
+      belowPlayer: ["ytd-watch-flexy #below"],
+      pageVideo: ["ytd-watch-metadata", "ytd-reel-video-renderer", "ytd-shorts"],
+      videoCard: [
+        "yt-lockup-view-model",
+        "ytm-shorts-lockup-view-model",
+        "ytd-rich-item-renderer",
+        "ytd-video-renderer",
+        "ytd-compact-video-renderer",
+        "ytd-playlist-video-renderer",
+        "ytd-playlist-panel-video-renderer",
+        "ytd-reel-item-renderer"
+      ],
+      miniplayer: ["ytd-miniplayer"],
+      miniplayerLink: ["ytd-miniplayer a.ytp-title-link[href]", 'ytd-miniplayer a[href*="/watch?"]']
+    }
+  },
+  {
+    id: "polymer-legacy",
+    label: "Polymer renderers (before 2025)",
+    version: 2,
+    selectors: {
+      sheet: ["ytd-add-to-playlist-renderer"],
+      list: ["#playlists"],
+      item: ["ytd-playlist-add-to-option-renderer"],
+      toggleableItem: ["ytd-playlist-add-to-option-renderer"],
+      itemTitle: ["#label", "yt-formatted-string"],
+      itemToggle: ["tp-yt-paper-checkbox", "#checkbox"],
+      header: ["#header yt-formatted-string", "#title"],
+      closeButton: ["#close-button button", "button#close-button", "yt-icon-button#close-button"],
+      watchActions: ["#top-level-buttons-computed", "#menu-container #top-level-buttons"],
+      belowPlayer: ["ytd-watch-flexy #primary-inner #info", "ytd-watch-flexy #primary-inner"],
+      pageVideo: ["ytd-video-primary-info-renderer", "ytd-watch-flexy #info"],
+      videoCard: ["ytd-grid-video-renderer", "ytd-video-renderer", "ytd-compact-video-renderer", "ytd-rich-item-renderer"],
+      miniplayer: ["ytd-miniplayer"],
+      miniplayerLink: ["ytd-miniplayer #video-title a[href]", "ytd-miniplayer a.ytp-title-link[href]"]
+    }
+  }
+];
+
+// ─── Storage ─────────────────────────────────────────────────────────────────
+
+/**
+ * Built-in profiles merged with the imported ones.
+ * @returns {Promise<Object[]>}
+ */
+export async function getSelectorProfiles() {
+  return mergeProfiles(DEFAULT_SELECTOR_PROFILES, await getCustomSelectorProfiles());
+}
+
+/**
+ * @returns {Promise<Object[]>} imported profiles only
+ */
+export async function getCustomSelectorProfiles() {
+  const data = await chrome.storage.local.get(["selectorProfiles"]);
+  return normalizeProfiles(data.selectorProfiles);
+}
+
+/**
+ * Validate and store imported profiles, replacing the previous import.
+ * Accepts a profile list or an exported file ({ schemaVersion, profiles }).
+ * @param {Object|Object[]} input
+ * @returns {Promise<Object[]>} the normalized profiles that were saved
+ * @throws {Error} if the input holds no usable profile
+ */
+export async function saveSelectorProfiles(input) {
+  const raw = Array.isArray(input) ? input : input?.profiles;
+  if (input?.schemaVersion > PROFILE_SCHEMA_VERSION) {
+    throw new Error(`These profiles need a newer version of the extension (schema ${input.schemaVersion}).`);
+  }
+  const profiles = normalizeProfiles(raw);
+  if (!profiles.length) {
+    throw new Error("No valid selector profiles found.");
+  }
+  await chrome.storage.local.set({ selectorProfiles: profiles });
+  return profiles;
+}
+
+/**
+ * Drop the imported profiles; only the built-in ones remain.
+ */
+export async function clearSelectorProfiles() {
+  await chrome.storage.local.remove(["selectorProfiles"]);
+}
+
+/**
+ * File contents for exporting profiles.
+ * @param {Object[]} profiles
+ * @returns {{ schemaVersion: number, exportedAt: string, profiles: Object[] }}
+ */
+export function exportSelectorProfiles(profiles) {
+  return { schemaVersion: PROFILE_SCHEMA_VERSION, exportedAt: new Date().toISOString(), profiles };
+}
+
+// ─── Diagnostics ─────────────────────────────────────────────────────────────
+
+/**
+ * @returns {Promise<{ enabled: boolean, lastReport: Object|null }>}
+ */
+export async function getSelectorDiagnostics() {
+  const data = await chrome.storage.local.get(["selectorDiagnostics", "selectorReport"]);
+  return { enabled: data.selectorDiagnostics === true, lastReport: data.selectorReport || null };
+}
+
+/**
+ * Turn diagnostics mode on or off. While on, the content script writes a
+ * report every time the Save sheet opens.
+ * @param {boolean} enabled
+ */
+export async function setSelectorDiagnostics(enabled) {
+  await chrome.storage.local.set({ selectorDiagnostics: Boolean(enabled) });
+}
+
+/**
+ * Keep the latest diagnostics report.
+ * @param {Object} report
+ */
+export async function saveSelectorReport(report) {
+  await chrome.storage.local.set({ selectorReport: report });
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+/**
+ * Drop malformed profiles, unknown roles and empty selectors.
+ * @param {Object[]} [profiles]
+ * @returns {Object[]}
+ */
+export function normalizeProfiles(profiles) {
+  if (!Array.isArray(profiles)) return [];
+
+  return profiles
+    .filter((p) => p && typeof p === "object" && typeof p.id === "string" && p.id.trim())
+    .map((p) => {
+      const selectors = {};
+      for (const role of Object.keys(SELECTOR_ROLES)) {
+        const list = (Array.isArray(p.selectors?.[role]) ? p.selectors[role] : [])
+          .filter((s) => typeof s === "string" && s.trim())
+          .map((s) => s.trim());
+        if (list.length) selectors[role] = list;
+      }
+      return {
+        id: p.id.trim(),
+        label: String(p.label || p.id).trim(),
+        version: Math.max(1, Math.floor(Number(p.version) || 1)),
+        selectors
+      };
+    })
+    .filter((p) => Object.keys(p.selectors).length);
+}
+
+/**
+ * Combine built-in and imported profiles. For each id the highest version
+ * wins (an import with the same version replaces the built-in, so a local
+ * fix applies until the extension ships a newer one); roles the import
+ * leaves out keep the built-in selectors. Imported profiles
+ * that aren't overrides come first, as they're usually for a newer UI.
+ * @param {Object[]} builtIn
+ * @param {Object[]} custom
+ * @returns {Object[]} each with `source: "built-in" | "imported"`
+ */
+export function mergeProfiles(builtIn, custom) {
+  const merged = builtIn.map((p) => ({ ...p, source: "built-in" }));
+  const added = [];
+  for (const profile of custom) {
+    const i = merged.findIndex((p) => p.id === profile.id);
+    if (i === -1) added.push({ ...profile, source: "imported" });
+    else if (profile.version >= merged[i].version) {
+      merged[i] = { ...profile, selectors: { ...merged[i].selectors, ...profile.selectors }, source: "imported" };
+    }
+  }
+  return [...added, ...merged];
+}
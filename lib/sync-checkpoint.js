@@ -0,0 +1,91 @@
+/**
+ * Sync Checkpoints.
+ *
+ * Persists the progress of a running sync to chrome.storage.local after
+ * every playlist, so a sync interrupted by MV3 service-worker termination
+ * (or a thrown error) can resume from the last finished playlist instead
+ * of starting over.
+ *
+ * Checkpoint shape (`syncCheckpoint` key):
+ *   {
+ *     startedAt:   number,           // when the original run started
+ *     updatedAt:   number,           // last time a playlist finished
+ *     status:      "running" | "paused" | "failed",
+ *     error:       string | null,    // set when status === "failed"
+ *     order:       string[],         // playlist IDs in sync order
+ *     meta:        { [playlistId]: playlistMeta },
+ *     done:        string[],         // playlist IDs already finished
+ *     resumeCount: number,           // how many times this run was resumed
+ *     trigger:     string,           // what started the run (for the history journal)
+ *     changes:     Object,           // per-playlist journal entries so far
+ *     failedPlaylists: Object[],     // playlists that failed so far
+ *     apiUnits:    number,           // sync quota used before the last interruption
+ *     addedPlaylists:   Object[],    // playlists new since the previous sync
+ *     removedPlaylists: Object[]     // playlists gone since the previous sync
+ *   }
+ */
+
+// A checkpoint older than this is discarded — the playlist list is likely stale.
+const CHECKPOINT_MAX_AGE = 24 * 60 * 60 * 1000;
+
+/**
+ * Load the current checkpoint, dropping it if it's too old.
+ * @returns {Promise<Object|null>}
+ */
+export async function loadSyncCheckpoint() {
+  const data = await chrome.storage.local.get(["syncCheckpoint"]);
+  const checkpoint = data.syncCheckpoint || null;
+  if (!checkpoint) return null;
+
+  if (Date.now() - (checkpoint.updatedAt || 0) > CHECKPOINT_MAX_AGE) {
+    await clearSyncCheckpoint();
+    return null;
+  }
+  // Checkpoints written by older versions lack the journal fields
+  return { ...createSyncCheckpoint([], {}), ...checkpoint };
+}
+
+/**
+ * Build a fresh checkpoint for a new run.
+ * @param {string[]} order - playlist IDs in the order they'll be synced
+ * @param {Object} meta    - playlistId → playlistMeta
+ * @param {string} [trigger="manual"]
+ * @returns {Object}
+ */
+export function createSyncCheckpoint(order, meta, trigger = "manual") {
+  const now = Date.now();
+  return {
+    startedAt: now,
+    updatedAt: now,
+    status: "running",
+    error: null,
+    order,
+    meta,
+    done: [],
+    resumeCount: 0,
+    trigger,
+    changes: {},
+    failedPlaylists: [],
+    apiUnits: 0,
+    addedPlaylists: [],
+    removedPlaylists: []
+  };
+}
+
+/**
+ * Persist a checkpoint. `extra` is written in the same storage call so
+ * playlist results and the checkpoint that covers them land atomically.
+ * @param {Object} checkpoint
+ * @param {Object} [extra] - additional chrome.storage.local keys to write
+ */
+export async function saveSyncCheckpoint(checkpoint, extra = {}) {
+  checkpoint.updatedAt = Date.now();
+  await chrome.storage.local.set({ ...extra, syncCheckpoint: checkpoint });
+}
+
+/**
+ * Remove the checkpoint (run finished or data cleared).
+ */
+export async function clearSyncCheckpoint() {
+  await chrome.storage.local.remove(["syncCheckpoint"]);
+}
@@ -0,0 +1,125 @@
+/**
+ * Selective Sync.
+ *
+ * Decides which playlists a sync fetches: an include or exclude list of
+ * playlist IDs, plus rules that skip very large playlists and YouTube's
+ * auto-generated ones (mixes, uploads, liked videos, album playlists).
+ *
+ * Skipped playlists keep an entry in `playlistMeta` (flagged `skipped`)
+ * so the selection UI can list them, but nothing is fetched for them.
+ */
+
+export const DEFAULT_SYNC_FILTER = {
+  mode: "all",          // "all" | "include" | "exclude"
+  include: [],          // playlist IDs synced when mode === "include"
+  exclude: [],          // playlist IDs skipped when mode === "exclude"
+  maxVideos: 0,         // skip playlists with more videos than this (0 = no limit)
+  skipGenerated: false  // skip mixes and other auto-generated playlists
+};
+
+const FILTER_MODES = ["all", "include", "exclude"];
+
+// Playlist ID prefixes YouTube uses for playlists it generates itself
+const GENERATED_PREFIXES = [
+  "RD",        // mixes
+  "OLAK5uy_",  // auto-generated album playlists
+  "UU",        // channel uploads
+  "LL",        // liked videos
+  "LM",        // liked music
+  "WL",        // watch later
+  "FL"         // favourites (legacy)
+];
+
+/**
+ * Read the stored filter, filling in defaults for missing fields.
+ * @returns {Promise<Object>}
+ */
+export async function getSyncFilter() {
+  const data = await chrome.storage.local.get(["syncFilter"]);
+  return normalizeSyncFilter(data.syncFilter);
+}
+
+/**
+ * Validate and persist a filter.
+ * @param {Object} filter - partial or full filter object
+ * @returns {Promise<Object>} the normalized filter that was saved
+ */
+export async function saveSyncFilter(filter) {
+  const normalized = normalizeSyncFilter(filter);
+  await chrome.storage.local.set({ syncFilter: normalized });
+  return normalized;
+}
+
+/**
+ * Merge a (possibly partial or malformed) filter with the defaults.
+ * @param {Object} [filter]
+ * @returns {Object}
+ */
+export function normalizeSyncFilter(filter = {}) {
+  const f = filter || {};
+  return {
+    mode: FILTER_MODES.includes(f.mode) ? f.mode : DEFAULT_SYNC_FILTER.mode,
+    include: uniqueIds(f.include),
+    exclude: uniqueIds(f.exclude),
+    maxVideos: Math.max(0, parseInt(f.maxVideos ?? 0, 10) || 0),
+    skipGenerated: Boolean(f.skipGenerated)
+  };
+}
+
+/**
+ * Is this one of YouTube's auto-generated playlists?
+ * @param {string} playlistId
+ * @returns {boolean}
+ */
+export function isGeneratedPlaylist(playlistId) {
+  return GENERATED_PREFIXES.some((prefix) => playlistId.startsWith(prefix));
+}
+
+/**
+ * Why a playlist is skipped under `filter`, or null if it should be synced.
+ * @param {string} playlistId
+ * @param {Object} meta   - playlistMeta entry (uses videoCount)
+ * @param {Object} filter - normalized filter
+ * @returns {string|null}
+ */
+export function getSkipReason(playlistId, meta, filter) {
+  if (filter.mode === "include" && !filter.include.includes(playlistId)) {
+    return "Not in the include list";
+  }
+  if (filter.mode === "exclude" && filter.exclude.includes(playlistId)) {
+    return "Excluded";
+  }
+  if (filter.skipGenerated && isGeneratedPlaylist(playlistId)) {
+    return "Auto-generated playlist";
+  }
+  if (filter.maxVideos && (meta.videoCount || 0) > filter.maxVideos) {
+    return `Over ${filter.maxVideos} videos`;
+  }
+  return null;
+}
+
+/**
+ * Split playlists into the ones to sync and the ones to skip.
+ * @param {Object} metaMap - playlistId → playlistMeta, in sync order
+ * @param {Object} filter  - normalized filter
+ * @returns {{ order: string[], skipped: Object<string, string> }}
+ *   order   — playlist IDs to sync
+ *   skipped — playlistId → skip reason
+ */
+export function applySyncFilter(metaMap, filter) {
+  const order = [];
+  const skipped = {};
+
+  for (const [pid, meta] of Object.entries(metaMap)) {
+    const reason = getSkipReason(pid, meta, filter);
+    if (reason) skipped[pid] = reason;
+    else order.push(pid);
+  }
+
+  return { order, skipped };
+}
+
+function uniqueIds(ids) {
+  if (!Array.isArray(ids)) return [];
+  return [...new Set(ids.filter((id) => typeof id === "string" && id))];
+}
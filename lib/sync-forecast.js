@@ -0,0 +1,113 @@
+/**
+ * Sync Cost Forecast ("dry run").
+ *
+ * Predicts the quota cost of the next delta sync from cached data only —
+ * no API calls. Uses playlistMeta.videoCount (item count at the last sync)
+ * and the cached video counts from the video store to estimate how many
+ * playlistItems.list pages and videos.list batches the sync will need.
+ *
+ * Playlists whose ETag and item count still match the ones recorded at
+ * their last fetch (`playlistEtags`) are skipped by the sync without any
+ * playlistItems.list call, so they're modelled as free. Whether they really
+ * are unchanged is only known once the sync's playlists.list returns, so
+ * `maxUnits` gives the cost if every one of them had changed.
+ *
+ * The estimate can only see the library as it was at the last sync, so
+ * videos added since then are not included.
+ */
+
+import { getQuotaCost } from "./youtube-api.js";
+
+const PAGE_SIZE = 50;
+
+/**
+ * Estimate the quota cost of the next sync.
+ *
+ * @param {Object} playlistMeta       - { playlistId: { videoCount, … } }
+ * @param {Object} cachedCounts       - { playlistId: number } videos in the video store
+ * @param {Object} [options]
+ * @param {string[]} [options.skip] - playlist IDs that won't be fetched
+ *        (already done in a resumed run, or skipped by the sync selection)
+ * @param {boolean} [options.resumed] - resuming a checkpoint (no playlists.list)
+ * @param {Object} [options.etags] - `playlistEtags`: { playlistId: { playlistEtag, itemCount } }
+ * @returns {{
+ *   known: boolean,        // false when there is no cached library to estimate from
+ *   units: number,         // expected cost, unchanged playlists free
+ *   maxUnits: number,      // upper bound: every playlist paged through again
+ *   playlists: number,
+ *   unchanged: number,     // playlists expected to be skipped via ETag + item count
+ *   newVideos: number,
+ *   breakdown: Object<string, { calls: number, units: number }>
+ * }}
+ */
+export function estimateSyncCost(playlistMeta = {}, cachedCounts = {}, { skip = [], resumed = false, etags = {} } = {}) {
+  const ids = Object.keys(playlistMeta);
+  const skipSet = new Set(skip);
+
+  const calls = {
+    "playlists.list": 0,
+    "playlistItems.list": 0,
+    "videos.list": 0
+  };
+  let newVideos = 0;
+  let playlists = 0;
+  let unchanged = 0;
+  let unchangedPages = 0;
+
+  // Resumed runs reuse the checkpointed playlist list
+  if (!resumed) {
+    calls["playlists.list"] = Math.max(1, Math.ceil(ids.length / PAGE_SIZE));
+  }
+
+  for (const pid of ids) {
+    if (skipSet.has(pid)) continue;
+    playlists++;
+
+    const meta = playlistMeta[pid];
+    const videoCount = meta.videoCount || 0;
+    const cachedCount = cachedCounts[pid] || 0;
+    const pages = Math.max(1, Math.ceil(videoCount / PAGE_SIZE));
+
+    // Same ETag and item count as at the last fetch: the sync skips it
+    if (isUnchanged(meta, etags[pid])) {
+      unchanged++;
+      unchangedPages += pages;
+      continue;
+    }
+
+    // Otherwise playlistItems.list pages through the whole playlist
+    calls["playlistItems.list"] += pages;
+
+    // videos.list only for videos missing from the delta cache (batched per playlist)
+    const missing = Math.max(0, videoCount - cachedCount);
+    newVideos += missing;
+    calls["videos.list"] += Math.ceil(missing / PAGE_SIZE);
+  }
+
+  const breakdown = {};
+  let units = 0;
+  for (const [operation, n] of Object.entries(calls)) {
+    const opUnits = n * getQuotaCost(operation);
+    breakdown[operation] = { calls: n, units: opUnits };
+    units += opUnits;
+  }
+
+  return {
+    known: ids.length > 0,
+    units,
+    maxUnits: units + unchangedPages * getQuotaCost("playlistItems.list"),
+    playlists,
+    unchanged,
+    newVideos,
+    breakdown
+  };
+}
+
+// Mirrors the sync's skip check; a playlist that failed last time is refetched
+function isUnchanged(meta, etags) {
+  return Boolean(
+    etags && meta.etag && !meta.syncError &&
+    etags.playlistEtag === meta.etag &&
+    etags.itemCount === meta.videoCount
+  );
+}
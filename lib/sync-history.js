@@ -0,0 +1,108 @@
+/**
+ * Sync Run History.
+ *
+ * Keeps a journal of recent sync runs in chrome.storage.local
+ * (`syncHistory`, newest first): timing, trigger, quota used, failures,
+ * and a per-playlist diff of added / removed videos.
+ *
+ * Run shape:
+ *   {
+ *     id, trigger, status,            // "manual" | "scheduled" | "playlist"; "success" | "failed" | "cancelled"
+ *     startedAt, finishedAt, durationMs,
+ *     resumeCount,                    // times the run was resumed from its checkpoint
+ *     apiUnits,                       // sync quota used by this run
+ *     playlists,                      // playlists in the library
+ *     error,                          // set when status === "failed"
+ *     failedPlaylists: [{ playlistId, title, type, message }],
+ *     addedPlaylists:  [{ playlistId, title }],
+ *     removedPlaylists:[{ playlistId, title }],
+ *     changes: {
+ *       [playlistId]: {
+ *         title, initial,             // initial: first time this playlist was synced
+ *         addedCount, removedCount,
+ *         added:   [{ videoId, title, channelTitle }],
+ *         removed: [{ videoId, title, channelTitle }]
+ *       }
+ *     }
+ *   }
+ */
+
+const MAX_HISTORY_RUNS = 50;
+
+/**
+ * Read the journal, newest run first.
+ * @returns {Promise<Object[]>}
+ */
+export async function getSyncHistory() {
+  const data = await chrome.storage.local.get(["syncHistory"]);
+  return data.syncHistory || [];
+}
+
+/**
+ * Prepend a finished run, keeping at most MAX_HISTORY_RUNS entries.
+ * @param {Object} run
+ */
+export async function appendSyncRun(run) {
+  const history = await getSyncHistory();
+  history.unshift(run);
+  await chrome.storage.local.set({ syncHistory: history.slice(0, MAX_HISTORY_RUNS) });
+}
+
+/**
+ * Build the journal entry for one playlist from a delta result.
+ * Returns null when nothing changed.
+ *
+ * @param {string} title
+ * @param {Object} prevVideos - cached { videoId → info } before the sync
+ * @param {Object} videos     - merged { videoId → info } after the sync
+ * @param {string[]} added    - video IDs not in the cache
+ * @param {string[]} removed  - cached video IDs no longer in the playlist
+ * @returns {Object|null}
+ */
+export function buildPlaylistChange(title, prevVideos, videos, added, removed) {
+  if (!added.length && !removed.length) return null;
+
+  // First sync of a playlist: every video is "added" — keep only the count
+  const initial = Object.keys(prevVideos).length === 0;
+
+  return {
+    title,
+    initial,
+    addedCount: added.length,
+    removedCount: removed.length,
+    added: initial ? [] : added.map((vid) => describeVideo(vid, videos[vid])),
+    removed: removed.map((vid) => describeVideo(vid, prevVideos[vid]))
+  };
+}
+
+function describeVideo(videoId, info = {}) {
+  return {
+    videoId,
+    title: info.title || "",
+    channelTitle: info.channelTitle || ""
+  };
+}
+
+/**
+ * Per-playlist save activity derived from the journal: when videos were
+ * last added and how many were added within `windowMs`. First syncs are
+ * ignored (they list the whole playlist, not new saves).
+ *
+ * @param {Object[]} history - runs, newest first
+ * @param {Object} [options]
+ * @param {number} [options.now]
+ * @param {number} [options.windowMs] - counting window for addedCount (default 90 days)
+ * @returns {Object<string, { lastAddedAt: number, addedCount: number }>}
+ */
+export function getPlaylistActivity(history, { now = Date.now(), windowMs = 90 * 86400000 } = {}) {
+  const activity = {};
+  for (const run of history) {
+    for (const [pid, change] of Object.entries(run.changes || {})) {
+      if (change.initial || !change.addedCount) continue;
+      const entry = (activity[pid] ||= { lastAddedAt: 0, addedCount: 0 });
+      entry.lastAddedAt = Math.max(entry.lastAddedAt, run.finishedAt || run.startedAt);
+      if (now - run.startedAt <= windowMs) entry.addedCount += change.addedCount;
+    }
+  }
+  return activity;
+}
@@ -0,0 +1,117 @@
+/**
+ * Auto-Sync Schedule.
+ *
+ * Stores the user's background sync schedule and decides whether a
+ * scheduled run is allowed right now (frequency, quiet hours, quota headroom).
+ * The actual alarm is registered by background.js via chrome.alarms.
+ */
+
+export const SYNC_ALARM_NAME = "pi-auto-sync";
+
+/**
+ * Alarm period (minutes) for each supported frequency.
+ */
+export const SYNC_FREQUENCIES = {
+  hourly: 60,
+  daily: 60 * 24,
+  weekly: 60 * 24 * 7
+};
+
+export const DEFAULT_SYNC_SCHEDULE = {
+  enabled: false,
+  frequency: "daily",
+  quietHours: {
+    enabled: false,
+    start: 23,   // hour of day (0–23), local time
+    end: 7
+  },
+  minQuotaHeadroom: 2000 // skip the run if fewer units than this are left today
+};
+
+/**
+ * Read the stored schedule, filling in defaults for missing fields.
+ * @returns {Promise<Object>}
+ */
+export async function getSyncSchedule() {
+  const data = await chrome.storage.local.get(["syncSchedule"]);
+  return normalizeSchedule(data.syncSchedule);
+}
+
+/**
+ * Validate and persist a schedule.
+ * @param {Object} schedule - partial or full schedule object
+ * @returns {Promise<Object>} the normalized schedule that was saved
+ */
+export async function saveSyncSchedule(schedule) {
+  const normalized = normalizeSchedule(schedule);
+  await chrome.storage.local.set({ syncSchedule: normalized });
+  return normalized;
+}
+
+/**
+ * Merge a (possibly partial or malformed) schedule with the defaults.
+ * @param {Object} [schedule]
+ * @returns {Object}
+ */
+export function normalizeSchedule(schedule = {}) {
+  const s = schedule || {};
+  const quiet = s.quietHours || {};
+
+  return {
+    enabled: Boolean(s.enabled),
+    frequency: SYNC_FREQUENCIES[s.frequency] ? s.frequency : DEFAULT_SYNC_SCHEDULE.frequency,
+    quietHours: {
+      enabled: Boolean(quiet.enabled),
+      start: clampHour(quiet.start, DEFAULT_SYNC_SCHEDULE.quietHours.start),
+      end: clampHour(quiet.end, DEFAULT_SYNC_SCHEDULE.quietHours.end)
+    },
+    minQuotaHeadroom: Math.max(0, parseInt(s.minQuotaHeadroom ?? DEFAULT_SYNC_SCHEDULE.minQuotaHeadroom, 10) || 0)
+  };
+}
+
+/**
+ * Is `date` inside the configured quiet hours?
+ * Handles windows that wrap past midnight (e.g. 23 → 7).
+ * @param {Object} schedule
+ * @param {Date} [date]
+ * @returns {boolean}
+ */
+export function isInQuietHours(schedule, date = new Date()) {
+  const { enabled, start, end } = schedule.quietHours;
+  if (!enabled || start === end) return false;
+
+  const hour = date.getHours();
+  if (start < end) {
+    return hour >= start && hour < end;
+  }
+  return hour >= start || hour < end;
+}
+
+/**
+ * Decide whether a scheduled run may start.
+ * @param {Object} schedule
+ * @param {number} quotaHeadroom - units left today
+ * @param {Date} [date]
+ * @returns {{ allowed: boolean, reason: string|null }}
+ */
+export function shouldRunScheduledSync(schedule, quotaHeadroom, date = new Date()) {
+  if (!schedule.enabled) {
+    return { allowed: false, reason: "Auto-sync is disabled" };
+  }
+  if (isInQuietHours(schedule, date)) {
+    return { allowed: false, reason: "Quiet hours" };
+  }
+  if (quotaHeadroom < schedule.minQuotaHeadroom) {
+    return {
+      allowed: false,
+      reason: `Quota headroom too low (${quotaHeadroom} < ${schedule.minQuotaHeadroom})`
+    };
+  }
+  return { allowed: true, reason: null };
+}
+
+function clampHour(value, fallback) {
+  const n = parseInt(value, 10);
+  if (Number.isNaN(n)) return fallback;
+  return Math.min(23, Math.max(0, n));
+}
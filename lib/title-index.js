@@ -0,0 +1,138 @@
+/**
+ * Playlist Text Index (TF-IDF).
+ *
+ * YouTube's categories are too coarse to tell a programming playlist from
+ * a physics one, so each playlist is also indexed by the words in its
+ * cached videos' text. Every playlist is one document; a saved video's
+ * title is scored against all of them by cosine similarity.
+ *
+ * Built at sync time from the video store, entirely offline. Video text is
+ * the title, plus tags and description when the cache holds them.
+ *
+ * Index shape:
+ *   {
+ *     builtAt,
+ *     docCount,                          // indexed playlists
+ *     idf:       { term: weight },
+ *     playlists: { playlistId: { term: weight } }   // unit-length tf·idf vectors
+ *   }
+ */
+
+// Terms kept per playlist vector (highest weights), to bound the index size
+const MAX_TERMS_PER_PLAYLIST = 300;
+
+const STOPWORDS = new Set([
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "how", "i",
+  "in", "is", "it", "its", "my", "of", "on", "or", "part", "the", "this", "to",
+  "vs", "what", "why", "with", "you", "your", "official", "video", "ft", "feat",
+  "full", "new", "ep", "episode"
+]);
+
+/**
+ * Lowercase, strip accents, split on anything that isn't a letter or digit,
+ * and drop stopwords and single characters.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  if (!text) return [];
+  return text
+    .normalize("NFKD")
+    .replace(/\p{M}/gu, "")
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}+#]+/u)
+    .map((t) => t.replace(/^[+#]+/, ""))
+    .filter((t) => t.length > 1 && !STOPWORDS.has(t));
+}
+
+/**
+ * Build the index from the video cache.
+ * @param {Object} playlistVideos - { playlistId: { videoId: entry } }
+ * @returns {Object}
+ */
+export function buildTitleIndex(playlistVideos) {
+  const termCounts = {};
+  const df = {};
+
+  for (const [pid, videos] of Object.entries(playlistVideos)) {
+    const counts = {};
+    for (const entry of Object.values(videos)) {
+      if (entry.status) continue; // private / deleted: title is a placeholder
+      for (const term of tokenize(videoText(entry))) {
+        counts[term] = (counts[term] || 0) + 1;
+      }
+    }
+    if (!Object.keys(counts).length) continue;
+
+    termCounts[pid] = counts;
+    for (const term of Object.keys(counts)) {
+      df[term] = (df[term] || 0) + 1;
+    }
+  }
+
+  const docCount = Object.keys(termCounts).length;
+  const idf = {};
+  for (const [term, n] of Object.entries(df)) {
+    idf[term] = Math.log((docCount + 1) / (n + 1)) + 1;
+  }
+
+  const playlists = {};
+  for (const [pid, counts] of Object.entries(termCounts)) {
+    const weights = Object.entries(counts)
+      .map(([term, n]) => [term, (1 + Math.log(n)) * idf[term]])
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MAX_TERMS_PER_PLAYLIST);
+    playlists[pid] = unitVector(weights);
+  }
+
+  // Only terms that survived the per-playlist cut can ever match
+  const usedIdf = {};
+  for (const vector of Object.values(playlists)) {
+    for (const term of Object.keys(vector)) usedIdf[term] = idf[term];
+  }
+
+  return { builtAt: Date.now(), docCount, idf: usedIdf, playlists };
+}
+
+/**
+ * Cosine similarity of a title against every indexed playlist.
+ * @param {Object|null} index - from buildTitleIndex()
+ * @param {string} title
+ * @returns {Object<string, number>} playlistId → 0–1 (playlists with no shared term are omitted)
+ */
+export function scoreTitle(index, title) {
+  if (!index?.docCount) return {};
+
+  const counts = {};
+  for (const term of tokenize(title)) {
+    if (index.idf[term]) counts[term] = (counts[term] || 0) + 1;
+  }
+  const query = unitVector(
+    Object.entries(counts).map(([term, n]) => [term, (1 + Math.log(n)) * index.idf[term]])
+  );
+  if (!Object.keys(query).length) return {};
+
+  const scores = {};
+  for (const [pid, vector] of Object.entries(index.playlists)) {
+    let dot = 0;
+    for (const [term, weight] of Object.entries(query)) {
+      dot += weight * (vector[term] || 0);
+    }
+    if (dot > 0) scores[pid] = Math.min(1, dot);
+  }
+  return scores;
+}
+
+function videoText(entry) {
+  return [entry.title, (entry.tags || []).join(" "), entry.description].filter(Boolean).join(" ");
+}
+
+function unitVector(weights) {
+  const norm = Math.sqrt(weights.reduce((sum, [, w]) => sum + w * w, 0));
+  const vector = {};
+  if (!norm) return vector;
+  for (const [term, w] of weights) {
+    vector[term] = Math.round((w / norm) * 1e4) / 1e4;
+  }
+  return vector;
+}
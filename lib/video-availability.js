@@ -0,0 +1,139 @@
+/**
+ * Video Availability Tracking.
+ *
+ * Detects playlist videos that were deleted, made private or are otherwise
+ * no longer returned by videos.list, and keeps a per-playlist report of
+ * them (`unavailableVideos`) with the last known title, channel and
+ * thumbnail — even after the video is removed from the playlist.
+ *
+ * A cached video entry without a `status` field is available. Unavailable
+ * entries carry:
+ *   { …last known entry, status: "private" | "deleted" | "unavailable", unavailableSince }
+ *
+ * Report shape (`unavailableVideos` key):
+ *   { [playlistId]: { [videoId]: {
+ *       title, channelTitle, thumbnail, category,
+ *       status, detectedAt,
+ *       removedAt                      // null while still in the playlist
+ *   } } }
+ */
+
+export const VIDEO_STATUS = {
+  AVAILABLE: "available",
+  PRIVATE: "private",          // owner made the video private
+  DELETED: "deleted",          // video removed from YouTube
+  UNAVAILABLE: "unavailable"   // in the playlist, but videos.list doesn't return it
+};
+
+/**
+ * Status of a playlistItems.list item (requires part=status).
+ * @param {Object} item
+ * @returns {string} one of VIDEO_STATUS
+ */
+export function getPlaylistItemStatus(item) {
+  switch (item.status?.privacyStatus) {
+    case "private":
+      return VIDEO_STATUS.PRIVATE;
+    case "privacyStatusUnspecified":
+      return VIDEO_STATUS.DELETED;
+    default:
+      return VIDEO_STATUS.AVAILABLE;
+  }
+}
+
+/**
+ * Whether a playlist video needs a videos.list lookup. Deleted items can't
+ * be looked up; private ones can (with OAuth, the user's own private
+ * uploads are returned), so only what videos.list leaves out is flagged.
+ * A flagged entry is looked up again once its playlist item's status
+ * changes, and on every sync while it's "unavailable", since videos.list
+ * may skip a video only for a while (processing, region restrictions).
+ *
+ * @param {Object} [cached] - cached video entry
+ * @param {string} [itemStatus] - getPlaylistItemStatus() of its playlist item
+ * @returns {boolean}
+ */
+export function needsLookup(cached, itemStatus = VIDEO_STATUS.AVAILABLE) {
+  if (itemStatus === VIDEO_STATUS.DELETED) return false;
+  if (!cached) return true;
+  const cachedStatus = cached.status || VIDEO_STATUS.AVAILABLE;
+  return cachedStatus === VIDEO_STATUS.UNAVAILABLE || cachedStatus !== itemStatus;
+}
+
+/**
+ * @param {Object} [entry] - cached video entry
+ * @returns {boolean}
+ */
+export function isUnavailable(entry) {
+  return Boolean(entry?.status) && entry.status !== VIDEO_STATUS.AVAILABLE;
+}
+
+/**
+ * Flag a video entry as unavailable, keeping whatever was known about it.
+ * @param {Object} [prev] - cached entry (missing for videos never seen available)
+ * @param {string} status - one of VIDEO_STATUS
+ * @param {number} [now]
+ * @returns {Object}
+ */
+export function markUnavailable(prev, status, now = Date.now()) {
+  return {
+    categoryId: null,
+    category: "Unknown",
+    title: "",
+    channelTitle: "",
+    thumbnail: "",
+    ...prev,
+    status,
+    unavailableSince: prev?.unavailableSince || now
+  };
+}
+
+/**
+ * Update one playlist's report after a sync.
+ *
+ * Unavailable videos still in the playlist are (re)listed; tracked videos
+ * that left the playlist stay listed with `removedAt`; videos that became
+ * available again are dropped.
+ *
+ * @param {Object} tracked    - previous report for this playlist
+ * @param {Object} prevVideos - cached { videoId → entry } before the sync
+ * @param {Object} videos     - merged { videoId → entry } after the sync
+ * @param {string[]} removed  - video IDs no longer in the playlist
+ * @param {number} [now]
+ * @returns {Object} new report for this playlist
+ */
+export function updateUnavailableVideos(tracked = {}, prevVideos = {}, videos = {}, removed = [], now = Date.now()) {
+  const next = {};
+
+  for (const [vid, entry] of Object.entries(videos)) {
+    if (!isUnavailable(entry)) continue;
+    next[vid] = toReportEntry(entry, null);
+  }
+
+  // Still listed from earlier syncs, now gone from the playlist
+  for (const [vid, entry] of Object.entries(tracked)) {
+    if (next[vid] || videos[vid]) continue;
+    next[vid] = { ...entry, removedAt: entry.removedAt || now };
+  }
+
+  // Removed in this sync while unavailable (e.g. the user cleaned up the playlist)
+  for (const vid of removed) {
+    if (!next[vid] && isUnavailable(prevVideos[vid])) {
+      next[vid] = toReportEntry(prevVideos[vid], now);
+    }
+  }
+
+  return next;
+}
+
+function toReportEntry(entry, removedAt) {
+  return {
+    title: entry.title || "",
+    channelTitle: entry.channelTitle || "",
+    thumbnail: entry.thumbnail || "",
+    category: entry.category || "Unknown",
+    status: entry.status,
+    detectedAt: entry.unavailableSince || null,
+    removedAt
+  };
+}
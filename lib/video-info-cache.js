@@ -0,0 +1,73 @@
+/**
+ * Video Info Cache.
+ *
+ * Persistent LRU cache of single-video lookups (getVideoCategory()
+ * results), keyed by video ID, so the Save sheet neither waits on nor pays
+ * for a videos.list call for a video seen recently. The content script
+ * prefetches the watched video's entry on navigation, so it's usually in
+ * here before the Save sheet opens.
+ *
+ * Stored in chrome.storage.local as `videoInfoCache`:
+ *   { [videoId]: { info, cachedAt, usedAt } }
+ *
+ * Videos already in a synced playlist don't need an entry: the background
+ * reads them from the video store first.
+ */
+
+export const VIDEO_INFO_CACHE_SIZE = 500;
+
+// Categories and titles rarely change; refetch after a month anyway
+export const VIDEO_INFO_TTL_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Cached info for a video, or null on a miss or an expired entry.
+ * A hit marks the entry as recently used.
+ * @param {string} videoId
+ * @returns {Promise<Object|null>}
+ */
+export async function getCachedVideoInfo(videoId) {
+  const cache = await loadCache();
+  const entry = cache[videoId];
+  if (!entry) return null;
+
+  if (Date.now() - entry.cachedAt > VIDEO_INFO_TTL_MS) {
+    delete cache[videoId];
+    await chrome.storage.local.set({ videoInfoCache: cache });
+    return null;
+  }
+
+  entry.usedAt = Date.now();
+  await chrome.storage.local.set({ videoInfoCache: cache });
+  return entry.info;
+}
+
+/**
+ * Store a video's info, evicting the least recently used entries beyond
+ * VIDEO_INFO_CACHE_SIZE.
+ * @param {string} videoId
+ * @param {Object} info
+ */
+export async function putCachedVideoInfo(videoId, info) {
+  const cache = await loadCache();
+  const now = Date.now();
+  cache[videoId] = { info, cachedAt: now, usedAt: now };
+
+  const ids = Object.keys(cache);
+  if (ids.length > VIDEO_INFO_CACHE_SIZE) {
+    ids
+      .sort((a, b) => cache[a].usedAt - cache[b].usedAt)
+      .slice(0, ids.length - VIDEO_INFO_CACHE_SIZE)
+      .forEach((id) => delete cache[id]);
+  }
+
+  await chrome.storage.local.set({ videoInfoCache: cache });
+}
+
+export async function clearVideoInfoCache() {
+  await chrome.storage.local.remove(["videoInfoCache"]);
+}
+
+async function loadCache() {
+  const data = await chrome.storage.local.get(["videoInfoCache"]);
+  return data.videoInfoCache || {};
+}
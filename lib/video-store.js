@@ -0,0 +1,327 @@
+/**
+ * Shared Video Store (IndexedDB).
+ *
+ * Holds the per-playlist video cache that used to live in
+ * chrome.storage.local as `playlistCategories`. IndexedDB is shared by
+ * every page of the extension origin, so the service worker writes it and
+ * the popup and dashboard read it directly. The content script runs in
+ * youtube.com's origin and goes through background messages instead.
+ *
+ * Database "pi-video-store":
+ *   "videos" — one record per playlist membership, keyed [playlistId, videoId]:
+ *     { playlistId, videoId, categoryId, category, title, channelTitle,
+ *       channelId, thumbnail, status?, unavailableSince? }
+ *     indexes: byPlaylist, byVideo, byCategory, byChannel, byChannelId
+ *   "meta"   — key → value bookkeeping (e.g. when the legacy cache was migrated)
+ *   "indexes" — name → derived data rebuilt from "videos" at sync time
+ *               (e.g. "titleIndex", see lib/title-index.js)
+ *   "pages"  — playlistId → [{ ids, unavailable }], the video IDs of each
+ *              playlistItems page, aligned with the page ETags kept in
+ *              chrome.storage.local `playlistEtags` (so a 304 can reuse them)
+ *
+ * Schema changes are appended to MIGRATIONS; never edit a released step.
+ */
+
+const DB_NAME = "pi-video-store";
+
+/**
+ * Schema migrations, in order. Step i upgrades version i → i + 1.
+ * @type {Array<(db: IDBDatabase, tx: IDBTransaction) => void>}
+ */
+const MIGRATIONS = [
+  // v1: videos keyed by playlist + video, with lookup indexes
+  (db) => {
+    const videos = db.createObjectStore("videos", { keyPath: ["playlistId", "videoId"] });
+    videos.createIndex("byPlaylist", "playlistId");
+    videos.createIndex("byVideo", "videoId");
+    videos.createIndex("byCategory", "categoryId");
+    videos.createIndex("byChannel", "channelTitle");
+    db.createObjectStore("meta");
+  },
+  // v2: channel ID index (titles are ambiguous; videos cached before v2 have no ID)
+  (db, tx) => {
+    tx.objectStore("videos").createIndex("byChannelId", "channelId");
+  },
+  // v3: derived indexes
+  (db) => {
+    db.createObjectStore("indexes");
+  },
+  // v4: playlistItems page contents (the ETags stay in chrome.storage.local)
+  (db) => {
+    db.createObjectStore("pages");
+  }
+];
+
+const DB_VERSION = MIGRATIONS.length;
+
+let dbPromise = null;
+
+/**
+ * Open (and upgrade / migrate) the store. Shared per page.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openVideoStore() {
+  if (!dbPromise) {
+    dbPromise = openDatabase()
+      .then(async (db) => {
+        await migrateLegacyCache(db);
+        return db;
+      })
+      .catch((err) => {
+        dbPromise = null;
+        throw err;
+      });
+  }
+  return dbPromise;
+}
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      for (let v = event.oldVersion; v < DB_VERSION; v++) {
+        MIGRATIONS[v](db, request.transaction);
+      }
+    };
+
+    request.onsuccess = () => {
+      const db = request.result;
+      // Another page upgraded the schema — let it, and reopen next time
+      db.onversionchange = () => {
+        db.close();
+        dbPromise = null;
+      };
+      resolve(db);
+    };
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => console.warn("[VideoStore] Upgrade blocked by an open page");
+  });
+}
+
+/**
+ * One-time move of the old chrome.storage.local `playlistCategories` map
+ * into the store. The storage key is removed once the write commits.
+ * @param {IDBDatabase} db
+ */
+async function migrateLegacyCache(db) {
+  const { playlistCategories } = await chrome.storage.local.get(["playlistCategories"]);
+  if (!playlistCategories) return;
+
+  const tx = db.transaction(["videos", "meta"], "readwrite");
+  const videos = tx.objectStore("videos");
+  let count = 0;
+  for (const [playlistId, map] of Object.entries(playlistCategories)) {
+    for (const [videoId, entry] of Object.entries(map || {})) {
+      videos.put(toRecord(playlistId, videoId, entry));
+      count++;
+    }
+  }
+  tx.objectStore("meta").put(Date.now(), "migratedFromStorageAt");
+  await transactionDone(tx);
+
+  await chrome.storage.local.remove(["playlistCategories"]);
+  console.log(`[VideoStore] Migrated ${count} cached videos from chrome.storage.local`);
+}
+
+// ─── Reads ───────────────────────────────────────────────────────────────────
+
+/**
+ * Every cached video, grouped like the old `playlistCategories` map.
+ * @returns {Promise<Object>} { playlistId: { videoId: entry } }
+ */
+export async function getAllPlaylistVideos() {
+  const db = await openVideoStore();
+  const records = await request(db.transaction("videos").objectStore("videos").getAll());
+
+  const result = {};
+  for (const record of records) {
+    (result[record.playlistId] ||= {})[record.videoId] = fromRecord(record);
+  }
+  return result;
+}
+
+/**
+ * One playlist's cached videos.
+ * @param {string} playlistId
+ * @returns {Promise<Object>} { videoId: entry }
+ */
+export async function getPlaylistVideos(playlistId) {
+  const records = await getByIndex("byPlaylist", playlistId);
+  const result = {};
+  for (const record of records) {
+    result[record.videoId] = fromRecord(record);
+  }
+  return result;
+}
+
+/**
+ * Cached video counts per playlist (for the sync cost forecast).
+ * @returns {Promise<Object<string, number>>}
+ */
+export async function getPlaylistVideoCounts() {
+  const db = await openVideoStore();
+  const keys = await request(db.transaction("videos").objectStore("videos").getAllKeys());
+
+  const counts = {};
+  for (const [playlistId] of keys) {
+    counts[playlistId] = (counts[playlistId] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Every playlist a video is cached in.
+ * @param {string} videoId
+ * @returns {Promise<Array<Object>>} [{ playlistId, videoId, …entry }]
+ */
+export function getVideoMemberships(videoId) {
+  return getByIndex("byVideo", videoId);
+}
+
+/**
+ * @param {string} channelTitle
+ * @returns {Promise<Array<Object>>}
+ */
+export function getVideosByChannel(channelTitle) {
+  return getByIndex("byChannel", channelTitle);
+}
+
+/**
+ * @param {string} channelId
+ * @returns {Promise<Array<Object>>}
+ */
+export function getVideosByChannelId(channelId) {
+  return getByIndex("byChannelId", channelId);
+}
+
+async function getByIndex(indexName, value) {
+  const db = await openVideoStore();
+  const index = db.transaction("videos").objectStore("videos").index(indexName);
+  return request(index.getAll(IDBKeyRange.only(value)));
+}
+
+/**
+ * A derived index by name, or null if it hasn't been built yet.
+ * @param {string} name
+ * @returns {Promise<any>}
+ */
+export async function getDerivedIndex(name) {
+  const db = await openVideoStore();
+  const value = await request(db.transaction("indexes").objectStore("indexes").get(name));
+  return value ?? null;
+}
+
+/**
+ * The cached playlistItems page contents of one playlist.
+ * @param {string} playlistId
+ * @returns {Promise<Array<{ ids: string[], unavailable: Object }>>} empty if none
+ */
+export async function getPlaylistPages(playlistId) {
+  const db = await openVideoStore();
+  const value = await request(db.transaction("pages").objectStore("pages").get(playlistId));
+  return value || [];
+}
+
+// ─── Writes (service worker) ─────────────────────────────────────────────────
+
+/**
+ * Replace one playlist's cached videos in a single transaction.
+ * @param {string} playlistId
+ * @param {Object} videos - { videoId: entry }
+ */
+export async function putPlaylistVideos(playlistId, videos) {
+  const db = await openVideoStore();
+  const tx = db.transaction("videos", "readwrite");
+  const store = tx.objectStore("videos");
+
+  store.delete(playlistRange(playlistId));
+  for (const [videoId, entry] of Object.entries(videos)) {
+    store.put(toRecord(playlistId, videoId, entry));
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Replace one playlist's cached playlistItems page contents.
+ * @param {string} playlistId
+ * @param {Array<{ ids: string[], unavailable: Object }>} pages
+ */
+export async function putPlaylistPages(playlistId, pages) {
+  const db = await openVideoStore();
+  const tx = db.transaction("pages", "readwrite");
+  tx.objectStore("pages").put(pages, playlistId);
+  await transactionDone(tx);
+}
+
+/**
+ * Drop the cached videos (and item pages) of playlists that no longer exist.
+ * @param {string[]} playlistIds
+ */
+export async function deletePlaylistVideos(playlistIds) {
+  if (!playlistIds.length) return;
+  const db = await openVideoStore();
+  const tx = db.transaction(["videos", "pages"], "readwrite");
+  const store = tx.objectStore("videos");
+  for (const playlistId of playlistIds) {
+    store.delete(playlistRange(playlistId));
+    tx.objectStore("pages").delete(playlistId);
+  }
+  await transactionDone(tx);
+}
+
+/**
+ * Store a derived index, replacing the previous build.
+ * @param {string} name
+ * @param {any} value
+ */
+export async function putDerivedIndex(name, value) {
+  const db = await openVideoStore();
+  const tx = db.transaction("indexes", "readwrite");
+  tx.objectStore("indexes").put(value, name);
+  await transactionDone(tx);
+}
+
+/**
+ * Remove every cached video, item page and derived index (Clear data).
+ */
+export async function clearVideoStore() {
+  const db = await openVideoStore();
+  const tx = db.transaction(["videos", "indexes", "pages"], "readwrite");
+  tx.objectStore("videos").clear();
+  tx.objectStore("indexes").clear();
+  tx.objectStore("pages").clear();
+  await transactionDone(tx);
+}
+
+// ─── Helpers ─────────────────────────────────────────────────────────────────
+
+// All [playlistId, *] keys
+function playlistRange(playlistId) {
+  return IDBKeyRange.bound([playlistId], [playlistId, []]);
+}
+
+function toRecord(playlistId, videoId, entry) {
+  return { ...entry, playlistId, videoId };
+}
+
+function fromRecord(record) {
+  const { playlistId, videoId, ...entry } = record;
+  return entry;
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error("Transaction aborted"));
+  });
+}
@@ -0,0 +1,48 @@
+/**
+ * YouTube URL parsing (ported from yt_utils.py).
+ *
+ * Dependency-free so the content script can load it with a dynamic
+ * import() (it's listed in web_accessible_resources); everything else
+ * gets it through lib/youtube-api.js.
+ */
+
+/**
+ * Extract video ID from URL or raw ID string.
+ * Supports: youtube.com/watch, youtu.be, youtube.com/shorts
+ * @param {string} input
+ * @returns {string|null}
+ */
+export function extractVideoId(input) {
+  if (!input) return null;
+  input = input.trim();
+
+  // Raw 11-char ID
+  if (input.length === 11 && !input.includes("/")) {
+    return input;
+  }
+
+  try {
+    const url = new URL(input);
+
+    // youtu.be/<id>
+    if (url.hostname === "youtu.be" || url.hostname === "www.youtu.be") {
+      return url.pathname.slice(1) || null;
+    }
+
+    // youtube.com
+    if (url.hostname.includes("youtube.com")) {
+      // /watch?v=<id>
+      const v = url.searchParams.get("v");
+      if (v) return v;
+
+      // /shorts/<id>
+      if (url.pathname.startsWith("/shorts/")) {
+        return url.pathname.split("/")[2] || null;
+      }
+    }
+  } catch {
+    // Not a valid URL
+  }
+
+  return null;
+}
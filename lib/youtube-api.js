@@ -5,6 +5,8 @@
  */
 
 import { getCategoryLabel } from "./category-map.js";
+import { API_ERROR, YouTubeApiError, classifyApiError } from "./api-errors.js";
+import { VIDEO_STATUS, getPlaylistItemStatus, needsLookup, markUnavailable } from "./video-availability.js";
 
 const API_BASE = "https://www.googleapis.com/youtube/v3";
 
@@ -21,7 +23,10 @@ export async function getStoredApiKey() {
 
 // ─── OAuth Helper ────────────────────────────────────────────────────────────
 
-const OAUTH_SCOPE = "https://www.googleapis.com/auth/youtube.readonly";
+const OAUTH_SCOPE_READ = "https://www.googleapis.com/auth/youtube.readonly";
+// Needed to add videos to playlists (quick save). Only requested when the
+// user first uses a write feature, so read-only users are never asked for it.
+const OAUTH_SCOPE_WRITE = "https://www.googleapis.com/auth/youtube";
 
 /**
  * Get an OAuth2 token via chrome.identity.launchWebAuthFlow.
@@ -39,47 +44,102 @@ export async function getAuthToken(interactive = false) {
 
     if (!interactive) return null; // don't prompt if non-interactive and no cached token
 
-    const config = await chrome.storage.local.get(["oauthClientId"]);
-    const clientId = config.oauthClientId;
-    if (!clientId) {
-      throw new Error("No OAuth Client ID configured. Enter it in the popup.");
-    }
+    return await launchAuthFlow(true);
+  } catch (err) {
+    console.warn("[API] OAuth getAuthToken failed:", err.message);
+    return null;
+  }
+}
 
-    const redirectUrl = chrome.identity.getRedirectURL();
-    const authUrl = new URL("https://accounts.google.com/o/oauth2/v2/auth");
-    authUrl.searchParams.set("client_id", clientId);
-    authUrl.searchParams.set("redirect_uri", redirectUrl);
-    authUrl.searchParams.set("response_type", "token");
-    authUrl.searchParams.set("scope", OAUTH_SCOPE);
-    authUrl.searchParams.set("prompt", "consent");
-
-    const responseUrl = await chrome.identity.launchWebAuthFlow({
-      url: authUrl.toString(),
-      interactive: true
-    });
+/**
+ * Get a token that can modify playlists. If the cached token was granted
+ * read-only access, asks the user to approve the write scope (interactive).
+ * @returns {Promise<string>}
+ * @throws {YouTubeApiError} FORBIDDEN if write access wasn't granted
+ */
+export async function getWriteAuthToken() {
+  const stored = await chrome.storage.local.get(["oauthToken", "oauthTokenExpiry", "oauthScopes"]);
+  const valid = stored.oauthToken && stored.oauthTokenExpiry && Date.now() < stored.oauthTokenExpiry;
+  if (valid && hasWriteScope(stored.oauthScopes)) {
+    return stored.oauthToken;
+  }
 
-    if (!responseUrl) return null;
+  const token = await launchAuthFlow(true, `${OAUTH_SCOPE_READ} ${OAUTH_SCOPE_WRITE}`);
+  const { oauthScopes } = await chrome.storage.local.get(["oauthScopes"]);
+  if (!token || !hasWriteScope(oauthScopes)) {
+    throw new YouTubeApiError(API_ERROR.FORBIDDEN, "Permission to manage your playlists wasn't granted.");
+  }
+  return token;
+}
 
-    // Extract access_token from the redirect URL fragment
-    const hash = new URL(responseUrl.replace("#", "?")).searchParams;
-    const token = hash.get("access_token");
-    const expiresIn = parseInt(hash.get("expires_in") || "3600", 10);
+function hasWriteScope(scopes) {
+  return (scopes || "").split(" ").includes(OAUTH_SCOPE_WRITE);
+}
 
-    if (token) {
-      // Cache the token with expiry
-      await chrome.storage.local.set({
-        oauthToken: token,
-        oauthTokenExpiry: Date.now() + expiresIn * 1000 - 60000 // 1 min buffer
-      });
-      return token;
-    }
-    return null;
+/**
+ * Drop the cached token and silently ask Google for a new one
+ * (prompt=none, no window). Used when the API rejects a token with 401.
+ * @returns {Promise<string|null>} New access token, or null if the user
+ *          has to sign in again interactively
+ */
+export async function refreshAuthToken() {
+  try {
+    await chrome.storage.local.remove(["oauthToken", "oauthTokenExpiry"]);
+    return await launchAuthFlow(false);
   } catch (err) {
-    console.warn("[API] OAuth getAuthToken failed:", err.message);
+    console.warn("[API] OAuth refreshAuthToken failed:", err.message);
     return null;
   }
 }
 
+/**
+ * Run the implicit-grant flow and cache the resulting token, along with the
+ * scopes Google actually granted.
+ * @param {boolean} interactive - false = silent re-auth (prompt=none)
+ * @param {string} [scope] - space-separated scopes; defaults to the ones
+ *        granted last time, so a silent refresh keeps write access
+ * @returns {Promise<string|null>}
+ */
+async function launchAuthFlow(interactive, scope = null) {
+  const config = await chrome.storage.local.get(["oauthClientId", "oauthScopes"]);
+  const clientId = config.oauthClientId;
+  if (!clientId) {
+    throw new Error("No OAuth Client ID configured. Enter it in the popup.");
+  }
+
+  const redirectUrl = chrome.identity.getRedirectURL();
+  const authUrl = new URL("https://accounts.google.com/o/oauth2/v2/auth");
+  authUrl.searchParams.set("client_id", clientId);
+  authUrl.searchParams.set("redirect_uri", redirectUrl);
+  authUrl.searchParams.set("response_type", "token");
+  authUrl.searchParams.set("scope", scope || config.oauthScopes || OAUTH_SCOPE_READ);
+  authUrl.searchParams.set("include_granted_scopes", "true");
+  authUrl.searchParams.set("prompt", interactive ? "consent" : "none");
+
+  const responseUrl = await chrome.identity.launchWebAuthFlow({
+    url: authUrl.toString(),
+    interactive
+  });
+
+  if (!responseUrl) return null;
+
+  // Extract access_token from the redirect URL fragment
+  const hash = new URL(responseUrl.replace("#", "?")).searchParams;
+  const token = hash.get("access_token");
+  const expiresIn = parseInt(hash.get("expires_in") || "3600", 10);
+
+  if (token) {
+    // Cache the token with expiry
+    await chrome.storage.local.set({
+      oauthToken: token,
+      oauthTokenExpiry: Date.now() + expiresIn * 1000 - 60000, // 1 min buffer
+      oauthScopes: hash.get("scope") || scope || config.oauthScopes || OAUTH_SCOPE_READ
+    });
+    return token;
+  }
+  return null;
+}
+
 /**
  * Remove the cached OAuth token (sign out).
  * @returns {Promise<void>}
@@ -91,7 +151,7 @@ export async function removeAuthToken() {
       // Revoke the token on Google's side
       await fetch(`https://accounts.google.com/o/oauth2/revoke?token=${stored.oauthToken}`);
     }
-    await chrome.storage.local.remove(["oauthToken", "oauthTokenExpiry", "oauthConnected"]);
+    await chrome.storage.local.remove(["oauthToken", "oauthTokenExpiry", "oauthScopes", "oauthConnected"]);
   } catch (err) {
     console.warn("[API] OAuth removeAuthToken failed:", err.message);
   }
@@ -99,9 +159,33 @@ export async function removeAuthToken() {
 
 // ─── API Usage Tracking ──────────────────────────────────────────────────────
 
-const DAILY_LIMIT = 10000;
+export const DAILY_LIMIT = 10000;
 const SAFETY_MARGIN = 500; // block when within this many of the limit
 
+/**
+ * Quota cost (units) per endpoint + operation, from the YouTube Data API
+ * quota calculator. Unknown operations fall back to 1 unit.
+ */
+export const QUOTA_COSTS = {
+  "playlists.list": 1,
+  "playlistItems.list": 1,
+  "videos.list": 1,
+  "channels.list": 1,
+  "videoCategories.list": 1,
+  "playlistItems.insert": 50,
+  "playlistItems.delete": 50,
+  "search.list": 100
+};
+
+/**
+ * Cost in quota units of a single request.
+ * @param {string} operation - e.g. "videos.list"
+ * @returns {number}
+ */
+export function getQuotaCost(operation) {
+  return QUOTA_COSTS[operation] ?? 1;
+}
+
 /**
  * Get today's date key (YYYY-MM-DD) for daily tracking.
  */
@@ -109,27 +193,56 @@ function todayKey() {
   return new Date().toISOString().slice(0, 10);
 }
 
+function emptyUsage() {
+  return { date: todayKey(), count: 0, calls: 0, byEndpoint: {}, byFeature: {} };
+}
+
 /**
- * Read the current daily API usage counter.
- * @returns {Promise<{ date: string, count: number }>}
+ * Read the current daily API usage.
+ * `count` is quota units (not requests), so it can be compared to DAILY_LIMIT.
+ * @returns {Promise<{ date: string, count: number, calls: number,
+ *   byEndpoint: Object<string, { calls: number, units: number }>,
+ *   byFeature: Object<string, number> }>}
  */
 export async function getApiUsage() {
   const data = await chrome.storage.local.get(["apiUsage"]);
-  const usage = data.apiUsage || { date: todayKey(), count: 0 };
+  const usage = data.apiUsage;
   // Reset if it's a new day
-  if (usage.date !== todayKey()) {
-    return { date: todayKey(), count: 0 };
+  if (!usage || usage.date !== todayKey()) {
+    return emptyUsage();
   }
-  return usage;
+  // Older records only had { date, count }
+  return { ...emptyUsage(), ...usage };
 }
 
 /**
- * Increment the daily API call counter by `n`.
+ * How many quota units are left today before the safety guard blocks requests.
+ * @returns {Promise<number>}
  */
-async function incrementApiUsage(n = 1) {
+export async function getQuotaHeadroom() {
   const usage = await getApiUsage();
-  usage.count += n;
-  usage.date = todayKey();
+  return Math.max(0, DAILY_LIMIT - SAFETY_MARGIN - usage.count);
+}
+
+/**
+ * Record one request against today's usage.
+ * @param {string} operation - e.g. "playlistItems.list"
+ * @param {string} feature   - e.g. "sync", "save-modal"
+ */
+async function recordApiUsage(operation, feature) {
+  const units = getQuotaCost(operation);
+  const usage = await getApiUsage();
+
+  usage.count += units;
+  usage.calls += 1;
+
+  const ep = usage.byEndpoint[operation] || { calls: 0, units: 0 };
+  ep.calls += 1;
+  ep.units += units;
+  usage.byEndpoint[operation] = ep;
+
+  usage.byFeature[feature] = (usage.byFeature[feature] || 0) + units;
+
   await chrome.storage.local.set({ apiUsage: usage });
 }
 
@@ -137,35 +250,65 @@ async function incrementApiUsage(n = 1) {
  * Reset the daily API usage counter.
  */
 export async function resetApiUsage() {
-  await chrome.storage.local.set({ apiUsage: { date: todayKey(), count: 0 } });
+  await chrome.storage.local.set({ apiUsage: emptyUsage() });
 }
 
 // ─── API Call Helper ─────────────────────────────────────────────────────────
 
+const MAX_RETRIES = 3;
+const BACKOFF_BASE_MS = 1000;
+const BACKOFF_MAX_MS = 16000; // keep well under the MV3 worker's idle timeout
+
+// Quota operation name for each write method (reads are "<endpoint>.list")
+const WRITE_OPERATIONS = { POST: "insert", DELETE: "delete" };
+
+// After a 401 refresh, callers keep passing the token they started with —
+// swap it for the fresh one so they don't each hit 401 again.
+let refreshedToken = { stale: null, fresh: null };
+
 /**
  * Make a request to YouTube Data API.
  * Supports API key auth OR OAuth Bearer token.
- * Tracks and enforces daily quota.
+ * Tracks and enforces daily quota, weighted by each endpoint's unit cost.
+ *
+ * Failures are thrown as YouTubeApiError (see api-errors.js). Transient
+ * (5xx / network) and rate-limit errors are retried with jittered
+ * exponential backoff; an expired OAuth token is refreshed once and the
+ * request retried.
+ *
  * @param {string} endpoint - e.g. "playlists"
  * @param {Object} params   - query parameters
  * @param {string} apiKey   - YouTube Data API key (can be null if token provided)
  * @param {string} [token]  - OAuth2 access token (optional, takes priority)
+ * Pass `etag` to make a conditional request (If-None-Match). When the
+ * resource is unchanged YouTube answers 304 and this resolves to
+ * `{ notModified: true }` instead of a response body. Successful
+ * responses carry their `etag` so callers can store it.
+ *
+ * Writes pass `method` ("POST" / "DELETE") and, for POST, a JSON `body`.
+ * Inserts are not idempotent, so a POST is only retried when YouTube
+ * rejected it outright (rate limit), never after a 5xx or network error
+ * that may have been applied.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.feature="sync"] - feature the units are attributed to
+ * @param {string} [options.etag] - ETag from a previous identical request
+ * @param {"GET"|"POST"|"DELETE"} [options.method="GET"]
+ * @param {Object} [options.body] - request body for POST
  * @returns {Promise<Object>}
  */
-async function apiCall(endpoint, params = {}, apiKey, token) {
+async function apiCall(endpoint, params = {}, apiKey, token, { feature = "sync", etag = null, method = "GET", body = null } = {}) {
   if (!apiKey && !token) {
     throw new Error("No API key or OAuth token provided.");
   }
 
-  // Check daily quota before making the call
-  const usage = await getApiUsage();
-  if (usage.count >= DAILY_LIMIT - SAFETY_MARGIN) {
-    throw new Error(
-      `Daily API limit approaching (${usage.count}/${DAILY_LIMIT} calls used today). ` +
-      `Sync disabled to avoid charges. Resets at midnight.`
-    );
+  if (token && token === refreshedToken.stale) {
+    token = refreshedToken.fresh;
   }
 
+  const operation = `${endpoint}.${WRITE_OPERATIONS[method] || "list"}`;
+  const cost = getQuotaCost(operation);
+
   const url = new URL(`${API_BASE}/${endpoint}`);
 
   // Use API key in query params (even with OAuth, it helps with quota attribution)
@@ -179,22 +322,94 @@ async function apiCall(endpoint, params = {}, apiKey, token) {
     }
   }
 
-  const fetchOptions = {};
-  if (token) {
-    fetchOptions.headers = { Authorization: `Bearer ${token}` };
-  }
+  let authRetried = false;
+
+  for (let attempt = 0; ; attempt++) {
+    // Check daily quota before every attempt — retries cost units too
+    const usage = await getApiUsage();
+    if (usage.count + cost > DAILY_LIMIT - SAFETY_MARGIN) {
+      throw new YouTubeApiError(
+        API_ERROR.QUOTA_EXCEEDED,
+        `Daily API limit approaching (${usage.count}/${DAILY_LIMIT} units used today). ` +
+        `Sync disabled to avoid charges. Resets at midnight.`
+      );
+    }
+
+    const headers = {};
+    if (token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    if (etag) {
+      headers["If-None-Match"] = etag;
+    }
+    // no-store: let YouTube answer the conditional request, not the HTTP cache
+    const fetchOptions = { method, headers, cache: "no-store" };
+    if (body) {
+      headers["Content-Type"] = "application/json";
+      fetchOptions.body = JSON.stringify(body);
+    }
 
-  const resp = await fetch(url.toString(), fetchOptions);
+    let resp;
+    try {
+      resp = await fetch(url.toString(), fetchOptions);
+    } catch (err) {
+      // Network failure — the request never reached YouTube, so no quota is charged
+      if (attempt < MAX_RETRIES && method !== "POST") {
+        await backoff(attempt, `${operation} network error`);
+        continue;
+      }
+      throw new YouTubeApiError(API_ERROR.TRANSIENT, `Network error calling ${operation}: ${err.message}`);
+    }
 
-  if (!resp.ok) {
-    const body = await resp.text();
-    throw new Error(`YouTube API ${resp.status}: ${body}`);
-  }
+    // YouTube charges quota for every request that reaches it, including errors
+    await recordApiUsage(operation, feature);
+
+    if (resp.status === 304) {
+      return { notModified: true };
+    }
 
-  // Track the successful call
-  await incrementApiUsage(1);
+    if (resp.status === 204) {
+      return {}; // DELETE
+    }
+
+    if (resp.ok) {
+      const json = await resp.json();
+      json.etag = json.etag || resp.headers?.get("ETag") || null;
+      return json;
+    }
+
+    const error = classifyApiError(resp.status, await resp.text());
+
+    if (error.type === API_ERROR.AUTH_EXPIRED && token && !authRetried) {
+      authRetried = true;
+      const fresh = await refreshAuthToken();
+      if (fresh) {
+        refreshedToken = { stale: token, fresh };
+        token = fresh;
+        continue;
+      }
+    }
 
-  return resp.json();
+    const safeToRetry = method !== "POST" || error.type === API_ERROR.RATE_LIMITED;
+    if (error.retryable && safeToRetry && attempt < MAX_RETRIES) {
+      await backoff(attempt, `${operation} ${error.type}`);
+      continue;
+    }
+
+    throw error;
+  }
+}
+
+/**
+ * Sleep for an exponentially growing, jittered delay.
+ * @param {number} attempt - 0-based retry number
+ * @param {string} label   - for logging
+ */
+function backoff(attempt, label) {
+  const ceiling = Math.min(BACKOFF_MAX_MS, BACKOFF_BASE_MS * 2 ** attempt);
+  const delay = Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+  console.warn(`[API] ${label} — retrying in ${delay}ms (attempt ${attempt + 1}/${MAX_RETRIES})`);
+  return new Promise((resolve) => setTimeout(resolve, delay));
 }
 
 // ─── Playlist Retrieval ──────────────────────────────────────────────────────
@@ -225,6 +440,24 @@ export async function getUserPlaylists(apiKey, token) {
   return all;
 }
 
+/**
+ * Fetch specific playlists by ID (up to 50). Missing or inaccessible
+ * playlists are simply absent from the result.
+ * @param {string[]} playlistIds
+ * @param {string} apiKey - YouTube Data API key
+ * @param {string} [token] - OAuth2 access token (needed for private playlists)
+ * @returns {Promise<Array>}
+ */
+export async function getPlaylistsById(playlistIds, apiKey, token) {
+  if (!playlistIds.length) return [];
+  const resp = await apiCall("playlists", {
+    part: token ? "snippet,contentDetails,status" : "snippet,contentDetails",
+    id: playlistIds.slice(0, 50).join(","),
+    maxResults: 50
+  }, apiKey, token);
+  return resp.items || [];
+}
+
 /**
  * Fetch all PUBLIC playlists for a given channel ID.
  * @param {string} channelId
@@ -259,26 +492,76 @@ export async function getChannelPlaylists(channelId, apiKey) {
  * @returns {Promise<string[]>} array of video IDs
  */
 export async function getPlaylistVideoIds(playlistId, apiKey, token) {
+  const { ids } = await getPlaylistVideoIdPages(playlistId, apiKey, token);
+  return ids;
+}
+
+/**
+ * Page through a playlist's items with conditional requests.
+ *
+ * Each page is requested with the ETag stored for it last time; a 304
+ * reuses the cached video IDs and next-page token for that page.
+ * Items whose video is private or deleted are collected in `unavailable`.
+ *
+ * @param {string} playlistId
+ * @param {string} apiKey
+ * @param {string} [token]
+ * @param {Array<{ pageToken: string|null, etag: string, ids: string[], nextPageToken: string|null,
+ *   unavailable: Object }>} [cachedPages]
+ * @returns {Promise<{ ids: string[], pages: Array, notModified: number, unavailable: Object }>}
+ *   pages       — page cache to store for the next sync
+ *   notModified — how many pages came back 304
+ *   unavailable — { videoId → "private" | "deleted" }
+ */
+export async function getPlaylistVideoIdPages(playlistId, apiKey, token, cachedPages = []) {
   const ids = [];
+  const pages = [];
+  const unavailable = {};
+  let notModified = 0;
   let pageToken = null;
 
   do {
+    const cachedPage = cachedPages[pages.length];
+    // A page is only requested conditionally if its IDs are at hand for a 304
+    const usable = cachedPage && cachedPage.pageToken === pageToken && Array.isArray(cachedPage.ids) ? cachedPage : null;
+
     const resp = await apiCall("playlistItems", {
-      part: "contentDetails",
+      part: "contentDetails,status",
       playlistId,
       maxResults: 50,
       pageToken
-    }, apiKey, token);
+    }, apiKey, token, { etag: usable?.etag });
 
-    for (const item of (resp.items || [])) {
-      const vid = item.contentDetails?.videoId;
-      if (vid) ids.push(vid);
+    let page;
+    if (resp.notModified) {
+      notModified++;
+      page = usable;
+    } else {
+      const pageIds = [];
+      const pageUnavailable = {};
+      for (const item of (resp.items || [])) {
+        const vid = item.contentDetails?.videoId;
+        if (!vid) continue;
+        pageIds.push(vid);
+        const status = getPlaylistItemStatus(item);
+        if (status !== VIDEO_STATUS.AVAILABLE) pageUnavailable[vid] = status;
+      }
+      page = {
+        pageToken,
+        etag: resp.etag || null,
+        ids: pageIds,
+        nextPageToken: resp.nextPageToken || null,
+        unavailable: pageUnavailable
+      };
     }
 
-    pageToken = resp.nextPageToken || null;
+    pages.push(page);
+    ids.push(...page.ids);
+    Object.assign(unavailable, page.unavailable);
+    pageToken = page.nextPageToken;
   } while (pageToken);
 
-  return ids;
+  return { ids, pages, notModified, unavailable };
 }
 
 /**
@@ -286,9 +569,11 @@ export async function getPlaylistVideoIds(playlistId, apiKey, token) {
  * Returns map: videoId → categoryId
  * @param {string[]} videoIds - up to 50 IDs
  * @param {string} apiKey - YouTube Data API key
+ * @param {string} [token]
+ * @param {string} [feature="sync"] - usage attribution (see apiCall)
  * @returns {Promise<Object>} { videoId: categoryId }
  */
-export async function getVideoCategoryIds(videoIds, apiKey, token) {
+export async function getVideoCategoryIds(videoIds, apiKey, token, feature = "sync") {
   if (!videoIds.length) return {};
 
   const result = {};
@@ -296,18 +581,21 @@ export async function getVideoCategoryIds(videoIds, apiKey, token) {
   // Process in batches of 50 (API limit)
   for (let i = 0; i < videoIds.length; i += 50) {
     const batch = videoIds.slice(i, i + 50);
+    // contentDetails (duration) costs nothing extra: videos.list is 1 unit whatever the parts
     const resp = await apiCall("videos", {
-      part: "snippet",
+      part: "snippet,contentDetails",
       id: batch.join(",")
-    }, apiKey, token);
+    }, apiKey, token, { feature });
 
     for (const item of (resp.items || [])) {
       result[item.id] = {
         categoryId: item.snippet.categoryId,
         title: item.snippet.title,
         channelTitle: item.snippet.channelTitle || "",
+        channelId: item.snippet.channelId || "",
         thumbnail: item.snippet.thumbnails?.medium?.url
           || item.snippet.thumbnails?.default?.url || "",
+        durationSeconds: parseIsoDuration(item.contentDetails?.duration),
       };
     }
   }
@@ -315,14 +603,31 @@ export async function getVideoCategoryIds(videoIds, apiKey, token) {
   return result;
 }
 
+/**
+ * Parse an ISO 8601 duration ("PT1H2M3S", "P1DT5M") into seconds.
+ * @param {string} [iso]
+ * @returns {number|null} null when missing or unparseable (e.g. live streams report "P0D")
+ */
+export function parseIsoDuration(iso) {
+  const m = /^P(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/.exec(iso || "");
+  if (!m) return null;
+  const [, d = 0, h = 0, min = 0, s = 0] = m.map((v) => (v === undefined ? undefined : Number(v)));
+  const total = d * 86400 + h * 3600 + min * 60 + s;
+  return total || null;
+}
+
 /**
  * Get category info for a single video.
+ * Used by the Save modal, so usage is attributed to "save-modal" unless
+ * the caller says otherwise (navigation prefetch uses "prefetch").
  * @param {string} videoId
  * @param {string} apiKey - YouTube Data API key
+ * @param {string} [token]
+ * @param {string} [feature="save-modal"]
  * @returns {Promise<{videoId: string, categoryId: string, category: string}|null>}
  */
-export async function getVideoCategory(videoId, apiKey, token) {
-  const map = await getVideoCategoryIds([videoId], apiKey, token);
+export async function getVideoCategory(videoId, apiKey, token, feature = "save-modal") {
+  const map = await getVideoCategoryIds([videoId], apiKey, token, feature);
   const info = map[videoId];
   if (!info) return null;
   return {
@@ -331,10 +636,43 @@ export async function getVideoCategory(videoId, apiKey, token) {
     category: getCategoryLabel(info.categoryId),
     title: info.title,
     channelTitle: info.channelTitle,
+    channelId: info.channelId,
     thumbnail: info.thumbnail,
+    durationSeconds: info.durationSeconds,
   };
 }
 
+// ─── Playlist Writes ─────────────────────────────────────────────────────────
+
+/**
+ * Add a video to the end of a playlist. Requires a token from
+ * getWriteAuthToken(). Costs 50 quota units.
+ * @param {string} playlistId
+ * @param {string} videoId
+ * @param {string} token - OAuth2 access token with the write scope
+ * @returns {Promise<string>} the new playlist item's ID (needed to undo)
+ */
+export async function insertPlaylistItem(playlistId, videoId, token) {
+  const item = await apiCall("playlistItems", { part: "snippet" }, null, token, {
+    feature: "quick-save",
+    method: "POST",
+    body: { snippet: { playlistId, resourceId: { kind: "youtube#video", videoId } } }
+  });
+  return item.id;
+}
+
+/**
+ * Remove one item from a playlist. Costs 50 quota units.
+ * @param {string} playlistItemId - from insertPlaylistItem()
+ * @param {string} token - OAuth2 access token with the write scope
+ */
+export async function deletePlaylistItem(playlistItemId, token) {
+  await apiCall("playlistItems", { id: playlistItemId }, null, token, {
+    feature: "quick-save",
+    method: "DELETE"
+  });
+}
+
 // ─── Full Pipeline ───────────────────────────────────────────────────────────
 
 /**
@@ -345,19 +683,12 @@ export async function getVideoCategory(videoId, apiKey, token) {
  * @returns {Promise<Object>}
  */
 export async function getPlaylistVideoCategories(playlistId, apiKey, token) {
-  const videoIds = await getPlaylistVideoIds(playlistId, apiKey, token);
-  const detailMap = await getVideoCategoryIds(videoIds, apiKey, token);
+  const { ids: videoIds, unavailable } = await getPlaylistVideoIdPages(playlistId, apiKey, token);
+  const detailMap = await getVideoCategoryIds(videoIds.filter((vid) => needsLookup(null, unavailable[vid])), apiKey, token);
 
   const result = {};
   for (const vid of videoIds) {
-    const info = detailMap[vid];
-    result[vid] = {
-      categoryId: info?.categoryId || null,
-      category: info?.categoryId ? getCategoryLabel(info.categoryId) : "Unknown",
-      title: info?.title || "",
-      channelTitle: info?.channelTitle || "",
-      thumbnail: info?.thumbnail || "",
-    };
+    result[vid] = toVideoEntry(detailMap[vid], null, unavailable[vid]);
   }
 
   return result;
@@ -368,92 +699,94 @@ export async function getPlaylistVideoCategories(playlistId, apiKey, token) {
  *
  * Compares the current playlist video IDs against a cached map. Only fetches
  * details (videos.list) for videos not already in the cache, dramatically
- * reducing API calls on subsequent syncs.
+ * reducing API calls on subsequent syncs. Item pages are fetched with
+ * ETags, so unchanged pages cost a 304 instead of a full response.
+ *
+ * Private / deleted videos keep their cached title, channel and thumbnail
+ * and are flagged with a `status` (see video-availability.js). Private
+ * items are still looked up, since the user's own private uploads are
+ * returned. A flagged video is looked up afresh when its playlist item's
+ * status changes (e.g. it's public again), and an "unavailable" one on
+ * every sync (see needsLookup()).
  *
  * @param {string} playlistId
  * @param {string} apiKey
  * @param {Object} cachedVideos - Previous result from getPlaylistVideoCategories:
  *                                { videoId → { categoryId, category, title, … } }
- * @returns {Promise<{ videos: Object, apiCalls: number }>}
+ * @param {string} [token]
+ * @param {Array} [cachedPages] - page cache from the previous sync (see getPlaylistVideoIdPages)
+ * @returns {Promise<{ videos: Object, apiCalls: number, pages: Array, notModified: number,
+ *   added: string[], removed: string[] }>}
  *   videos  — merged map (cached + newly fetched), pruned of removed videos
  *   apiCalls — number of videos.list batch calls made (0 when fully cached)
+ *   pages   — page cache to store for the next sync
+ *   notModified — item pages answered with 304
+ *   added   — video IDs that weren't in the cache
+ *   removed — cached video IDs no longer in the playlist
  */
-export async function getPlaylistVideoCategoriesDelta(playlistId, apiKey, cachedVideos = {}, token) {
-  // Step 1: always fetch current video IDs (playlistItems.list)
-  const currentIds = await getPlaylistVideoIds(playlistId, apiKey, token);
+export async function getPlaylistVideoCategoriesDelta(playlistId, apiKey, cachedVideos = {}, token, cachedPages = []) {
+  // Step 1: always fetch current video IDs (playlistItems.list, conditional)
+  const { ids: currentIds, pages, notModified, unavailable } = await getPlaylistVideoIdPages(playlistId, apiKey, token, cachedPages);
   const currentIdSet = new Set(currentIds);
 
   // Step 2: determine which IDs are new (not in cache)
   const newIds = currentIds.filter(vid => !cachedVideos[vid]);
 
-  // Step 3: fetch details only for new videos
+  // Step 3: fetch details for new videos, plus flagged ones that may be back
+  const lookupIds = currentIds.filter((vid) => needsLookup(cachedVideos[vid], unavailable[vid]));
+
   let apiCalls = 0;
   let newDetails = {};
-  if (newIds.length > 0) {
-    apiCalls = Math.ceil(newIds.length / 50);
-    newDetails = await getVideoCategoryIds(newIds, apiKey, token);
+  if (lookupIds.length > 0) {
+    apiCalls = Math.ceil(lookupIds.length / 50);
+    newDetails = await getVideoCategoryIds(lookupIds, apiKey, token);
   }
+  const lookupSet = new Set(lookupIds);
 
   // Step 4: merge — keep cached data for existing videos, add new ones, drop removed
   const result = {};
   for (const vid of currentIds) {
-    if (cachedVideos[vid]) {
-      // Reuse cached entry
-      result[vid] = cachedVideos[vid];
+    const cached = cachedVideos[vid];
+    if (lookupSet.has(vid)) {
+      result[vid] = toVideoEntry(newDetails[vid], cached, unavailable[vid]);
+    } else if (unavailable[vid] && cached?.status !== unavailable[vid]) {
+      result[vid] = markUnavailable(cached, unavailable[vid]);
     } else {
-      const info = newDetails[vid];
-      result[vid] = {
-        categoryId: info?.categoryId || null,
-        category: info?.categoryId ? getCategoryLabel(info.categoryId) : "Unknown",
-        title: info?.title || "",
-        channelTitle: info?.channelTitle || "",
-        thumbnail: info?.thumbnail || "",
-      };
+      // Reuse cached entry
+      result[vid] = cached;
     }
   }
 
-  return { videos: result, apiCalls };
-}
+  const removed = Object.keys(cachedVideos).filter((vid) => !currentIdSet.has(vid));
 
-// ─── URL Parsing (ported from yt_utils.py) ───────────────────────────────────
+  return { videos: result, apiCalls, pages, notModified, added: newIds, removed };
+}
 
 /**
- * Extract video ID from URL or raw ID string.
- * Supports: youtube.com/watch, youtu.be, youtube.com/shorts
- * @param {string} input
- * @returns {string|null}
+ * Build a cached video entry from a videos.list result. A video the
+ * lookup didn't return is flagged with its playlist item's status, or
+ * "unavailable" when the item looked public, keeping `prev` if known.
+ * @param {Object} [info]   - getVideoCategoryIds() entry
+ * @param {Object} [prev]   - cached entry
+ * @param {string} [status] - status already known from the playlist item
+ * @returns {Object}
  */
-export function extractVideoId(input) {
-  if (!input) return null;
-  input = input.trim();
-
-  // Raw 11-char ID
-  if (input.length === 11 && !input.includes("/")) {
-    return input;
+function toVideoEntry(info, prev, status) {
+  if (!info) {
+    return markUnavailable(prev, status || VIDEO_STATUS.UNAVAILABLE);
   }
+  return {
+    categoryId: info.categoryId || null,
+    category: info.categoryId ? getCategoryLabel(info.categoryId) : "Unknown",
+    title: info.title || "",
+    channelTitle: info.channelTitle || "",
+    channelId: info.channelId || "",
+    thumbnail: info.thumbnail || "",
+    durationSeconds: info.durationSeconds ?? null,
+  };
+}
 
-  try {
-    const url = new URL(input);
-
-    // youtu.be/<id>
-    if (url.hostname === "youtu.be" || url.hostname === "www.youtu.be") {
-      return url.pathname.slice(1) || null;
-    }
-
-    // youtube.com
-    if (url.hostname.includes("youtube.com")) {
-      // /watch?v=<id>
-      const v = url.searchParams.get("v");
-      if (v) return v;
+// ─── URL Parsing ─────────────────────────────────────────────────────────────
 
-      // /shorts/<id>
-      if (url.pathname.startsWith("/shorts/")) {
-        return url.pathname.split("/")[2] || null;
-      }
-    }
-  } catch {
-    // Not a valid URL
-  }
-
-  return null;
-}
+// Lives in its own module so the content script can load it too
+export { extractVideoId } from "./video-url.js";
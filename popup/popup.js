@@ -3,11 +3,23 @@
  *
  * Handles:
  *  - API key + Channel ID configuration
- *  - Triggering full sync
+ *  - Triggering full sync (with pause / resume / cancel)
+ *  - Showing the estimated quota cost before a sync
+ *  - Auto-sync schedule settings + last scheduled run
  *  - Displaying quick stats
+ *  - Selector diagnostics + selector profile import / export
  *  - Opening dashboard
  */
 
+import {
+  getSelectorProfiles,
+  saveSelectorProfiles,
+  clearSelectorProfiles,
+  exportSelectorProfiles,
+  getSelectorDiagnostics,
+  setSelectorDiagnostics
+} from "../lib/selector-profiles.js";
+
 // ─── DOM Elements ────────────────────────────────────────────────────────────
 
 const $ = (sel) => document.querySelector(sel);
@@ -24,6 +36,11 @@ const elInputOAuthClientId = $("#input-oauth-client-id");
 const elStatusSection = $("#status-section");
 const elStatusText    = $("#status-text");
 const elProgressFill  = $("#progress-fill");
+const elStatusResumed = $("#status-resumed");
+const elSyncControls  = $("#sync-controls");
+const elBtnSyncPause  = $("#btn-sync-pause");
+const elBtnSyncResume = $("#btn-sync-resume");
+const elBtnSyncCancel = $("#btn-sync-cancel");
 
 const elStatsSection  = $("#stats-section");
 const elStatPlaylists = $("#stat-playlists");
@@ -42,6 +59,39 @@ const elApiUsageSection = $("#api-usage-section");
 const elApiUsageCount   = $("#api-usage-count");
 const elApiUsageBar     = $("#api-usage-bar");
 const elApiUsageWarning = $("#api-usage-warning");
+const elApiUsageFeatures = $("#api-usage-features");
+const elApiUsageEndpoints = $("#api-usage-endpoints");
+
+const elSyncEstimate          = $("#sync-estimate");
+const elSyncEstimateText      = $("#sync-estimate-text");
+const elSyncEstimateBreakdown = $("#sync-estimate-breakdown");
+const elSyncEstimateWarning   = $("#sync-estimate-warning");
+const elBtnSyncConfirm        = $("#btn-sync-confirm");
+const elBtnSyncDismiss        = $("#btn-sync-dismiss");
+
+const elScheduleSection     = $("#schedule-section");
+const elScheduleSummary     = $("#schedule-summary");
+const elScheduleEnabled     = $("#schedule-enabled");
+const elScheduleFrequency   = $("#schedule-frequency");
+const elScheduleQuietOn     = $("#schedule-quiet-enabled");
+const elScheduleQuietStart  = $("#schedule-quiet-start");
+const elScheduleQuietEnd    = $("#schedule-quiet-end");
+const elScheduleMinHeadroom = $("#schedule-min-headroom");
+const elScheduleLastRun     = $("#schedule-last-run");
+
+const elDiagnosticsSummary   = $("#diagnostics-summary");
+const elDiagnosticsEnabled   = $("#diagnostics-enabled");
+const elBtnDiagnosticsRun    = $("#btn-diagnostics-run");
+const elBtnDiagnosticsExport = $("#btn-diagnostics-export");
+const elDiagnosticsResult    = $("#diagnostics-result");
+const elProfilesSummary      = $("#profiles-summary");
+const elBtnProfilesImport    = $("#btn-profiles-import");
+const elBtnProfilesExport    = $("#btn-profiles-export");
+const elBtnProfilesReset     = $("#btn-profiles-reset");
+const elProfilesFile         = $("#profiles-file");
+
+// Latest selector report, from "Check this page" or diagnostics mode
+let selectorReport = null;
 
 // ─── Init ────────────────────────────────────────────────────────────────────
 
@@ -49,6 +99,9 @@ document.addEventListener("DOMContentLoaded", async () => {
   await checkExistingConfig();
   await loadCachedStats();
   await loadApiUsage();
+  await loadSyncSchedule();
+  await loadDiagnostics();
+  await loadSyncStatus();
   bindEvents();
 
   // Show the redirect URI so the user can copy it
@@ -105,11 +158,12 @@ function handleEdit() {
 }
 
 async function handleClear() {
-  await chrome.storage.local.remove([
-    "apiKey", "channelId",
-    "globalStats", "playlistStats", "playlistMeta",
-    "playlistCategories", "lastSync"
-  ]);
+  // The background owns the list of stored keys (and the video store)
+  const resp = await chrome.runtime.sendMessage({ type: "CLEAR_DATA" });
+  if (!resp?.success) {
+    showError(resp?.error || "Could not clear data");
+    return;
+  }
   showConfigForm();
   elStatsSection.classList.add("hidden");
   elActionsSection.classList.add("hidden");
@@ -121,6 +175,7 @@ function showConfigured(label) {
   elLoggedIn.classList.remove("hidden");
   elUserLabel.textContent = label;
   elActionsSection.classList.remove("hidden");
+  elScheduleSection.classList.remove("hidden");
 }
 
 function showConfigForm() {
@@ -131,25 +186,86 @@ function showConfigForm() {
 // ─── Sync ────────────────────────────────────────────────────────────────────
 
 async function triggerSync() {
-  elStatusSection.classList.remove("hidden");
-  elStatusText.textContent = "Syncing playlists…";
-  elProgressFill.style.width = "10%";
+  hideSyncEstimate();
+  await runSync("SYNC_START");
+}
 
+/**
+ * Sync button: show the dry-run cost estimate and wait for confirmation.
+ */
+async function showSyncEstimate() {
   try {
-    // Listen for progress updates
-    const progressListener = (msg) => {
-      if (msg.type === "SYNC_PROGRESS") {
-        elStatusText.textContent = msg.text;
-        elProgressFill.style.width = `${msg.percent}%`;
+    const resp = await chrome.runtime.sendMessage({ type: "GET_SYNC_ESTIMATE" });
+    if (!resp?.success) {
+      await triggerSync();
+      return;
+    }
+
+    const { estimate, headroom, resuming } = resp;
+
+    if (!estimate.known) {
+      elSyncEstimateText.textContent = "No cached library yet — the first sync costs about 1 unit per 50 videos.";
+      elSyncEstimateBreakdown.innerHTML = "";
+    } else {
+      const what = resuming ? `${estimate.playlists} remaining playlists` : `${estimate.playlists} playlists`;
+      elSyncEstimateText.textContent =
+        `Estimated cost: ~${estimate.units.toLocaleString()} units for ${what}` +
+        ` (${estimate.newVideos.toLocaleString()} videos not cached yet).`;
+      if (estimate.unchanged > 0) {
+        elSyncEstimateText.textContent +=
+          ` Assumes ${estimate.unchanged} unchanged playlists are skipped;` +
+          ` up to ~${estimate.maxUnits.toLocaleString()} units if they changed.`;
       }
-    };
-    chrome.runtime.onMessage.addListener(progressListener);
+      elSyncEstimateBreakdown.innerHTML = Object.entries(estimate.breakdown)
+        .filter(([, b]) => b.calls > 0)
+        .map(([op, b]) => `<li><span>${escapeHtml(op)}</span><span>${b.calls} calls · ${b.units} units</span></li>`)
+        .join("");
+    }
+
+    if (estimate.units > headroom) {
+      elSyncEstimateWarning.textContent =
+        `⚠️ Only ${headroom.toLocaleString()} units left today — the sync may not finish today.`;
+      elSyncEstimateWarning.classList.remove("hidden");
+    } else {
+      elSyncEstimateWarning.classList.add("hidden");
+    }
 
-    const response = await chrome.runtime.sendMessage({ type: "SYNC_START" });
+    elSyncEstimate.classList.remove("hidden");
+  } catch {
+    // Background not available — fall back to syncing directly
+    await triggerSync();
+  }
+}
 
-    chrome.runtime.onMessage.removeListener(progressListener);
+function hideSyncEstimate() {
+  elSyncEstimate.classList.add("hidden");
+}
 
-    if (response.success) {
+async function resumeSync() {
+  await runSync("SYNC_RESUME");
+}
+
+/**
+ * Send a sync-starting message and wait for the run to end.
+ * @param {"SYNC_START"|"SYNC_RESUME"} type
+ */
+async function runSync(type) {
+  elStatusSection.classList.remove("hidden");
+  elStatusText.textContent = "Syncing playlists…";
+  elProgressFill.style.width = "10%";
+  setResumed(false);
+  setSyncControls("running");
+
+  try {
+    const response = await chrome.runtime.sendMessage({ type });
+
+    if (response.state === "paused" || response.state === "cancelled") {
+      // Status text was already set by the SYNC_PROGRESS message
+      setSyncControls(response.state);
+      await loadCachedStats();
+      await loadApiUsage();
+    } else if (response.success) {
+      setSyncControls("idle");
       elProgressFill.style.width = "100%";
       elStatusText.textContent = "Sync complete!";
 
@@ -167,6 +283,80 @@ async function triggerSync() {
   }
 }
 
+async function sendSyncControl(type) {
+  try {
+    const resp = await chrome.runtime.sendMessage({ type });
+    if (!resp?.success) {
+      showError(resp?.error || "Could not reach the sync");
+      return;
+    }
+    if (resp.state === "pausing" || resp.state === "cancelling") {
+      elStatusText.textContent = resp.state === "pausing" ? "Pausing after this playlist…" : "Cancelling after this playlist…";
+      elBtnSyncPause.disabled = true;
+      elBtnSyncCancel.disabled = true;
+    } else if (resp.state === "cancelled") {
+      setSyncControls("cancelled");
+      await loadCachedStats();
+    }
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+/**
+ * Restore the status section when the popup opens during a run or while
+ * a run is paused.
+ */
+async function loadSyncStatus() {
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: "GET_SYNC_STATUS" });
+    if (!resp?.success || resp.state === "idle") return;
+
+    elStatusSection.classList.remove("hidden");
+    if (resp.state === "paused") {
+      elStatusText.textContent = `Sync paused (${resp.done}/${resp.total} done)`;
+      elProgressFill.style.width = `${Math.round((resp.done / resp.total) * 100)}%`;
+      setSyncControls("paused");
+    } else {
+      elStatusText.textContent = "Sync in progress…";
+      setSyncControls("running");
+    }
+  } catch {
+    // Background not available
+  }
+}
+
+/**
+ * Show the buttons that make sense for the given sync state.
+ * @param {"running"|"paused"|"cancelled"|"idle"} state
+ */
+function setSyncControls(state) {
+  elSyncControls.classList.toggle("hidden", state !== "running" && state !== "paused");
+  elBtnSyncPause.classList.toggle("hidden", state !== "running");
+  elBtnSyncResume.classList.toggle("hidden", state !== "paused");
+  elBtnSyncPause.disabled = false;
+  elBtnSyncCancel.disabled = false;
+}
+
+/**
+ * Progress updates are handled for the popup's whole lifetime, so a sync
+ * started elsewhere (auto-sync, a resumed run, the dashboard) shows up too.
+ */
+function handleSyncProgress(msg) {
+  if (msg.type !== "SYNC_PROGRESS") return;
+
+  elStatusSection.classList.remove("hidden");
+  elStatusText.textContent = msg.text;
+  elProgressFill.style.width = `${msg.percent}%`;
+  setResumed(Boolean(msg.resumed));
+  setSyncControls(msg.state || "running");
+}
+
+function setResumed(resumed) {
+  elStatusResumed.classList.toggle("hidden", !resumed);
+  elProgressFill.classList.toggle("resumed", resumed);
+}
+
 // ─── Stats Display ───────────────────────────────────────────────────────────
 
 async function loadCachedStats() {
@@ -226,22 +416,39 @@ function renderTopCategories(distribution, totalVideos) {
 
 const API_DAILY_LIMIT = 10000;
 
+const FEATURE_LABELS = {
+  "sync": "Sync",
+  "save-modal": "Save modal",
+  "quick-save": "Quick save",
+  "prefetch": "Prefetch"
+};
+
 async function loadApiUsage() {
   try {
     const resp = await chrome.runtime.sendMessage({ type: "GET_API_USAGE" });
     if (!resp?.success) return;
 
-    const { count, date } = resp.usage;
+    const { count, date, byFeature = {}, byEndpoint = {} } = resp.usage;
+    const limit = resp.limit || API_DAILY_LIMIT;
     const today = new Date().toISOString().slice(0, 10);
 
     // Only show today's usage
     const todayCount = date === today ? count : 0;
-    const pct = Math.min((todayCount / API_DAILY_LIMIT) * 100, 100);
+    const pct = Math.min((todayCount / limit) * 100, 100);
 
     elApiUsageSection.classList.remove("hidden");
-    elApiUsageCount.textContent = `${todayCount.toLocaleString()} / ${API_DAILY_LIMIT.toLocaleString()}`;
+    elApiUsageCount.textContent = `${todayCount.toLocaleString()} / ${limit.toLocaleString()} units`;
     elApiUsageBar.style.width = `${pct}%`;
 
+    elApiUsageFeatures.textContent = Object.entries(byFeature)
+      .map(([feature, units]) => `${FEATURE_LABELS[feature] || feature}: ${units.toLocaleString()}`)
+      .join(" · ");
+
+    elApiUsageEndpoints.innerHTML = Object.entries(byEndpoint)
+      .sort((a, b) => b[1].units - a[1].units)
+      .map(([op, e]) => `<li><span>${escapeHtml(op)}</span><span>${e.calls} calls · ${e.units} units</span></li>`)
+      .join("") || "<li>No calls yet today</li>";
+
     // Color coding
     if (pct >= 95) {
       elApiUsageBar.style.background = "#f44336";
@@ -261,6 +468,190 @@ async function loadApiUsage() {
     // Background not available
   }
 }
+// ─── Auto-Sync Schedule ────────────────────────────────────────────────────────
+
+async function loadSyncSchedule() {
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: "GET_SYNC_SCHEDULE" });
+    if (!resp?.success) return;
+    renderSyncSchedule(resp);
+  } catch {
+    // Background not available
+  }
+}
+
+async function handleScheduleChange() {
+  const schedule = {
+    enabled: elScheduleEnabled.checked,
+    frequency: elScheduleFrequency.value,
+    quietHours: {
+      enabled: elScheduleQuietOn.checked,
+      start: elScheduleQuietStart.value,
+      end: elScheduleQuietEnd.value
+    },
+    minQuotaHeadroom: elScheduleMinHeadroom.value
+  };
+
+  try {
+    const resp = await chrome.runtime.sendMessage({ type: "SET_SYNC_SCHEDULE", schedule });
+    if (resp?.success) {
+      renderSyncSchedule(resp);
+    } else {
+      showError(resp?.error || "Could not save schedule");
+    }
+  } catch (err) {
+    showError(err.message);
+  }
+}
+
+function renderSyncSchedule({ schedule, lastRun, nextRunAt }) {
+  elScheduleEnabled.checked = schedule.enabled;
+  elScheduleFrequency.value = schedule.frequency;
+  elScheduleQuietOn.checked = schedule.quietHours.enabled;
+  elScheduleQuietStart.value = schedule.quietHours.start;
+  elScheduleQuietEnd.value = schedule.quietHours.end;
+  elScheduleMinHeadroom.value = schedule.minQuotaHeadroom;
+
+  elScheduleSummary.textContent = schedule.enabled
+    ? schedule.frequency + (nextRunAt ? ` · next ${formatTime(nextRunAt)}` : "")
+    : "off";
+
+  if (!lastRun) {
+    elScheduleLastRun.classList.add("hidden");
+    return;
+  }
+
+  let text = `Last auto-sync: ${formatTime(lastRun.at)} — `;
+  if (lastRun.status === "success") {
+    text += `OK (${lastRun.totalPlaylists} playlists)`;
+  } else if (lastRun.status === "skipped") {
+    text += `skipped (${lastRun.reason})`;
+  } else {
+    text += `failed: ${lastRun.error || "unknown error"}`;
+  }
+
+  elScheduleLastRun.textContent = text;
+  elScheduleLastRun.classList.toggle("failed", lastRun.status === "failed");
+  elScheduleLastRun.classList.remove("hidden");
+}
+
+function formatTime(ts) {
+  const d = new Date(ts);
+  return `${d.toLocaleDateString()} ${d.toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`;
+}
+
+// ─── Selector Diagnostics ──────────────────────────────────────────────────────
+
+async function loadDiagnostics() {
+  const { enabled, lastReport } = await getSelectorDiagnostics();
+  elDiagnosticsEnabled.checked = enabled;
+  elDiagnosticsSummary.textContent = enabled ? "on" : "off";
+  if (lastReport) renderSelectorReport(lastReport);
+  await renderProfiles();
+}
+
+async function handleDiagnosticsToggle() {
+  await setSelectorDiagnostics(elDiagnosticsEnabled.checked);
+  elDiagnosticsSummary.textContent = elDiagnosticsEnabled.checked ? "on" : "off";
+}
+
+/**
+ * Ask the content script in the active YouTube tab for a fresh report.
+ */
+async function runSelectorDiagnostics() {
+  const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
+  if (!tab?.url?.startsWith("https://www.youtube.com/")) {
+    showDiagnosticsMessage("Open a YouTube page first — ideally with the Save sheet open.", true);
+    return;
+  }
+
+  try {
+    const resp = await chrome.tabs.sendMessage(tab.id, { type: "RUN_SELECTOR_DIAGNOSTICS" });
+    if (!resp?.report) {
+      showDiagnosticsMessage(resp?.error || "No report from the page.", true);
+      return;
+    }
+    renderSelectorReport(resp.report);
+  } catch {
+    // No content script in tabs opened before the extension was (re)loaded
+    showDiagnosticsMessage("Reload the YouTube tab, then try again.", true);
+  }
+}
+
+function renderSelectorReport(report) {
+  selectorReport = report;
+  elBtnDiagnosticsExport.disabled = false;
+
+  const active = report.profiles.find((p) => p.id === report.activeProfile);
+  const statuses = Object.values(active?.roles || {});
+  const found = statuses.filter((r) => r.status === "found").length;
+  const checked = statuses.filter((r) => r.status !== "skipped" && r.status !== "undefined").length;
+  const healed = Object.keys(report.healed || {});
+
+  let text = `${formatTime(report.generatedAt)} · ${report.page.type} · ` +
+    `${report.activeProfile || "no profile"}: ${found}/${checked} roles found`;
+  if (healed.length) text += ` · healed: ${healed.join(", ")}`;
+  if (report.missing.length) text += ` · missing: ${report.missing.join(", ")}`;
+  if (!report.saveSheetOpen) text += " · open the Save sheet to check its roles";
+  showDiagnosticsMessage(text, report.missing.length > 0);
+}
+
+function showDiagnosticsMessage(text, failed) {
+  elDiagnosticsResult.textContent = text;
+  elDiagnosticsResult.classList.toggle("failed", failed);
+  elDiagnosticsResult.classList.remove("hidden");
+}
+
+function exportSelectorReport() {
+  if (!selectorReport) return;
+  downloadJson(`selector-report-${selectorReport.generatedAt.slice(0, 10)}.json`, selectorReport);
+}
+
+// ─── Selector Profiles ─────────────────────────────────────────────────────────
+
+async function renderProfiles() {
+  const profiles = await getSelectorProfiles();
+  elProfilesSummary.textContent = profiles
+    .map((p) => `${p.id} v${p.version}${p.source === "imported" ? " (imported)" : ""}`)
+    .join(" · ");
+  elBtnProfilesReset.disabled = !profiles.some((p) => p.source === "imported");
+}
+
+async function importProfiles() {
+  const file = elProfilesFile.files[0];
+  elProfilesFile.value = "";
+  if (!file) return;
+
+  try {
+    // Replaces the previous import; built-in profiles stay as fallbacks
+    const imported = await saveSelectorProfiles(JSON.parse(await file.text()));
+    showDiagnosticsMessage(`Imported ${imported.map((p) => p.id).join(", ")}. Open tabs use it right away.`, false);
+  } catch (err) {
+    showDiagnosticsMessage(`Import failed: ${err.message}`, true);
+  }
+  await renderProfiles();
+}
+
+async function exportProfiles() {
+  const profiles = (await getSelectorProfiles()).map(({ source, ...profile }) => profile);
+  downloadJson("selector-profiles.json", exportSelectorProfiles(profiles));
+}
+
+async function resetProfiles() {
+  await clearSelectorProfiles();
+  showDiagnosticsMessage("Using the built-in selector profiles.", false);
+  await renderProfiles();
+}
+
+function downloadJson(filename, data) {
+  const url = URL.createObjectURL(new Blob([JSON.stringify(data, null, 2)], { type: "application/json" }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 // ─── Dashboard ───────────────────────────────────────────────────────────────
 
 function openDashboard() {
@@ -273,15 +664,24 @@ function showError(msg) {
   elStatusSection.classList.remove("hidden");
   elStatusText.textContent = `❌ ${msg}`;
   elProgressFill.style.width = "0%";
+  setResumed(false);
+  setSyncControls("idle");
 }
 
 // ─── Events ──────────────────────────────────────────────────────────────────
 
 function bindEvents() {
+  chrome.runtime.onMessage.addListener(handleSyncProgress);
+
   elBtnSaveConfig.addEventListener("click", handleSaveConfig);
   elBtnEdit.addEventListener("click", handleEdit);
-  elBtnSync.addEventListener("click", triggerSync);
+  elBtnSync.addEventListener("click", showSyncEstimate);
+  elBtnSyncConfirm.addEventListener("click", triggerSync);
+  elBtnSyncDismiss.addEventListener("click", hideSyncEstimate);
   elBtnDashboard.addEventListener("click", openDashboard);
+  elBtnSyncPause.addEventListener("click", () => sendSyncControl("SYNC_PAUSE"));
+  elBtnSyncResume.addEventListener("click", resumeSync);
+  elBtnSyncCancel.addEventListener("click", () => sendSyncControl("SYNC_CANCEL"));
 
   elInputChannel.addEventListener("keydown", (e) => {
     if (e.key === "Enter") handleSaveConfig();
@@ -298,6 +698,21 @@ function bindEvents() {
   elInputOAuthClientId?.addEventListener("input", () => {
     chrome.storage.local.set({ oauthClientId: elInputOAuthClientId.value.trim() });
   });
+
+  for (const el of [
+    elScheduleEnabled, elScheduleFrequency, elScheduleQuietOn,
+    elScheduleQuietStart, elScheduleQuietEnd, elScheduleMinHeadroom
+  ]) {
+    el.addEventListener("change", handleScheduleChange);
+  }
+
+  elDiagnosticsEnabled.addEventListener("change", handleDiagnosticsToggle);
+  elBtnDiagnosticsRun.addEventListener("click", runSelectorDiagnostics);
+  elBtnDiagnosticsExport.addEventListener("click", exportSelectorReport);
+  elBtnProfilesImport.addEventListener("click", () => elProfilesFile.click());
+  elProfilesFile.addEventListener("change", importProfiles);
+  elBtnProfilesExport.addEventListener("click", exportProfiles);
+  elBtnProfilesReset.addEventListener("click", resetProfiles);
 }
 
 // ─── Util ────────────────────────────────────────────────────────────────────